@@ -8,6 +8,8 @@ import passport from 'passport';
 import cookieParser from 'cookie-parser';
 import './config/passport.js';
 import httpLogger from './middlewares/logger.js';
+import requestId from './middlewares/requestId.js';
+import errorHandler, { errorResponseCodes, notFound } from './middlewares/errorHandler.js';
 import sessionConfig from './config/session.js';
 import { connectDB } from './config/db.js';
 import configureCloudinary from './config/cloudinary.js';
@@ -28,9 +30,23 @@ import './utils/emailMarketing.js'
 import transactionRouter from './routes/transactionRoutes.js';
 import swiftRouter from './routes/swiftRouter.js';
 import dashboardRouter from './routes/dashboardRoutes.js';
+import offerRouter from './routes/offerRoutes.js';
+import cartRouter from './routes/cartRoutes.js';
+import payoutRouter from './routes/payoutRoutes.js';
+import { createDocsRouter } from './routes/docsRoutes.js';
+import v2Router, { v2Routes } from './routes/v2/index.js';
+import { rateLimits } from './middlewares/rateLimiter.js';
+import './utils/expireOffers.js';
+import './utils/releaseEscrow.js';
+import './utils/reconcilePayments.js';
+import './utils/expireListings.js';
+import './utils/publishScheduledListings.js';
+import './utils/listingImports.js';
 import { fixMalformedLocations,} from './utils/migration.js';
 
 const app = express();
+// Behind Railway's proxy; needed for per-IP rate limits and login throttling
+app.set('trust proxy', env.TRUST_PROXY);
 const cache = new NodeCache({ stdTTL: 3600 });
 
 // Middleware
@@ -40,8 +56,17 @@ app.use(cors({
   credentials: true,
 }
 ));
+app.use(requestId); // Correlation id for logs and error responses
 app.use(httpLogger);
-app.use(bodyParser.json({ limit: '100mb' }));
+app.use(bodyParser.json({
+  limit: '100mb',
+  // Keep the exact bytes of payment callbacks for the webhook event store
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf.toString('utf8');
+    }
+  },
+}));
 app.use(bodyParser.urlencoded({ extended: true, limit: '100mb' }));
 app.use(session(sessionConfig));
 app.use(passport.initialize());
@@ -86,21 +111,40 @@ const server = http.createServer(app);
 initializeSocket(server, corsOptions);
 // fixMalformedLocations()
 
-// Routes
-app.use('/api/users', authRouter);
-app.use('/api/profile', userRouter);
-app.use('/api/listings', listingRouter);
-app.use('/api/chat', messageRouter);
-app.use('/api/orders', orderRouter);
-app.use('/api/notifications', notificationRouter);
-app.use('/api/report', reportRouter);
-app.use('/api/cloudinary', cloudinaryRouter);
-app.use('/api/transactions', transactionRouter); // Cache transaction routes
-app.use('/api/payments', swiftRouter); // Paystack routes
-app.use('/api/dashboard', dashboardRouter)
+// Routes (the tag groups them in the API docs)
+const apiRoutes = [
+  { path: '/api/users', router: authRouter, tag: 'Auth' },
+  { path: '/api/profile', router: userRouter, tag: 'Profile' },
+  { path: '/api/listings', router: listingRouter, tag: 'Listings' },
+  { path: '/api/chat', router: messageRouter, tag: 'Chat' },
+  { path: '/api/orders', router: orderRouter, tag: 'Orders' },
+  { path: '/api/notifications', router: notificationRouter, tag: 'Notifications' },
+  { path: '/api/report', router: reportRouter, tag: 'Reports' },
+  { path: '/api/cloudinary', router: cloudinaryRouter, tag: 'Images' },
+  { path: '/api/transactions', router: transactionRouter, tag: 'Transactions' },
+  { path: '/api/payments', router: swiftRouter, tag: 'Payments' }, // Payment provider routes
+  { path: '/api/dashboard', router: dashboardRouter, tag: 'Seller dashboard' },
+  { path: '/api/offers', router: offerRouter, tag: 'Offers' },
+  { path: '/api/cart', router: cartRouter, tag: 'Cart' },
+  { path: '/api/payouts', router: payoutRouter, tag: 'Payouts' },
+];
+
+app.use('/api', errorResponseCodes);
+app.use('/api', rateLimits.api);
+apiRoutes.forEach(({ path, router }) => app.use(path, router));
+app.use('/api/v2', v2Router);
+app.use('/api/docs', createDocsRouter([
+  ...apiRoutes,
+  ...v2Routes.map(route => ({ ...route, path: `/api/v2${route.path}`, version: 'v2' })),
+])); // OpenAPI document and interactive viewer
+
+app.use('/api', notFound);
 
 app.get('/', (req, res) => res.send('BeiFity API is running!'));
 
+// Must stay after every route
+app.use(errorHandler);
+
 
 
 // Start the server
@@ -4,7 +4,7 @@ const corsOptions = {
   origin:  '*',
   methods: ['GET', 'POST', 'OPTIONS', 'PATCH', 'DELETE', 'PUT'],
   credentials: true,
-  allowedHeaders: ['Content-Type', 'Authorization', 'token'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'token', 'x-guest-id', 'x-2fa-code'],
 };
 
 export default corsOptions;
\ No newline at end of file
@@ -3,6 +3,7 @@ import dotenv from 'dotenv';
 import env from './env.js';
 import logger from '../utils/logger.js';
 import { userModel } from '../models/User.js';
+import { migrateOpeningBalances } from '../utils/ledger.js';
 
 dotenv.config(); // Load environment variables
 
@@ -55,6 +56,14 @@ export const connectDB = async () => {
 
     console.log(`Updated ${result.modifiedCount} documents with negative payout amounts set to 0.`);
 
+    // Seed the ledger with wallets from before it existed; a failure here must not stop the server
+    try {
+      const { posted, skipped } = await migrateOpeningBalances();
+      logger.info(`Opening balances: Posted ${posted}, already migrated ${skipped}`);
+    } catch (migrationError) {
+      logger.error(`Opening balance migration failed: ${migrationError.message}`, { stack: migrationError.stack });
+    }
+
     logger.info("✅ MongoDB connected successfully");
   } catch (error) {
     logger.error("❌ MongoDB connection error:", error.message);
@@ -22,7 +22,22 @@ const env = cleanEnv(process.env, {
   CLOUDINARY_API_SECRET: str({ desc: 'Cloudinary API secret' }),
   VAPID_PUBLIC_KEY: str({ desc: 'Webpush VAPID public key' }),
   VAPID_PRIVATE_KEY: str({ desc: 'Webpush VAPID private key' }),
+  ACCESS_TOKEN_TTL_MINUTES: num({ desc: 'Lifetime of JWT access tokens in minutes', default: 15 }),
+  REFRESH_TOKEN_TTL_DAYS: num({ desc: 'Lifetime of a login session (refresh token) in days', default: 30 }),
+  RATE_LIMIT_STORE: str({ desc: 'Rate limit counter store (mongo shares counters across instances)', choices: ['memory', 'mongo'], default: 'memory' }),
+  TRUST_PROXY: num({ desc: 'Number of reverse proxies in front of the app, so req.ip is the client IP', default: 1 }),
   NODE_ENV: str({ desc: 'Node environment', choices: ['development', 'production'], default: 'development' }),
+  PAYMENT_PROVIDER: str({ desc: 'Payment provider (sandbox simulates M-Pesa locally)', choices: ['swift', 'sandbox'], default: 'swift' }),
+  PAYMENT_SANDBOX_ENABLED: bool({ desc: 'Turn on the sandbox payment provider and its webhook (never in production)', default: false }),
+  SANDBOX_WEBHOOK_SECRET: str({ desc: 'Secret signing sandbox webhooks (required when the sandbox is enabled)', default: '' }),
+  SANDBOX_CALLBACK_DELAY_MS: num({ desc: 'Delay before a simulated payment calls back', default: 3000 }),
 });
 
+if (env.PAYMENT_SANDBOX_ENABLED && !env.SANDBOX_WEBHOOK_SECRET) {
+  throw new Error('SANDBOX_WEBHOOK_SECRET must be set when PAYMENT_SANDBOX_ENABLED is true');
+}
+if (env.PAYMENT_PROVIDER === 'sandbox' && !env.PAYMENT_SANDBOX_ENABLED) {
+  throw new Error('PAYMENT_PROVIDER=sandbox needs PAYMENT_SANDBOX_ENABLED=true');
+}
+
 export default env;
\ No newline at end of file
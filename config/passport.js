@@ -1,6 +1,7 @@
 import passport from 'passport';
 import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
-import { generateToken } from '../utils/helper.js';
+import { createSession } from '../utils/sessions.js';
+import { createTwoFactorChallenge } from '../utils/twoFactor.js';
 import env from './env.js';
 import { userModel } from '../models/User.js';
 import bcryptjs from 'bcryptjs';
@@ -15,8 +16,9 @@ passport.use(
       clientID: process.env.CLIENT_ID,
       clientSecret: process.env.CLIENT_SECRET,
       callbackURL: `${process.env.BACKEND_URL}/users/google/callback`,
+      passReqToCallback: true, // The request is needed to record the login session's device
     },
-    async (accessToken, refreshToken, profile, done) => {
+    async (req, accessToken, refreshToken, profile, done) => {
       try {
         const email = profile.emails[0].value;
         let user = await userModel.findOne({ 'personalInfo.email': email });
@@ -99,8 +101,13 @@ passport.use(
           console.log(`Google login for existing user: ${user._id}`);
         }
 
-        const token = generateToken(user._id);
-        return done(null, { userId: user._id, token });
+        // Accounts with 2FA finish logging in at POST /api/auth/2fa/verify
+        if (user.personalInfo.twoFactor?.enabled) {
+          return done(null, { userId: user._id, challengeToken: createTwoFactorChallenge(user._id, 'google') });
+        }
+
+        const tokens = await createSession(user._id, req, 'google');
+        return done(null, { userId: user._id, token: tokens.token, refreshToken: tokens.refreshToken });
       } catch (error) {
         console.error('Google Strategy Error:', error);
         return done(error, null);
@@ -3,10 +3,14 @@ import { userModel } from "../../models/User.js";
 import { orderModel } from "../../models/Order.js";
 import { TransactionModel } from "../../models/Transaction.js";
 import logger from "../../utils/logger.js";
+import { hasPermission } from "../../utils/permissions.js";
 import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from '@google/generative-ai';
 import env from "../../config/env.js";
+import { runListingExpiry } from "../../utils/expireListings.js";
+import { getModerationMetrics } from "../../utils/moderation.js";
+import { sendNotification } from "../notificationController.js";
 
-export const toggleListingOffer = async (req, res) => {
+export const toggleListingOffer = async (req, res, next) => {
   try {
     const { listingId } = req.params;
     const listing = await listingModel.findById(listingId);
@@ -18,25 +22,20 @@ export const toggleListingOffer = async (req, res) => {
     await listing.save();
     res.status(200).json({ message: `Listing offer status toggled to ${listing.productInfo.onOffer}` });
   } catch (error) {
-    logger.error('Error toggling listing offer status:', error);
-    res.status(500).json({ message: 'Internal server error' });
+    next(error);
   }     
 };
 
-export const bulkToggleListingOffer = async (req, res) => {
+export const bulkToggleListingOffer = async (req, res, next) => {
   try {
     const adminId = req.user._id;
 
     const adminUser = await userModel.findById(adminId);
-    if (!adminUser || !adminUser.personalInfo.isAdmin) {
+    if (!adminUser || !hasPermission(adminUser, 'listings:moderate')) {
         logger.warn(`Unauthorized bulk toggle offer attempt by user: ${adminId}`);
         return res.status(403).json({ success: false, message: 'Access denied. Admins only.' });
     }
     const { listingIds } = req.body; // Expecting an array of listing IDs
-    if (!Array.isArray(listingIds) || listingIds.length === 0) {
-        logger.warn(`Invalid listing IDs provided for bulk toggle offer by admin: ${adminId}`);
-        return res.status(400).json({success: false, message: 'Invalid listing IDs' });
-    }
     const result = await listingModel.updateMany(
       { "productInfo.productId": { $in: listingIds } },
       [{ $set: { "productInfo.onOffer": { $not: "$productInfo.onOffer" } } }]
@@ -44,8 +43,101 @@ export const bulkToggleListingOffer = async (req, res) => {
     logger.info(`Admin ${adminId} bulk toggled offer status for ${result.modifiedCount} listings`);
     res.status(200).json({ success: true, message: `Toggled offer status for ${result.modifiedCount} listings` });
   } catch (error) {
-    logger.error('Error bulk toggling listing offer status:', error);
-    res.status(500).json({ success: false, message: 'Internal server error' });
+    next(error);
+  }
+};
+
+/**
+ * @route POST /api/listings/admin/expire
+ * @desc Run the listing expiry job now (it also runs hourly) and report what it did
+ * @access Private (Admin)
+ */
+export const runListingExpiryNow = async (req, res, next) => {
+  try {
+    const results = await runListingExpiry();
+    logger.info(`Admin ${req.user._id} ran listing expiry`, results);
+    res.status(200).json({
+      success: true,
+      message: `Reminded ${results.reminded} sellers and expired ${results.expired} listings`,
+      data: results,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route PUT /api/listings/admin/:productId/assign
+ * @desc Assign a pending listing to a reviewer (yourself by default), or release it with reviewerId: null
+ * @access Private (Admin)
+ * @body: { reviewerId? }
+ */
+export const assignListingReviewer = async (req, res, next) => {
+  try {
+    const { productId } = req.params;
+    const adminId = req.user._id.toString();
+    const reviewerId = req.body.reviewerId === undefined ? adminId : req.body.reviewerId;
+
+    const listing = await listingModel.findOne({ "productInfo.productId": productId });
+    if (!listing) {
+      logger.warn(`Assign reviewer failed: Listing ${productId} not found`);
+      return res.status(404).json({ success: false, message: "Listing not found" });
+    }
+    if (listing.verified !== "Pending") {
+      return res.status(409).json({ success: false, message: "Only listings awaiting review can be assigned" });
+    }
+
+    if (reviewerId) {
+      const reviewer = await userModel.findById(reviewerId);
+      if (!reviewer || !hasPermission(reviewer, "listings:moderate")) {
+        logger.warn(`Assign reviewer failed: User ${reviewerId} cannot moderate listings`, { productId, adminId });
+        return res.status(400).json({ success: false, message: "The reviewer must be staff who can moderate listings" });
+      }
+    }
+
+    const now = new Date();
+    listing.moderation.assignedTo = reviewerId;
+    listing.moderation.assignedAt = reviewerId ? now : null;
+    listing.moderation.history.push({
+      action: reviewerId ? "assigned" : "unassigned",
+      by: adminId,
+      at: now,
+      ...(reviewerId && { assignedTo: reviewerId }),
+    });
+    await listing.save();
+
+    if (reviewerId && reviewerId !== adminId) {
+      try {
+        await sendNotification(reviewerId, "moderation_assigned", `You have been assigned to review "${listing.productInfo.name}".`, adminId);
+      } catch (notificationError) {
+        logger.warn(`Failed to notify reviewer ${reviewerId}: ${notificationError.message}`, { productId });
+      }
+    }
+
+    logger.info(`Listing ${productId} ${reviewerId ? `assigned to ${reviewerId}` : "unassigned"} by ${adminId}`);
+    res.status(200).json({
+      success: true,
+      message: reviewerId ? "Reviewer assigned" : "Listing returned to the queue",
+      data: { productId, assignedTo: listing.moderation.assignedTo, assignedAt: listing.moderation.assignedAt },
+    });
+  } catch (error) {
+    next(error);
   }
 };
 
+/**
+ * @route GET /api/listings/admin/moderation/metrics
+ * @desc Moderation SLA metrics: queue size and age, decision turnaround, outcomes, reviewers and rejection reasons
+ * @access Private (Admin)
+ * @query { days = 30 }
+ */
+export const getListingModerationMetrics = async (req, res, next) => {
+  try {
+    const days = parseInt(req.query.days || 30);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const metrics = await getModerationMetrics(since);
+    res.status(200).json({ success: true, data: metrics });
+  } catch (error) {
+    next(error);
+  }
+};
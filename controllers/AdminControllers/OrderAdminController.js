@@ -3,24 +3,27 @@ import { orderModel } from "../../models/Order.js";
 import { TransactionModel } from "../../models/Transaction.js";
 import { userModel } from "../../models/User.js";
 import logger from "../../utils/logger.js";
+import { PaymentFailedError } from "../../utils/errors.js";
+import { isStaff } from "../../utils/permissions.js";
 import { initiatePayout, initiateRefund } from "../swiftController.js";
 import sanitizeHtml from 'sanitize-html';
 import { sendNotification } from "../notificationController.js";
+import { findOrderItem, formatItemTracking, transitionOrderItem } from "../../utils/orderStatus.js";
 
 
 const SESSION_TIMEOUT = 30000; // 30 seconds timeout for Mongoose sessions
 
-// Utility for admin authentication
-const requireAdmin = async (req, res, next) => {
+// Staff check; route-level authorize() enforces the specific permission
+const requireStaff = async (req, res, next) => {
   if (!req.user) {
     logger.warn("Admin access failed: No user data in request", { ip: req.ip });
     return res.status(401).json({ success: false, message: "Authentication required" });
   }
   const id = req.user._id.toString();
   const admin = await userModel.findById(id);
-  if (!admin || !admin.personalInfo.isAdmin) {
+  if (!admin || !isStaff(admin)) {
     logger.warn(`Unauthorized admin access: user ${id}`, { ip: req.ip });
-    return res.status(403).json({ success: false, message: "Unauthorized: Admin access required" });
+    return res.status(403).json({ success: false, message: "Unauthorized: Staff access required" });
   }
   next();
 };
@@ -50,8 +53,8 @@ const withRetry = async (fn, maxRetries = 3, operationName = "operation") => {
  * @desc Get all orders with pagination, filters (status, date range, seller/buyer search)
  * @access Private (Admin)
  */
-export const getAllOrders = async (req, res) => {
-  await requireAdmin(req, res, async () => {
+export const getAllOrders = async (req, res, next) => {
+  await requireStaff(req, res, async () => {
     try {
       const {
         page = 1,
@@ -112,8 +115,7 @@ export const getAllOrders = async (req, res) => {
         pagination: { page: parseInt(page), limit: parseInt(limit), total, pages: Math.ceil(total / limit) },
       });
     } catch (error) {
-      logger.error("Error fetching all orders: " + error.message, { stack: error.stack });
-      res.status(500).json({ success: false, message: "Server error fetching orders" });
+      next(error);
     }
   });
 };
@@ -123,14 +125,15 @@ export const getAllOrders = async (req, res) => {
  * @desc Get detailed single order by orderId
  * @access Private (Admin)
  */
-export const getOrderById = async (req, res) => {
-  await requireAdmin(req, res, async () => {
+export const getOrderById = async (req, res, next) => {
+  await requireStaff(req, res, async () => {
     try {
       const { id } = req.params; // orderId string
       const order = await orderModel
         .findOne({ orderId: id })
         .populate("customerId", "personalInfo.fullname personalInfo.email personalInfo.phone")
         .populate("items.sellerId", "personalInfo.fullname personalInfo.email personalInfo.phone")
+        .populate("items.statusHistory.actor", "personalInfo.fullname")
         .lean();
 
       if (!order) {
@@ -141,6 +144,7 @@ export const getOrderById = async (req, res) => {
       const isFullyCancelled = order.items.every((item) => item.cancelled);
       const enhancedOrder = {
         ...order,
+        items: order.items.map((item) => ({ ...item, ...formatItemTracking(item.statusHistory) })),
         transaction: transaction,
         isFullyCancelled,
         numCancelledItems: order.items.filter((item) => item.cancelled).length,
@@ -150,8 +154,7 @@ export const getOrderById = async (req, res) => {
       logger.info(`Admin fetched order details: ${id}`);
       res.status(200).json({ success: true, message: "Order details fetched", data: enhancedOrder });
     } catch (error) {
-      logger.error("Error fetching order by ID: " + error.message, { stack: error.stack, orderId: req.params.id });
-      res.status(500).json({ success: false, message: "Server error fetching order" });
+      next(error);
     }
   });
 };
@@ -161,8 +164,8 @@ export const getOrderById = async (req, res) => {
  * @desc Get all cancelled orders (full or partial), sorted earliest to oldest
  * @access Private (Admin)
  */
-export const getCancelledOrders = async (req, res) => {
-  await requireAdmin(req, res, async () => {
+export const getCancelledOrders = async (req, res, next) => {
+  await requireStaff(req, res, async () => {
     try {
       const { page = 1, limit = 20 } = req.query;
       const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -198,8 +201,7 @@ export const getCancelledOrders = async (req, res) => {
         pagination: { page: parseInt(page), limit: parseInt(limit), total, pages: Math.ceil(total / limit) },
       });
     } catch (error) {
-      logger.error("Error fetching cancelled orders: " + error.message, { stack: error.stack });
-      res.status(500).json({ success: false, message: "Server error fetching cancelled orders" });
+      next(error);
     }
   });
 };
@@ -210,8 +212,8 @@ export const getCancelledOrders = async (req, res) => {
  * @access Private (Admin)
  * @query params: startDate, endDate, status (optional filters)
  */
-export const getOrderAnalytics = async (req, res) => {
-  await requireAdmin(req, res, async () => {
+export const getOrderAnalytics = async (req, res, next) => {
+  await requireStaff(req, res, async () => {
     try {
       const { startDate, endDate, status } = req.query;
       const match = {};
@@ -310,8 +312,7 @@ export const getOrderAnalytics = async (req, res) => {
         },
       });
     } catch (error) {
-      logger.error("Error fetching order analytics: " + error.message, { stack: error.stack });
-      res.status(500).json({ success: false, message: "Server error fetching analytics" });
+      next(error);
     }
   });
 };
@@ -322,16 +323,13 @@ export const getOrderAnalytics = async (req, res) => {
  * @access Private (Admin)
  * @body: { orderId, itemId }
  */
-export const adminManualRefund = async (req, res) => {
-  await requireAdmin(req, res, async () => {
+export const adminManualRefund = async (req, res, next) => {
+  await requireStaff(req, res, async () => {
     const session = await mongoose.startSession({ defaultTransactionOptions: { timeout: SESSION_TIMEOUT } });
     let transactionCommitted = false;
     session.startTransaction();
     try {
       const { orderId, itemId } = req.body;
-      if (!orderId || !itemId) {
-        return res.status(400).json({ success: false, message: "orderId and itemId required" });
-      }
 
       const refundResult = await withRetry(
         () => initiateRefund(orderId, itemId, session),
@@ -340,7 +338,7 @@ export const adminManualRefund = async (req, res) => {
       );
 
       if (refundResult.error) {
-        throw new Error(refundResult.message);
+        throw new PaymentFailedError(refundResult.message, { cause: refundResult.cause });
       }
 
       await session.commitTransaction();
@@ -351,8 +349,7 @@ export const adminManualRefund = async (req, res) => {
       if (!transactionCommitted) {
         await session.abortTransaction();
       }
-      logger.error(`Admin manual refund error: ${error.message}`, { stack: error.stack, orderId: req.body.orderId, itemId: req.body.itemId });
-      res.status(500).json({ success: false, message: `Server error: ${error.message}` });
+      next(error);
     } finally {
       session.endSession();
     }
@@ -365,16 +362,13 @@ export const adminManualRefund = async (req, res) => {
  * @access Private (Admin)
  * @body: { transactionId, itemId }
  */
-export const adminForcePayout = async (req, res) => {
-  await requireAdmin(req, res, async () => {
+export const adminForcePayout = async (req, res, next) => {
+  await requireStaff(req, res, async () => {
     const session = await mongoose.startSession({ defaultTransactionOptions: { timeout: SESSION_TIMEOUT } });
     let transactionCommitted = false;
     session.startTransaction();
     try {
       const { transactionId, itemId } = req.body;
-      if (!transactionId || !itemId) {
-        return res.status(400).json({ success: false, message: "transactionId and itemId required" });
-      }
 
       const payoutResult = await withRetry(
         () => initiatePayout(transactionId, itemId, session),
@@ -383,7 +377,7 @@ export const adminForcePayout = async (req, res) => {
       );
 
       if (payoutResult.error) {
-        throw new Error(payoutResult.message);
+        throw new PaymentFailedError(payoutResult.message, { cause: payoutResult.cause });
       }
 
       await session.commitTransaction();
@@ -394,8 +388,7 @@ export const adminForcePayout = async (req, res) => {
       if (!transactionCommitted) {
         await session.abortTransaction();
       }
-      logger.error(`Admin force payout error: ${error.message}`, { stack: error.stack, transactionId: req.body.transactionId, itemId: req.body.itemId });
-      res.status(500).json({ success: false, message: `Server error: ${error.message}` });
+      next(error);
     } finally {
       session.endSession();
     }
@@ -404,20 +397,17 @@ export const adminForcePayout = async (req, res) => {
 
 /**
  * @route POST /api/admin/orders/update-status
- * @desc Admin override to update order/item status
+ * @desc Admin override to update order/item status (still bound by the item state machine)
  * @access Private (Admin)
- * @body: { orderId, itemIndex, status, reason? }
+ * @body: { orderId, itemIndex, status, reason?, courier?, trackingNumber? }
  */
-export const adminUpdateOrderStatus = async (req, res) => {
-  await requireAdmin(req, res, async () => {
+export const adminUpdateOrderStatus = async (req, res, next) => {
+  await requireStaff(req, res, async () => {
     const session = await mongoose.startSession({ defaultTransactionOptions: { timeout: SESSION_TIMEOUT } });
     let transactionCommitted = false;
     session.startTransaction();
     try {
-      const { orderId, itemIndex, status, reason } = req.body;
-      if (!orderId || itemIndex === undefined || !status) {
-        return res.status(400).json({ success: false, message: "orderId, itemIndex, and status required" });
-      }
+      const { orderId, itemIndex, status, reason, courier, trackingNumber } = req.body;
 
       const order = await orderModel.findOne({ orderId }).session(session);
       if (!order) {
@@ -429,11 +419,18 @@ export const adminUpdateOrderStatus = async (req, res) => {
         return res.status(404).json({ success: false, message: "Item not found" });
       }
 
-      const oldStatus = item.status;
-      item.status = status;
-      if (reason) {
-        item.adminNote = reason; // Add admin note field if schema supports
+      const transition = transitionOrderItem(item, status, {
+        actor: req.user._id,
+        actorRole: "admin",
+        note: reason,
+        courier,
+        trackingNumber,
+      });
+      if (transition.error) {
+        logger.warn(`Admin update status failed: ${transition.message}`, { orderId, itemIndex });
+        return res.status(400).json({ success: false, message: transition.message });
       }
+      const oldStatus = transition.from;
 
       // Update order status based on items
       const itemStatuses = order.items.map((i) => i.status);
@@ -466,8 +463,7 @@ export const adminUpdateOrderStatus = async (req, res) => {
       if (!transactionCommitted) {
         await session.abortTransaction();
       }
-      logger.error(`Admin update status error: ${error.message}`, { stack: error.stack });
-      res.status(500).json({ success: false, message: `Server error: ${error.message}` });
+      next(error);
     } finally {
       session.endSession();
     }
@@ -480,8 +476,8 @@ export const adminUpdateOrderStatus = async (req, res) => {
  * @access Private (Admin)
  * @query: startDate, endDate, status
  */
-export const exportOrders = async (req, res) => {
-  await requireAdmin(req, res, async () => {
+export const exportOrders = async (req, res, next) => {
+  await requireStaff(req, res, async () => {
     try {
       const { startDate, endDate, status } = req.query;
       const match = {};
@@ -520,8 +516,7 @@ export const exportOrders = async (req, res) => {
 
       logger.info(`Admin exported ${orders.length} orders`);
     } catch (error) {
-      logger.error("Error exporting orders: " + error.message, { stack: error.stack });
-      res.status(500).json({ success: false, message: "Server error exporting orders" });
+      next(error);
     }
   });
 };
@@ -532,8 +527,8 @@ export const exportOrders = async (req, res) => {
  * @access Private (Admin)
  * @query: page, limit, type (rejected, reported)
  */
-export const getDisputeOrders = async (req, res) => {
-  await requireAdmin(req, res, async () => {
+export const getDisputeOrders = async (req, res, next) => {
+  await requireStaff(req, res, async () => {
     try {
       const { page = 1, limit = 20, type } = req.query;
       const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -561,8 +556,7 @@ export const getDisputeOrders = async (req, res) => {
         pagination: { page: parseInt(page), limit: parseInt(limit), total, pages: Math.ceil(total / limit) },
       });
     } catch (error) {
-      logger.error("Error fetching dispute orders: " + error.message, { stack: error.stack });
-      res.status(500).json({ success: false, message: "Server error fetching disputes" });
+      next(error);
     }
   });
 };
@@ -573,7 +567,7 @@ export const getDisputeOrders = async (req, res) => {
  * @desc Allow buyer to reject a delivered item, initiating a dispute/refund process
  * @access Private (requires JWT token)
  */
-export const rejectDelivery = async (req, res) => {
+export const rejectDelivery = async (req, res, next) => {
   const session = await mongoose.startSession({ defaultTransactionOptions: { timeout: SESSION_TIMEOUT } });
   let transactionCommitted = false;
   session.startTransaction();
@@ -583,36 +577,21 @@ export const rejectDelivery = async (req, res) => {
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
 
-    const { orderId, itemId, userId, reason, details } = req.body;
+    const { orderId, itemId, sku, userId, reason, details } = req.body;
     const requesterId = req.user._id.toString();
 
-    if (!orderId || !itemId || !userId) {
-      logger.warn('Reject delivery failed: Missing required fields', { userId: requesterId, ip: req.ip });
-      return res.status(400).json({ success: false, message: 'orderId, itemId, and userId are required' });
-    }
-
     if (requesterId !== userId) {
       logger.warn(`Reject delivery failed: User ${requesterId} attempted to reject as ${userId}`, { ip: req.ip });
       return res.status(403).json({ success: false, message: 'Unauthorized to reject this delivery' });
     }
 
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-      logger.warn(`Reject delivery failed: Invalid userId ${userId}`, { userId: requesterId, ip: req.ip });
-      return res.status(400).json({ success: false, message: 'Invalid userId' });
-    }
-
-    if (!reason) {
-      logger.warn('Reject delivery failed: Reason required');
-      return res.status(400).json({ success: false, message: 'A reason for rejection is required' });
-    }
-
     const order = await orderModel.findOne({ orderId }).session(session).populate('items.sellerId customerId');
     if (!order) {
       logger.warn(`Reject delivery failed: Order ${orderId} not found`, { userId, ip: req.ip });
       return res.status(404).json({ success: false, message: 'Order not found' });
     }
 
-    const item = order.items.find(i => i.productId === itemId);
+    const item = findOrderItem(order.items, itemId, sku);
     if (!item) {
       logger.warn(`Reject delivery failed: Item ${itemId} not found in order ${orderId}`, { userId, ip: req.ip });
       return res.status(404).json({ success: false, message: 'Item not found in this order' });
@@ -634,7 +613,7 @@ export const rejectDelivery = async (req, res) => {
     }
 
     // Mark as rejected and initiate dispute/refund
-    item.status = 'rejected';
+    transitionOrderItem(item, 'rejected', { actor: userId, actorRole: 'buyer', note: reason });
     item.rejected = true;
     item.rejectionReason = reason;
     item.rejectionDetails = details || '';
@@ -657,7 +636,7 @@ export const rejectDelivery = async (req, res) => {
       if (transaction) {
         const transactionItem = transaction.items.find(ti => ti.itemId.toString() === item._id.toString());
         if (transactionItem && transactionItem.refundStatus === 'none') {
-          const refundResult = await withRetry(() => initiateRefund(order._id, item.productId, session), 3, `Initiate refund for rejected item ${itemId}`);
+          const refundResult = await withRetry(() => initiateRefund(order._id, item._id, session), 3, `Initiate refund for rejected item ${itemId}`);
           if (!refundResult.error) {
             refundMessage = ` (refund initiated: KES ${transactionItem.itemAmount.toFixed(2)})`;
             refundedAmount = transactionItem.itemAmount;
@@ -705,8 +684,7 @@ export const rejectDelivery = async (req, res) => {
     if (!transactionCommitted) {
       await session.abortTransaction();
     }
-    logger.error(`Error rejecting delivery: ${error.message}`, { stack: error.stack, userId: req.user?._id, orderId, itemId });
-    res.status(500).json({ success: false, message: `Server error: ${error.message}` });
+    next(error);
   } finally {
     session.endSession();
   }
@@ -724,7 +702,7 @@ export const rejectDelivery = async (req, res) => {
  * @desc Allow buyer to accept a delivered item, marking it as delivered and releasing payment
  * @access Private (requires JWT token)
  */
-export const acceptDelivery = async (req, res) => {
+export const acceptDelivery = async (req, res, next) => {
   const session = await mongoose.startSession({ defaultTransactionOptions: { timeout: SESSION_TIMEOUT } });
   let transactionCommitted = false;
   session.startTransaction();
@@ -734,31 +712,21 @@ export const acceptDelivery = async (req, res) => {
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
 
-    const { orderId, itemId, userId } = req.body;
+    const { orderId, itemId, sku, userId } = req.body;
     const requesterId = req.user._id.toString();
 
-    if (!orderId || !itemId || !userId) {
-      logger.warn('Accept delivery failed: Missing required fields', { userId: requesterId, ip: req.ip });
-      return res.status(400).json({ success: false, message: 'orderId, itemId, and userId are required' });
-    }
-
     if (requesterId !== userId) {
       logger.warn(`Accept delivery failed: User ${requesterId} attempted to accept as ${userId}`, { ip: req.ip });
       return res.status(403).json({ success: false, message: 'Unauthorized to accept this delivery' });
     }
 
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-      logger.warn(`Accept delivery failed: Invalid userId ${userId}`, { userId: requesterId, ip: req.ip });
-      return res.status(400).json({ success: false, message: 'Invalid userId' });
-    }
-
     const order = await orderModel.findOne({ orderId }).session(session).populate('items.sellerId customerId');
     if (!order) {
       logger.warn(`Accept delivery failed: Order ${orderId} not found`, { userId, ip: req.ip });
       return res.status(404).json({ success: false, message: 'Order not found' });
     }
 
-    const item = order.items.find(i => i.productId === itemId);
+    const item = findOrderItem(order.items, itemId, sku);
     if (!item) {
       logger.warn(`Accept delivery failed: Item ${itemId} not found in order ${orderId}`, { userId, ip: req.ip });
       return res.status(404).json({ success: false, message: 'Item not found in this order' });
@@ -780,7 +748,7 @@ export const acceptDelivery = async (req, res) => {
     }
 
     // Mark as delivered
-    item.status = 'delivered';
+    transitionOrderItem(item, 'delivered', { actor: userId, actorRole: 'buyer', note: 'Delivery accepted by buyer' });
 
     // Update order status
     const itemStatuses = order.items.map(i => i.status);
@@ -841,8 +809,7 @@ export const acceptDelivery = async (req, res) => {
     if (!transactionCommitted) {
       await session.abortTransaction();
     }
-    logger.error(`Error accepting delivery: ${error.message}`, { stack: error.stack});
-    res.status(500).json({ success: false, message: `Server error: ${error.message}` });
+    next(error);
   } finally {
     session.endSession();
   }
@@ -0,0 +1,255 @@
+import mongoose from "mongoose";
+import sanitizeHtml from 'sanitize-html';
+import { userModel } from "../../models/User.js";
+import { withdrawalModel } from "../../models/Withdrawal.js";
+import logger from "../../utils/logger.js";
+import { AppError } from "../../utils/errors.js";
+import { isStaff } from "../../utils/permissions.js";
+import { getAccountBalances, postJournal } from "../../utils/ledger.js";
+import { getPaymentProvider } from "../../utils/payments/index.js";
+import { sendNotification } from "../notificationController.js";
+
+// Staff check; route-level authorize() enforces the specific permission
+const requireStaff = async (req, res, next) => {
+  if (!req.user) {
+    logger.warn("Admin access failed: No user data in request", { ip: req.ip });
+    return res.status(401).json({ success: false, message: "Authentication required" });
+  }
+  const id = req.user._id.toString();
+  const admin = await userModel.findById(id);
+  if (!admin || !isStaff(admin)) {
+    logger.warn(`Unauthorized admin access: user ${id}`, { ip: req.ip });
+    return res.status(403).json({ success: false, message: "Unauthorized: Staff access required" });
+  }
+  next();
+};
+
+/**
+ * @route GET /api/payouts/admin/withdrawals
+ * @desc Withdrawal approval queue (oldest first), filterable by status
+ * @access Private (Admin)
+ * @query { status = 'pending', page, limit }
+ */
+export const getWithdrawalQueue = async (req, res, next) => {
+  await requireStaff(req, res, async () => {
+    try {
+      const { status = "pending", page = 1, limit = 20 } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const filter = status === "all" ? {} : { status: String(status) };
+
+      const [withdrawals, total] = await Promise.all([
+        withdrawalModel
+          .find(filter)
+          .populate("sellerId", "personalInfo.fullname personalInfo.email personalInfo.phone")
+          .populate("reviewedBy", "personalInfo.fullname")
+          .sort({ createdAt: 1 })
+          .skip(skip)
+          .limit(parseInt(limit))
+          .lean(),
+        withdrawalModel.countDocuments(filter),
+      ]);
+
+      logger.info(`Admin fetched ${withdrawals.length} ${status} withdrawals`);
+      res.status(200).json({
+        success: true,
+        data: withdrawals,
+        pagination: { page: parseInt(page), limit: parseInt(limit), total, pages: Math.ceil(total / parseInt(limit)) },
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+};
+
+/**
+ * @route POST /api/payouts/admin/withdrawals/:withdrawalId/approve
+ * @desc Mark a pending withdrawal as paid. Without a payoutReference the payment provider sends the transfer;
+ *       providers without a payout API (Swift) need the M-Pesa code of the manual transfer.
+ *       A provider transfer first claims the withdrawal (processing), so a concurrent or retried approval cannot
+ *       send it twice. A claim whose outcome is unknown stays processing until it is approved with the provider's reference.
+ * @access Private (Admin)
+ * @body: { payoutReference? }
+ */
+export const approveWithdrawal = async (req, res, next) => {
+  await requireStaff(req, res, async () => {
+    const session = await mongoose.startSession();
+    let transactionCommitted = false;
+    session.startTransaction();
+    try {
+      const { withdrawalId } = req.params;
+      let { payoutReference } = req.body;
+
+      // With a reference, staff record a transfer already sent, which also settles a claim left processing
+      let approvableStatuses = ["pending", "processing"];
+      if (!payoutReference) {
+        const provider = getPaymentProvider();
+        // Claimed outside the transaction so other requests see it before any money moves
+        const claimed = await withdrawalModel.findOneAndUpdate(
+          { _id: withdrawalId, status: "pending" },
+          { $set: { status: "processing", reviewedBy: req.user._id, reviewedAt: new Date() } },
+          { new: true }
+        );
+        if (!claimed) {
+          return res.status(404).json({ success: false, message: "Pending withdrawal not found" });
+        }
+        const payoutResult = await provider.payout({
+          phone: claimed.destination.phoneNumber,
+          amount: claimed.netAmount,
+          reference: `WD-${claimed._id}`,
+          accountName: claimed.destination.accountName,
+        });
+        if (payoutResult.manual || !payoutResult.success) {
+          // Nothing was sent, so the withdrawal goes back to the queue
+          await withdrawalModel.updateOne(
+            { _id: claimed._id, status: "processing" },
+            { $set: { status: "pending", reviewedBy: null, reviewedAt: null } }
+          );
+          if (payoutResult.manual) {
+            return res.status(400).json({ success: false, message: "payoutReference (M-Pesa transaction code) required" });
+          }
+          logger.warn(`Admin approve withdrawal failed: ${provider.name} payout rejected`, { withdrawalId, message: payoutResult.message });
+          throw new AppError(payoutResult.message || "Payout failed", { status: 502 });
+        }
+        payoutReference = payoutResult.providerReference;
+        approvableStatuses = ["processing"];
+      }
+
+      const withdrawal = await withdrawalModel.findOneAndUpdate(
+        { _id: withdrawalId, status: { $in: approvableStatuses } },
+        {
+          $set: {
+            status: "paid",
+            payoutReference: sanitizeHtml(payoutReference.trim()),
+            reviewedBy: req.user._id,
+            reviewedAt: new Date(),
+          },
+        },
+        { new: true, session }
+      );
+      if (!withdrawal) {
+        return res.status(404).json({ success: false, message: "Pending withdrawal not found" });
+      }
+
+      const sellerId = withdrawal.sellerId;
+      await postJournal({
+        type: "withdrawal_paid",
+        description: `M-Pesa payout ${withdrawal.payoutReference} to ${withdrawal.destination.phoneNumber}`,
+        withdrawalId: withdrawal._id,
+        createdBy: req.user._id,
+        lines: [
+          { account: "seller_withdrawing", userId: sellerId, debit: withdrawal.netAmount },
+          { account: "escrow", credit: withdrawal.netAmount },
+        ],
+      }, session);
+      await postJournal({
+        type: "withdrawal_fee",
+        description: "Withdrawal transfer fee",
+        withdrawalId: withdrawal._id,
+        createdBy: req.user._id,
+        lines: [
+          { account: "seller_withdrawing", userId: sellerId, debit: withdrawal.fee },
+          { account: "platform_revenue", credit: withdrawal.fee },
+        ],
+      }, session);
+
+      const content = `Your withdrawal of KES ${withdrawal.amount.toFixed(2)} has been paid to ${withdrawal.destination.phoneNumber} (M-Pesa ref: ${withdrawal.payoutReference}).`;
+      await sendNotification(sellerId.toString(), "payout", content, req.user._id.toString(), session);
+
+      await session.commitTransaction();
+      transactionCommitted = true;
+      logger.info(`Admin ${req.user._id} approved withdrawal ${withdrawalId} (ref ${withdrawal.payoutReference})`);
+      res.status(200).json({ success: true, message: "Withdrawal marked as paid", data: withdrawal });
+    } catch (error) {
+      if (!transactionCommitted) {
+        await session.abortTransaction();
+      }
+      next(error);
+    } finally {
+      session.endSession();
+    }
+  });
+};
+
+/**
+ * @route POST /api/payouts/admin/withdrawals/:withdrawalId/reject
+ * @desc Reject a pending withdrawal and return the held funds to the seller's available balance
+ * @access Private (Admin)
+ * @body: { reason }
+ */
+export const rejectWithdrawal = async (req, res, next) => {
+  await requireStaff(req, res, async () => {
+    const session = await mongoose.startSession();
+    let transactionCommitted = false;
+    session.startTransaction();
+    try {
+      const { withdrawalId } = req.params;
+      const { reason } = req.body;
+
+      const withdrawal = await withdrawalModel.findOneAndUpdate(
+        { _id: withdrawalId, status: "pending" },
+        {
+          $set: {
+            status: "rejected",
+            rejectionReason: sanitizeHtml(reason.trim()),
+            reviewedBy: req.user._id,
+            reviewedAt: new Date(),
+          },
+        },
+        { new: true, session }
+      );
+      if (!withdrawal) {
+        return res.status(404).json({ success: false, message: "Pending withdrawal not found" });
+      }
+
+      await postJournal({
+        type: "withdrawal_reversal",
+        description: "Withdrawal rejected by admin",
+        withdrawalId: withdrawal._id,
+        createdBy: req.user._id,
+        lines: [
+          { account: "seller_withdrawing", userId: withdrawal.sellerId, debit: withdrawal.amount },
+          { account: "seller_available", userId: withdrawal.sellerId, credit: withdrawal.amount },
+        ],
+      }, session);
+
+      const content = `Your withdrawal of KES ${withdrawal.amount.toFixed(2)} was rejected: ${withdrawal.rejectionReason}. The funds are back in your available balance.`;
+      await sendNotification(withdrawal.sellerId.toString(), "payout", content, req.user._id.toString(), session);
+
+      await session.commitTransaction();
+      transactionCommitted = true;
+      logger.info(`Admin ${req.user._id} rejected withdrawal ${withdrawalId}`);
+      res.status(200).json({ success: true, message: "Withdrawal rejected", data: withdrawal });
+    } catch (error) {
+      if (!transactionCommitted) {
+        await session.abortTransaction();
+      }
+      next(error);
+    } finally {
+      session.endSession();
+    }
+  });
+};
+
+/**
+ * @route GET /api/payouts/admin/ledger/summary
+ * @desc Platform ledger balances (escrow held, platform revenue, refunds owed)
+ * @access Private (Admin)
+ */
+export const getLedgerSummary = async (req, res, next) => {
+  await requireStaff(req, res, async () => {
+    try {
+      const balances = await getAccountBalances(null);
+      res.status(200).json({
+        success: true,
+        data: {
+          escrow: balances.escrow || 0,
+          platformRevenue: balances.platform_revenue || 0,
+          refundsPayable: balances.refunds_payable || 0,
+          currency: "KES",
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+};
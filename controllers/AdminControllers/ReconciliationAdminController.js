@@ -0,0 +1,122 @@
+import { userModel } from "../../models/User.js";
+import { TransactionModel } from "../../models/Transaction.js";
+import { reconciliationReportModel } from "../../models/ReconciliationReport.js";
+import logger from "../../utils/logger.js";
+import { isStaff } from "../../utils/permissions.js";
+import { reconcilePayments, sendReconciliationReport } from "../../utils/reconcilePayments.js";
+
+// Staff check; route-level authorize() enforces the specific permission
+const requireStaff = async (req, res, next) => {
+  if (!req.user) {
+    logger.warn("Admin access failed: No user data in request", { ip: req.ip });
+    return res.status(401).json({ success: false, message: "Authentication required" });
+  }
+  const id = req.user._id.toString();
+  const admin = await userModel.findById(id);
+  if (!admin || !isStaff(admin)) {
+    logger.warn(`Unauthorized admin access: user ${id}`, { ip: req.ip });
+    return res.status(403).json({ success: false, message: "Unauthorized: Staff access required" });
+  }
+  next();
+};
+
+/**
+ * @route GET /api/payments/admin/reconciliation/reports
+ * @desc Daily reconciliation reports, newest first (entries omitted)
+ * @access Private (Admin)
+ * @query { page, limit }
+ */
+export const getReconciliationReports = async (req, res, next) => {
+  await requireStaff(req, res, async () => {
+    try {
+      const { page = 1, limit = 30 } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const [reports, total] = await Promise.all([
+        reconciliationReportModel
+          .find()
+          .select("-entries")
+          .sort({ date: -1 })
+          .skip(skip)
+          .limit(parseInt(limit))
+          .lean(),
+        reconciliationReportModel.countDocuments(),
+      ]);
+      res.status(200).json({
+        success: true,
+        data: reports,
+        pagination: { page: parseInt(page), limit: parseInt(limit), total, pages: Math.ceil(total / parseInt(limit)) },
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+};
+
+/**
+ * @route GET /api/payments/admin/reconciliation/reports/:date
+ * @desc One day's reconciliation report with every entry
+ * @access Private (Admin)
+ */
+export const getReconciliationReport = async (req, res, next) => {
+  await requireStaff(req, res, async () => {
+    try {
+      const { date } = req.params;
+      const report = await reconciliationReportModel.findOne({ date }).lean();
+      if (!report) {
+        return res.status(404).json({ success: false, message: `No reconciliation report for ${date}` });
+      }
+      res.status(200).json({ success: true, data: report });
+    } catch (error) {
+      next(error);
+    }
+  });
+};
+
+/**
+ * @route GET /api/payments/admin/reconciliation/flagged
+ * @desc Unsettled transactions flagged by reconciliation (amount mismatch or unresolved)
+ * @access Private (Admin)
+ * @query { flag }
+ */
+export const getFlaggedTransactions = async (req, res, next) => {
+  await requireStaff(req, res, async () => {
+    try {
+      const { flag } = req.query;
+      const filter = flag
+        ? { "reconciliation.flag": String(flag) }
+        : { "reconciliation.flag": { $in: ["amount_mismatch", "unresolved"] } };
+      const transactions = await TransactionModel
+        .find({ ...filter, status: { $in: ["pending", "swift_initiated"] } })
+        .select("orderId swiftReference paymentProvider totalAmount status reconciliation createdAt")
+        .sort({ createdAt: 1 })
+        .lean();
+      res.status(200).json({ success: true, data: transactions });
+    } catch (error) {
+      next(error);
+    }
+  });
+};
+
+/**
+ * @route POST /api/payments/admin/reconciliation/run
+ * @desc Run reconciliation now; optionally (re)send the report for a date
+ * @access Private (Admin)
+ * @body: { sendReportFor? (YYYY-MM-DD) }
+ */
+export const runReconciliation = async (req, res, next) => {
+  await requireStaff(req, res, async () => {
+    try {
+      const { sendReportFor } = req.body;
+      const counts = await reconcilePayments();
+      const report = sendReportFor ? await sendReconciliationReport(sendReportFor) : null;
+      logger.info(`Admin ${req.user._id} ran payment reconciliation`, { counts, sendReportFor });
+      res.status(200).json({
+        success: true,
+        message: counts ? `Checked ${counts.checked} unsettled transactions` : "No unsettled transactions to check",
+        data: { counts, report },
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+};
@@ -0,0 +1,140 @@
+import { userModel } from "../../models/User.js";
+import { webhookEventModel } from "../../models/WebhookEvent.js";
+import logger from "../../utils/logger.js";
+import { isStaff } from "../../utils/permissions.js";
+import { runWebhookEvent } from "../swiftController.js";
+
+// Staff check; route-level authorize() enforces the specific permission
+const requireStaff = async (req, res, next) => {
+  if (!req.user) {
+    logger.warn("Admin access failed: No user data in request", { ip: req.ip });
+    return res.status(401).json({ success: false, message: "Authentication required" });
+  }
+  const id = req.user._id.toString();
+  const admin = await userModel.findById(id);
+  if (!admin || !isStaff(admin)) {
+    logger.warn(`Unauthorized admin access: user ${id}`, { ip: req.ip });
+    return res.status(403).json({ success: false, message: "Unauthorized: Staff access required" });
+  }
+  next();
+};
+
+// Statuses that need attention; "failed" in the query covers all of them
+const UNRESOLVED_STATUSES = ["failed", "rejected"];
+
+/**
+ * @route GET /api/payments/admin/webhook-events
+ * @desc List stored payment webhook events, newest first (failed and rejected by default)
+ * @access Private (Admin)
+ * @query { status = 'failed', provider, reference, page, limit }
+ */
+export const getWebhookEvents = async (req, res, next) => {
+  await requireStaff(req, res, async () => {
+    try {
+      const { status = "failed", provider, reference, page = 1, limit = 20 } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const filter = {};
+      if (status === "failed") {
+        filter.status = { $in: UNRESOLVED_STATUSES };
+      } else if (status !== "all") {
+        filter.status = String(status);
+      }
+      if (provider) filter.provider = String(provider);
+      if (reference) filter.reference = String(reference);
+
+      const [events, total] = await Promise.all([
+        webhookEventModel
+          .find(filter)
+          .select("-rawBody")
+          .populate("replays.replayedBy", "personalInfo.fullname")
+          .sort({ receivedAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit))
+          .lean(),
+        webhookEventModel.countDocuments(filter),
+      ]);
+
+      logger.info(`Admin fetched ${events.length} ${status} webhook events`);
+      res.status(200).json({
+        success: true,
+        data: events,
+        pagination: { page: parseInt(page), limit: parseInt(limit), total, pages: Math.ceil(total / parseInt(limit)) },
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+};
+
+/**
+ * @route GET /api/payments/admin/webhook-events/:eventId
+ * @desc Full webhook event including the raw body as received
+ * @access Private (Admin)
+ */
+export const getWebhookEventById = async (req, res, next) => {
+  await requireStaff(req, res, async () => {
+    try {
+      const { eventId } = req.params;
+      const event = await webhookEventModel.findById(eventId).populate("replays.replayedBy", "personalInfo.fullname").lean();
+      if (!event) {
+        return res.status(404).json({ success: false, message: "Webhook event not found" });
+      }
+      res.status(200).json({ success: true, data: event });
+    } catch (error) {
+      next(error);
+    }
+  });
+};
+
+/**
+ * @route POST /api/payments/admin/webhook-events/:eventId/replay
+ * @desc Re-run a failed webhook event. Events rejected for a bad signature need acceptUnsigned.
+ * @access Private (Admin)
+ * @body: { acceptUnsigned }
+ */
+export const replayWebhookEvent = async (req, res, next) => {
+  await requireStaff(req, res, async () => {
+    const { eventId } = req.params;
+    try {
+      const { acceptUnsigned = false } = req.body;
+      const event = await webhookEventModel.findById(eventId);
+      if (!event) {
+        return res.status(404).json({ success: false, message: "Webhook event not found" });
+      }
+      if (event.status === "processed") {
+        return res.status(409).json({ success: false, message: "Webhook event was already processed" });
+      }
+      if (event.status === "rejected" && acceptUnsigned !== true) {
+        return res.status(400).json({
+          success: false,
+          message: "This event failed signature verification. Confirm it is genuine and replay with acceptUnsigned: true",
+        });
+      }
+
+      let result;
+      try {
+        result = await runWebhookEvent(event, { allowUnsigned: acceptUnsigned === true });
+      } catch (error) {
+        result = { type: "error", error: error.message };
+      }
+      if (result.type === "in_progress") {
+        return res.status(409).json({ success: false, message: "Webhook event is currently being processed" });
+      }
+
+      const updated = await webhookEventModel.findByIdAndUpdate(
+        eventId,
+        { $push: { replays: { replayedBy: req.user._id, replayedAt: new Date(), status: result.type, error: result.error || null } } },
+        { new: true }
+      ).select("-rawBody");
+
+      logger.info(`Admin ${req.user._id} replayed webhook event ${eventId}: ${updated.status}`, { result: result.type });
+      res.status(updated.status === "processed" ? 200 : 422).json({
+        success: updated.status === "processed",
+        message: updated.status === "processed" ? "Webhook event replayed successfully" : `Replay failed: ${updated.error}`,
+        data: updated,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+};
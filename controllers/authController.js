@@ -1,6 +1,11 @@
 import bcrypt from 'bcryptjs';
 import { userModel } from '../models/User.js';
-import { generateRandomNumbers, generateToken } from '../utils/helper.js';
+import { generateRandomNumbers } from '../utils/helper.js';
+import { createSession, getActiveSessions, revokeAllSessions, revokeSession, rotateRefreshToken } from '../utils/sessions.js';
+import { sessionModel } from '../models/Session.js';
+import { createTwoFactorChallenge, generateBackupCodes, readTwoFactorChallenge, verifySecondFactor } from '../utils/twoFactor.js';
+import { buildOtpAuthUrl, decryptSecret, encryptSecret, generateTotpSecret, verifyTotp } from '../utils/totp.js';
+import { checkAttemptThrottle, clearFailedAttempts, recordFailedAttempt, sendLockoutEmail } from '../utils/loginProtection.js';
 import { tokenModel } from '../models/Token.js';
 import { resetTokenModel } from '../models/ResetToken.js';
 import crypto from 'crypto';
@@ -8,11 +13,15 @@ import { sendEmail } from '../utils/sendEmail.js';
 import { OAuth2Client } from 'google-auth-library';
 import jwt from 'jsonwebtoken';
 import logger from '../utils/logger.js';
+import { ServiceUnavailableError } from '../utils/errors.js';
+import { getUserPermissions, getUserRoles, hasPermission, isStaff } from '../utils/permissions.js';
 import env from '../config/env.js';
 import mongoose from 'mongoose';
 import { sendNotification } from './notificationController.js';
 
 const googleClient = new OAuth2Client(env.CLIENT_ID);
+// Wrong guesses allowed against one password reset code
+const MAX_RESET_CODE_ATTEMPTS = 5;
 
 /**
  * Common email template function
@@ -94,33 +103,13 @@ const createEmailTemplate = (title, greeting, message, buttonText = '', buttonUr
  * @access Public
  * @body {fullname, email, password, phone, referralCode, username}
  */
-export const signup = async (req, res) => {
+export const signup = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
     const { fullname, email, password, phone, referralCode, username } = req.body;
 
-    // Validate required fields
-    if (!fullname || !email || !password || !phone || !username) {
-      logger.warn('Signup failed: Missing required fields', { body: req.body });
-      return res.status(400).json({ success: false, message: 'Please provide fullname, email, password, phone, and username' });
-    }
-
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      logger.warn('Signup failed: Invalid email format', { email });
-      return res.status(400).json({ success: false, message: 'Please provide a valid email address' });
-    }
-
-    // Validate phone format
-    const phoneRegex = /^\+?[0-9]{7,15}$/;
-    if (!phoneRegex.test(phone)) {
-      logger.warn('Signup failed: Invalid phone format', { phone });
-      return res.status(400).json({ success: false, message: 'Please provide a valid phone number (7-15 digits)' });
-    }
-
     // Check for existing user
     const existingUser = await userModel.findOne({ 'personalInfo.email': email }).session(session);
     if (existingUser) {
@@ -222,8 +211,7 @@ export const signup = async (req, res) => {
     });
   } catch (error) {
     await session.abortTransaction();
-    logger.error(`Signup error: ${error.message}`, { stack: error.stack });
-    return res.status(500).json({ success: false, message: 'An error occurred during signup. Please try again later.' });
+    return next(error);
   } finally {
     session.endSession();
   }
@@ -237,7 +225,7 @@ export const signup = async (req, res) => {
  * @param {string} id - User ID
  * @param {string} token - Verification token
  */
-export const verification = async (req, res) => {
+export const verification = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -315,25 +303,43 @@ export const verification = async (req, res) => {
       logger.info(`Product upload prompt email sent to user: ${user._id}`);
     }
 
-    // Generate JWT for user
-    const userToken = generateToken(user._id);
     await session.commitTransaction();
 
+    // Start a login session for the user
+    const tokens = await createSession(user._id, req, 'email_verification');
+
     return res.status(200).json({
       success: true,
-      token: userToken,
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
       userId: user._id,
       message: 'Email verified successfully. You can now log in and start selling!',
     });
   } catch (error) {
     await session.abortTransaction();
-    logger.error(`Verification error: ${error.message}`, { stack: error.stack });
-    return res.status(500).json({ success: false, message: 'An error occurred during email verification. Please try again later.' });
+    return next(error);
   } finally {
     session.endSession();
   }
 };
 
+// Login payload shared by password login and the two-factor step
+const buildLoginResponse = (user, tokens) => ({
+  success: true,
+  message: 'Login successful',
+  token: tokens.token,
+  refreshToken: tokens.refreshToken,
+  expiresIn: tokens.expiresIn,
+  userId: user._id,
+  isAdmin: user.personalInfo.isAdmin,
+  roles: getUserRoles(user),
+  permissions: getUserPermissions(user),
+  twoFactorEnabled: Boolean(user.personalInfo.twoFactor?.enabled),
+  // Staff tools are locked until 2FA is on
+  twoFactorSetupRequired: isStaff(user) && !user.personalInfo.twoFactor?.enabled,
+});
+
 /**
  * Login
  * @route POST /api/auth/login
@@ -341,19 +347,21 @@ export const verification = async (req, res) => {
  * @access Public
  * @body {email, password}
  */
-export const login = async (req, res) => {
+export const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
-    // Validate inputs
-    if (!email || !password) {
-      logger.warn('Login failed: Email or password missing', { body: req.body });
-      return res.status(400).json({ success: false, message: 'Please provide both email and password' });
+    // Brute-force protection (per account and per IP)
+    const throttle = await checkAttemptThrottle('login', email, req.ip);
+    if (throttle) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(throttle.status).json({ success: false, message: throttle.message });
     }
 
     // Find user
     const user = await userModel.findOne({ 'personalInfo.email': email }).select('+personalInfo.password');
     if (!user) {
+      await recordFailedAttempt('login', email, req.ip);
       logger.warn(`Login failed: User not found for email ${email}`);
       return res.status(404).json({ success: false, message: 'No account found with this email. Please sign up.' });
     }
@@ -361,9 +369,18 @@ export const login = async (req, res) => {
     // Validate password
     const isValidPassword = await bcrypt.compare(password, user.personalInfo.password);
     if (!isValidPassword) {
+      const { lockedOut, lockedUntil } = await recordFailedAttempt('login', email, req.ip);
+      if (lockedOut) {
+        await sendLockoutEmail(user, 'login', lockedUntil, req.ip);
+        return res.status(423).json({
+          success: false,
+          message: 'Too many failed attempts. Your account has been temporarily locked and we have emailed you.',
+        });
+      }
       logger.warn(`Login failed: Invalid password for email ${email}`);
       return res.status(400).json({ success: false, message: 'Incorrect password. Please try again.' });
     }
+    await clearFailedAttempts('login', email);
 
     // Check verification status
     if (!user.personalInfo.verified) {
@@ -391,8 +408,7 @@ export const login = async (req, res) => {
       );
 
       if (!emailSent) {
-        logger.warn(`Failed to send verification email to: ${email}`);
-        return res.status(500).json({ success: false, message: 'Failed to send verification email. Please try again later.' });
+        throw new ServiceUnavailableError('Failed to send verification email. Please try again later.');
       }
 
       logger.warn(`Login failed: Email not verified for user ${user._id}`);
@@ -402,31 +418,278 @@ export const login = async (req, res) => {
       });
     }
 
-    // Update last active and generate token
+    // Second step: the session is only started once the two-factor code is verified
+    if (user.personalInfo.twoFactor?.enabled) {
+      logger.info(`Login for user ${user._id} awaiting two-factor code`);
+      return res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: createTwoFactorChallenge(user._id, 'password'),
+      });
+    }
+
+    // Update last active and start a session
     await userModel.updateOne({ _id: user._id }, { 'analytics.lastActive': new Date() });
-    const token = generateToken(user._id);
+    const tokens = await createSession(user._id, req);
     logger.info(`User logged in: ${user._id}`);
 
+    return res.status(200).json(buildLoginResponse(user, tokens));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Verify Two-Factor Login
+ * @route POST /api/auth/2fa/verify
+ * @desc Complete a password or Google login with a TOTP or backup code
+ * @access Public
+ * @body {challengeToken, code}
+ */
+export const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const challenge = readTwoFactorChallenge(challengeToken);
+    if (!challenge) {
+      logger.warn('Two-factor login failed: Invalid or expired challenge', { ip: req.ip });
+      return res.status(401).json({ success: false, message: 'Your login attempt has expired. Please log in again.' });
+    }
+
+    const result = await verifySecondFactor(challenge._id, code, req.ip);
+    if (result.reason === 'throttled') {
+      res.set('Retry-After', String(result.throttle.retryAfter));
+      return res.status(result.throttle.status).json({ success: false, message: result.throttle.message });
+    }
+    if (!result.valid) {
+      logger.warn(`Two-factor login failed for user ${challenge._id}: ${result.reason}`, { ip: req.ip });
+      return res.status(401).json({ success: false, message: 'Invalid two-factor code. Please try again.' });
+    }
+
+    const user = await userModel.findById(challenge._id);
+    if (!user) {
+      logger.warn(`Two-factor login failed: User ${challenge._id} not found`);
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    await userModel.updateOne({ _id: user._id }, { 'analytics.lastActive': new Date() });
+    const tokens = await createSession(user._id, req, challenge.method);
+    logger.info(`User logged in with two-factor (${result.method}): ${user._id}`);
+
+    return res.status(200).json(buildLoginResponse(user, tokens));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Start Two-Factor Setup
+ * @route POST /api/auth/2fa/setup
+ * @desc Generate a new authenticator secret; 2FA is only turned on once a code is confirmed
+ * @access Private (requires token)
+ */
+export const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await userModel.findById(req.user._id).select('personalInfo.email personalInfo.twoFactor.enabled');
+    if (!user) {
+      logger.warn(`Two-factor setup failed: User ${req.user._id} not found`);
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (user.personalInfo.twoFactor?.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateTotpSecret();
+    await userModel.updateOne({ _id: user._id }, { 'personalInfo.twoFactor.pendingSecret': encryptSecret(secret) });
+
+    logger.info(`Two-factor setup started for user ${user._id}`);
     return res.status(200).json({
       success: true,
-      message: 'Login successful',
-      token,
-      userId: user._id,
-      isAdmin: user.personalInfo.isAdmin,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: { secret, otpauthUrl: buildOtpAuthUrl(secret, user.personalInfo.email) },
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Enable Two-Factor
+ * @route POST /api/auth/2fa/enable
+ * @desc Confirm the authenticator with a code, turn on 2FA and return backup codes (shown once).
+ * Other sessions are logged out.
+ * @access Private (requires token)
+ * @body {code}
+ */
+export const enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    const user = await userModel.findById(req.user._id).select('+personalInfo.twoFactor.pendingSecret personalInfo.twoFactor.enabled');
+    if (!user) {
+      logger.warn(`Two-factor enable failed: User ${req.user._id} not found`);
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (user.personalInfo.twoFactor?.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.personalInfo.twoFactor?.pendingSecret) {
+      return res.status(400).json({ success: false, message: 'Start two-factor setup first' });
+    }
+
+    const secret = decryptSecret(user.personalInfo.twoFactor.pendingSecret);
+    const step = verifyTotp(secret, code);
+    if (step === null) {
+      logger.warn(`Two-factor enable failed: Invalid code from user ${user._id}`);
+      return res.status(400).json({ success: false, message: 'Invalid code. Check your authenticator app and try again.' });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    await userModel.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'personalInfo.twoFactor.enabled': true,
+          'personalInfo.twoFactor.secret': user.personalInfo.twoFactor.pendingSecret,
+          'personalInfo.twoFactor.pendingSecret': null,
+          'personalInfo.twoFactor.backupCodes': hashes,
+          'personalInfo.twoFactor.lastUsedStep': step,
+          'personalInfo.twoFactor.enabledAt': new Date(),
+        },
+      }
+    );
+    await revokeAllSessions(user._id, { reason: 'logout_all', exceptSessionId: req.user.sid });
+
+    logger.info(`Two-factor authentication enabled for user ${user._id}`);
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe; each works once.',
+      data: { backupCodes: codes },
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Disable Two-Factor
+ * @route POST /api/auth/2fa/disable
+ * @desc Turn off 2FA (not allowed for staff accounts)
+ * @access Private (requires token)
+ * @body {code} - TOTP or backup code
+ */
+export const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    const user = await userModel.findById(req.user._id).select('personalInfo.isAdmin personalInfo.roles personalInfo.twoFactor.enabled');
+    if (!user) {
+      logger.warn(`Two-factor disable failed: User ${req.user._id} not found`);
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (!user.personalInfo.twoFactor?.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+    if (isStaff(user)) {
+      logger.warn(`Two-factor disable refused for staff user ${user._id}`);
+      return res.status(403).json({ success: false, message: 'Staff accounts must keep two-factor authentication enabled' });
+    }
+
+    const result = await verifySecondFactor(user._id, code, req.ip);
+    if (result.reason === 'throttled') {
+      res.set('Retry-After', String(result.throttle.retryAfter));
+      return res.status(result.throttle.status).json({ success: false, message: result.throttle.message });
+    }
+    if (!result.valid) {
+      logger.warn(`Two-factor disable failed for user ${user._id}: ${result.reason}`);
+      return res.status(401).json({ success: false, message: 'Invalid two-factor code' });
+    }
+
+    await userModel.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'personalInfo.twoFactor.enabled': false,
+          'personalInfo.twoFactor.secret': null,
+          'personalInfo.twoFactor.backupCodes': [],
+          'personalInfo.twoFactor.lastUsedStep': null,
+          'personalInfo.twoFactor.enabledAt': null,
+        },
+      }
+    );
+
+    logger.info(`Two-factor authentication disabled for user ${user._id}`);
+    return res.status(200).json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Regenerate Backup Codes
+ * @route POST /api/auth/2fa/backup-codes
+ * @desc Replace all backup codes (the old ones stop working)
+ * @access Private (requires token)
+ * @body {code} - TOTP or backup code
+ */
+export const regenerateBackupCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    const result = await verifySecondFactor(req.user._id, code, req.ip);
+    if (result.reason === 'throttled') {
+      res.set('Retry-After', String(result.throttle.retryAfter));
+      return res.status(result.throttle.status).json({ success: false, message: result.throttle.message });
+    }
+    if (!result.valid) {
+      logger.warn(`Backup code regeneration failed for user ${req.user._id}: ${result.reason}`);
+      return res.status(result.reason === 'not_enabled' ? 400 : 401).json({
+        success: false,
+        message: result.reason === 'not_enabled' ? 'Two-factor authentication is not enabled' : 'Invalid two-factor code',
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    await userModel.updateOne({ _id: req.user._id }, { 'personalInfo.twoFactor.backupCodes': hashes });
+
+    logger.info(`Backup codes regenerated for user ${req.user._id}`);
+    return res.status(200).json({ success: true, message: 'New backup codes generated', data: { backupCodes: codes } });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Refresh Access Token
+ * @route POST /api/auth/refresh
+ * @desc Exchange a refresh token for a new access token and refresh token (the old refresh token stops working)
+ * @access Public
+ * @body {refreshToken}
+ */
+export const refreshAccessToken = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    const tokens = await rotateRefreshToken(refreshToken, req);
+    if (!tokens) {
+      logger.warn('Token refresh failed: Invalid, expired or revoked refresh token', { ip: req.ip });
+      return res.status(401).json({ success: false, message: 'Your session has expired. Please log in again.' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
     });
   } catch (error) {
-    logger.error(`Login error: ${error.message}`, { stack: error.stack });
-    return res.status(500).json({ success: false, message: 'An error occurred during login. Please try again later.' });
+    return next(error);
   }
 };
 
 /**
  * Logout
  * @route POST /api/auth/logout
- * @desc Log out a user (client-side token invalidation)
+ * @desc Log out the current device (revokes its session and tokens)
  * @access Private (requires token)
  */
-export const logout = async (req, res) => {
+export const logout = async (req, res, next) => {
   try {
     const { token } = req.headers;
     if (!token) {
@@ -434,11 +697,85 @@ export const logout = async (req, res) => {
       return res.status(401).json({ success: false, message: 'Authentication token is required' });
     }
 
+    await revokeSession({ _id: req.user.sid, userId: req.user._id }, 'logout');
     logger.info(`User logged out: ${req.user?._id || 'unknown'}`);
     return res.status(200).json({ success: true, message: 'Logged out successfully' });
   } catch (error) {
-    logger.error(`Logout error: ${error.message}`, { stack: error.stack });
-    return res.status(500).json({ success: false, message: 'An error occurred during logout. Please try again later.' });
+    return next(error);
+  }
+};
+
+/**
+ * Logout All Devices
+ * @route POST /api/auth/logout-all
+ * @desc Revoke every session of the user, optionally keeping the current one
+ * @access Private (requires token)
+ * @body {keepCurrent}
+ */
+export const logoutAll = async (req, res, next) => {
+  try {
+    const { keepCurrent = false } = req.body;
+    const revoked = await revokeAllSessions(req.user._id, {
+      reason: 'logout_all',
+      exceptSessionId: keepCurrent === true ? req.user.sid : null,
+    });
+
+    logger.info(`User ${req.user._id} logged out of ${revoked} sessions`, { keepCurrent });
+    return res.status(200).json({
+      success: true,
+      message: keepCurrent === true ? 'Logged out of all other devices' : 'Logged out of all devices',
+      data: { revoked },
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Get Sessions
+ * @route GET /api/auth/sessions
+ * @desc List the user's active sessions (devices), marking the current one
+ * @access Private (requires token)
+ */
+export const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await getActiveSessions(req.user._id);
+    const data = sessions.map((session) => ({
+      sessionId: session._id,
+      method: session.method,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      lastUsedAt: session.lastUsedAt,
+      createdAt: session.createdAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === req.user.sid,
+    }));
+
+    return res.status(200).json({ success: true, data });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Revoke Session
+ * @route DELETE /api/auth/sessions/:sessionId
+ * @desc Log out one of the user's devices
+ * @access Private (requires token)
+ */
+export const revokeSessionById = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await sessionModel.findOne({ _id: sessionId, userId: req.user._id, revokedAt: null });
+    if (!session) {
+      logger.warn(`Session revoke failed: Session ${sessionId} not found for user ${req.user._id}`);
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    await revokeSession(session, 'revoked');
+    return res.status(200).json({ success: true, message: 'Device logged out successfully' });
+  } catch (error) {
+    return next(error);
   }
 };
 
@@ -449,7 +786,7 @@ export const logout = async (req, res) => {
  * @access Public
  * @body {token} - Google ID token
  */
-export const loginWithGoogle = async (req, res) => {
+export const loginWithGoogle = async (req, res, next) => {
   try {
     const { token } = req.body;
     if (!token) {
@@ -485,16 +822,28 @@ export const loginWithGoogle = async (req, res) => {
       logger.info(`Existing user logged in via Google: ${user._id}`);
     }
 
-    const userToken = generateToken(user._id);
+    if (user.personalInfo.twoFactor?.enabled) {
+      logger.info(`Google login for user ${user._id} awaiting two-factor code`);
+      return res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: createTwoFactorChallenge(user._id, 'google'),
+        userId: user._id,
+      });
+    }
+
+    const tokens = await createSession(user._id, req, 'google');
     return res.status(200).json({
       success: true,
       message: 'Google login successful',
-      token: userToken,
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
       userId: user._id,
     });
   } catch (error) {
-    logger.error(`Google login error: ${error.message}`, { stack: error.stack });
-    return res.status(500).json({ success: false, message: 'An error occurred during Google login. Please try again later.' });
+    return next(error);
   }
 };
 
@@ -504,14 +853,17 @@ export const loginWithGoogle = async (req, res) => {
  * @desc Handle Google OAuth callback
  * @access Public
  */
-export const googleCallback = async (req, res) => {
+export const googleCallback = async (req, res, next) => {
   try {
-    const { userId, token } = req.user; // Set by Passport strategy
+    const { userId, token, refreshToken, challengeToken } = req.user; // Set by Passport strategy
     logger.info(`Google callback processed for user: ${userId}`);
-    res.redirect(`${env.FRONTEND_URL}/google-auth/${userId}/verify/${token}`);
+    if (challengeToken) {
+      // Frontend collects the code and completes the login at POST /api/auth/2fa/verify
+      return res.redirect(`${env.FRONTEND_URL}/google-auth/${userId}/two-factor?challengeToken=${encodeURIComponent(challengeToken)}`);
+    }
+    res.redirect(`${env.FRONTEND_URL}/google-auth/${userId}/verify/${token}?refreshToken=${encodeURIComponent(refreshToken)}`);
   } catch (error) {
-    logger.error(`Google callback error: ${error.message}`, { stack: error.stack });
-    res.status(500).json({ success: false, message: 'Google authentication failed. Please try again.' });
+    next(error);
   }
 };
 
@@ -548,7 +900,7 @@ export const getGoogleUser = (req, res) => {
  * @desc Log out from Google session (client-side token handling)
  * @access Private (requires token)
  */
-export const logoutWithGoogle = async (req, res) => {
+export const logoutWithGoogle = async (req, res, next) => {
   try {
     const { token } = req.headers;
     if (!token) {
@@ -556,11 +908,11 @@ export const logoutWithGoogle = async (req, res) => {
       return res.status(401).json({ success: false, message: 'Authentication token is required' });
     }
 
+    await revokeSession({ _id: req.user.sid, userId: req.user._id }, 'logout');
     logger.info(`User logged out from Google: ${req.user?._id || 'unknown'}`);
     return res.status(200).json({ success: true, message: 'Logged out from Google successfully' });
   } catch (error) {
-    logger.error(`Google logout error: ${error.message}`, { stack: error.stack });
-    return res.status(500).json({ success: false, message: 'An error occurred during logout. Please try again later.' });
+    return next(error);
   }
 };
 
@@ -571,14 +923,17 @@ export const logoutWithGoogle = async (req, res) => {
  * @access Public
  * @body {email}
  */
-export const getEmailReset = async (req, res) => {
+export const getEmailReset = async (req, res, next) => {
   try {
     const { email } = req.body;
 
-    if (!email) {
-      logger.warn('Password reset failed: Email missing');
-      return res.status(400).json({ success: false, message: 'Please provide an email address' });
+    const throttle = await checkAttemptThrottle('reset_request', email, req.ip);
+    if (throttle) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(throttle.status).json({ success: false, message: throttle.message });
     }
+    // Every request counts, whether or not the email exists
+    await recordFailedAttempt('reset_request', email, req.ip);
 
     const user = await userModel.findOne({ 'personalInfo.email': email });
     if (!user) {
@@ -613,11 +968,9 @@ export const getEmailReset = async (req, res) => {
       logger.info(`Password reset code sent to email: ${email}`);
       return res.status(200).json({ success: true, message: 'A verification code has been sent to your email' });
     }
-    logger.warn(`Failed to send password reset email to: ${email}`);
-    return res.status(500).json({ success: false, message: 'Failed to send verification code. Please try again.' });
+    throw new ServiceUnavailableError('Failed to send verification code. Please try again.');
   } catch (error) {
-    logger.error(`Password reset error: ${error.message}`, { stack: error.stack });
-    return res.status(500).json({ success: false, message: 'An error occurred during password reset. Please try again later.' });
+    return next(error);
   }
 };
 
@@ -628,38 +981,54 @@ export const getEmailReset = async (req, res) => {
  * @access Public
  * @body {email, code}
  */
-export const codeVerification = async (req, res) => {
+export const codeVerification = async (req, res, next) => {
   try {
     const { email, code } = req.body;
 
-    if (!email || !code) {
-      logger.warn('Code verification failed: Email or code missing', { body: req.body });
-      return res.status(400).json({ success: false, message: 'Please provide both email and verification code' });
+    const throttle = await checkAttemptThrottle('reset_code', email, req.ip);
+    if (throttle) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(throttle.status).json({ success: false, message: throttle.message });
     }
 
     const user = await userModel.findOne({ 'personalInfo.email': email });
     if (!user) {
+      await recordFailedAttempt('reset_code', email, req.ip);
       logger.warn(`Code verification failed: Email ${email} not found`);
       return res.status(404).json({ success: false, message: 'No account found with this email' });
     }
 
     const resetToken = await resetTokenModel.findOne({
       userId: user._id,
-      code,
+      verifiedAt: null,
       expiresAt: { $gt: new Date() },
     });
 
-    if (!resetToken) {
+    if (!resetToken || resetToken.code !== String(code)) {
+      const { lockedOut, lockedUntil } = await recordFailedAttempt('reset_code', email, req.ip);
+      if (lockedOut) {
+        await sendLockoutEmail(user, 'reset_code', lockedUntil, req.ip);
+      }
+      // Each code only gets a few guesses
+      if (resetToken && resetToken.attempts + 1 >= MAX_RESET_CODE_ATTEMPTS) {
+        await resetToken.deleteOne();
+        logger.warn(`Code verification failed: Too many wrong codes for email ${email}; code discarded`);
+        return res.status(401).json({ success: false, message: 'Too many incorrect codes. Please request a new one.' });
+      }
+      if (resetToken) {
+        await resetTokenModel.updateOne({ _id: resetToken._id }, { $inc: { attempts: 1 } });
+      }
       logger.warn(`Code verification failed: Invalid or expired code for email ${email}`);
       return res.status(401).json({ success: false, message: 'Invalid or expired verification code. Please request a new one.' });
     }
 
-    await resetToken.deleteOne();
+    // Kept (marked verified) until the new password is set
+    await resetTokenModel.updateOne({ _id: resetToken._id }, { verifiedAt: new Date() });
+    await clearFailedAttempts('reset_code', email);
     logger.info(`Reset code verified for user: ${user._id}`);
     return res.status(200).json({ success: true, message: 'Verification code validated successfully' });
   } catch (error) {
-    logger.error(`Code verification error: ${error.message}`, { stack: error.stack });
-    return res.status(500).json({ success: false, message: 'An error occurred during code verification. Please try again later.' });
+    return next(error);
   }
 };
 
@@ -670,27 +1039,27 @@ export const codeVerification = async (req, res) => {
  * @access Public
  * @body {email, password}
  */
-export const passwordChange = async (req, res) => {
+export const passwordChange = async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-      logger.warn('Password change failed: Email or password missing', { body: req.body });
-      return res.status(400).json({ success: false, message: 'Please provide both email and new password' });
-    }
-
-    // Validate password strength
-    if (password.length < 8) {
-      logger.warn('Password change failed: Password too short', { email });
-      return res.status(400).json({ success: false, message: 'Password must be at least 8 characters long' });
-    }
-
     const user = await userModel.findOne({ 'personalInfo.email': email });
     if (!user) {
       logger.warn(`Password change failed: Email ${email} not found`);
       return res.status(404).json({ success: false, message: 'No account found with this email' });
     }
 
+    // Only after the emailed reset code was verified
+    const verifiedReset = await resetTokenModel.findOne({
+      userId: user._id,
+      verifiedAt: { $ne: null },
+      expiresAt: { $gt: new Date() },
+    });
+    if (!verifiedReset) {
+      logger.warn(`Password change failed: No verified reset code for user ${user._id}`);
+      return res.status(403).json({ success: false, message: 'Please verify the code sent to your email first' });
+    }
+
     const hashedPassword = await bcrypt.hash(password, 10);
     await userModel.updateOne(
       { _id: user._id },
@@ -698,11 +1067,12 @@ export const passwordChange = async (req, res) => {
     );
 
     await resetTokenModel.deleteMany({ userId: user._id });
-    logger.info(`Password updated for user: ${user._id}`);
+    // Sign out every device that used the old password
+    const revoked = await revokeAllSessions(user._id, { reason: 'password_change' });
+    logger.info(`Password updated for user: ${user._id}; ${revoked} sessions revoked`);
     return res.status(200).json({ success: true, message: 'Password updated successfully. You can now log in with your new password.' });
   } catch (error) {
-    logger.error(`Password change error: ${error.message}`, { stack: error.stack });
-    return res.status(500).json({ success: false, message: 'An error occurred during password update. Please try again later.' });
+    return next(error);
   }
 };
 /**
@@ -711,16 +1081,16 @@ export const passwordChange = async (req, res) => {
  * @desc Send reminder emails to all unverified users
  * @access Private (Admin only)
  */
-export const sendVerificationReminders = async (req, res) => {
+export const sendVerificationReminders = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
     // Verify admin privileges
     const admin = await userModel.findById(req.user?._id).session(session);
-    if (!admin || !admin.personalInfo.isAdmin) {
+    if (!admin || !hasPermission(admin, 'users:manage')) {
       logger.warn(`Unauthorized attempt to send verification reminders by user: ${req.user?._id || 'unknown'}`);
-      return res.status(403).json({ success: false, message: 'Only admins can perform this action' });
+      return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
     }
 
     // Find all unverified users
@@ -795,31 +1165,26 @@ export const sendVerificationReminders = async (req, res) => {
     });
   } catch (error) {
     await session.abortTransaction();
-    logger.error(`Verification reminder error: ${error.message}`, { stack: error.stack });
-    return res.status(500).json({ success: false, message: 'An error occurred while sending verification reminders. Please try again later.' });
+    return next(error);
   } finally {
     session.endSession();
   }
 };
 
-export const sendVerificationReminderToOne = async (req, res) => {
+export const sendVerificationReminderToOne = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
     // Verify admin privileges
     const admin = await userModel.findById(req.user?._id).session(session);
-    if (!admin || !admin.personalInfo.isAdmin) {
+    if (!admin || !hasPermission(admin, 'users:manage')) {
       logger.warn(`Unauthorized attempt to send verification reminder by user: ${req.user?._id || 'unknown'}`);
-      return res.status(403).json({ success: false, message: 'Only admins can perform this action' });
+      return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
     }
 
     // Get user ID from request parameters
     const userEmail = req.body.userEmail
-    if (!userEmail) {
-      logger.warn('Verification reminder failed: User email missing');
-      return res.status(400).json({ success: false, message: 'Please provide a user email' });
-    }
     // Find the specific unverified user
     const user = await userModel.findOne({ 
       "personalInfo.email": userEmail,
@@ -874,26 +1239,19 @@ export const sendVerificationReminderToOne = async (req, res) => {
         message: `Verification reminder sent successfully to ${user.personalInfo.email}` 
       });
     } else {
-      logger.warn(`Failed to send verification reminder to user: ${user._id} (${user.personalInfo.email})`);
-      return res.status(500).json({ 
-        success: false, 
-        message: `Failed to send verification reminder to ${user.personalInfo.email}` 
-      });
+      // Committed already, so this bypasses the catch block's abort
+      return next(new ServiceUnavailableError(`Failed to send verification reminder to ${user.personalInfo.email}`));
     }
   } catch (error) {
     await session.abortTransaction();
-    logger.error(`Verification reminder error: ${error.message}`, { stack: error.stack });
-    return res.status(500).json({ 
-      success: false, 
-      message: 'An error occurred while sending verification reminder. Please try again later.' 
-    });
+    return next(error);
   } finally {
     session.endSession();
   }
 };
 
 
-export const getUnverified = async (req, res) => {
+export const getUnverified = async (req, res, next) => {
   try {
     const unverifiedUsers = await userModel.find({ 'personalInfo.verified': false });
     const users = unverifiedUsers.map(user => ({
@@ -903,18 +1261,13 @@ export const getUnverified = async (req, res) => {
     }));
     return res.status(200).json({ success: true, data: users });
   } catch (error) {
-    logger.error(`Error fetching unverified users: ${error.message}`, { stack: error.stack });
-    return res.status(500).json({ success: false, message: 'An error occurred while fetching unverified users. Please try again later.' });
+    return next(error);
   }
 }
 
-export const resendVerification = async (req, res) => {
+export const resendVerification = async (req, res, next) => {
   try {
     const { email } = req.body;
-    if (!email) {
-      logger.warn('Resend verification failed: Email missing');
-      return res.status(400).json({ success: false, message: 'Please provide an email address' });
-    }
     const user = await userModel.findOne({ 'personalInfo.email': email });
     if (!user) {
       logger.warn(`Resend verification failed: Email ${email} not found`);
@@ -947,8 +1300,7 @@ export const resendVerification = async (req, res) => {
       )
     );
     if (!emailSent) {
-      logger.warn(`Failed to resend verification email to: ${email}`);
-      return res.status(500).json({ success: false, message: 'Failed to send verification email. Please try again later.' });
+      throw new ServiceUnavailableError('Failed to send verification email. Please try again later.');
     }
     logger.info(`Verification email resent to user: ${user._id} (${user.personalInfo.email})`);
     return res.status(200).json({
@@ -957,7 +1309,6 @@ export const resendVerification = async (req, res) => {
     });
   }
   catch (error) {
-    logger.error(`Resend verification error: ${error.message}`, { stack: error.stack });
-    return res.status(500).json({ success: false, message: 'An error occurred while resending verification email. Please try again later.' });
+    return next(error);
   }
 }
\ No newline at end of file
@@ -0,0 +1,451 @@
+// controllers/cartController.js
+import mongoose from 'mongoose';
+import sanitizeHtml from 'sanitize-html';
+import { cartModel, MAX_ITEM_QUANTITY } from '../models/Cart.js';
+import { listingModel } from '../models/Listing.js';
+import { offerModel } from '../models/Offer.js';
+import { userModel } from '../models/User.js';
+import logger from '../utils/logger.js';
+import { findListingVariant, getAvailableStock, getListingUnitPrice } from '../utils/variants.js';
+import { resolveCheckoutOffer } from './offerController.js';
+
+// Resolve the cart owner: the authenticated user, otherwise a guest ID from body, query or x-guest-id header
+const getCartOwner = (req) => {
+  if (req.user?._id) {
+    return { userId: req.user._id.toString() };
+  }
+  const guestId = req.body?.guestId || req.query.guestId || req.headers['x-guest-id'];
+  if (typeof guestId === 'string' && /^[\w-]{8,64}$/.test(guestId)) {
+    return { guestId };
+  }
+  return null;
+};
+
+const sameLine = (item, productId, sku, size, color) =>
+  item.productId === productId &&
+  (item.sku || null) === (sku || null) &&
+  (item.size || '') === (size || '') &&
+  (item.color || '') === (color || '');
+
+// Record the cart addition on the listing analytics (kept for seller insights)
+const trackCartAddition = async (listing, owner, session) => {
+  const field = owner.userId ? 'analytics.cartAdditions.userIds' : 'analytics.cartAdditions.guestIds';
+  const ownerId = owner.userId || owner.guestId;
+  const result = await listingModel.updateOne(
+    { _id: listing._id, [field]: { $ne: ownerId } },
+    { $addToSet: { [field]: ownerId }, $inc: { 'analytics.cartAdditions.total': 1 } },
+    { session }
+  );
+  if (result.modifiedCount) {
+    await userModel.updateOne({ _id: listing.seller.sellerId }, { $inc: { 'analytics.cartAdditions': 1 } }, { session });
+  }
+};
+
+/**
+ * Re-validates every cart line against the current listing, variant stock and offer state.
+ * @param {Object} cart - Cart document
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Array>} One result per cart item
+ */
+const validateCartItems = async (cart, session = null) => {
+  const productIds = cart.items.map(item => item.productId);
+  const listings = await listingModel.find({ 'productInfo.productId': { $in: productIds } }).session(session);
+  const now = new Date();
+
+  const results = [];
+  for (const item of cart.items) {
+    const listing = listings.find(l => l.productInfo.productId === item.productId);
+    const result = { item, listing, variant: null, unitPrice: item.priceSnapshot, available: true, priceChanged: false, message: 'In stock' };
+
+    if (!listing || listing.verified !== 'Verified' || !listing.isActive || listing.isSold) {
+      results.push({ ...result, available: false, message: 'Listing is no longer available' });
+      continue;
+    }
+
+    if (listing.variants.length) {
+      result.variant = item.sku
+        ? listing.variants.find(v => v.sku === item.sku)
+        : findListingVariant(listing, item.size, item.color);
+      if (!result.variant) {
+        results.push({ ...result, available: false, message: 'Selected size/color is no longer available' });
+        continue;
+      }
+    }
+
+    result.unitPrice = getListingUnitPrice(listing, result.variant);
+    if (item.offerId) {
+      const offer = await offerModel.findById(item.offerId).session(session);
+      const sameVariant = (offer?.sku || null) === (result.variant?.sku || null);
+      if (offer && offer.status === 'accepted' && offer.expiresAt > now && item.quantity <= offer.quantity && sameVariant) {
+        result.unitPrice = offer.acceptedPrice;
+      } else {
+        result.offerInvalid = true;
+        result.message = 'Offer is no longer valid; the listed price applies';
+      }
+    }
+
+    const stock = getAvailableStock(listing, result.variant);
+    if (stock < item.quantity) {
+      result.available = false;
+      result.message = stock <= 0 ? 'Out of stock' : `Only ${stock} left in stock`;
+    }
+    result.priceChanged = result.unitPrice !== item.priceSnapshot;
+    results.push(result);
+  }
+  return results;
+};
+
+// Shape a cart and its validation results for API responses
+const formatCart = (cart, validations) => {
+  const items = validations.map(({ item, unitPrice, available, priceChanged, message }) => ({
+    ...item.toObject(),
+    unitPrice,
+    lineTotal: unitPrice * item.quantity,
+    available,
+    priceChanged,
+    message,
+  }));
+  const purchasable = items.filter(item => item.available);
+  return {
+    _id: cart._id,
+    userId: cart.userId,
+    guestId: cart.guestId,
+    items,
+    summary: {
+      itemCount: purchasable.reduce((sum, item) => sum + item.quantity, 0),
+      subtotal: purchasable.reduce((sum, item) => sum + item.lineTotal, 0),
+      hasIssues: items.some(item => !item.available || item.priceChanged),
+    },
+    updatedAt: cart.updatedAt,
+  };
+};
+
+/**
+ * Get Cart
+ * @route GET /api/cart
+ * @desc Get the current user's or guest's cart with availability and price re-validation.
+ *       Price snapshots are refreshed so changes are reported once.
+ * @access Public (token or guestId)
+ */
+export const getCart = async (req, res, next) => {
+  try {
+    const owner = getCartOwner(req);
+    if (!owner) {
+      logger.warn('Get cart failed: No user or valid guest ID', { ip: req.ip });
+      return res.status(400).json({ success: false, message: 'User token or guest ID required' });
+    }
+
+    const cart = await cartModel.findOne(owner);
+    if (!cart) {
+      return res.status(200).json({
+        success: true,
+        data: { items: [], summary: { itemCount: 0, subtotal: 0, hasIssues: false } },
+      });
+    }
+
+    const validations = await validateCartItems(cart);
+    const data = formatCart(cart, validations);
+
+    const changed = validations.filter(v => v.priceChanged || v.offerInvalid);
+    if (changed.length) {
+      for (const { item, unitPrice, offerInvalid } of changed) {
+        item.priceSnapshot = unitPrice;
+        if (offerInvalid) item.offerId = null;
+      }
+      await cart.save();
+      logger.info(`Cart ${cart._id} price snapshots refreshed for ${changed.length} item(s)`);
+    }
+
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add Cart Item
+ * @route POST /api/cart/items
+ * @desc Add a listing (optionally a size/color variant or accepted offer) to the cart
+ * @access Public (token or guestId)
+ * @body {productId, quantity, size, color, offerId, guestId}
+ */
+export const addCartItem = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const owner = getCartOwner(req);
+    if (!owner) {
+      logger.warn('Add cart item failed: No user or valid guest ID', { ip: req.ip });
+      return res.status(400).json({ success: false, message: 'User token or guest ID required' });
+    }
+
+    const { productId, quantity = 1, offerId } = req.body;
+    const size = sanitizeHtml((req.body.size || '').toString().trim());
+    const color = sanitizeHtml((req.body.color || '').toString().trim());
+
+    const listing = await listingModel.findOne({ 'productInfo.productId': productId }).session(session);
+    if (!listing || listing.verified !== 'Verified' || !listing.isActive || listing.isSold || listing.inventory <= 0) {
+      logger.warn(`Add cart item failed: Listing ${productId} not available`, owner);
+      return res.status(404).json({ success: false, message: 'Listing not available' });
+    }
+    if (owner.userId && listing.seller.sellerId.toString() === owner.userId) {
+      logger.warn(`Add cart item failed: User ${owner.userId} attempted to add own listing`, { productId });
+      return res.status(403).json({ success: false, message: 'You cannot add your own listing to the cart' });
+    }
+
+    let variant = null;
+    if (listing.variants.length) {
+      variant = findListingVariant(listing, size, color);
+      if (!variant) {
+        logger.warn(`Add cart item failed: Variant ${size}/${color} not found`, { ...owner, productId });
+        return res.status(400).json({ success: false, message: 'Please select an available size and color' });
+      }
+    }
+
+    let unitPrice = getListingUnitPrice(listing, variant);
+    if (offerId) {
+      if (!owner.userId) {
+        return res.status(401).json({ success: false, message: 'Please log in to check out with an offer' });
+      }
+      const offerResult = await resolveCheckoutOffer(offerId, owner.userId, productId, variant?.sku || null, quantity, session);
+      if (offerResult.error) {
+        logger.warn(`Add cart item failed: ${offerResult.message}`, { ...owner, productId });
+        return res.status(400).json({ success: false, message: offerResult.message });
+      }
+      unitPrice = offerResult.offer.acceptedPrice;
+    }
+
+    let cart = await cartModel.findOne(owner).session(session);
+    if (!cart) {
+      cart = new cartModel({ ...owner, items: [] });
+    }
+
+    const sku = variant?.sku || null;
+    const existing = cart.items.find(item => sameLine(item, productId, sku, size, color));
+    const newQuantity = (existing?.quantity || 0) + quantity;
+    const stock = getAvailableStock(listing, variant);
+    if (newQuantity > stock) {
+      logger.warn(`Add cart item failed: Requested ${newQuantity} exceeds stock ${stock}`, { ...owner, productId });
+      return res.status(400).json({ success: false, message: `Only ${stock} left in stock` });
+    }
+
+    if (existing) {
+      existing.quantity = Math.min(newQuantity, MAX_ITEM_QUANTITY);
+      existing.priceSnapshot = unitPrice;
+      if (offerId) existing.offerId = offerId;
+    } else {
+      cart.items.push({
+        listingId: listing._id,
+        productId,
+        sellerId: listing.seller.sellerId,
+        name: listing.productInfo.name,
+        image: listing.productInfo.images[0] || '',
+        quantity,
+        size,
+        color,
+        sku,
+        priceSnapshot: unitPrice,
+        offerId: offerId || null,
+      });
+      await trackCartAddition(listing, owner, session);
+    }
+    await cart.save({ session });
+
+    await session.commitTransaction();
+    logger.info(`Listing ${productId} added to cart ${cart._id}`, { ...owner, quantity, sku });
+    const validations = await validateCartItems(cart);
+    res.status(200).json({ success: true, message: 'Added to cart successfully', data: formatCart(cart, validations) });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Update Cart Item
+ * @route PATCH /api/cart/items/:itemId
+ * @desc Change the quantity of a cart line
+ * @access Public (token or guestId)
+ * @body {quantity, guestId}
+ */
+export const updateCartItem = async (req, res, next) => {
+  try {
+    const owner = getCartOwner(req);
+    if (!owner) {
+      logger.warn('Update cart item failed: No user or valid guest ID', { ip: req.ip });
+      return res.status(400).json({ success: false, message: 'User token or guest ID required' });
+    }
+
+    const { itemId } = req.params;
+    const { quantity } = req.body;
+    const cart = await cartModel.findOne(owner);
+    const item = cart?.items.id(itemId);
+    if (!item) {
+      logger.warn(`Update cart item failed: Item ${itemId} not found`, owner);
+      return res.status(404).json({ success: false, message: 'Cart item not found' });
+    }
+
+    item.quantity = quantity;
+    const validations = await validateCartItems(cart);
+    const validation = validations.find(v => v.item._id.equals(item._id));
+    if (!validation.available) {
+      logger.warn(`Update cart item failed: ${validation.message}`, { ...owner, itemId });
+      return res.status(400).json({ success: false, message: validation.message });
+    }
+    await cart.save();
+
+    logger.info(`Cart item ${itemId} quantity set to ${quantity}`, owner);
+    res.status(200).json({ success: true, message: 'Cart updated', data: formatCart(cart, validations) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove Cart Item
+ * @route DELETE /api/cart/items/:itemId
+ * @desc Remove a line from the cart
+ * @access Public (token or guestId)
+ */
+export const removeCartItem = async (req, res, next) => {
+  try {
+    const owner = getCartOwner(req);
+    if (!owner) {
+      logger.warn('Remove cart item failed: No user or valid guest ID', { ip: req.ip });
+      return res.status(400).json({ success: false, message: 'User token or guest ID required' });
+    }
+
+    const { itemId } = req.params;
+    const cart = await cartModel.findOne(owner);
+    const item = cart?.items.id(itemId);
+    if (!item) {
+      logger.warn(`Remove cart item failed: Item ${itemId} not found`, owner);
+      return res.status(404).json({ success: false, message: 'Cart item not found' });
+    }
+
+    item.deleteOne();
+    await cart.save();
+
+    logger.info(`Cart item ${itemId} removed`, owner);
+    const validations = await validateCartItems(cart);
+    res.status(200).json({ success: true, message: 'Removed from cart successfully', data: formatCart(cart, validations) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Clear Cart
+ * @route DELETE /api/cart
+ * @desc Remove all items from the cart
+ * @access Public (token or guestId)
+ */
+export const clearCart = async (req, res, next) => {
+  try {
+    const owner = getCartOwner(req);
+    if (!owner) {
+      logger.warn('Clear cart failed: No user or valid guest ID', { ip: req.ip });
+      return res.status(400).json({ success: false, message: 'User token or guest ID required' });
+    }
+
+    await cartModel.updateOne(owner, { $set: { items: [] } });
+    logger.info('Cart cleared', owner);
+    res.status(200).json({ success: true, message: 'Cart cleared' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Merges a guest cart into a user's cart (used on login via transferGuestData).
+ * Matching lines have their quantities added; the guest cart is deleted.
+ * @param {string} guestId - Guest ID
+ * @param {string} userId - User ID
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<number>} Number of guest lines merged
+ */
+export const mergeGuestCart = async (guestId, userId, session) => {
+  const guestCart = await cartModel.findOne({ guestId }).session(session);
+  if (!guestCart) {
+    return 0;
+  }
+
+  let userCart = await cartModel.findOne({ userId }).session(session);
+  if (!userCart) {
+    userCart = new cartModel({ userId, items: [] });
+  }
+
+  for (const guestItem of guestCart.items) {
+    if (guestItem.sellerId.toString() === userId.toString()) continue;
+    const existing = userCart.items.find(item =>
+      sameLine(item, guestItem.productId, guestItem.sku, guestItem.size, guestItem.color)
+    );
+    if (existing) {
+      existing.quantity = Math.min(existing.quantity + guestItem.quantity, MAX_ITEM_QUANTITY);
+    } else {
+      const { _id, offerId, ...line } = guestItem.toObject();
+      userCart.items.push(line);
+    }
+  }
+
+  await userCart.save({ session });
+  await cartModel.deleteOne({ _id: guestCart._id }, { session });
+  logger.info(`Merged guest cart ${guestCart._id} into user cart ${userCart._id}`, { guestId, userId, lines: guestCart.items.length });
+  return guestCart.items.length;
+};
+
+/**
+ * Builds placeOrder items from the user's server-side cart using current server prices.
+ * @param {string} userId - User ID
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<{error: boolean, status?: number, message?: string, data?: Object, items?: Array}>}
+ */
+export const getCheckoutItemsFromCart = async (userId, session) => {
+  const cart = await cartModel.findOne({ userId }).session(session);
+  if (!cart || cart.items.length === 0) {
+    return { error: true, status: 400, message: 'Your cart is empty. Please add items to place an order' };
+  }
+
+  const validations = await validateCartItems(cart, session);
+  const unavailable = validations.filter(v => !v.available);
+  if (unavailable.length) {
+    return {
+      error: true,
+      status: 409,
+      message: `Some items are no longer available: ${unavailable.map(v => v.item.name).join(', ')}`,
+      data: formatCart(cart, validations),
+    };
+  }
+  if (validations.some(v => v.priceChanged)) {
+    return {
+      error: true,
+      status: 409,
+      message: 'Prices have changed for some items in your cart. Please review your cart before checking out.',
+      data: formatCart(cart, validations),
+    };
+  }
+
+  const items = validations.map(({ item, unitPrice, offerInvalid }) => ({
+    sellerId: item.sellerId.toString(),
+    quantity: item.quantity,
+    name: item.name,
+    productId: item.productId,
+    size: item.size || undefined,
+    color: item.color || 'Default',
+    sku: item.sku || undefined,
+    price: unitPrice,
+    offerId: offerInvalid ? undefined : item.offerId?.toString(),
+  }));
+  return { error: false, items };
+};
+
+/**
+ * Empties the user's cart once an order has been placed from it.
+ * @param {string} userId - User ID
+ * @param {Object} session - Mongoose session
+ */
+export const clearCartAfterOrder = async (userId, session) => {
+  await cartModel.updateOne({ userId }, { $set: { items: [] } }, { session });
+};
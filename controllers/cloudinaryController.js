@@ -5,10 +5,8 @@ import sanitizeHtml from 'sanitize-html';
 import logger from '../utils/logger.js';
 import { sendNotification } from './notificationController.js';
 
-// Constants
+// Constants (file count and types are checked by uploadImagesSchema)
 const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
-const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
-const MAX_FILES_PER_REQUEST = 10;
 
 /**
  * Upload Images
@@ -16,7 +14,7 @@ const MAX_FILES_PER_REQUEST = 10;
  * @desc Upload one or more images to Cloudinary, returning URLs and public_ids
  * @access Private (requires JWT token)
  */
-export const uploadImages = async (req, res) => {
+export const uploadImages = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
@@ -28,36 +26,9 @@ export const uploadImages = async (req, res) => {
     const userId = req.user._id.toString();
     const { files } = req.body; // Expect array of { data: base64, mimeType: string }
 
-    if (!files || !Array.isArray(files) || files.length === 0) {
-      logger.warn('Upload images failed: No files provided', { userId });
-      return res.status(400).json({ success: false, message: 'At least one file is required' });
-    }
-
-    if (files.length > MAX_FILES_PER_REQUEST) {
-      logger.warn(`Upload images failed: Too many files (${files.length})`, { userId });
-      return res.status(400).json({
-        success: false,
-        message: `Cannot upload more than ${MAX_FILES_PER_REQUEST} files per request`,
-      });
-    }
-
     // Validate and upload images
     const uploadedImages = [];
     for (const file of files) {
-      if (!file.data || !file.mimeType) {
-        logger.warn('Upload images failed: Invalid file format', { userId });
-        return res.status(400).json({ success: false, message: 'Each file must include data and mimeType' });
-      }
-
-      // Validate MIME type
-      if (!ALLOWED_MIME_TYPES.includes(file.mimeType)) {
-        logger.warn(`Upload images failed: Invalid MIME type ${file.mimeType}`, { userId });
-        return res.status(400).json({
-          success: false,
-          message: `Invalid file type. Allowed types: ${ALLOWED_MIME_TYPES.join(', ')}`,
-        });
-      }
-
       // Validate file size (approximate for base64)
       const approximateSize = (file.data.length * 3) / 4; // Base64 to bytes
       if (approximateSize > MAX_FILE_SIZE) {
@@ -106,17 +77,7 @@ export const uploadImages = async (req, res) => {
     });
   } catch (error) {
     await session.abortTransaction();
-    const errorMessage = error.message || 'Unknown error during image upload';
-    logger.error(`Error uploading images: ${errorMessage}`, {
-      stack: error.stack,
-      userId: req.user?._id,
-      body: req.body,
-    });
-    res.status(500).json({
-      success: false,
-      message: 'Failed to upload images',
-      error: errorMessage,
-    });
+    next(error);
   } finally {
     session.endSession();
   }
@@ -128,7 +89,7 @@ export const uploadImages = async (req, res) => {
  * @desc Delete an image from Cloudinary by public_id
  * @access Private (requires JWT token)
  */
-export const deleteImage = async (req, res) => {
+export const deleteImage = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
@@ -140,11 +101,6 @@ export const deleteImage = async (req, res) => {
     const userId = req.user._id.toString();
     const { public_id } = req.body;
 
-    if (!public_id) {
-      logger.warn('Delete image failed: Public ID required', { userId });
-      return res.status(400).json({ success: false, message: 'Public ID required' });
-    }
-
     // Delete from Cloudinary
     const result = await cloudinary.uploader.destroy(public_id);
     if (result.result !== 'ok') {
@@ -169,17 +125,7 @@ export const deleteImage = async (req, res) => {
     });
   } catch (error) {
     await session.abortTransaction();
-    const errorMessage = error.message || 'Unknown error during image deletion';
-    logger.error(`Error deleting image: ${errorMessage}`, {
-      stack: error.stack,
-      userId: req.user?._id,
-      public_id: req.body?.public_id,
-    });
-    res.status(500).json({
-      success: false,
-      message: 'Failed to delete image',
-      error: errorMessage,
-    });
+    next(error);
   } finally {
     session.endSession();
   }
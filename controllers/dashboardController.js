@@ -1,13 +1,15 @@
 import { userModel } from '../models/User.js';
 import { orderModel } from '../models/Order.js';
-import { TransactionModel } from '../models/Transaction.js';
+import { TRANSACTION_STATUSES, TransactionModel } from '../models/Transaction.js';
 import { ReportModel } from '../models/Report.js';
 import { listingModel } from '../models/Listing.js';
 import logger from "../utils/logger.js";
+import { hasPermission } from "../utils/permissions.js";
+import { getSellerBalances } from "../utils/ledger.js";
 import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from '@google/generative-ai';
 import env from "../config/env.js";
 
-export const getSellerOverview = async (req, res) => {
+export const getSellerOverview = async (req, res, next) => {
   try {
     const sellerId = req.user._id; // Assuming authenticated seller ID from middleware
 
@@ -70,6 +72,8 @@ export const getSellerOverview = async (req, res) => {
       createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) } // Last 30 days
     }).populate('reporterId', 'personalInfo.fullname personalInfo.profilePicture').sort({ createdAt: -1 }).limit(5).lean();
 
+    const balances = await getSellerBalances(sellerId);
+
     const overview = {
       stats: {
         profileViews: user.analytics.profileViews.total,
@@ -82,7 +86,8 @@ export const getSellerOverview = async (req, res) => {
         totalNegotiationAttempts: aggData.totalNegotiationAttempts,
         listingViews: aggData.totalViews,
         averageRating: user.rating.average,
-        balance: user.financials.balance || 0,
+        balance: balances.available,
+        pendingBalance: balances.pending,
         joinedDate: user.createdAt
       },
       recentInquiries,
@@ -91,24 +96,25 @@ export const getSellerOverview = async (req, res) => {
 
     res.status(200).json({ success: true, data: overview });
   } catch (error) {
-    console.error('Error fetching seller overview:', error);
-    res.status(500).json({ success: false, message: 'Server error' });
+    next(error);
   }
 };
 
-export const getSellerListings = async (req, res) => {
+export const getSellerListings = async (req, res, next) => {
   try {
     const sellerId = req.user._id;
     const { page = 1, limit = 10, status = 'all' } = req.query; // Optional filters
 
     const matchObj = { seller: { sellerId: sellerId } };
-    if (status !== 'all') {
+    if (status === 'scheduled') {
+      matchObj.publishAt = { $ne: null };
+    } else if (status !== 'all') {
       matchObj.isActive = status === 'active';
       matchObj.isSold = status === 'sold' ? true : { $ne: true };
     }
 
     const listings = await listingModel.find(matchObj)
-      .select('productInfo.analytics reviews negotiable isSold rating featured inventory expiresAt isActive aiFindings')
+      .select('productInfo.analytics reviews negotiable isSold rating featured inventory expiresAt isActive publishAt aiFindings verified moderation.rejectionReasons moderation.rejectionNote moderation.requiredChanges moderation.decidedAt moderation.submittedAt')
       .populate('seller.sellerId', 'personalInfo.fullname personalInfo.profilePicture')
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
@@ -122,17 +128,16 @@ export const getSellerListings = async (req, res) => {
       data: { listings, pagination: { page: parseInt(page), limit: parseInt(limit), total, pages: Math.ceil(total / limit) } } 
     });
   } catch (error) {
-    console.error('Error fetching seller listings:', error);
-    res.status(500).json({ success: false, message: 'Server error' });
+    next(error);
   }
 };
 
-export const getSellerTransactions = async (req, res) => {
+export const getSellerTransactions = async (req, res, next) => {
   try {
     const sellerId = req.user._id;
     const { page = 1, limit = 10, status = 'completed' } = req.query;
 
-    const matchStatus = status === 'all' ? { $in: ['pending', 'swift_initiated', 'completed', 'failed', 'reversed'] } : status;
+    const matchStatus = status === 'all' ? { $in: TRANSACTION_STATUSES } : status;
 
     const transactions = await TransactionModel.find({ 
       status: matchStatus, 
@@ -161,11 +166,10 @@ export const getSellerTransactions = async (req, res) => {
       data: { transactions: sellerTransactions, pagination: { page: parseInt(page), limit: parseInt(limit), total, pages: Math.ceil(total / limit) } } 
     });
   } catch (error) {
-    console.error('Error fetching seller transactions:', error);
-    res.status(500).json({ success: false, message: 'Server error' });
+    next(error);
   }
 };
-export const getSellerAnalytics = async (req, res) => {
+export const getSellerAnalytics = async (req, res, next) => {
   try {
     const sellerId = req.user._id;
     const { period = '30days' } = req.query; // e.g., '7days', '30days', 'all'
@@ -256,12 +260,11 @@ export const getSellerAnalytics = async (req, res) => {
     console.log(analytics)
     res.status(200).json({ success: true, data: analytics });
   } catch (error) {
-    console.error('Error fetching seller analytics:', error);
-    res.status(500).json({ success: false, message: 'Server error' });
+    next(error);
   }
 };
 
-export const getSellerInquiries = async (req, res) => {
+export const getSellerInquiries = async (req, res, next) => {
   try {
     const sellerId = req.user._id;
     const { page = 1, limit = 10 } = req.query;
@@ -300,20 +303,19 @@ export const getSellerInquiries = async (req, res) => {
       data: { inquiries: enrichedInquiries, pagination: { page: parseInt(page), limit: parseInt(limit), total, pages: Math.ceil(total / limit) } } 
     });
   } catch (error) {
-    console.error('Error fetching seller inquiries:', error);
-    res.status(500).json({ success: false, message: 'Server error' });
+    next(error);
   }
 };
 
 
 // Comprehensive Product Analytics with AI Insights (Admin Only)
-export const getComprehensiveProductAnalytics = async (req, res) => {
+export const getComprehensiveProductAnalytics = async (req, res, next) => {
   try {
     const adminId = req.user._id;
 
     // Verify admin access
     const adminUser = await userModel.findById(adminId);
-    if (!adminUser || !adminUser.personalInfo.isAdmin) {
+    if (!adminUser || !hasPermission(adminUser, 'analytics:read')) {
       logger.warn(`Unauthorized comprehensive analytics access attempt by user: ${adminId}`);
       return res.status(403).json({ success: false, message: 'Access denied. Admins only.' });
     }
@@ -689,7 +691,6 @@ Be specific, data-driven, and provide step-by-step implementation plans. Focus o
     });
 
   } catch (error) {
-    logger.error('Error retrieving comprehensive product analytics:', error);
-    res.status(500).json({ success: false, message: 'Internal server error' });
+    next(error);
   }
 };
\ No newline at end of file
@@ -1,10 +1,11 @@
 // controllers/listingController.js
 import mongoose from 'mongoose';
-import { listingModel } from '../models/Listing.js';
+import { LISTING_LIFETIME_DAYS, LISTING_RENEWAL_WINDOW_DAYS, listingModel } from '../models/Listing.js';
 import { userModel } from '../models/User.js';
 import { v4 as uuidv4 } from 'uuid';
 import sanitizeHtml from 'sanitize-html';
 import logger from '../utils/logger.js';
+import { hasPermission } from '../utils/permissions.js';
 import { notificationModel } from '../models/Notifications.js';
 import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from '@google/generative-ai';
 import { sendEmail } from '../utils/sendEmail.js';
@@ -13,11 +14,20 @@ import { v2 as cloudinary } from 'cloudinary';
 import { orderModel } from '../models/Order.js';
 import { sendNotification } from './notificationController.js';
 import { generateInquiryEmailBuyer, generateInquiryEmailSeller, generateNegotiationEmailBuyer, generateNegotiationEmailSeller, generateProductRequestEmail } from '../utils/Templates.js';
+import { findListingVariant, getAvailableStock, getListingUnitPrice, sanitizeVariants } from '../utils/variants.js';
+import { mergeGuestCart } from './cartController.js';
+import { buildStatusEntry } from '../utils/orderStatus.js';
+import { diffListing, recordListingRevision } from '../utils/listingRevisions.js';
+import { listingRevisionModel } from '../models/ListingRevision.js';
+import { listingDraftModel } from '../models/ListingDraft.js';
+import { getScheduleError, publishListing } from '../utils/publishScheduledListings.js';
+import { AppError, ConflictError, ForbiddenError, NotFoundError } from '../utils/errors.js';
+import { describeRejection, getSlaStatus, getSubmittedAt, initialModeration, MODERATION_SLA_HOURS, requiredChangesFromFindings } from '../utils/moderation.js';
 
 
 
 // Add Listing
-export const addListing = async (req, res) => {
+export const addListing = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
@@ -34,37 +44,24 @@ export const addListing = async (req, res) => {
       inventory,
       shippingOptions,
       featured,
+      variants,
+      publishAt,
     } = req.body;
     const userId = req.user._id.toString();
+    const hasVariants = Array.isArray(variants) && variants.length > 0;
 
-    // Required fields validation
-    if (!productInfo?.name || !productInfo?.price || !productInfo?.details || !AgreedToTerms) {
-      logger.warn('Add listing failed: Missing required fields', { userId });
-      return res.status(400).json({ success: false, message: 'Missing required fields: product name, price, details, and AgreedToTerms' });
-    }
-
-    // Images validation (pre-uploaded URLs from frontend)
-    if (productInfo?.images && (!Array.isArray(productInfo.images) || productInfo.images.length === 0 || productInfo.images.length > 5)) {
-      logger.warn(`Add listing failed: Invalid images array`, { userId, imageCount: productInfo.images?.length });
-      return res.status(400).json({ success: false, message: 'Images must be an array with 1-5 valid URLs' });
-    }
-
-    // Inventory validation
-    if (typeof inventory !== 'number' || inventory < 1) {
-      logger.warn('Add listing failed: Invalid inventory', { userId, inventory });
+    // Field shapes are checked by addListingSchema; variant listings derive inventory from variant stock
+    if (!hasVariants && inventory === undefined) {
+      logger.warn('Add listing failed: Missing inventory', { userId });
       return res.status(400).json({ success: false, message: 'Inventory must be a positive number' });
     }
-
-    // Structured location validation
-    if (!location || typeof location !== 'object') {
-      return res.status(400).json({ success: false, message: 'Location must be a valid object' });
-    }
-    if (!location.country || !location.county || !location.constituency) {
-      return res.status(400).json({ success: false, message: 'Location requires country, county, and constituency' });
-    }
-    if (shippingOptions && (!Array.isArray(shippingOptions) || shippingOptions.length === 0 || shippingOptions.length > 3)) {
-      return res.status(400).json({ success: false, message: 'Shipping options must be 1-3 items' });
+    const scheduleError = getScheduleError(publishAt);
+    if (scheduleError) {
+      logger.warn(`Add listing failed: ${scheduleError}`, { userId });
+      return res.status(400).json({ success: false, message: scheduleError });
     }
+    // A scheduled listing stays inactive until it goes live; its lifetime starts then
+    const scheduledFor = publishAt ? new Date(publishAt) : null;
 
     const user = await userModel.findById(userId).session(session);
     if (!user) {
@@ -72,6 +69,21 @@ export const addListing = async (req, res) => {
     }
 
     const productId = uuidv4();
+
+    let sanitizedVariants = [];
+    if (hasVariants) {
+      const variantResult = sanitizeVariants(variants, productId);
+      if (variantResult.error) {
+        logger.warn(`Add listing failed: ${variantResult.message}`, { userId });
+        return res.status(400).json({ success: false, message: variantResult.message });
+      }
+      sanitizedVariants = variantResult.variants;
+      if (!sanitizedVariants.some((variant) => variant.inventory > 0)) {
+        logger.warn('Add listing failed: Variants have no stock', { userId });
+        return res.status(400).json({ success: false, message: 'At least one variant must be in stock' });
+      }
+    }
+
     const sanitizedProductInfo = {
       ...productInfo,
       productId,
@@ -120,10 +132,12 @@ export const addListing = async (req, res) => {
       AgreedToTerms: Boolean(AgreedToTerms),
       featured: Boolean(featured),
       promotedUntil: featured ? new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) : null,
-      inventory,
+      inventory: hasVariants ? sanitizedVariants.reduce((sum, variant) => sum + variant.inventory, 0) : inventory,
+      variants: sanitizedVariants,
       shippingOptions: Array.isArray(shippingOptions) ? shippingOptions : ['Local Pickup', 'Delivery'],
-      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
-      isActive: true,
+      expiresAt: new Date((scheduledFor || new Date()).getTime() + LISTING_LIFETIME_DAYS * 24 * 60 * 60 * 1000),
+      isActive: !scheduledFor,
+      publishAt: scheduledFor,
     };
 
     // AI Verification with fallback
@@ -268,13 +282,23 @@ Return ONLY valid JSON:
     listingData.verified = aiResponse.verified;
     listingData.aiFindings = aiResponse.findings || [];
 
+    // Published from a draft (publishListingDraft): claim it first, so publishing it twice creates one listing
+    if (req.draft) {
+      const { deletedCount } = await listingDraftModel.deleteOne({ _id: req.draft._id }).session(session);
+      if (deletedCount !== 1) {
+        throw new ConflictError('This draft has already been published');
+      }
+    }
+
     const listing = new listingModel(listingData);
+    listing.moderation = initialModeration(listing);
     const savedListing = await listing.save({ session });
+    await recordListingRevision(null, savedListing, { editedBy: userId, source: 'created' }, session);
 
-    // Update user
+    // Update user; scheduled listings join the active count when they go live
     await userModel.findByIdAndUpdate(
       req.user._id,
-      { $push: { listings: savedListing._id }, $inc: { 'stats.activeListingsCount': 1 } },
+      { $push: { listings: savedListing._id }, ...(!scheduledFor && { $inc: { 'stats.activeListingsCount': 1 } }) },
       { session }
     );
 
@@ -283,7 +307,9 @@ Return ONLY valid JSON:
 
     let message, notificationType;
     if (aiResponse.verified === 'Verified') {
-      message = `Your listing "${listingData.productInfo.name}" is live!`;
+      message = scheduledFor
+        ? `Your listing "${listingData.productInfo.name}" is approved and will go live on ${scheduledFor.toUTCString()}.`
+        : `Your listing "${listingData.productInfo.name}" is live!`;
       notificationType = 'verified_listing';
     } else if (aiResponse.verified === 'Rejected') {
       message = `Listing "${listingData.productInfo.name}" rejected. Review:\n${findingsSummary}`;
@@ -322,15 +348,14 @@ Return ONLY valid JSON:
     });
   } catch (error) {
     await session.abortTransaction();
-    logger.error(`Add listing error: ${error.message}`, { userId: req.user?._id, stack: error.stack });
-    res.status(500).json({ success: false, message: 'Failed to create listing. Please try again.' });
+    next(error);
   } finally {
     session.endSession();
   }
 };
 
-// Renew Listing
-export const renewListing = async (req, res) => {
+// Renew Listing: reactivates an expired listing, or extends one that expires within the renewal window
+export const renewListing = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   const { productId } = req.params;
@@ -351,25 +376,43 @@ export const renewListing = async (req, res) => {
       logger.warn(`Renew listing failed: User ${userId} not authorized`, { productId });
       return res.status(403).json({ success: false, message: 'Unauthorized to renew this listing' });
     }
-    if (listing.isActive) {
+    if (listing.isSold) {
+      logger.warn(`Renew listing failed: Listing ${productId} is sold`);
+      return res.status(400).json({ success: false, message: 'Sold listings cannot be renewed' });
+    }
+    if (listing.publishAt) {
+      logger.warn(`Renew listing failed: Listing ${productId} is scheduled and not live yet`);
+      return res.status(400).json({ success: false, message: 'This listing has not gone live yet. Change its schedule instead.' });
+    }
+    const renewableFrom = new Date(listing.expiresAt.getTime() - LISTING_RENEWAL_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (listing.isActive && renewableFrom > new Date()) {
       logger.warn(`Renew listing failed: Listing ${productId} is already active`);
-      return res.status(400).json({ success: false, message: 'Listing is already active' });
+      return res.status(400).json({
+        success: false,
+        message: `Listing is already active. It can be renewed from ${renewableFrom.toDateString()}.`,
+      });
     }
 
+    const wasActive = listing.isActive;
     listing.isActive = true;
-    listing.expiresAt = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+    // Renewing early extends the current period instead of cutting it short
+    listing.expiresAt = new Date(Math.max(Date.now(), listing.expiresAt.getTime()) + LISTING_LIFETIME_DAYS * 24 * 60 * 60 * 1000);
+    listing.expiryReminderSentAt = null;
+    listing.expiredAt = null;
     await listing.save({ session });
 
-    await userModel.findByIdAndUpdate(
-      userId,
-      { $inc: { 'stats.activeListingsCount': 1 } },
-      { session }
-    );
+    if (!wasActive) {
+      await userModel.findByIdAndUpdate(
+        userId,
+        { $inc: { 'stats.activeListingsCount': 1 } },
+        { session }
+      );
+    }
 
     await sendNotification(
       userId,
       'listing_renewed',
-      `Your listing "${listing.productInfo.name}" has been renewed and is now active for another 30 days.`,
+      `Your listing "${listing.productInfo.name}" has been renewed and is now active until ${listing.expiresAt.toDateString()}.`,
       null,
       session
     );
@@ -383,15 +426,64 @@ export const renewListing = async (req, res) => {
     });
   } catch (error) {
     await session.abortTransaction();
-    logger.error(`Error renewing listing: ${error.message}`, { stack: error.stack });
-    res.status(500).json({ success: false, message: 'Failed to renew listing' });
+    next(error);
   } finally {
     session.endSession();
   }
 };
 
+/**
+ * @route PUT /api/listings/:productId/schedule
+ * @desc Move the go-live time of a listing that is not live yet, or (publishAt: null) publish it now,
+ *       or as soon as it is verified
+ * @access Private (the seller)
+ * @body { publishAt: date-time | null }
+ */
+export const scheduleListing = async (req, res, next) => {
+  try {
+    const { productId } = req.params;
+    const { publishAt } = req.body;
+    const userId = req.user._id.toString();
+
+    const listing = await listingModel.findOne({ 'productInfo.productId': productId });
+    if (!listing) {
+      throw new NotFoundError('Listing not found');
+    }
+    if (listing.seller.sellerId.toString() !== userId) {
+      throw new ForbiddenError('Unauthorized to schedule this listing');
+    }
+    if (!listing.publishAt || listing.isSold) {
+      return res.status(409).json({ success: false, message: 'Only listings that have not gone live yet can be scheduled' });
+    }
+    const scheduleError = getScheduleError(publishAt);
+    if (scheduleError) {
+      return res.status(400).json({ success: false, message: scheduleError });
+    }
+
+    const now = new Date();
+    listing.publishAt = publishAt ? new Date(publishAt) : now;
+    listing.expiresAt = new Date(listing.publishAt.getTime() + LISTING_LIFETIME_DAYS * 24 * 60 * 60 * 1000);
+    await listing.save();
+
+    let message = `Listing scheduled to go live on ${listing.publishAt.toUTCString()}`;
+    if (!publishAt) {
+      const published = await publishListing(listing, now);
+      message = published ? 'Listing is now live' : 'Listing will go live as soon as it is verified';
+    }
+
+    logger.info(`Listing ${productId} scheduled for ${publishAt || 'now'} by ${userId}`);
+    res.status(200).json({
+      success: true,
+      message,
+      data: await listingModel.findById(listing._id).select('productInfo.productId isActive publishAt expiresAt verified').lean(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Mark Listing as Sold
-export const markAsSold = async (req, res) => {
+export const markAsSold = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
@@ -412,7 +504,7 @@ export const markAsSold = async (req, res) => {
     const user = await userModel.findById(userId).session(session);
 
     if (listing.seller.sellerId.toString() !== userId ) {
-      if(!user.personalInfo.isAdmin) {
+      if(!hasPermission(user, 'listings:manage')) {
         logger.warn(`Mark as sold failed: User ${userId} not authorized`, { productId });
         return res.status(403).json({ success: false, message: 'Unauthorized' });
       }
@@ -423,9 +515,12 @@ export const markAsSold = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Listing already marked as sold' });
     }
 
+    const before = listing.toObject();
     listing.isSold = true;
     listing.inventory = 0;
+    listing.variants.forEach((variant) => { variant.inventory = 0; });
     await listing.save({ session });
+    await recordListingRevision(before, listing, { editedBy: userId, source: 'inventory' }, session);
 
     await userModel.findByIdAndUpdate(
       listing.seller.sellerId,
@@ -476,15 +571,14 @@ export const markAsSold = async (req, res) => {
   } catch (error) {
     console.error('Error in markAsSold:', error);
     await session.abortTransaction();
-    logger.error(`Error marking listing as sold: ${error.message}`, { stack: error.stack });
-    res.status(500).json({ success: false, message: 'Failed to mark listing as sold' });
+    next(error);
   } finally {
     session.endSession();
   }
 };
 
 // Add Review to Listing
-export const addReview = async (req, res) => {
+export const addReview = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
@@ -497,17 +591,6 @@ export const addReview = async (req, res) => {
     const { rating, comment } = req.body;
     const userId = req.user._id.toString();
 
-    if (!rating || !comment) {
-      logger.warn('Add review failed: Rating or comment missing', { productId, userId });
-      return res.status(400).json({ success: false, message: 'Rating and comment are required' });
-    }
-
-
-    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
-      logger.warn(`Add review failed: Invalid rating ${rating}`, { productId, userId });
-      return res.status(400).json({ success: false, message: 'Rating must be an integer between 1 and 5' });
-    }
-
     const listing = await listingModel.findOne({ 'productInfo.productId': productId }).session(session);
     if (!listing || listing.verified !== 'Verified' || listing.isSold) {
       logger.warn(`Add review failed: Listing ${productId} not found, not verified, or sold`);
@@ -554,14 +637,13 @@ export const addReview = async (req, res) => {
     });
   } catch (error) {
     await session.abortTransaction();
-    logger.error(`Error adding review: ${error.message}`, { stack: error.stack,  });
-    res.status(500).json({ success: false, message: 'Failed to add review' });
+    next(error);
   } finally {
     session.endSession();
   }
 };
 // Record Inquiry
-export const recordInquiry = async (req, res) => {
+export const recordInquiry = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
@@ -657,26 +739,36 @@ export const recordInquiry = async (req, res) => {
     logger.info(`Inquiry recorded for listing ${productId} by user ${userId}`);
     res.status(200).json({ success: true, message: 'Inquiry recorded successfully' });
   } catch (error) {
-    logger.error(`Error recording inquiry: ${error.message}`, { stack: error.stack });
-    return res.status(500).json({ success: false, message: 'Failed to record inquiry' });
+    return next(error);
   } finally {
     session.endSession();
   }
 }
 
 // Add to Cart (Analytics Tracking)
-export const addToCart = async (req, res) => {
+export const addToCart = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
     const { productId } = req.params;
-    const { userId, guestId } = req.body;
+    const { userId, guestId, size, color } = req.body;
 
     const listing = await listingModel.findOne({ 'productInfo.productId': productId }).session(session);
     if (!listing || listing.verified !== 'Verified' || listing.isSold || listing.inventory <= 0) {
       logger.warn(`Add to cart failed: Listing ${productId} not available`);
       return res.status(404).json({ success: false, message: 'Listing not available' });
     }
+    if (listing.variants.length) {
+      const variant = findListingVariant(listing, size, color);
+      if (!variant) {
+        logger.warn(`Add to cart failed: Variant ${size}/${color} not found`, { productId });
+        return res.status(400).json({ success: false, message: 'Please select an available size and color' });
+      }
+      if (variant.inventory <= 0) {
+        logger.warn(`Add to cart failed: Variant ${variant.sku} out of stock`, { productId });
+        return res.status(400).json({ success: false, message: 'Selected size/color is out of stock' });
+      }
+    }
     // Sending notification to the admin about the cart addition
     const admin = await userModel.findOne({ 'personalInfo.isAdmin': true }).session(session);
     if(admin){
@@ -773,8 +865,7 @@ export const addToCart = async (req, res) => {
     }
   } catch (error) {
     await session.abortTransaction();
-    logger.error(`Error adding to cart: ${error.message}`, { stack: error.stack  });
-    res.status(500).json({ success: false, message: 'Failed to add to cart' });
+    next(error);
   } finally {
     session.endSession();
   }
@@ -782,7 +873,7 @@ export const addToCart = async (req, res) => {
 
 
 // Remove from Wishlist
-export const removeFromWishlist = async (req, res) => {
+export const removeFromWishlist = async (req, res, next) => {
   const { productId } = req.params;
   const { userId, guestId } = req.body;
   try {
@@ -835,13 +926,12 @@ export const removeFromWishlist = async (req, res) => {
     logger.warn('Remove from wishlist failed: Both userId and guestId are missing', { productId });
     return res.status(400).json({ success: false, message: 'Both userId and guestId are missing' });
   } catch (error) {
-    logger.error(`Error removing from wishlist: ${error.message}`, { stack: error.stack });
-    res.status(500).json({ success: false, message: 'Failed to remove from wishlist' });
+    next(error);
   }
 };
 
 // Add to Wishlist
-export const addToWishlist = async (req, res) => {
+export const addToWishlist = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   const { productId } = req.params;
@@ -907,15 +997,14 @@ export const addToWishlist = async (req, res) => {
     return res.status(400).json({ success: false, message: 'Both userId and guestId are missing' });
   } catch (error) {
     await session.abortTransaction();
-    logger.error(`Error adding to wishlist: ${error.message}`, { stack: error.stack  });
-    res.status(500).json({ success: false, message: 'Failed to add to wishlist' });
+    next(error);
   } finally {
     session.endSession();
   }
 };
 
 // Update Inventory
-export const updateInventory = async (req, res) => {
+export const updateInventory = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
@@ -925,14 +1014,9 @@ export const updateInventory = async (req, res) => {
     }
 
     const { productId } = req.params;
-    const { inventory } = req.body;
+    const { inventory, sku } = req.body;
     const userId = req.user._id.toString();
 
-    if (typeof inventory !== 'number' || inventory < 0) {
-      logger.warn(`Update inventory failed: Invalid inventory ${inventory}`, { productId });
-      return res.status(400).json({ success: false, message: 'Inventory must be a non-negative number' });
-    }
-
     const listing = await listingModel.findOne({ 'productInfo.productId': productId }).session(session);
     if (!listing) {
       logger.warn(`Update inventory failed: Listing ${productId} not found`);
@@ -944,12 +1028,28 @@ export const updateInventory = async (req, res) => {
       return res.status(403).json({ success: false, message: 'Unauthorized to update inventory' });
     }
 
+    const before = listing.toObject();
     const oldInventory = listing.inventory;
-    listing.inventory = inventory;
-    listing.isSold = inventory === 0;
+    if (sku) {
+      // Variant stock update; the pre-save hook recomputes the listing total
+      const variant = listing.variants.find((v) => v.sku === sku);
+      if (!variant) {
+        logger.warn(`Update inventory failed: Variant ${sku} not found`, { productId });
+        return res.status(404).json({ success: false, message: 'Variant not found' });
+      }
+      variant.inventory = inventory;
+    } else if (listing.variants.length) {
+      logger.warn('Update inventory failed: SKU required for variant listing', { productId });
+      return res.status(400).json({ success: false, message: 'This listing has variants. Provide the variant SKU to update its stock.' });
+    } else {
+      listing.inventory = inventory;
+      listing.isSold = inventory === 0;
+    }
     await listing.save({ session });
+    await recordListingRevision(before, listing, { editedBy: userId, source: 'inventory' }, session);
+    const newInventory = listing.inventory;
 
-    if (inventory === 0 && oldInventory > 0) {
+    if (newInventory === 0 && oldInventory > 0) {
       await userModel.findByIdAndUpdate(
         listing.seller.sellerId,
         { $inc: { 'stats.activeListingsCount': -1 } },
@@ -963,25 +1063,25 @@ export const updateInventory = async (req, res) => {
         null,
         session
       );
-    } else if (inventory > 0 && oldInventory === 0) {
+    } else if (newInventory > 0 && oldInventory === 0) {
       await userModel.findByIdAndUpdate(
         listing.seller.sellerId,
         { $inc: { 'stats.activeListingsCount': 1 } },
         { session }
       );
-    } else if (inventory <= 5 && inventory > 0 && oldInventory > 5) {
+    } else if (newInventory <= 5 && newInventory > 0 && oldInventory > 5) {
       // Notify seller (low stock)
       await sendNotification(
         userId,
         'listing_low_stock',
-        `Your listing "${listing.productInfo.name}" is running low on stock (${inventory} left).`,
+        `Your listing "${listing.productInfo.name}" is running low on stock (${newInventory} left).`,
         null,
         session
       );
     }
 
     await session.commitTransaction();
-    logger.info(`Inventory updated for listing ${productId} by user ${userId}: ${inventory}`);
+    logger.info(`Inventory updated for listing ${productId} by user ${userId}: ${sku ? `${sku} -> ${inventory}` : inventory}`);
     res.status(200).json({
       success: true,
       message: 'Inventory updated successfully',
@@ -989,15 +1089,14 @@ export const updateInventory = async (req, res) => {
     });
   } catch (error) {
     await session.abortTransaction();
-    logger.error(`Error updating inventory: ${error.message}`, { stack: error.stack});
-    res.status(500).json({ success: false, message: 'Failed to update inventory' });
+    next(error);
   } finally {
     session.endSession();
   }
 };
 
 // Mark Listing as Unsold
-export const markAsUnSold = async (req, res) => {
+export const markAsUnSold = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
@@ -1016,7 +1115,7 @@ export const markAsUnSold = async (req, res) => {
 
     const user = await userModel.findById(userId).session(session);
     if (listing.seller.sellerId.toString() !== userId ) {
-      if(!user.personalInfo.isAdmin) {
+      if(!hasPermission(user, 'listings:manage')) {
         logger.warn(`Mark as unsold failed: User ${userId} not authorized`, { productId });
         return res.status(403).json({ success: false, message: 'Unauthorized' });
       }
@@ -1026,11 +1125,13 @@ export const markAsUnSold = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Listing already unsold' });
     }
 
+    const before = listing.toObject();
     listing.isSold = false;
     if(listing.inventory === 0) {
       listing.inventory += 2 
     }
     await listing.save({ session });
+    await recordListingRevision(before, listing, { editedBy: userId, source: 'inventory' }, session);
 
     await userModel.findByIdAndUpdate(
       listing.seller.sellerId,
@@ -1060,15 +1161,14 @@ export const markAsUnSold = async (req, res) => {
   } catch (error) {
     console.error('Error in markAsUnSold:', error);
     await session.abortTransaction();
-    logger.error(`Error marking listing as unsold: ${error.message}`, { stack: error.stack });
-    res.status(500).json({ success: false, message: 'Failed to mark listing as unsold' });
+    next(error);
   } finally {
     session.endSession();
   }
 };
 
 // Promote Listing
-export const promoteListing = async (req, res) => {
+export const promoteListing = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
@@ -1113,15 +1213,14 @@ export const promoteListing = async (req, res) => {
     res.status(200).json({ success: true, message: 'Listing promoted successfully', data: listing });
   } catch (error) {
     await session.abortTransaction();
-    logger.error(`Error promoting listing: ${error.message}`, { stack: error.stack });
-    res.status(500).json({ success: false, message: 'Failed to promote listing' });
+    next(error);
   } finally {
     session.endSession();
   }
 };
 
-// Record Negotiation
-export const recordNegotiation = async (req, res) => {
+// Record Negotiation (legacy contact exchange; price offers are handled in offerController)
+export const recordNegotiation = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
@@ -1223,48 +1322,23 @@ export const recordNegotiation = async (req, res) => {
     res.status(200).json({ success: true, message: 'Negotiation attempt recorded' });
   } catch (error) {
     await session.abortTransaction();
-    logger.error(`Error recording negotiation: ${error.message}`, { stack: error.stack });
-    res.status(500).json({ success: false, message: 'Failed to record negotiation' });
+    next(error);
   } finally {
     session.endSession();
   }
 };
 
-export const askForAProduct = async (req, res) => {
+export const askForAProduct = async (req, res, next) => {
   try {
     const { name, phone, productDetails } = req.body;
 
-    // Validate required fields
-    if (!name || !phone || !productDetails) {
-      logger.warn('Ask for a product failed: Name, phone, and product details are required');
-      return res.status(400).json({ success: false, message: 'Name, phone, and product details are required' });
-    }
-
-    // Validate phone number (9-15 digits)
-    // if (!/^\d{9,15}$/.test(phone)) {
-    //   logger.warn('Ask for a product failed: Invalid phone number');
-    //   return res.status(400).json({ success: false, message: 'Phone number must be 9-15 digits' });
-    // }
-
-    // Validate productDetails structure
+    // Field shapes are checked by askForProductSchema
     const { productName, description = '', preferredPriceRange, colors = [], condition, additionalNotes = '' } = productDetails;
-    if (!productName || !preferredPriceRange || isNaN(Number(preferredPriceRange))) {
-      logger.warn('Ask for a product failed: Invalid product details');
-      return res.status(400).json({ success: false, message: 'Product name and valid price range are required' });
-    }
-
-    // Validate condition
-    const validConditions = ['New', 'Refurbished', 'Lightly Used', 'Used'];
-    if (!validConditions.includes(condition)) {
-      logger.warn('Ask for a product failed: Invalid condition');
-      return res.status(400).json({ success: false, message: 'Invalid condition specified' });
-    }
 
     // Find admin user
     const admin = await userModel.findOne({ 'personalInfo.isAdmin': true });
     if (!admin) {
-      logger.error('Ask for a product failed: No admin user found');
-      return res.status(500).json({ success: false, message: 'No admin user found' });
+      throw new AppError('No admin user found');
     }
 
     // Generate HTML email using the new template
@@ -1289,15 +1363,14 @@ export const askForAProduct = async (req, res) => {
     logger.info(`Product request sent by ${name} (${phone}) for product: ${productName}`);
     res.status(200).json({ success: true, message: 'Product request sent successfully' });
   } catch (error) {
-    logger.error(`Error in ask for a product: ${error.message}`, { stack: error.stack });
-    res.status(500).json({ success: false, message: 'Failed to send product request' });
+    next(error);
   }
 };
 
 
 
 // Transfer Guest Data
-export const transferGuestData = async (req, res) => {
+export const transferGuestData = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
@@ -1310,10 +1383,6 @@ export const transferGuestData = async (req, res) => {
       logger.warn(`Transfer guest data failed: User ${req.user._id} attempted to transfer as ${userId}`);
       return res.status(403).json({ success: false, message: 'Unauthorized' });
     }
-    if (!guestId || (!cart?.length && !favorites?.length)) {
-      logger.warn('Transfer guest data failed: Guest ID and cart or favorites required', { userId });
-      return res.status(400).json({ success: false, message: 'Guest ID and cart or favorites required' });
-    }
 
     for (const item of cart || []) {
       const listing = await listingModel.findOne({ 'productInfo.productId': item.productId }).session(session);
@@ -1334,6 +1403,15 @@ export const transferGuestData = async (req, res) => {
       }
     }
 
+    // Merge the guest's server-side cart into the user's cart
+    const mergedCartLines = await mergeGuestCart(guestId, userId, session);
+
+    if (!cart?.length && !favorites?.length && !mergedCartLines) {
+      await session.commitTransaction();
+      logger.info(`No guest data to transfer for user ${userId} from guest ${guestId}`);
+      return res.status(200).json({ success: true, message: 'No guest data to transfer' });
+    }
+
     await sendNotification(
       userId,
       'data_transferred',
@@ -1347,51 +1425,204 @@ export const transferGuestData = async (req, res) => {
     res.status(200).json({ success: true, message: 'Guest data transferred successfully' });
   } catch (error) {
     await session.abortTransaction();
-    logger.error(`Error transferring guest data: ${error.message}`, { stack: error.stack });
-    res.status(500).json({ success: false, message: 'Failed to transfer guest data' });
+    next(error);
   } finally {
     session.endSession();
   }
 };
 
 // Get Listings
-export const getListings = async (req, res) => {
+// Sort options for the public listings feed. Each maps to a single field so the
+// cursor only needs to carry that field's value plus the _id tie-breaker.
+const LISTING_SORTS = {
+  newest: { field: 'createdAt', order: -1 },
+  price_asc: { field: 'productInfo.price', order: 1 },
+  price_desc: { field: 'productInfo.price', order: -1 },
+  rating: { field: 'rating', order: -1 },
+  popularity: { field: 'analytics.views.total', order: -1 },
+};
+
+const DEFAULT_LISTINGS_LIMIT = 24;
+const MAX_LISTINGS_LIMIT = 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseBooleanParam = (value) => {
+  if (value === 'true' || value === true) return true;
+  if (value === 'false' || value === false) return false;
+  return undefined;
+};
+
+const getSortValue = (doc, field) => field.split('.').reduce((acc, key) => acc?.[key], doc);
+
+const encodeListingsCursor = (doc, sort) => {
+  const value = getSortValue(doc, sort.field);
+  return Buffer.from(JSON.stringify({
+    v: value instanceof Date ? value.toISOString() : value ?? null, // Older listings may lack rating or views
+    id: doc._id.toString(),
+  })).toString('base64url');
+};
+
+const decodeListingsCursor = (cursor, sort) => {
   try {
-    const listings = await listingModel
-      .find({ 
-        'verified': 'Verified',
-        'isActive': true // Added the missing filter
-      })
-      .select('-aiFindings -promoteUntil -inventory -shipingOptions -expiresAt -AgreedToTerms -updatedAt -__v')
-      .populate('seller.sellerId', 'personalInfo.fullname personalInfo.phone')
-      .lean();
-    
-    logger.info(`Fetched ${listings.length} verified and active listings`);
-    res.status(200).json({ success: true, data: listings });
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (v === undefined || !mongoose.Types.ObjectId.isValid(id)) return null;
+    return {
+      value: sort.field === 'createdAt' && v !== null ? new Date(v) : v,
+      id: new mongoose.Types.ObjectId(id),
+    };
+  } catch {
+    return null;
+  }
+};
+
+// Listings after the cursor in sort order. MongoDB sorts missing and null values lowest, but range
+// operators never match them, so they get their own branches.
+const buildListingsCursorFilter = (sort, { value, id }) => {
+  const { field } = sort;
+  if (value === null) {
+    return sort.order === 1
+      ? [{ [field]: { $ne: null } }, { [field]: null, _id: { $gt: id } }]
+      : [{ [field]: null, _id: { $lt: id } }];
+  }
+  const op = sort.order === 1 ? '$gt' : '$lt';
+  return [
+    { [field]: { [op]: value } },
+    { [field]: value, _id: { [op]: id } },
+    ...(sort.order === -1 ? [{ [field]: null }] : []),
+  ];
+};
+
+// Builds the match stage for getListings from query parameters
+const buildListingsFilter = (query) => {
+  const filter = { verified: 'Verified', isActive: true };
+
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q) {
+    filter.$text = { $search: q.slice(0, 100) };
+  }
+
+  if (query.category) filter['productInfo.category'] = String(query.category);
+  if (query.subCategory) filter['productInfo.subCategory'] = String(query.subCategory);
+  if (query.condition) {
+    const conditions = String(query.condition).split(',').map((c) => c.trim()).filter(Boolean);
+    filter['productInfo.condition'] = conditions.length > 1 ? { $in: conditions } : conditions[0];
+  }
+  if (query.county) filter['location.county'] = new RegExp(`^${escapeRegex(String(query.county))}$`, 'i');
+  if (query.constituency) filter['location.constituency'] = new RegExp(`^${escapeRegex(String(query.constituency))}$`, 'i');
+
+  const minPrice = parseFloat(query.minPrice);
+  const maxPrice = parseFloat(query.maxPrice);
+  if (!isNaN(minPrice) || !isNaN(maxPrice)) {
+    filter['productInfo.price'] = {};
+    if (!isNaN(minPrice)) filter['productInfo.price'].$gte = minPrice;
+    if (!isNaN(maxPrice)) filter['productInfo.price'].$lte = maxPrice;
+  }
+
+  const negotiable = parseBooleanParam(query.negotiable);
+  if (negotiable !== undefined) filter.negotiable = negotiable;
+  const onOffer = parseBooleanParam(query.onOffer);
+  if (onOffer !== undefined) filter['productInfo.onOffer'] = onOffer;
+
+  return filter;
+};
+
+/**
+ * Get Listings
+ * @route GET /api/listings
+ * @desc Search, filter, sort and paginate verified, active listings
+ * @access Public
+ * @query {q, category, subCategory, condition, county, constituency, minPrice, maxPrice, negotiable, onOffer, sort, cursor, limit}
+ */
+export const getListings = async (req, res, next) => {
+  try {
+    const sortKey = req.query.sort || 'newest';
+    const sort = LISTING_SORTS[sortKey];
+    if (!sort) {
+      logger.warn(`Get listings failed: Invalid sort ${sortKey}`);
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort. Use one of: ${Object.keys(LISTING_SORTS).join(', ')}`,
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LISTINGS_LIMIT, 1), MAX_LISTINGS_LIMIT);
+    const filter = buildListingsFilter(req.query);
+
+    const pageFilter = { ...filter };
+    if (req.query.cursor) {
+      const cursor = decodeListingsCursor(req.query.cursor, sort);
+      if (!cursor) {
+        logger.warn('Get listings failed: Invalid cursor', { cursor: req.query.cursor });
+        return res.status(400).json({ success: false, message: 'Invalid pagination cursor' });
+      }
+      pageFilter.$or = buildListingsCursorFilter(sort, cursor);
+    }
+
+    const [listings, [facetResult]] = await Promise.all([
+      listingModel
+        .find(pageFilter)
+        .sort({ [sort.field]: sort.order, _id: sort.order })
+        .limit(limit + 1)
+        .select('-aiFindings -moderation -promoteUntil -inventory -shipingOptions -expiresAt -AgreedToTerms -updatedAt -__v')
+        .populate('seller.sellerId', 'personalInfo.fullname personalInfo.phone')
+        .lean(),
+      listingModel.aggregate([
+        { $match: filter },
+        {
+          $facet: {
+            total: [{ $count: 'count' }],
+            categories: [
+              { $group: { _id: '$productInfo.category', count: { $sum: 1 } } },
+              { $sort: { count: -1, _id: 1 } },
+            ],
+            counties: [
+              { $group: { _id: '$location.county', count: { $sum: 1 } } },
+              { $sort: { count: -1, _id: 1 } },
+            ],
+          },
+        },
+      ]),
+    ]);
+
+    const hasMore = listings.length > limit;
+    const page = hasMore ? listings.slice(0, limit) : listings;
+    const nextCursor = hasMore ? encodeListingsCursor(page[page.length - 1], sort) : null;
+    const toFacet = (buckets) => buckets.map(({ _id, count }) => ({ value: _id, count }));
+
+    logger.info(`Fetched ${page.length} verified and active listings`, { sort: sortKey, hasMore });
+    res.status(200).json({
+      success: true,
+      data: page,
+      pagination: {
+        total: facetResult?.total[0]?.count || 0,
+        limit,
+        hasMore,
+        nextCursor,
+      },
+      facets: {
+        categories: toFacet(facetResult?.categories || []),
+        counties: toFacet(facetResult?.counties || []),
+      },
+    });
   } catch (error) {
-    logger.error(`Error fetching listings: ${error.message}`, { stack: error.stack });
-    
-    // More specific error response
-    const statusCode = error.name === 'CastError' ? 400 : 500;
-    const message = error.name === 'CastError' 
-      ? 'Invalid data format' 
-      : 'Failed to fetch listings';
-    
-    res.status(statusCode).json({ success: false, message });
+    next(error);
   }
 };
 
 // Get Listing by ID
 // Get Listing by ID
-export const getListingById = async (req, res) => {
+export const getListingById = async (req, res, next) => {
   try {
     const { productId } = req.params;
     const listing = await listingModel
       .findOne({ 'productInfo.productId': productId })
+      .select('-moderation')
       .populate('seller.sellerId', 'personalInfo.fullname personalInfo.phone personalInfo.rating personalInfo.profilePicture')
       .populate('reviews.user', 'personalInfo.fullname personalInfo.profilePicture')
       .lean();
-    if (!listing || listing.verified !== 'Verified') {
+    // Scheduled listings are not public until they go live
+    if (!listing || listing.verified !== 'Verified' || listing.publishAt) {
       logger.warn(`Listing fetch failed: Listing ${productId} not found or not verified`);
       return res.status(404).json({ success: false, message: 'Listing not found or not verified' });
     }
@@ -1406,12 +1637,11 @@ export const getListingById = async (req, res) => {
     logger.info(`Listing fetched for product ${productId}`);
     res.status(200).json({ success: true, data: listing });
   } catch (error) {
-    logger.error(`Error fetching listing: ${error.message}`, { stack: error.stack, productId });
-    res.status(500).json({ success: false, message: 'Failed to fetch listing' });
+    next(error);
   }
 };
 // Update Listing
-export const updateListing = async (req, res) => {
+export const updateListing = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
@@ -1421,7 +1651,7 @@ export const updateListing = async (req, res) => {
     }
 
     const { productId } = req.params;
-    const { productInfo, negotiable, location, inventory, shippingOptions, sellerNotes } = req.body;
+    const { productInfo, negotiable, location, inventory, shippingOptions, sellerNotes, variants } = req.body;
     const userId = req.user._id.toString();
     console.log(userId)
 
@@ -1432,33 +1662,20 @@ export const updateListing = async (req, res) => {
     }
 
     const user = await userModel.findById(userId).session(session);
-    const admin = await userModel.findOne({'personalInfo.isAdmin': true}).session(session)
-    if (listing.seller.sellerId.toString() !== userId) {
-      if (userId === admin._id) {
-        logger.warn(`Update listing failed: User ${userId} not authorized`, { productId }); 
-        return res.status(403).json({ success: false, message: 'Unauthorized to update listing' });
-      }
+    if (!user) {
+      logger.warn(`Update listing failed: User ${userId} not found`, { productId });
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    // Only the seller, or staff who moderate listings, may edit a listing
+    if (listing.seller.sellerId.toString() !== userId && !hasPermission(user, 'listings:moderate')) {
+      logger.warn(`Update listing failed: User ${userId} not authorized`, { productId });
+      return res.status(403).json({ success: false, message: 'Unauthorized to update listing' });
     }
 
     const updateData = {};
-    let needsReverification = false; // Track for critical changes
 
     // Update productInfo if provided
     if (productInfo) {
-      // Validate if name/details provided
-      if (productInfo.name && !productInfo.name.trim()) {
-        return res.status(400).json({ success: false, message: 'Product name cannot be empty' });
-      }
-      if (productInfo.details && !productInfo.details.trim()) {
-        return res.status(400).json({ success: false, message: 'Product details cannot be empty' });
-      }
-      if (productInfo.price && (isNaN(Number(productInfo.price)) || Number(productInfo.price) <= 0)) {
-        return res.status(400).json({ success: false, message: 'Price must be a valid positive number' });
-      }
-      if (productInfo.images && (!Array.isArray(productInfo.images) || productInfo.images.length === 0 || productInfo.images.length > 5)) {
-        return res.status(400).json({ success: false, message: 'Images must be 1-5 valid URLs' });
-      }
-
       updateData.productInfo = {
         ...listing.productInfo.toObject(),
         name: productInfo.name ? sanitizeHtml(productInfo.name.trim()) : listing.productInfo.name,
@@ -1479,13 +1696,6 @@ export const updateListing = async (req, res) => {
         warranty: productInfo.warranty || listing.productInfo.warranty,
         productId: listing.productInfo.productId, // Unchanged
       };
-
-      // Track changes for re-verification
-      if (productInfo.price !== listing.productInfo.price || 
-          (productInfo.description && productInfo.description !== listing.productInfo.description) ||
-          (productInfo.details && productInfo.details !== listing.productInfo.details)) {
-        needsReverification = true;
-      }
     }
 
     // Negotiable
@@ -1495,13 +1705,6 @@ export const updateListing = async (req, res) => {
 
     // Structured location update
     if (location !== undefined) {
-      if (typeof location !== 'object') {
-        return res.status(400).json({ success: false, message: 'Location must be an object' });
-      }
-      if (!location.country || !location.county || !location.constituency) {
-        return res.status(400).json({ success: false, message: 'Location requires country, county, and constituency' });
-      }
-
       // Handle backward compatibility
       let currentLoc = listing.location;
       if (typeof currentLoc === 'string') {
@@ -1517,13 +1720,24 @@ export const updateListing = async (req, res) => {
         fullAddress: location.fullAddress !== undefined ? sanitizeHtml(location.fullAddress.trim()) : currentLoc.fullAddress,
         coordinates: null, // Dormant; ignore if provided
       };
-      needsReverification = true; // Location changes may need re-check
     }
 
-    // Inventory update
-    if (typeof inventory === 'number' && inventory >= 0) {
-      updateData.inventory = inventory;
-      updateData.isSold = inventory === 0;
+    // Inventory update (a non-empty variant set replaces the flat inventory with its total stock)
+    let newInventory = typeof inventory === 'number' && inventory >= 0 ? inventory : undefined;
+    if (variants !== undefined) {
+      const variantResult = sanitizeVariants(variants, productId);
+      if (variantResult.error) {
+        logger.warn(`Update listing failed: ${variantResult.message}`, { productId, userId });
+        return res.status(400).json({ success: false, message: variantResult.message });
+      }
+      updateData.variants = variantResult.variants;
+      if (variantResult.variants.length) {
+        newInventory = variantResult.variants.reduce((sum, variant) => sum + variant.inventory, 0);
+      }
+    }
+    if (newInventory !== undefined) {
+      updateData.inventory = newInventory;
+      updateData.isSold = newInventory === 0;
     }
 
     // Shipping options
@@ -1541,32 +1755,64 @@ export const updateListing = async (req, res) => {
 
     updateData.updatedAt = new Date();
 
-    // If critical changes, reset verification
-    if (needsReverification) {
-      updateData.verified = 'Verified';
-    }
-
-    const updatedListing = await listingModel.findOneAndUpdate(
+    let updatedListing = await listingModel.findOneAndUpdate(
       { 'productInfo.productId': productId },
       { $set: updateData },
       { new: true, runValidators: true, session }
     );
 
     if (!updatedListing) {
-      logger.warn(`Update listing failed: Update operation failed`, { productId, userId });
-      return res.status(500).json({ success: false, message: 'Update failed' });
+      throw new NotFoundError('Listing not found'); // Deleted while it was being updated
+    }
+
+    const isSeller = listing.seller.sellerId.toString() === userId;
+    const source = !isSeller && hasPermission(user, 'listings:moderate') ? 'admin' : 'updated';
+    await recordListingRevision(listing.toObject(), updatedListing, { editedBy: userId, source }, session);
+
+    // The seller's edit to a rejected listing sends it back to the moderation queue, to the reviewer
+    // who rejected it, with what changed
+    const changes = listing.verified === 'Rejected' && isSeller
+      ? diffListing(listing.toObject(), updatedListing.toObject())
+      : [];
+    if (changes.length) {
+      const now = new Date();
+      const reviewerId = listing.moderation?.decidedBy || null;
+      updatedListing = await listingModel.findByIdAndUpdate(
+        updatedListing._id,
+        {
+          $set: {
+            verified: 'Pending',
+            'moderation.submittedAt': now,
+            'moderation.assignedTo': reviewerId,
+            'moderation.assignedAt': reviewerId ? now : null,
+          },
+          $inc: { 'moderation.resubmissions': 1 },
+          $push: { 'moderation.history': { action: 'resubmitted', by: userId, at: now, changes } },
+        },
+        { new: true, session }
+      );
+      if (reviewerId) {
+        await sendNotification(
+          reviewerId.toString(),
+          'listing_resubmitted',
+          `"${updatedListing.productInfo.name}" was resubmitted for review with ${changes.length} changed field${changes.length === 1 ? '' : 's'}: ${changes.map(change => change.field).join(', ')}`,
+          userId,
+          session
+        );
+      }
+      logger.info(`Listing ${productId} resubmitted for review by ${userId}`, { changes: changes.map(change => change.field) });
     }
 
     // Update user stats for inventory changes
     const oldInventory = listing.inventory || 0;
-    if (typeof inventory === 'number') {
-      if (inventory === 0 && oldInventory > 0) {
+    if (newInventory !== undefined) {
+      if (newInventory === 0 && oldInventory > 0) {
         await userModel.findByIdAndUpdate(
           userId,
           { $inc: { 'stats.activeListingsCount': -1, 'stats.soldListingsCount': 1 } },
           { session }
         );
-      } else if (inventory > 0 && oldInventory === 0) {
+      } else if (newInventory > 0 && oldInventory === 0) {
         await userModel.findByIdAndUpdate(
           userId,
           { $inc: { 'stats.activeListingsCount': 1, 'stats.soldListingsCount': -1 } },
@@ -1579,13 +1825,12 @@ export const updateListing = async (req, res) => {
     logger.info(`Listing updated: ${productId} by user ${userId}`);
     res.status(200).json({
       success: true,
-      message: 'Listing updated successfully',
+      message: changes.length ? 'Listing updated and resubmitted for review' : 'Listing updated successfully',
       data: updatedListing,
     });
   } catch (error) {
     await session.abortTransaction();
-    logger.error(`Error updating listing: ${error.message}`, { stack: error.stack });
-    res.status(500).json({ success: false, message: 'Failed to update listing' });
+    next(error);
   } finally {
     session.endSession();
   }
@@ -1621,7 +1866,7 @@ const extractPublicIdFromUrl = (url) => {
 };
 
 // Delete Listing Endpoint
-export const deleteListing = async (req, res) => {
+export const deleteListing = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -1652,7 +1897,7 @@ export const deleteListing = async (req, res) => {
 
     // Check authorization - user must be the seller
     if (listing.seller.sellerId.toString() !== userId) { 
-      if(!user.personalInfo.isAdmin) {
+      if(!hasPermission(user, 'listings:manage')) {
         logger.warn(`Delete listing failed: User ${userId} not authorized`, { productId });
         await session.abortTransaction();
         return res.status(403).json({ success: false, message: 'Unauthorized to delete this listing' });
@@ -1718,10 +1963,11 @@ export const deleteListing = async (req, res) => {
         $set: { 
           'items.$[elem].cancelled': true,
           'items.$[elem].status': 'cancelled'
-        }
+        },
+        $push: { 'items.$[elem].statusHistory': buildStatusEntry('cancelled', { from: 'pending', note: 'Listing deleted' }) }
       },
       {
-        arrayFilters: [{ 'elem.productId': productId }],
+        arrayFilters: [{ 'elem.productId': productId, 'elem.status': 'pending' }],
         session
       }
     );
@@ -1752,23 +1998,14 @@ export const deleteListing = async (req, res) => {
     console.log('Aborting transaction due to error:', error);
     await session.abortTransaction();
     
-    logger.error(`Error deleting listing: ${error.message}`, { 
-      stack: error.stack, 
-      userId: req.user?._id 
-    });
-    
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to delete listing',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    next(error);
   } finally {
     session.endSession();
   }
 };
 
 // Alternative simplified version without transaction (if you prefer)
-export const deleteListingSimple = async (req, res) => {
+export const deleteListingSimple = async (req, res, next) => {
   try {
     if (!req.user) {
       logger.warn('Delete listing failed: No user data in request');
@@ -1835,9 +2072,10 @@ export const deleteListingSimple = async (req, res) => {
           $set: { 
             'items.$[elem].cancelled': true,
             'items.$[elem].status': 'cancelled'
-          }
+          },
+          $push: { 'items.$[elem].statusHistory': buildStatusEntry('cancelled', { from: 'pending', note: 'Listing deleted' }) }
         },
-        { arrayFilters: [{ 'elem.productId': productId }] }
+        { arrayFilters: [{ 'elem.productId': productId, 'elem.status': 'pending' }] }
       )
     ]).catch(cleanupError => {
       logger.error('Error during cleanup operations:', cleanupError);
@@ -1854,29 +2092,16 @@ export const deleteListingSimple = async (req, res) => {
     });
     
   } catch (error) {
-    logger.error(`Error deleting listing: ${error.message}`, { 
-      stack: error.stack, 
-      productId, 
-      userId: req.user?._id 
-    });
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to delete listing' 
-    });
+    next(error);
   }
 };
 
 // Update Views
-export const updateViews = async (req, res) => {
+export const updateViews = async (req, res, next) => {
   try {
     const { productId } = req.params;
     const { viewerId } = req.body;
 
-    if (!viewerId) {
-      logger.warn('Update views failed: Viewer ID required', { productId });
-      return res.status(400).json({ success: false, message: 'Viewer ID required' });
-    }
-
     const listing = await listingModel.findOne({ 'productInfo.productId': productId });
     if (!listing || listing.verified !== 'Verified' || listing.isSold) {
       logger.warn(`Update views failed: Listing ${productId} not found, not verified, or sold`);
@@ -1902,13 +2127,12 @@ export const updateViews = async (req, res) => {
     logger.info(`View recorded for listing ${productId} by viewer ${viewerId}`);
     res.status(200).json({ success: true, message: 'View recorded successfully' });
   } catch (error) {
-    logger.error(`Error updating views: ${error.message}`, { stack: error.stack });
-    res.status(500).json({ success: false, message: 'Failed to update views' });
+    next(error);
   }
 };
 
 // Remove from Cart
-export const removeFromCart = async (req, res) => {
+export const removeFromCart = async (req, res, next) => {
   try {
     const { productId } = req.params;
     const { userId, guestId } = req.body;
@@ -1989,22 +2213,16 @@ export const removeFromCart = async (req, res) => {
       return res.status(400).json({ success: false, message: 'User ID or Guest ID required' });
     }
   } catch (error) {
-    logger.error(`Error removing from cart: ${error.message}`, { stack: error.stack, productId, userId, guestId });
-    res.status(500).json({ success: false, message: 'Failed to remove from cart' });
+    next(error);
   }
 };
 
 // Share Listing
-export const shareListing = async (req, res) => {
+export const shareListing = async (req, res, next) => {
   try {
     const { productId } = req.params;
     const { platform } = req.body;
 
-    if (!platform) {
-      logger.warn('Share listing failed: Platform required', { productId });
-      return res.status(400).json({ success: false, message: 'Platform required' });
-    }
-
     const listing = await listingModel.findOne({ 'productInfo.productId': productId });
     if (!listing || listing.verified !== 'Verified' || listing.isSold) {
       logger.warn(`Share listing failed: Listing ${productId} not found, not verified, or sold`);
@@ -2028,13 +2246,12 @@ export const shareListing = async (req, res) => {
     logger.info(`Listing ${productId} shared on ${platform}`);
     res.status(200).json({ success: true, message: `Listing shared on ${platform}` });
   } catch (error) {
-    logger.error(`Error sharing listing: ${error.message}`, { stack: error.stack, productId });
-    res.status(500).json({ success: false, message: 'Failed to share listing' });
+    next(error);
   }
 };
 
 // Feature Listing (Admin Only)
-export const featureListing = async (req, res) => {
+export const featureListing = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
@@ -2042,8 +2259,8 @@ export const featureListing = async (req, res) => {
       logger.warn('Feature listing failed: No user data in request');
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
-    if (!req.user.personalInfo?.isAdmin) {
-      logger.warn(`Feature listing failed: User ${req.user._id} not admin`);
+    if (!hasPermission(req.user, 'listings:moderate')) {
+      logger.warn(`Feature listing failed: User ${req.user._id} not a listing moderator`);
       return res.status(403).json({ success: false, message: 'Admin access required' });
     }
 
@@ -2078,33 +2295,27 @@ export const featureListing = async (req, res) => {
     });
   } catch (error) {
     await session.abortTransaction();
-    logger.error(`Error featuring listing: ${error.message}`, { stack: error.stack });
-    res.status(500).json({ success: false, message: 'Failed to feature listing' });
+    next(error);
   } finally {
     session.endSession();
   }
 };
 
 // Update Response Time (Admin Only)
-export const updateResponseTime = async (req, res) => {
+export const updateResponseTime = async (req, res, next) => {
   try {
     if (!req.user) {
       logger.warn('Update response time failed: No user data in request');
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
-    if (!req.user.personalInfo?.isAdmin) {
-      logger.warn(`Update response time failed: User ${req.user._id} not admin`);
+    if (!hasPermission(req.user, 'listings:manage')) {
+      logger.warn(`Update response time failed: User ${req.user._id} lacks listings:manage`);
       return res.status(403).json({ success: false, message: 'Admin access required' });
     }
 
     const { productId } = req.params;
     const { responseTime } = req.body;
 
-    if (typeof responseTime !== 'number' || responseTime < 0) {
-      logger.warn(`Update response time failed: Invalid response time ${responseTime}`, { productId });
-      return res.status(400).json({ success: false, message: 'Response time must be a non-negative number' });
-    }
-
     const listing = await listingModel.findOneAndUpdate(
       { 'productInfo.productId': productId },
       { 'seller.responseTime': responseTime },
@@ -2124,31 +2335,25 @@ export const updateResponseTime = async (req, res) => {
     logger.info(`Response time updated for listing ${productId} by admin ${req.user._id}`);
     res.status(200).json({ success: true, message: 'Response time updated', data: listing });
   } catch (error) {
-    logger.error(`Error updating response time: ${error.message}`, { stack: error.stack });
-    res.status(500).json({ success: false, message: 'Failed to update response time' });
+    next(error);
   }
 };
 
 // Update Acceptance Rate (Admin Only)
-export const updateAcceptanceRate = async (req, res) => {
+export const updateAcceptanceRate = async (req, res, next) => {
   try {
     if (!req.user) {
       logger.warn('Update acceptance rate failed: No user data in request');
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
-    if (!req.user.personalInfo?.isAdmin) {
-      logger.warn(`Update acceptance rate failed: User ${req.user._id} not admin`);
+    if (!hasPermission(req.user, 'listings:manage')) {
+      logger.warn(`Update acceptance rate failed: User ${req.user._id} lacks listings:manage`);
       return res.status(403).json({ success: false, message: 'Admin access required' });
     }
 
     const { productId } = req.params;
     const { acceptanceRate } = req.body;
 
-    if (typeof acceptanceRate !== 'number' || acceptanceRate < 0 || acceptanceRate > 100) {
-      logger.warn(`Update acceptance rate failed: Invalid acceptance rate ${acceptanceRate}`, { productId });
-      return res.status(400).json({ success: false, message: 'Acceptance rate must be between 0 and 100' });
-    }
-
     const listing = await listingModel.findOneAndUpdate(
       { 'productInfo.productId': productId },
       { 'seller.acceptanceRate': acceptanceRate },
@@ -2162,31 +2367,25 @@ export const updateAcceptanceRate = async (req, res) => {
     logger.info(`Acceptance rate updated for listing ${productId} by admin ${req.user._id}`);
     res.status(200).json({ success: true, message: 'Acceptance rate updated', data: listing });
   } catch (error) {
-    logger.error(`Error updating acceptance rate: ${error.message}`, { stack: error.stack });
-    res.status(500).json({ success: false, message: 'Failed to update acceptance rate' });
+    next(error);
   }
 };
 
 // Update Conversion Rate (Admin Only)
-export const updateConversionRate = async (req, res) => {
+export const updateConversionRate = async (req, res, next) => {
   try {
     if (!req.user) {
       logger.warn('Update conversion rate failed: No user data in request');
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
-    if (!req.user.personalInfo?.isAdmin) {
-      logger.warn(`Update conversion rate failed: User ${req.user._id} not admin`);
+    if (!hasPermission(req.user, 'listings:manage')) {
+      logger.warn(`Update conversion rate failed: User ${req.user._id} lacks listings:manage`);
       return res.status(403).json({ success: false, message: 'Admin access required' });
     }
 
     const { productId } = req.params;
     const { conversionRate } = req.body;
 
-    if (typeof conversionRate !== 'number' || conversionRate < 0 || conversionRate > 100) {
-      logger.warn(`Update conversion rate failed: Invalid conversion rate ${conversionRate}`, { productId });
-      return res.status(400).json({ success: false, message: 'Conversion rate must be between 0 and 100' });
-    }
-
     const listing = await listingModel.findOneAndUpdate(
       { 'productInfo.productId': productId },
       { 'analytics.conversionRate': conversionRate },
@@ -2200,18 +2399,17 @@ export const updateConversionRate = async (req, res) => {
     logger.info(`Conversion rate updated for listing ${productId} by admin ${req.user._id}`);
     res.status(200).json({ success: true, message: 'Conversion rate updated', data: listing });
   } catch (error) {
-    logger.error(`Error updating conversion rate: ${error.message}`, { stack: error.stack });
-    res.status(500).json({ success: false, message: 'Failed to update conversion rate' });
+    next(error);
   }
 };
 
-export const getSellerListings = async (req, res) => {
+export const getSellerListings = async (req, res, next) => {
   try {
     console.log("Seller started fetching listings");
     const { sellerId } = req.params;
     const listings = await listingModel
       .find({ 'seller.sellerId': sellerId })
-      .select('-aiFindings') // Exclude aiFindings field
+      .select('-aiFindings -moderation') // Exclude review data
       .sort({ createdAt: -1 }) // Sort by creation date, newest first
       .lean(); // Convert to plain JavaScript objects
 
@@ -2223,13 +2421,17 @@ export const getSellerListings = async (req, res) => {
     logger.info(`Fetched ${listings.length} listings for seller ${sellerId}`);
     res.status(200).json({ success: true, data: listings });
   } catch (error) {
-    console.log("Error fetching seller listings:", error);
-    logger.error(`Error fetching seller listings: ${error.message}`, { stack: error.stack });
-    res.status(500).json({ success: false, message: 'Failed to fetch seller listings' });
+    next(error);
   }
 };
-// Get Pending Listings (Admin Only)
-export const getPendingListings = async (req, res) => {
+/**
+ * @route GET /api/listings/admin/pending
+ * @desc Moderation queue: listings awaiting review, oldest submission first, with their SLA status and,
+ *       for resubmissions, what the seller changed
+ * @access Private (Admin)
+ * @query { assignedTo: 'me' | 'unassigned' | userId, overdue, page, limit }
+ */
+export const getPendingListings = async (req, res, next) => {
   try {
     if (!req.user) {
       logger.warn('Get pending listings failed: No user data in request');
@@ -2237,24 +2439,66 @@ export const getPendingListings = async (req, res) => {
     }
     const adminId = req.user._id.toString();
     const admin = await userModel.findById(adminId);
-    if (!admin || !admin.personalInfo?.isAdmin) {
+    if (!admin || !hasPermission(admin, 'listings:moderate')) {
       logger.warn(`Get pending listings failed: User ${adminId} not admin`);
       return res.status(403).json({ success: false, message: 'Admin access required' });
     }
 
-    const listings = await listingModel
-      .find({ verified: 'Pending' })
-      .populate('seller.sellerId', 'personalInfo.fullname personalInfo.phone')
+    const { assignedTo, overdue } = req.query;
+    const page = parseInt(req.query.page || 1);
+    const limit = parseInt(req.query.limit || 20);
+    const filter = { verified: 'Pending' };
+    if (assignedTo) {
+      filter['moderation.assignedTo'] = assignedTo === 'unassigned' ? null : assignedTo === 'me' ? admin._id : assignedTo;
+    }
+    if (overdue !== undefined) {
+      // Listings from before the queue existed have no submittedAt and count from their creation
+      const overdueBefore = new Date(Date.now() - MODERATION_SLA_HOURS * 60 * 60 * 1000);
+      filter.$expr = { [String(overdue) === 'true' ? '$lt' : '$gte']: [{ $ifNull: ['$moderation.submittedAt', '$createdAt'] }, overdueBefore] };
+    }
+
+    const [listings, total] = await Promise.all([
+      listingModel
+        .find(filter)
+        .select('-moderation.history')
+        .sort({ 'moderation.submittedAt': 1, createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('seller.sellerId', 'personalInfo.fullname personalInfo.phone')
+        .populate('moderation.assignedTo', 'personalInfo.fullname')
+        .lean(),
+      listingModel.countDocuments(filter),
+    ]);
+
+    // The latest resubmission diff, so reviewers see what changed since the rejection
+    const resubmissions = await listingModel
+      .find({ _id: { $in: listings.filter(listing => listing.moderation?.resubmissions).map(listing => listing._id) } })
+      .select({ 'moderation.history': { $slice: -10 } })
       .lean();
+    const lastChanges = new Map(resubmissions.map(listing => [
+      listing._id.toString(),
+      listing.moderation.history.filter(event => event.action === 'resubmitted').pop() || null,
+    ]));
+
+    const now = new Date();
+    const data = listings.map(listing => ({
+      ...listing,
+      sla: getSlaStatus(listing, now),
+      resubmission: lastChanges.get(listing._id.toString()) || null,
+    }));
+
     logger.info(`Fetched ${listings.length} pending listings by admin ${req.user._id}`);
-    res.status(200).json({ success: true, data: listings });
+    res.status(200).json({
+      success: true,
+      data,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
   } catch (error) {
-    logger.error(`Errgsor fetching pending listings: ${error.message}`, { stack: error.stack, userId: req.user?._id });
-    res.status(500).json({ success: false, message: 'Failed to fetch pending listings' });
+    next(error);
   }
 };
 
-export const approveListing = async (req, res) => {
+export const approveListing = async (req, res, next) => {
   try {
     if (!req.user) {
       logger.warn('Approve listing failed: No user data in request');
@@ -2262,7 +2506,7 @@ export const approveListing = async (req, res) => {
     }
     const adminId = req.user._id.toString();
     const admin = await userModel.findById(adminId);
-    if (!admin || !admin.personalInfo?.isAdmin) {
+    if (!admin || !hasPermission(admin, 'listings:moderate')) {
       logger.warn(`Approve listing failed: User ${adminId} not admin`);
       return res.status(403).json({ success: false, message: 'Admin access required' });
     }
@@ -2288,14 +2532,13 @@ export const approveListing = async (req, res) => {
       data: listing,
     });
   } catch (error) {
-    logger.error(`Error approving listing: ${error.message}`, { stack: error.stack });
-    res.status(500).json({ success: false, message: 'Failed to approve listing' });
+    next(error);
   }
 
 }
 
 // Get Featured Listings
-export const getFeaturedListings = async (req, res) => {
+export const getFeaturedListings = async (req, res, next) => {
   try {
     const listings = await listingModel
       .find({ featured: true, verified: 'Verified', isSold: false, isActive: true })
@@ -2304,19 +2547,14 @@ export const getFeaturedListings = async (req, res) => {
     logger.info(`Fetched ${listings.length} featured and active listings`);
     res.status(200).json({ success: true, data: listings });
   } catch (error) {
-    logger.error(`Error fetching featured listings: ${error.message}`, { stack: error.stack });
-    res.status(500).json({ success: false, message: 'Failed to fetch featured listings' });
+    next(error);
   }
 };
 
 // Get Listings Near
-export const getListingsNear = async (req, res) => {
+export const getListingsNear = async (req, res, next) => {
   try {
     const { lat, lng, maxDistance = 10000 } = req.query;
-    if (!lat || !lng) {
-      logger.warn('Get listings near failed: Latitude and longitude required');
-      return res.status(400).json({ success: false, message: 'Latitude and longitude required' });
-    }
 
     const listings = await listingModel
       .find({
@@ -2342,13 +2580,12 @@ export const getListingsNear = async (req, res) => {
     logger.info(`Fetched ${listings.length} active listings near [${lat}, ${lng}]`);
     res.status(200).json({ success: true, data: listings });
   } catch (error) {
-    logger.error(`Error fetching nearby listings: ${error.message}`, { stack: error.stack, lat, lng });
-    res.status(500).json({ success: false, message: 'Failed to fetch nearby listings' });
+    next(error);
   }
 };
 
-// Verify Listing (Admin Only)
-export const verifyListing = async (req, res) => {
+// Verify Listing (Admin Only): approve, or reject with reasons, guidance and a required-change checklist
+export const verifyListing = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
@@ -2359,40 +2596,72 @@ export const verifyListing = async (req, res) => {
     const adminId = req.user._id.toString();
     const admin = await userModel.findById(adminId).session(session);
 
-    if (!admin.personalInfo?.isAdmin) {
+    if (!admin || !hasPermission(admin, 'listings:moderate')) {
       logger.warn(`Verify listing failed: User ${req.user._id} not admin`);
       return res.status(403).json({ success: false, message: 'Admin access required' });
     }
 
     const { productId } = req.params;
-    const { status } = req.body;
-
-    if (!['Verified', 'Rejected'].includes(status)) {
-      logger.warn(`Verify listing failed: Invalid status ${status}`, { productId });
-      return res.status(400).json({ success: false, message: 'Status must be "Verified" or "Rejected"' });
-    }
+    const { status, reasons = [], note, findingIds, requiredChanges = [] } = req.body;
 
     const listing = await listingModel.findOne({ 'productInfo.productId': productId }).session(session);
     if (!listing) {
       logger.warn(`Verify listing failed: Listing ${productId} not found`);
       return res.status(404).json({ success: false, message: 'Listing not found' });
     }
+    const assignedTo = listing.moderation?.assignedTo?.toString();
+    if (listing.verified === 'Pending' && assignedTo && assignedTo !== adminId) {
+      logger.warn(`Verify listing failed: Listing ${productId} is assigned to ${assignedTo}`, { adminId });
+      return res.status(409).json({ success: false, message: 'This listing is assigned to another reviewer. Reassign it first.' });
+    }
+    if (status === 'Rejected' && !reasons.length) {
+      return res.status(400).json({ success: false, message: 'Select at least one rejection reason' });
+    }
+    const unknownFindings = (findingIds || []).filter(id => !listing.aiFindings.some(finding => finding._id.toString() === id));
+    if (unknownFindings.length) {
+      return res.status(400).json({ success: false, message: `Unknown AI findings: ${unknownFindings.join(', ')}` });
+    }
 
+    const now = new Date();
+    const turnaroundMinutes = Math.round((now - new Date(getSubmittedAt(listing))) / 60000);
     listing.verified = status;
+    listing.moderation.decidedBy = adminId;
+    listing.moderation.decidedAt = now;
+    listing.moderation.assignedTo = null;
+    listing.moderation.assignedAt = null;
+    if (status === 'Rejected') {
+      // The checklist: the chosen AI findings (high-priority ones by default) plus the reviewer's own items
+      listing.moderation.rejectionReasons = reasons;
+      listing.moderation.rejectionNote = note ? sanitizeHtml(note.trim()) : null;
+      listing.moderation.requiredChanges = [
+        ...requiredChangesFromFindings(listing.aiFindings, findingIds),
+        ...requiredChanges.map(change => ({
+          title: sanitizeHtml(change.title.trim()),
+          action: change.action ? sanitizeHtml(change.action.trim()) : undefined,
+          source: 'moderator',
+        })),
+      ];
+    } else {
+      listing.moderation.rejectionReasons = [];
+      listing.moderation.rejectionNote = null;
+      listing.moderation.requiredChanges = [];
+    }
+    listing.moderation.history.push({
+      action: status === 'Verified' ? 'approved' : 'rejected',
+      by: adminId,
+      at: now,
+      reasons: status === 'Rejected' ? reasons : [],
+      note: listing.moderation.rejectionNote || undefined,
+      turnaroundMinutes,
+    });
     await listing.save({ session });
 
-    const findingsSummary = listing.aiFindings
-      ? listing.aiFindings
-          .map((finding) => `- ${finding.title} (${finding.priority}): ${finding.description} [Action: ${finding.action}]`)
-          .join('\n')
-      : 'No AI findings available.';
-
     // Notify seller
     const notificationType = status === 'Verified' ? 'listing_verified' : 'listing_rejected';
     const notificationContent =
       status === 'Verified'
-        ? `Your listing "${listing.productInfo.name}" has been manually verified by an admin and is now live!`
-        : `Your listing "${listing.productInfo.name}" was manually rejected by an admin. AI Findings:\n${findingsSummary}`;
+        ? `Your listing "${listing.productInfo.name}" has been manually verified by an admin and ${listing.publishAt ? `will go live ${listing.publishAt > now ? `on ${listing.publishAt.toUTCString()}` : 'shortly'}` : 'is now live!'}`
+        : `Your listing "${listing.productInfo.name}" was rejected by a reviewer. Update it to resubmit it for review.\n${describeRejection(listing.moderation)}`;
     await sendNotification(
       listing.seller.sellerId,
       notificationType,
@@ -2410,8 +2679,7 @@ export const verifyListing = async (req, res) => {
     });
   } catch (error) {
     await session.abortTransaction();
-    logger.error(`Error verifying listing: ${error.message}`, { stack: error.stack });
-    res.status(500).json({ success: false, message: 'Failed to verify listing' });
+    next(error);
   } finally {
     session.endSession();
   }
@@ -2423,7 +2691,7 @@ export const verifyListing = async (req, res) => {
  * @desc Update all listings to set isActive to true, initialize aiFindings, and set expiresAt to 30 days from now, and notify sellers
  * @access Private (admin-only, add authentication middleware if needed)
  */
-export const updateAllListings = async (req, res) => {
+export const updateAllListings = async (req, res, next) => {
   try {
     // Calculate expiration date (30 days from now)
     const thirtyDaysFromNow = new Date();
@@ -2436,6 +2704,9 @@ export const updateAllListings = async (req, res) => {
         $set: {
           isActive: true,
           expiresAt: thirtyDaysFromNow,
+          expiryReminderSentAt: null,
+          expiredAt: null,
+          publishAt: null,
           aiFindings: [] // Initialize aiFindings as empty array if not present
         }
       }
@@ -2544,18 +2815,13 @@ export const updateAllListings = async (req, res) => {
       message: `Successfully updated ${updateResult.modifiedCount} listings and notified sellers`,
     });
   } catch (error) {
-    logger.error(`Error updating listings: ${error.message}`, { stack: error.stack });
-    return res.status(500).json({ success: false, message: 'Failed to update listings' });
+    return next(error);
   }
 };
 
-export const checkInventory = async (req, res) => {
+export const checkInventory = async (req, res, next) => {
   try {
-    const { items } = req.body; // Expecting an array of { productId, quantity }
-    if (!Array.isArray(items) || items.length === 0) {
-      logger.warn('Check inventory failed: Items array required');
-      return res.status(400).json({ success: false, message: 'Items array required' });
-    }
+    const { items } = req.body; // Expecting an array of { productId, quantity, size, color }
     const productIds = items.map(item => item.productId);
     const listings = await listingModel.find({ 'productInfo.productId': { $in: productIds } }).lean();
     const inventoryStatus = items.map(item => {
@@ -2563,17 +2829,126 @@ export const checkInventory = async (req, res) => {
       if (!listing) {
         return { productId: item.productId, available: false, message: 'Listing not found' };
       }
-      if (listing.isSold || listing.inventory <= 0) {
-        return { productId: item.productId, available: false, message: 'Out of stock' };
+      let variant = null;
+      if (listing.variants?.length) {
+        variant = findListingVariant(listing, item.size, item.color);
+        if (!variant) {
+          return { productId: item.productId, available: false, message: 'Selected size/color is not available' };
+        }
+      }
+      const stock = getAvailableStock(listing, variant);
+      const base = { productId: item.productId, sku: variant?.sku, price: getListingUnitPrice(listing, variant) };
+      if (listing.isSold || stock <= 0) {
+        return { ...base, available: false, message: 'Out of stock' };
       }
-      if (item.quantity > listing.inventory) {
-        return { productId: item.productId, available: false, message: `Only ${listing.inventory} left in stock` };
+      if (item.quantity > stock) {
+        return { ...base, available: false, message: `Only ${stock} left in stock` };
       }
-      return { productId: item.productId, available: true, message: 'In stock' };
+      return { ...base, available: true, message: 'In stock' };
     });
     res.status(200).json({ success: true, data: inventoryStatus });
   } catch (error) { 
-    logger.error(`Error checking inventory: ${error.message}`, { stack: error.stack });
-    res.status(500).json({ success: false, message: 'Failed to check inventory' });
+    next(error);
+  }
+}
+
+// Staff who review listings, orders or disputes can read any listing's revisions
+const REVISION_READ_PERMISSIONS = ['listings:moderate', 'listings:manage', 'disputes:manage', 'orders:read'];
+
+// The listing's seller, from the listing or, once it is deleted, from its revisions
+const findRevisionSeller = async (productId) => {
+  const listing = await listingModel.findOne({ 'productInfo.productId': productId }).select('seller.sellerId').lean();
+  if (listing) {
+    return listing.seller.sellerId;
+  }
+  const revision = await listingRevisionModel.findOne({ productId }).select('sellerId').lean();
+  if (!revision) {
+    throw new NotFoundError('Listing not found');
+  }
+  return revision.sellerId;
+};
+
+const canReadRevisions = (user, sellerId) => user._id.toString() === sellerId?.toString()
+  || REVISION_READ_PERMISSIONS.some(permission => hasPermission(user, permission));
+
+/**
+ * @route GET /api/listings/:productId/revisions
+ * @desc Revision history of a listing, newest first: who changed what, and when
+ * @access Private (the seller, or staff)
+ * @query { source, page, limit }
+ */
+export const getListingRevisions = async (req, res, next) => {
+  try {
+    const { productId } = req.params;
+    const userId = req.user._id.toString();
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const [user, sellerId] = await Promise.all([userModel.findById(userId), findRevisionSeller(productId)]);
+    if (!user || !canReadRevisions(user, sellerId)) {
+      throw new ForbiddenError('Only the seller or staff can view the revision history of this listing');
+    }
+
+    const filter = { productId, ...(req.query.source && { source: req.query.source }) };
+    const [revisions, total] = await Promise.all([
+      listingRevisionModel
+        .find(filter)
+        .select('-snapshot -listingId -sellerId')
+        .populate('editedBy', 'personalInfo.fullname')
+        .sort({ revision: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      listingRevisionModel.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: revisions,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route GET /api/listings/:productId/revisions/:revision
+ * @desc One revision of a listing with the listing as it stood at that revision. Buyers can read the
+ *       revision they ordered (orders record it per item).
+ * @access Private (the seller, staff, or a buyer of that revision)
+ */
+export const getListingRevision = async (req, res, next) => {
+  try {
+    const { productId } = req.params;
+    const revisionNumber = parseInt(req.params.revision, 10);
+    const userId = req.user._id.toString();
+
+    const [user, sellerId] = await Promise.all([userModel.findById(userId), findRevisionSeller(productId)]);
+    if (!user) {
+      throw new ForbiddenError('You cannot view this revision');
+    }
+    if (!canReadRevisions(user, sellerId)) {
+      const bought = await orderModel.exists({
+        customerId: userId,
+        items: { $elemMatch: { productId, listingRevision: revisionNumber } },
+      });
+      if (!bought) {
+        throw new ForbiddenError('You cannot view this revision');
+      }
+    }
+
+    const revision = await listingRevisionModel
+      .findOne({ productId, revision: revisionNumber })
+      .select('-listingId -sellerId')
+      .populate('editedBy', 'personalInfo.fullname')
+      .lean();
+    if (!revision) {
+      throw new NotFoundError('Revision not found');
+    }
+
+    res.status(200).json({ success: true, data: revision });
+  } catch (error) {
+    next(error);
   }
-}
\ No newline at end of file
+};
@@ -0,0 +1,185 @@
+// controllers/listingDraftController.js
+// Listing drafts: sellers save an unfinished listing, come back to it, and publish it when it is complete.
+// Publishing runs the draft through addListing like any new listing (see publishListingDraft).
+import { listingDraftModel, MAX_DRAFTS_PER_SELLER } from '../models/ListingDraft.js';
+import { addListingSchema } from '../schemas/listingSchemas.js';
+import { validateValue } from '../middlewares/validate.js';
+import { omitFields } from '../schemas/common.js';
+import { NotFoundError, RequestValidationError } from '../utils/errors.js';
+import { getScheduleError } from '../utils/publishScheduledListings.js';
+import logger from '../utils/logger.js';
+
+const DRAFT_FIELDS = ['productInfo', 'negotiable', 'location', 'inventory', 'variants', 'shippingOptions', 'publishAt'];
+
+// What a complete draft must have: a listing body, except the terms, which are accepted on publishing
+const completeDraftSchema = omitFields(addListingSchema.body, 'AgreedToTerms');
+
+// The draft as an addListing body, leaving out what the seller has not filled in
+const toListingBody = (draft) => Object.fromEntries(
+  DRAFT_FIELDS
+    .map(field => [field, field === 'publishAt' ? draft.publishAt?.toISOString() : draft[field]])
+    .filter(([field, value]) => value !== null && value !== undefined && !(field === 'variants' && !value.length))
+);
+
+// Fields still missing or invalid before the draft can be published
+const getMissingFields = (body) => {
+  const errors = validateValue(body, completeDraftSchema);
+  if (body.inventory === undefined && !body.variants?.length) {
+    errors.push({ field: 'inventory', message: 'is required unless variants are given' });
+  }
+  return errors;
+};
+
+const withCompleteness = (draft) => {
+  const missing = getMissingFields(toListingBody(draft));
+  return { ...draft, complete: !missing.length, missing };
+};
+
+const findOwnDraft = async (req) => {
+  const draft = await listingDraftModel.findOne({ _id: req.params.draftId, sellerId: req.user._id });
+  if (!draft) {
+    throw new NotFoundError('Draft not found');
+  }
+  return draft;
+};
+
+// Applies a draft body: productInfo is merged so a form can save one section at a time, other fields are replaced
+const applyDraftChanges = (draft, body) => {
+  DRAFT_FIELDS.forEach((field) => {
+    if (body[field] === undefined) return;
+    draft[field] = field === 'productInfo' ? { ...draft.productInfo, ...body.productInfo } : body[field];
+  });
+};
+
+/**
+ * @route POST /api/listings/drafts
+ * @desc Save an unfinished listing
+ * @access Private
+ */
+export const createListingDraft = async (req, res, next) => {
+  try {
+    const userId = req.user._id.toString();
+    const scheduleError = getScheduleError(req.body.publishAt);
+    if (scheduleError) {
+      return res.status(400).json({ success: false, message: scheduleError });
+    }
+    const drafts = await listingDraftModel.countDocuments({ sellerId: userId });
+    if (drafts >= MAX_DRAFTS_PER_SELLER) {
+      return res.status(409).json({ success: false, message: `You can keep at most ${MAX_DRAFTS_PER_SELLER} drafts. Publish or delete some first.` });
+    }
+
+    const draft = new listingDraftModel({ sellerId: userId });
+    applyDraftChanges(draft, req.body);
+    await draft.save();
+
+    logger.info(`Listing draft ${draft._id} created by ${userId}`);
+    res.status(201).json({ success: true, message: 'Draft saved', data: withCompleteness(draft.toObject()) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route GET /api/listings/drafts
+ * @desc The signed-in seller's drafts, most recently edited first, with what each still needs
+ * @access Private
+ * @query { page, limit }
+ */
+export const getListingDrafts = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const filter = { sellerId: req.user._id };
+    const [drafts, total] = await Promise.all([
+      listingDraftModel.find(filter).sort({ updatedAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      listingDraftModel.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: drafts.map(withCompleteness),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route GET /api/listings/drafts/:draftId
+ * @desc One of the signed-in seller's drafts
+ * @access Private
+ */
+export const getListingDraft = async (req, res, next) => {
+  try {
+    const draft = await findOwnDraft(req);
+    res.status(200).json({ success: true, data: withCompleteness(draft.toObject()) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route PATCH /api/listings/drafts/:draftId
+ * @desc Save more of a draft
+ * @access Private
+ */
+export const updateListingDraft = async (req, res, next) => {
+  try {
+    const draft = await findOwnDraft(req);
+    const scheduleError = getScheduleError(req.body.publishAt);
+    if (scheduleError) {
+      return res.status(400).json({ success: false, message: scheduleError });
+    }
+    applyDraftChanges(draft, req.body);
+    await draft.save();
+    res.status(200).json({ success: true, message: 'Draft saved', data: withCompleteness(draft.toObject()) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route DELETE /api/listings/drafts/:draftId
+ * @desc Discard a draft
+ * @access Private
+ */
+export const deleteListingDraft = async (req, res, next) => {
+  try {
+    const draft = await findOwnDraft(req);
+    await draft.deleteOne();
+    logger.info(`Listing draft ${draft._id} deleted by ${req.user._id}`);
+    res.status(200).json({ success: true, message: 'Draft deleted' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route POST /api/listings/drafts/:draftId/publish
+ * @desc Turns a complete draft into the addListing request (followed by addListing on the route), which
+ *       creates the listing and removes the draft. An incomplete draft fails with the fields still missing.
+ * @access Private
+ * @body { AgreedToTerms: true, publishAt?: date-time | null } - publishAt overrides the draft's schedule
+ */
+export const publishListingDraft = async (req, res, next) => {
+  try {
+    const draft = await findOwnDraft(req);
+    const body = {
+      ...toListingBody(draft),
+      ...(req.body.publishAt !== undefined && { publishAt: req.body.publishAt }),
+    };
+    const missing = getMissingFields(body);
+    if (missing.length) {
+      throw new RequestValidationError(
+        `Draft is not complete: ${missing.map(error => `${error.field} ${error.message}`).join('; ')}`,
+        missing.map(error => ({ location: 'draft', ...error }))
+      );
+    }
+    req.body = { ...body, AgreedToTerms: req.body.AgreedToTerms };
+    req.draft = draft;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,166 @@
+// controllers/listingImportController.js
+// Bulk listing import (CSV or JSON, processed in the background by utils/listingImports.js) and the matching export
+import { listingModel } from '../models/Listing.js';
+import { listingImportModel, MAX_IMPORT_ROWS } from '../models/ListingImport.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import { BadRequestError, ConflictError, NotFoundError } from '../utils/errors.js';
+import { LISTING_CSV_COLUMNS, processListingImports, toCsvRow, toListingRecord } from '../utils/listingImports.js';
+import logger from '../utils/logger.js';
+
+const REPORT_CSV_COLUMNS = ['row', 'productId', 'status', 'message', 'errors'];
+
+const sendCsv = (res, filename, csv) => {
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+  res.status(200).send(csv);
+};
+
+// The uploaded rows, as stored on the import
+const readRows = ({ format, csv, listings }) => {
+  if (format === 'json') {
+    if (!listings) {
+      throw new BadRequestError('listings is required for JSON imports');
+    }
+    return listings.map(data => ({ data }));
+  }
+
+  if (!csv) {
+    throw new BadRequestError('csv is required for CSV imports');
+  }
+  let parsed;
+  try {
+    parsed = parseCsv(csv);
+  } catch (parseError) {
+    throw new BadRequestError(`Invalid CSV: ${parseError.message}`);
+  }
+  const unknownColumns = parsed.columns.filter(column => !LISTING_CSV_COLUMNS.includes(column));
+  if (unknownColumns.length) {
+    throw new BadRequestError(`Unknown CSV columns: ${unknownColumns.join(', ')}. Expected: ${LISTING_CSV_COLUMNS.join(', ')}`);
+  }
+  return parsed.records.map(record => ({ line: record.line, data: record.values }));
+};
+
+/**
+ * @route POST /api/listings/imports
+ * @desc Upload listings in bulk. Rows with a productId update that listing, the others create listings.
+ *       The import runs in the background; poll GET /api/listings/imports/:importId for the per-row report.
+ * @access Private
+ * @body { format: 'csv' | 'json', csv?: string, listings?: Array, AgreedToTerms: true }
+ */
+export const createListingImport = async (req, res, next) => {
+  try {
+    const userId = req.user._id.toString();
+    const rows = readRows(req.body);
+    if (!rows.length) {
+      throw new BadRequestError('The upload has no listings');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new BadRequestError(`An import can hold at most ${MAX_IMPORT_ROWS} listings`);
+    }
+
+    const inProgress = await listingImportModel.exists({ sellerId: userId, status: { $in: ['queued', 'running'] } });
+    if (inProgress) {
+      throw new ConflictError('You already have an import in progress. Wait for it to finish.');
+    }
+
+    const listingImport = await listingImportModel.create({
+      sellerId: userId,
+      format: req.body.format,
+      agreedToTerms: req.body.AgreedToTerms,
+      rows,
+      summary: { total: rows.length },
+    });
+    // Start straight away; the every-minute job picks up anything a restart interrupted
+    processListingImports();
+
+    logger.info(`Listing import ${listingImport._id} queued by ${userId} with ${rows.length} rows`);
+    res.status(202).json({
+      success: true,
+      message: 'Import started',
+      data: { importId: listingImport._id, status: listingImport.status, summary: listingImport.summary },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route GET /api/listings/imports
+ * @desc The signed-in seller's imports, newest first (without the per-row results)
+ * @access Private
+ * @query { page, limit }
+ */
+export const getListingImports = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const filter = { sellerId: req.user._id };
+    const [imports, total] = await Promise.all([
+      listingImportModel.find(filter).select('-rows -results').sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      listingImportModel.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: imports,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route GET /api/listings/imports/:importId
+ * @desc An import's progress and per-row report; format=csv downloads the report as CSV
+ * @access Private
+ * @query { format = 'json' }
+ */
+export const getListingImport = async (req, res, next) => {
+  try {
+    const listingImport = await listingImportModel
+      .findOne({ _id: req.params.importId, sellerId: req.user._id })
+      .select('-rows')
+      .lean();
+    if (!listingImport) {
+      throw new NotFoundError('Import not found');
+    }
+
+    if (req.query.format === 'csv') {
+      const rows = listingImport.results.map(result => ({
+        ...result,
+        errors: result.fieldErrors.map(({ field, message }) => `${field} ${message}`).join('; '),
+      }));
+      return sendCsv(res, `listing-import-${listingImport._id}.csv`, toCsv(REPORT_CSV_COLUMNS, rows));
+    }
+    res.status(200).json({ success: true, data: listingImport });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route GET /api/listings/export
+ * @desc The signed-in seller's listings in the import format, for editing and importing back
+ * @access Private
+ * @query { format = 'json' }
+ */
+export const exportListings = async (req, res, next) => {
+  try {
+    const userId = req.user._id.toString();
+    const listings = await listingModel
+      .find({ 'seller.sellerId': userId })
+      .select('productInfo negotiable location inventory shippingOptions variants')
+      .sort({ createdAt: -1 })
+      .lean();
+    const records = listings.map(toListingRecord);
+
+    logger.info(`Seller ${userId} exported ${records.length} listings as ${req.query.format || 'json'}`);
+    if (req.query.format === 'csv') {
+      return sendCsv(res, `listings-${new Date().toISOString().slice(0, 10)}.csv`, toCsv(LISTING_CSV_COLUMNS, records.map(toCsvRow)));
+    }
+    res.status(200).json({ success: true, data: records });
+  } catch (error) {
+    next(error);
+  }
+};
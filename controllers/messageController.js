@@ -1,7 +1,9 @@
 import { Conversation, Message } from '../models/Message.js';
 import mongoose from 'mongoose';
 import sanitizeHtml from 'sanitize-html';
+import { userModel } from '../models/User.js';
 import logger from '../utils/logger.js';
+import { hasPermission } from '../utils/permissions.js';
 import { getOnlineUsers } from './socketController.js';
 import { sendNotification } from './notificationController.js';
 
@@ -21,18 +23,12 @@ const formatMessageUser = (user) => ({
 });
 
 // Get all conversations for a user
-export const getConversations = async (req, res) => {
+export const getConversations = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
     const { userId } = req.params;
 
-    // Validate userId
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-      logger.warn(`Get conversations failed: Invalid userId ${userId}`);
-      return res.status(400).json({ success: false, message: 'Invalid userId format' });
-    }
-
     // Fetch conversations
     const conversations = await Conversation.find({ participants: userId })
       .populate('participants', 'personalInfo.fullname personalInfo.profilePicture personalInfo.lastActive')
@@ -81,33 +77,19 @@ export const getConversations = async (req, res) => {
     res.status(200).json({ success: true, data: conversationsWithDetails });
   } catch (error) {
     await session.abortTransaction();
-    logger.error(`Error fetching conversations: ${error.message}`, {
-      stack: error.stack,
-      userId: req.params.userId,
-    });
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching conversations',
-      error: { message: error.message },
-    });
+    next(error);
   } finally {
     session.endSession();
   }
 };
 
 // Get messages between two users
-export const getMessages = async (req, res) => {
+export const getMessages = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
     const { sender, receiver } = req.params;
 
-    // Validate sender and receiver
-    if (!mongoose.Types.ObjectId.isValid(sender) || !mongoose.Types.ObjectId.isValid(receiver)) {
-      logger.warn(`Get messages failed: Invalid sender ${sender} or receiver ${receiver}`);
-      return res.status(400).json({ success: false, message: 'Invalid sender or receiver ID' });
-    }
-
     // Find conversation
     const conversation = await Conversation.findOne({
       participants: { $all: [sender, receiver] },
@@ -145,16 +127,7 @@ export const getMessages = async (req, res) => {
     });
   } catch (error) {
     await session.abortTransaction();
-    logger.error(`Error fetching messages: ${error.message}`, {
-      stack: error.stack,
-      sender: req.params.sender,
-      receiver: req.params.receiver,
-    });
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching messages',
-      error: { message: error.message },
-    });
+    next(error);
   } finally {
     session.endSession();
   }
@@ -173,20 +146,15 @@ export const sendMessage = async (req, res) => {
 };
 
 // Mark messages as read
-export const markMessagesRead = async (req, res) => {
+export const markMessagesRead = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
     const { conversationId, userId } = req.body;
 
-    // Validate inputs
-    if (!mongoose.Types.ObjectId.isValid(conversationId) || !mongoose.Types.ObjectId.isValid(userId)) {
-      logger.warn(`Mark messages read failed: Invalid conversationId ${conversationId} or userId ${userId}`);
-      return res.status(400).json({ success: false, message: 'Invalid conversationId or userId' });
-    }
-
     // Authorization check
-    if (req.user._id.toString() !== userId && !req.user.personalInfo.isAdmin) {
+    const requester = await userModel.findById(req.user._id).select('personalInfo.isAdmin personalInfo.roles').lean();
+    if (req.user._id.toString() !== userId && !hasPermission(requester, 'users:manage')) {
       logger.warn(`Mark messages read failed: User ${req.user._id} unauthorized for user ${userId}`);
       return res.status(403).json({ success: false, message: 'Unauthorized to mark messages' });
     }
@@ -237,12 +205,7 @@ export const markMessagesRead = async (req, res) => {
     });
   } catch (error) {
     await session.abortTransaction();
-    logger.error(`Error marking messages read: ${error.message}`);
-    res.status(500).json({
-      success: false,
-      message: 'Error marking messages read',
-      error: { message: error.message },
-    });
+    next(error);
   } finally {
     session.endSession();
   }
@@ -3,6 +3,7 @@ import mongoose from 'mongoose';
 import sanitizeHtml from 'sanitize-html';
 import { userModel } from '../models/User.js';
 import logger from '../utils/logger.js';
+import { hasPermission } from '../utils/permissions.js';
 import { sendEmail } from '../utils/sendEmail.js';
 import { notificationModel } from '../models/Notifications.js';
 
@@ -104,8 +105,22 @@ const getNotificationUrl = (type, sender, notificationId) => {
       return `/listings`; // Sender is productId
     case "listing_renewed" :
       return `/listings`;
+    case 'listing_expiring':
+    case 'listing_expired':
+    case 'listing_published':
+    case 'listing_import':
+      return `/dashboard/listings`;
+    case 'listing_resubmitted':
+    case 'moderation_assigned':
+      return `/admin/listings/pending`;
     case 'order_cancellation':
       return `/dashboard/orders`;
+    case 'offer':
+      return `/dashboard/offers`;
+    case 'payout':
+      return `/dashboard/payouts`;
+    case 'reconciliation':
+      return `/admin/payments/reconciliation`;
     case 'new_product':
       return `/listings`; // Sender is productId
     case 'report':
@@ -284,7 +299,7 @@ export const sendNotification = async (userId, type, content, sender, session =
  * @desc Save a user's push notification subscription
  * @access Private (requires JWT token)
  */
-export const savePushSubscription = async (req, res) => {
+export const savePushSubscription = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
@@ -297,12 +312,6 @@ export const savePushSubscription = async (req, res) => {
     const userId = req.user._id.toString();
     console.log(`Saving push subscription for user ${userId}`, { subscription });
 
-    // Validate input
-    if (!subscription || typeof subscription !== 'object') {
-      logger.warn(`Save push subscription failed: Invalid subscription data`, { userId });
-      return res.status(400).json({ success: false, message: 'Invalid subscription data' });
-    }
-
     // Validate user
     const user = await userModel.findById(userId).session(session);
 
@@ -320,8 +329,7 @@ export const savePushSubscription = async (req, res) => {
     res.status(200).json({ success: true, message: 'Subscription saved successfully' });
   } catch (error) {
     await session.abortTransaction();
-    logger.error(`Error saving push subscription: ${error.message}`, { stack: error.stack, userId: req.user?._id });
-    res.status(500).json({ success: false, message: 'Server error while saving subscription' });
+    next(error);
   } finally {
     session.endSession();
   }
@@ -333,7 +341,7 @@ export const savePushSubscription = async (req, res) => {
  * @desc Retrieve notifications for a user with pagination and filtering
  * @access Private (requires JWT token)
  */
-export const getNotifications = async (req, res) => {
+export const getNotifications = async (req, res, next) => {
   const { userId } = req.params;
   const { page = 1, limit = 20, isRead, type } = req.query;
 
@@ -342,16 +350,12 @@ export const getNotifications = async (req, res) => {
       logger.warn('Get notifications failed: No user data in request');
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
-    if (req.user._id.toString() !== userId && !req.user.personalInfo?.isAdmin) {
+    const requester = await userModel.findById(req.user._id).select('personalInfo.isAdmin personalInfo.roles').lean();
+    if (req.user._id.toString() !== userId && !hasPermission(requester, 'users:manage')) {
       logger.warn(`Get notifications failed: User ${req.user._id} unauthorized to access notifications for ${userId}`);
       return res.status(403).json({ success: false, message: 'Unauthorized to access these notifications' });
     }
 
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-      logger.warn(`Get notifications failed: Invalid userId ${userId}`, { requesterId: req.user._id });
-      return res.status(400).json({ success: false, message: 'Invalid userId' });
-    }
-
     const query = { userId };
     if (isRead !== undefined) query.isRead = isRead === 'true';
     if (type) query.type = type;
@@ -386,8 +390,7 @@ export const getNotifications = async (req, res) => {
       },
     });
   } catch (error) {
-    logger.error(`Error fetching notifications: ${error.message}`, { stack: error.stack, userId, requesterId: req.user?._id });
-    res.status(500).json({ success: false, message: 'Server error while fetching notifications' });
+    next(error);
   }
 };
 
@@ -397,7 +400,7 @@ export const getNotifications = async (req, res) => {
  * @desc Mark a single notification as read
  * @access Private (requires JWT token)
  */
-export const markAsRead = async (req, res) => {
+export const markAsRead = async (req, res, next) => {
   const { notificationId } = req.params;
 
   try {
@@ -406,18 +409,14 @@ export const markAsRead = async (req, res) => {
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
 
-    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
-      logger.warn(`Mark notification as read failed: Invalid notificationId ${notificationId}`, { requesterId: req.user._id });
-      return res.status(400).json({ success: false, message: 'Invalid notificationId' });
-    }
-
     const notification = await notificationModel.findById(notificationId);
     if (!notification) {
       logger.warn(`Mark notification as read failed: Notification ${notificationId} not found`, { requesterId: req.user._id });
       return res.status(404).json({ success: false, message: 'Notification not found' });
     }
 
-    if (notification.userId.toString() !== req.user._id.toString() && !req.user.personalInfo?.isAdmin) {
+    const requester = await userModel.findById(req.user._id).select('personalInfo.isAdmin personalInfo.roles').lean();
+    if (notification.userId.toString() !== req.user._id.toString() && !hasPermission(requester, 'users:manage')) {
       logger.warn(`Mark notification as read failed: User ${req.user._id} unauthorized for notification ${notificationId}`);
       return res.status(403).json({ success: false, message: 'Unauthorized to mark this notification' });
     }
@@ -441,8 +440,7 @@ export const markAsRead = async (req, res) => {
       data: notification,
     });
   } catch (error) {
-    logger.error(`Error marking notification as read: ${error.message}`, { stack: error.stack, notificationId, requesterId: req.user?._id });
-    res.status(500).json({ success: false, message: 'Server error while marking notification as read' });
+    next(error);
   }
 };
 
@@ -452,7 +450,7 @@ export const markAsRead = async (req, res) => {
  * @desc Mark all or specific notifications as read for a user
  * @access Private (requires JWT token)
  */
-export const markAllAsRead = async (req, res) => {
+export const markAllAsRead = async (req, res, next) => {
   const { userId, notificationIds } = req.body;
 
   try {
@@ -461,21 +459,12 @@ export const markAllAsRead = async (req, res) => {
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
 
-    if (req.user._id.toString() !== userId && !req.user.personalInfo?.isAdmin) {
+    const requester = await userModel.findById(req.user._id).select('personalInfo.isAdmin personalInfo.roles').lean();
+    if (req.user._id.toString() !== userId && !hasPermission(requester, 'users:manage')) {
       logger.warn(`Mark all notifications as read failed: User ${req.user._id} unauthorized for user ${userId}`);
       return res.status(403).json({ success: false, message: 'Unauthorized to mark these notifications' });
     }
 
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-      logger.warn(`Mark all notifications as read failed: Invalid userId ${userId}`, { requesterId: req.user._id });
-      return res.status(400).json({ success: false, message: 'Invalid userId' });
-    }
-
-    if (notificationIds && (!Array.isArray(notificationIds) || notificationIds.some(id => !mongoose.Types.ObjectId.isValid(id)))) {
-      logger.warn(`Mark all notifications as read failed: Invalid notificationIds`, { requesterId: req.user._id });
-      return res.status(400).json({ success: false, message: 'Invalid notificationIds' });
-    }
-
     let query = { userId, isRead: false };
     if (notificationIds && notificationIds.length > 0) {
       query._id = { $in: notificationIds };
@@ -501,7 +490,6 @@ export const markAllAsRead = async (req, res) => {
       data: { modifiedCount: updatedNotifications.modifiedCount },
     });
   } catch (error) {
-    logger.error(`Error marking all notifications as read: ${error.message}`, { stack: error.stack, userId, requesterId: req.user?._id });
-    res.status(500).json({ success: false, message: 'Server error while marking notifications as read' });
+    next(error);
   }
 };
\ No newline at end of file
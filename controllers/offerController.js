@@ -0,0 +1,428 @@
+// controllers/offerController.js
+import mongoose from 'mongoose';
+import sanitizeHtml from 'sanitize-html';
+import { offerModel } from '../models/Offer.js';
+import { listingModel } from '../models/Listing.js';
+import { userModel } from '../models/User.js';
+import logger from '../utils/logger.js';
+import { findListingVariant, getAvailableStock, getListingUnitPrice } from '../utils/variants.js';
+import { sendNotification } from './notificationController.js';
+
+const OFFER_TTL_HOURS = parseFloat(process.env.OFFER_TTL_HOURS || '48'); // Time the other party has to respond
+const ACCEPTED_OFFER_TTL_HOURS = parseFloat(process.env.ACCEPTED_OFFER_TTL_HOURS || '24'); // Time the buyer has to check out
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+// Marks an open offer as expired if its deadline has passed. Returns true when it expired.
+const expireIfDue = async (offer, session) => {
+  if (!['pending', 'countered', 'accepted'].includes(offer.status) || offer.expiresAt > new Date()) {
+    return false;
+  }
+  offer.status = 'expired';
+  offer.awaitingResponseFrom = null;
+  offer.history.push({ by: 'system', action: 'expired', amount: offer.amount });
+  await offer.save({ session });
+  logger.info(`Offer ${offer._id} expired`, { productId: offer.productId });
+  return true;
+};
+
+/**
+ * Make Offer
+ * @route POST /api/offers/:productId
+ * @desc Submit a price offer on a negotiable listing. Offers on a variant listing are for one size/color SKU.
+ * @access Private (requires JWT token)
+ * @body {amount, quantity, sku, size, color, message}
+ */
+export const makeOffer = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    if (!req.user) {
+      logger.warn('Make offer failed: No user data in request', { ip: req.ip });
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const { productId } = req.params;
+    const { amount, quantity = 1, sku, size, color, message = '' } = req.body;
+    const userId = req.user._id.toString();
+
+    const listing = await listingModel.findOne({ 'productInfo.productId': productId }).session(session);
+    if (!listing || listing.verified !== 'Verified' || !listing.isActive || listing.isSold) {
+      logger.warn(`Make offer failed: Listing ${productId} not found, not verified, inactive, or sold`, { userId });
+      return res.status(404).json({ success: false, message: 'Listing not found, not verified, inactive, or sold' });
+    }
+    if (!listing.negotiable) {
+      logger.warn(`Make offer failed: Listing ${productId} is not negotiable`, { userId });
+      return res.status(400).json({ success: false, message: 'This listing is not negotiable' });
+    }
+    if (listing.seller.sellerId.toString() === userId) {
+      logger.warn(`Make offer failed: User ${userId} attempted to make an offer on own listing`, { productId });
+      return res.status(403).json({ success: false, message: 'Sellers cannot make offers on their own products' });
+    }
+    let variant = null;
+    if (listing.variants.length) {
+      variant = sku ? listing.variants.find(v => v.sku === sku) : findListingVariant(listing, size, color);
+      if (!variant) {
+        logger.warn(`Make offer failed: Variant ${sku || `${size}/${color}`} not found`, { userId, productId });
+        return res.status(400).json({ success: false, message: 'Please select an available size and color' });
+      }
+    }
+    const listPrice = getListingUnitPrice(listing, variant);
+    if (amount >= listPrice) {
+      logger.warn(`Make offer failed: Amount ${amount} not below list price ${listPrice}`, { userId, productId, sku: variant?.sku });
+      return res.status(400).json({ success: false, message: 'Offer must be below the listed price' });
+    }
+    const stock = getAvailableStock(listing, variant);
+    if (quantity > stock) {
+      logger.warn(`Make offer failed: Quantity ${quantity} exceeds inventory ${stock}`, { userId, productId, sku: variant?.sku });
+      return res.status(400).json({ success: false, message: `Only ${stock} item(s) available` });
+    }
+
+    const buyer = await userModel.findById(userId).session(session);
+    if (!buyer) {
+      logger.warn(`Make offer failed: User ${userId} not found`);
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const existing = await offerModel.findOne({
+      productId,
+      buyerId: userId,
+      status: { $in: ['pending', 'countered', 'accepted'] },
+    }).session(session);
+    if (existing && !(await expireIfDue(existing, session))) {
+      logger.warn(`Make offer failed: User ${userId} already has an open offer on ${productId}`, { offerId: existing._id });
+      return res.status(409).json({
+        success: false,
+        message: 'You already have an open offer on this listing',
+        data: { offerId: existing._id },
+      });
+    }
+
+    const cleanMessage = sanitizeHtml(String(message)).slice(0, 500);
+    const [offer] = await offerModel.create([{
+      listingId: listing._id,
+      productId,
+      sku: variant?.sku || null,
+      buyerId: userId,
+      sellerId: listing.seller.sellerId,
+      listPrice,
+      amount,
+      quantity,
+      status: 'pending',
+      awaitingResponseFrom: 'seller',
+      expiresAt: hoursFromNow(OFFER_TTL_HOURS),
+      history: [{ by: 'buyer', action: 'offered', amount, message: cleanMessage }],
+    }], { session });
+
+    listing.analytics.negotiationAttempts = (listing.analytics.negotiationAttempts || 0) + 1;
+    await listing.save({ session });
+    await userModel.findByIdAndUpdate(
+      listing.seller.sellerId,
+      { $inc: { 'analytics.negotiationAttempts': 1 } },
+      { session }
+    );
+
+    const variantLabel = variant ? ` (${[variant.size, variant.color].filter(Boolean).join(' / ')})` : '';
+    await sendNotification(
+      listing.seller.sellerId,
+      'offer',
+      `${buyer.personalInfo.fullname} offered KES ${amount} for "${listing.productInfo.name}${variantLabel}" (listed at KES ${listPrice}).`,
+      userId,
+      session
+    );
+
+    await session.commitTransaction();
+    logger.info(`Offer ${offer._id} made on listing ${productId} by user ${userId}`, { amount, quantity, sku: offer.sku });
+    res.status(201).json({ success: true, message: 'Offer sent to seller', data: offer });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Respond to Offer
+ * @route PATCH /api/offers/:offerId/respond
+ * @desc Accept, reject or counter an offer. Sellers respond to buyer offers, buyers respond to seller counters.
+ * @access Private (requires JWT token)
+ * @body {action: 'accept'|'reject'|'counter', amount, message}
+ */
+export const respondToOffer = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    if (!req.user) {
+      logger.warn('Respond to offer failed: No user data in request', { ip: req.ip });
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const { offerId } = req.params;
+    const { action, amount, message = '' } = req.body;
+    const userId = req.user._id.toString();
+
+    const offer = await offerModel.findById(offerId).session(session);
+    if (!offer) {
+      logger.warn(`Respond to offer failed: Offer ${offerId} not found`, { userId });
+      return res.status(404).json({ success: false, message: 'Offer not found' });
+    }
+
+    const role = offer.sellerId.toString() === userId ? 'seller' : offer.buyerId.toString() === userId ? 'buyer' : null;
+    if (!role) {
+      logger.warn(`Respond to offer failed: User ${userId} is not a party to offer ${offerId}`);
+      return res.status(403).json({ success: false, message: 'Unauthorized to respond to this offer' });
+    }
+
+    if (await expireIfDue(offer, session)) {
+      await session.commitTransaction();
+      return res.status(410).json({ success: false, message: 'This offer has expired' });
+    }
+    if (!['pending', 'countered'].includes(offer.status)) {
+      logger.warn(`Respond to offer failed: Offer ${offerId} is ${offer.status}`, { userId });
+      return res.status(400).json({ success: false, message: `Offer is already ${offer.status}` });
+    }
+    if (offer.awaitingResponseFrom !== role) {
+      logger.warn(`Respond to offer failed: Offer ${offerId} is awaiting the ${offer.awaitingResponseFrom}`, { userId });
+      return res.status(400).json({ success: false, message: `Waiting for the ${offer.awaitingResponseFrom} to respond` });
+    }
+
+    const listing = await listingModel.findById(offer.listingId).session(session);
+    if (!listing || listing.isSold || !listing.isActive) {
+      logger.warn(`Respond to offer failed: Listing ${offer.productId} no longer available`, { userId, offerId });
+      return res.status(400).json({ success: false, message: 'Listing is no longer available' });
+    }
+
+    const cleanMessage = sanitizeHtml(String(message)).slice(0, 500);
+    const counterparty = role === 'seller' ? offer.buyerId : offer.sellerId;
+    let notificationContent;
+
+    if (action === 'accept') {
+      const variant = offer.sku ? listing.variants.find(v => v.sku === offer.sku) : null;
+      if (offer.sku && !variant) {
+        logger.warn(`Respond to offer failed: Variant ${offer.sku} of offer ${offerId} no longer exists`, { userId });
+        return res.status(400).json({ success: false, message: 'This size/color is no longer available' });
+      }
+      const stock = getAvailableStock(listing, variant);
+      if (offer.quantity > stock) {
+        logger.warn(`Respond to offer failed: Insufficient inventory for offer ${offerId}`, { userId });
+        return res.status(400).json({ success: false, message: `Only ${stock} item(s) available` });
+      }
+      offer.status = 'accepted';
+      offer.acceptedPrice = offer.amount;
+      offer.acceptedAt = new Date();
+      offer.awaitingResponseFrom = null;
+      offer.expiresAt = hoursFromNow(ACCEPTED_OFFER_TTL_HOURS);
+      offer.history.push({ by: role, action: 'accepted', amount: offer.amount, message: cleanMessage });
+      notificationContent = role === 'seller'
+        ? `Your offer of KES ${offer.amount} for "${listing.productInfo.name}" was accepted. Check out within ${ACCEPTED_OFFER_TTL_HOURS} hours to keep this price.`
+        : `The buyer accepted your counter of KES ${offer.amount} for "${listing.productInfo.name}".`;
+    } else if (action === 'reject') {
+      offer.status = 'rejected';
+      offer.awaitingResponseFrom = null;
+      offer.history.push({ by: role, action: 'rejected', amount: offer.amount, message: cleanMessage });
+      notificationContent = `Your ${role === 'seller' ? 'offer' : 'counter-offer'} of KES ${offer.amount} for "${listing.productInfo.name}" was declined.`;
+    } else {
+      if (typeof amount !== 'number' || amount <= 0 || amount >= offer.listPrice) {
+        logger.warn(`Respond to offer failed: Invalid counter amount ${amount}`, { userId, offerId });
+        return res.status(400).json({ success: false, message: 'Counter amount must be a positive number below the listed price' });
+      }
+      if (amount === offer.amount) {
+        logger.warn(`Respond to offer failed: Counter amount equals current amount`, { userId, offerId });
+        return res.status(400).json({ success: false, message: 'Counter amount must differ from the current offer. Accept the offer instead.' });
+      }
+      offer.status = 'countered';
+      offer.amount = amount;
+      offer.awaitingResponseFrom = role === 'seller' ? 'buyer' : 'seller';
+      offer.expiresAt = hoursFromNow(OFFER_TTL_HOURS);
+      offer.history.push({ by: role, action: 'countered', amount, message: cleanMessage });
+      notificationContent = `New counter-offer of KES ${amount} for "${listing.productInfo.name}".`;
+    }
+
+    await offer.save({ session });
+    await sendNotification(counterparty, 'offer', notificationContent, userId, session);
+
+    await session.commitTransaction();
+    logger.info(`Offer ${offerId} ${offer.status} by ${role} ${userId}`, { amount: offer.amount });
+    res.status(200).json({ success: true, message: `Offer ${offer.status}`, data: offer });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Withdraw Offer
+ * @route PATCH /api/offers/:offerId/withdraw
+ * @desc Buyer withdraws an open or accepted (but unused) offer
+ * @access Private (requires JWT token)
+ */
+export const withdrawOffer = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    if (!req.user) {
+      logger.warn('Withdraw offer failed: No user data in request', { ip: req.ip });
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const { offerId } = req.params;
+    const userId = req.user._id.toString();
+
+    const offer = await offerModel.findById(offerId).session(session);
+    if (!offer || offer.buyerId.toString() !== userId) {
+      logger.warn(`Withdraw offer failed: Offer ${offerId} not found for user ${userId}`);
+      return res.status(404).json({ success: false, message: 'Offer not found' });
+    }
+    if (!['pending', 'countered', 'accepted'].includes(offer.status)) {
+      logger.warn(`Withdraw offer failed: Offer ${offerId} is ${offer.status}`, { userId });
+      return res.status(400).json({ success: false, message: `Offer is already ${offer.status}` });
+    }
+
+    offer.status = 'withdrawn';
+    offer.awaitingResponseFrom = null;
+    offer.history.push({ by: 'buyer', action: 'withdrawn', amount: offer.amount });
+    await offer.save({ session });
+
+    await sendNotification(
+      offer.sellerId,
+      'offer',
+      `An offer of KES ${offer.amount} on your listing ${offer.productId} was withdrawn by the buyer.`,
+      userId,
+      session
+    );
+
+    await session.commitTransaction();
+    logger.info(`Offer ${offerId} withdrawn by user ${userId}`);
+    res.status(200).json({ success: true, message: 'Offer withdrawn', data: offer });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Get Offers
+ * @route GET /api/offers
+ * @desc List offers the user has made (role=buyer, default) or received (role=seller)
+ * @access Private (requires JWT token)
+ * @query {role, status, productId}
+ */
+export const getOffers = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      logger.warn('Get offers failed: No user data in request', { ip: req.ip });
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const { role = 'buyer', status, productId } = req.query;
+    const userId = req.user._id.toString();
+
+    const filter = { [role === 'seller' ? 'sellerId' : 'buyerId']: userId };
+    if (status) filter.status = String(status);
+    if (productId) filter.productId = String(productId);
+
+    const offers = await offerModel
+      .find(filter)
+      .sort({ updatedAt: -1 })
+      .populate('listingId', 'productInfo.name productInfo.images productInfo.price productInfo.productId')
+      .populate(role === 'seller' ? 'buyerId' : 'sellerId', 'personalInfo.fullname personalInfo.profilePicture')
+      .lean();
+
+    // Surface lapsed offers as expired even if the expiry job has not run yet
+    const now = new Date();
+    for (const offer of offers) {
+      if (['pending', 'countered', 'accepted'].includes(offer.status) && offer.expiresAt <= now) {
+        offer.status = 'expired';
+      }
+    }
+
+    logger.info(`Fetched ${offers.length} offers for ${role} ${userId}`);
+    res.status(200).json({ success: true, data: offers });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get Offer by ID
+ * @route GET /api/offers/:offerId
+ * @desc Get a single offer with its negotiation history
+ * @access Private (buyer or seller on the offer)
+ */
+export const getOfferById = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      logger.warn('Get offer failed: No user data in request', { ip: req.ip });
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const { offerId } = req.params;
+    const userId = req.user._id.toString();
+
+    const offer = await offerModel
+      .findById(offerId)
+      .populate('listingId', 'productInfo.name productInfo.images productInfo.price productInfo.productId')
+      .populate('buyerId sellerId', 'personalInfo.fullname personalInfo.profilePicture')
+      .lean();
+    if (!offer || (offer.buyerId._id.toString() !== userId && offer.sellerId._id.toString() !== userId)) {
+      logger.warn(`Get offer failed: Offer ${offerId} not found for user ${userId}`);
+      return res.status(404).json({ success: false, message: 'Offer not found' });
+    }
+
+    res.status(200).json({ success: true, data: offer });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resolves an accepted offer for checkout. The price was agreed for one variant, so the item must be that SKU.
+ * @param {string} offerId - Offer ID sent with the order item
+ * @param {string} buyerId - ID of the user placing the order
+ * @param {string} productId - Product the order item refers to
+ * @param {string|null} sku - Variant SKU the order item refers to (null for listings without variants)
+ * @param {number} quantity - Quantity being ordered
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<{error: boolean, message?: string, offer?: Object}>}
+ */
+export const resolveCheckoutOffer = async (offerId, buyerId, productId, sku, quantity, session) => {
+  if (!mongoose.Types.ObjectId.isValid(offerId)) {
+    return { error: true, message: `Invalid offerId: ${offerId}` };
+  }
+  const offer = await offerModel.findById(offerId).session(session);
+  if (!offer || offer.buyerId.toString() !== buyerId.toString() || offer.productId !== productId) {
+    return { error: true, message: `Offer ${offerId} not found for productId: ${productId}` };
+  }
+  if ((offer.sku || null) !== (sku || null)) {
+    return { error: true, message: `Offer ${offerId} was made for a different size/color` };
+  }
+  if (offer.status !== 'accepted') {
+    return { error: true, message: `Offer ${offerId} is ${offer.status}, not accepted` };
+  }
+  if (offer.expiresAt <= new Date()) {
+    return { error: true, message: `Offer ${offerId} has expired` };
+  }
+  if (quantity > offer.quantity) {
+    return { error: true, message: `Offer ${offerId} covers at most ${offer.quantity} item(s)` };
+  }
+  return { error: false, offer };
+};
+
+/**
+ * Marks an accepted offer as used by an order so it cannot be checked out twice.
+ * @param {Object} offer - Offer document returned by resolveCheckoutOffer
+ * @param {string} orderId - Order the offer was used on
+ * @param {Object} session - Mongoose session
+ */
+export const markOfferUsed = async (offer, orderId, session) => {
+  offer.status = 'used';
+  offer.orderId = orderId;
+  offer.history.push({ by: 'system', action: 'used', amount: offer.acceptedPrice });
+  await offer.save({ session });
+  logger.info(`Offer ${offer._id} used on order ${orderId}`);
+};
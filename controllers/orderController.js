@@ -6,9 +6,18 @@ import mongoose from 'mongoose';
 import sanitizeHtml from 'sanitize-html';
 import validator from 'validator';
 import logger from '../utils/logger.js';
+import { PaymentFailedError } from '../utils/errors.js';
+import { hasPermission } from '../utils/permissions.js';
 import { sendEmail } from '../utils/sendEmail.js';
 import { sendNotification } from './notificationController.js';
 import { initializePayment, initiatePayout, initiateRefund } from './swiftController.js';
+import { markOfferUsed, resolveCheckoutOffer } from './offerController.js';
+import { clearCartAfterOrder, getCheckoutItemsFromCart } from './cartController.js';
+import { findListingVariant, getListingUnitPrice } from '../utils/variants.js';
+import { quoteDelivery } from '../utils/deliveryFees.js';
+import { buildStatusEntry, findOrderItem, formatItemTracking, transitionOrderItem } from '../utils/orderStatus.js';
+import { postRefundJournal } from '../utils/ledger.js';
+import { ensureListingRevision, updateListingStock } from '../utils/listingRevisions.js';
 import {
   generateOrderEmailAdmin,
   generateOrderEmailBuyer,
@@ -42,13 +51,179 @@ const withRetry = async (fn, maxRetries = 3, operationName = 'operation') => {
     }
   }
 };
+
+// Checks the shape of client-supplied order items; prices and sellers are always taken from the listings
+const validateOrderItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return 'Your cart is empty. Please add items to place an order';
+  }
+  for (const item of items) {
+    if (!item.productId || typeof item.productId !== 'string') {
+      return 'Missing required item field: productId';
+    }
+    if (typeof item.quantity !== 'number' || !Number.isInteger(item.quantity) || item.quantity < 1) {
+      return 'Quantity must be a positive number';
+    }
+    if (item.offerId && !mongoose.Types.ObjectId.isValid(item.offerId)) {
+      return `Invalid offerId for productId: ${item.productId}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Prices order items from the listings (variant and accepted-offer prices included) and quotes delivery.
+ * Inventory is only checked here; callers decrement it once the order is saved.
+ * @param {Object} params - { items, deliveryAddress, fulfilment, buyerId }
+ * @param {Object} [session] - Mongoose session
+ * @returns {Object} { error, status, message } or { lines, shipments, subtotal, deliveryFee, totalAmount }
+ */
+const buildOrderQuote = async ({ items, deliveryAddress, fulfilment, buyerId }, session = null) => {
+  const lines = [];
+  const sellers = new Set();
+  for (const item of items) {
+    const listing = await listingModel.findOne({
+      'productInfo.productId': item.productId,
+      verified: 'Verified',
+      isSold: false,
+      inventory: { $gte: item.quantity },
+    }).session(session);
+    if (!listing) {
+      return { error: true, status: 400, message: `Listing not available for productId: ${item.productId}` };
+    }
+
+    const sellerId = listing.seller.sellerId.toString();
+    if (!sellers.has(sellerId)) {
+      const seller = await userModel.exists({ _id: sellerId }).session(session);
+      if (!seller) {
+        return { error: true, status: 404, message: `Seller ${sellerId} not found` };
+      }
+      sellers.add(sellerId);
+    }
+
+    // Variant listings sell a specific size/color SKU with its own stock and price
+    let variant = null;
+    if (listing.variants.length) {
+      variant = item.sku
+        ? listing.variants.find(v => v.sku === item.sku)
+        : findListingVariant(listing, item.size, item.color);
+      if (!variant || variant.inventory < item.quantity) {
+        return { error: true, status: 400, message: `Selected size/color is not available for productId: ${item.productId}` };
+      }
+    }
+
+    let offer = null;
+    if (item.offerId) {
+      if (!buyerId) {
+        return { error: true, status: 401, message: 'Please log in to check out with an accepted offer' };
+      }
+      const offerResult = await resolveCheckoutOffer(item.offerId, buyerId, item.productId, variant?.sku || null, item.quantity, session);
+      if (offerResult.error) {
+        return { error: true, status: 400, message: offerResult.message };
+      }
+      offer = offerResult.offer;
+    }
+
+    const unitPrice = offer ? offer.acceptedPrice : getListingUnitPrice(listing, variant);
+    lines.push({
+      item: { ...item, sellerId: listing.seller.sellerId },
+      listing,
+      variant,
+      offer,
+      unitPrice,
+      lineTotal: unitPrice * item.quantity,
+    });
+  }
+
+  const delivery = quoteDelivery(lines, deliveryAddress, fulfilment);
+  if (delivery.error) {
+    return { error: true, status: 400, message: delivery.message };
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+  return {
+    error: false,
+    lines,
+    shipments: delivery.shipments,
+    subtotal,
+    deliveryFee: delivery.deliveryFee,
+    totalAmount: subtotal + delivery.deliveryFee,
+  };
+};
+
+// Shapes a quote for API responses
+const formatOrderQuote = (quote) => ({
+  items: quote.lines.map(({ item, listing, variant, offer, unitPrice, lineTotal }) => ({
+    productId: item.productId,
+    sellerId: item.sellerId,
+    name: listing.productInfo.name,
+    quantity: item.quantity,
+    size: variant?.size || item.size || '',
+    color: variant?.color || item.color || '',
+    sku: variant?.sku || null,
+    offerId: offer?._id || null,
+    unitPrice,
+    lineTotal,
+  })),
+  shipments: quote.shipments,
+  subtotal: quote.subtotal,
+  deliveryFee: quote.deliveryFee,
+  totalAmount: quote.totalAmount,
+  currency: 'KES',
+});
+
+/**
+ * Quote Order
+ * @route POST /api/orders/quote
+ * @desc Price items and quote delivery fees per seller without placing an order
+ * @access Public (optional JWT token; required for fromCart and offer items)
+ * @body { items: [{ productId, quantity, size?, color?, sku?, offerId? }], deliveryAddress: { county, constituency }, fulfilment?: { [sellerId]: 'Delivery' | 'Local Pickup' }, fromCart? }
+ */
+export const quoteOrder = async (req, res, next) => {
+  try {
+    const { deliveryAddress, fulfilment, fromCart } = req.body;
+    let { items } = req.body;
+    const requesterId = req.user?._id?.toString() || null;
+
+    if (fromCart) {
+      if (!requesterId) {
+        logger.warn('Quote order failed: Cart quote requires authentication', { ip: req.ip });
+        return res.status(401).json({ success: false, message: 'Please log in to proceed' });
+      }
+      const cartResult = await getCheckoutItemsFromCart(requesterId);
+      if (cartResult.error) {
+        logger.warn(`Quote order failed: ${cartResult.message}`, { userId: requesterId, ip: req.ip });
+        return res.status(cartResult.status).json({ success: false, message: cartResult.message, data: cartResult.data });
+      }
+      items = cartResult.items;
+    }
+
+    const itemsError = validateOrderItems(items);
+    if (itemsError) {
+      logger.warn(`Quote order failed: ${itemsError}`, { userId: requesterId, ip: req.ip });
+      return res.status(400).json({ success: false, message: itemsError });
+    }
+
+    const quote = await buildOrderQuote({ items, deliveryAddress, fulfilment, buyerId: requesterId });
+    if (quote.error) {
+      logger.warn(`Quote order failed: ${quote.message}`, { userId: requesterId, ip: req.ip });
+      return res.status(quote.status).json({ success: false, message: quote.message });
+    }
+
+    logger.info(`Order quoted: ${quote.lines.length} items, total ${quote.totalAmount}`, { userId: requesterId });
+    res.status(200).json({ success: true, data: formatOrderQuote(quote) });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Place Order
  * @route POST /api/orders/place-order
  * @desc Create a new order and initiate payment
  * @access Private (requires JWT token)
  */
-export const placeOrder = async (req, res) => {
+export const placeOrder = async (req, res, next) => {
   const session = await mongoose.startSession({ defaultTransactionOptions: { timeout: SESSION_TIMEOUT } });
   let transactionCommitted = false;
   session.startTransaction();
@@ -58,7 +233,8 @@ export const placeOrder = async (req, res) => {
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
 
-    const { customerId, totalAmount, items, deliveryAddress, deliveryFee, paymentPhone } = req.body;
+    const { customerId, deliveryAddress, paymentPhone, fromCart, fulfilment } = req.body;
+    let { items } = req.body;
     const requesterId = req.user._id.toString();
 
     if (requesterId !== customerId) {
@@ -66,65 +242,27 @@ export const placeOrder = async (req, res) => {
       return res.status(403).json({ success: false, message: 'Unauthorized to place order for this customer' });
     }
 
-    const requiredFields = ['customerId', 'totalAmount', 'items', 'deliveryAddress', 'deliveryFee'];
-    for (const field of requiredFields) {
-      if (!req.body[field] && req.body[field] !== 0) {
-        logger.warn(`Place order failed: Missing required field ${field}`, { userId: requesterId, ip: req.ip });
-        return res.status(400).json({ success: false, message: `Missing required field: ${field}` });
+    // Orders placed from the server-side cart take items from the cart, not the client
+    if (fromCart) {
+      const cartResult = await getCheckoutItemsFromCart(requesterId, session);
+      if (cartResult.error) {
+        logger.warn(`Place order failed: ${cartResult.message}`, { userId: requesterId, ip: req.ip });
+        return res.status(cartResult.status).json({ success: false, message: cartResult.message, data: cartResult.data });
       }
+      items = cartResult.items;
     }
 
-    if (!Array.isArray(items) || items.length === 0) {
-      logger.warn('Place order failed: Empty items array', { userId: requesterId, ip: req.ip });
-      return res.status(400).json({ success: false, message: 'Your cart is empty. Please add items to place an order' });
+    const itemsError = validateOrderItems(items);
+    if (itemsError) {
+      logger.warn(`Place order failed: ${itemsError}`, { userId: requesterId, ip: req.ip });
+      return res.status(400).json({ success: false, message: itemsError });
     }
 
-    if (typeof deliveryFee !== 'number' || deliveryFee < 0) {
-      logger.warn(`Place order failed: Invalid deliveryFee ${deliveryFee}`, { userId: requesterId, ip: req.ip });
-      return res.status(400).json({ success: false, message: 'Delivery fee must be a non-negative number' });
-    }
-
-    const itemRequiredFields = ['sellerId', 'quantity', 'name', 'productId', 'color', 'price'];
-    for (const item of items) {
-      for (const field of itemRequiredFields) {
-        if (!item[field]) {
-          logger.warn(`Place order failed: Missing item field ${field}`, { userId: requesterId, productId: item.productId, ip: req.ip });
-          return res.status(400).json({ success: false, message: `Missing required item field: ${field}` });
-        }
-      }
-      if (typeof item.quantity !== 'number' || item.quantity < 1) {
-        logger.warn(`Place order failed: Invalid quantity ${item.quantity}`, { userId: requesterId, productId: item.productId, ip: req.ip });
-        return res.status(400).json({ success: false, message: 'Quantity must be a positive number' });
-      }
-      if (typeof item.price !== 'number' || item.price <= 0) {
-        logger.warn(`Place order failed: Invalid price ${item.price}`, { userId: requesterId, productId: item.productId, ip: req.ip });
-        return res.status(400).json({ success: false, message: 'Price must be a positive number' });
-      }
-    }
-
-    const deliveryRequiredFields = ['county', 'constituency', 'nearestTown', 'phone'];
-    for (const field of deliveryRequiredFields) {
-      if (!deliveryAddress[field]) {
-        logger.warn(`Place order failed: Missing delivery address field ${field}`, { userId: requesterId, ip: req.ip });
-        return res.status(400).json({ success: false, message: `Missing required delivery address field: ${field}` });
-      }
-    }
     if (!/^\+?254[0-9]{9}$/.test(deliveryAddress.phone) && !/^\+?254[0-9]{9}$/.test(paymentPhone)) {
       logger.warn('Place order failed: Invalid phone', { userId: requesterId, ip: req.ip });
       return res.status(400).json({ success: false, message: 'Valid Kenyan phone number required in delivery address or payment number' });
     }
 
-    const calculatedTotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0) + deliveryFee;
-    if (Math.abs(totalAmount - calculatedTotal) > 0.01) {
-      logger.warn(`Place order failed: Total amount mismatch. Expected ${calculatedTotal}, got ${totalAmount}`, { userId: requesterId, ip: req.ip });
-      return res.status(400).json({ success: false, message: 'Total amount does not match item prices plus delivery fee' });
-    }
-
-    if (!mongoose.Types.ObjectId.isValid(customerId)) {
-      logger.warn(`Place order failed: Invalid customerId ${customerId}`, { userId: requesterId, ip: req.ip });
-      return res.status(400).json({ success: false, message: 'Invalid customerId' });
-    }
-
     const user = await userModel.findById(customerId).session(session);
     if (!user) {
       logger.warn(`Place order failed: Customer ${customerId} not found`, { userId: requesterId, ip: req.ip });
@@ -135,32 +273,36 @@ export const placeOrder = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Valid user email required for payment' });
     }
 
-    // Validate listings and sellers (but defer inventory updates)
-    const listings = new Map();
-    for (const item of items) {
-      if (!mongoose.Types.ObjectId.isValid(item.sellerId)) {
-        logger.warn(`Place order failed: Invalid sellerId ${item.sellerId}`, { userId: requesterId, productId: item.productId, ip: req.ip });
-        return res.status(400).json({ success: false, message: `Invalid sellerId: ${item.sellerId}` });
-      }
-      const seller = await userModel.findById(item.sellerId).session(session);
-      if (!seller) {
-        logger.warn(`Place order failed: Seller ${item.sellerId} not found`, { userId: requesterId, productId: item.productId, ip: req.ip });
-        return res.status(404).json({ success: false, message: `Seller ${item.sellerId} not found` });
-      }
+    // Price items, validate listings/variants/offers and quote delivery (inventory updates are deferred)
+    const quote = await buildOrderQuote({ items, deliveryAddress, fulfilment, buyerId: requesterId }, session);
+    if (quote.error) {
+      logger.warn(`Place order failed: ${quote.message}`, { userId: requesterId, ip: req.ip });
+      return res.status(quote.status).json({ success: false, message: quote.message });
+    }
+
+    // Clients that still send prices/totals must agree with the server quote before we charge them
+    const clientPriceMismatch = quote.lines.some(({ item, unitPrice }) => typeof item.price === 'number' && item.price !== unitPrice);
+    const clientTotalMismatch = typeof req.body.totalAmount === 'number' && Math.abs(req.body.totalAmount - quote.totalAmount) > 0.01;
+    if (clientPriceMismatch || clientTotalMismatch) {
+      logger.warn(`Place order failed: Client total ${req.body.totalAmount} differs from quote ${quote.totalAmount}`, { userId: requesterId, ip: req.ip });
+      return res.status(409).json({
+        success: false,
+        message: 'Prices or delivery fees have changed. Please review the updated order total.',
+        data: formatOrderQuote(quote),
+      });
+    }
 
-      const listing = await listingModel.findOne({
-        'productInfo.productId': item.productId,
-        verified: 'Verified',
-        isSold: false,
-        inventory: { $gte: item.quantity },
-      }).session(session);
+    const { totalAmount, deliveryFee } = quote;
 
-      if (!listing) {
-        logger.warn(`Place order failed: Listing ${item.productId} not found, not verified, sold, or insufficient inventory`, { userId: requesterId, ip: req.ip });
-        return res.status(400).json({ success: false, message: `Listing not available for productId: ${item.productId}` });
+    // Pin each item to the listing revision the buyer saw, for disputes
+    // (variant lines of one listing share its revision)
+    const revisions = new Map();
+    for (const line of quote.lines) {
+      const listingId = line.listing._id.toString();
+      if (!revisions.has(listingId)) {
+        revisions.set(listingId, await ensureListingRevision(line.listing, session));
       }
-
-      listings.set(item.productId, listing);
+      line.revision = revisions.get(listingId);
     }
 
     // Generate orderId as string
@@ -172,15 +314,19 @@ export const placeOrder = async (req, res) => {
       totalAmount,
       deliveryFee,
       status: 'pending',
-      items: items.map(item => ({
-        sellerId: new mongoose.Types.ObjectId(item.sellerId),
+      items: quote.lines.map(({ item, listing, variant, offer, unitPrice, revision }) => ({
+        sellerId: listing.seller.sellerId,
         quantity: item.quantity,
-        name: sanitizeHtml(item.name),
+        name: sanitizeHtml(listing.productInfo.name),
         productId: sanitizeHtml(item.productId),
-        color: sanitizeHtml(item.color),
-        price: item.price,
-        size: item.size ? sanitizeHtml(item.size) : undefined,
+        color: sanitizeHtml(variant?.color || item.color || 'Default'),
+        price: unitPrice,
+        size: variant?.size || item.size ? sanitizeHtml(variant?.size || item.size) : undefined,
+        sku: variant?.sku || null,
+        offerId: offer?._id || null,
+        listingRevision: revision,
         status: 'pending',
+        statusHistory: [buildStatusEntry('pending', { actor: customerId, actorRole: 'buyer', note: 'Order placed' })],
         cancelled: false,
       })),
       deliveryAddress: {
@@ -191,35 +337,47 @@ export const placeOrder = async (req, res) => {
         specificLocation: sanitizeHtml(deliveryAddress.specificLocation || ''),
         phone: sanitizeHtml(deliveryAddress.phone),
       },
+      deliveryBreakdown: quote.shipments.map(({ sellerId, method, zone, fee, productIds }) => ({ sellerId, method, zone, fee, productIds })),
     };
 
     const newOrder = new orderModel(orderData);
     const savedOrder = await newOrder.save({ session });
     logger.debug(`Saved order`, { orderId: savedOrder.orderId });
 
+    for (const { offer } of quote.lines) {
+      if (offer) {
+        await markOfferUsed(offer, savedOrder.orderId, session);
+      }
+    }
+
     // Initialize payment (uses savedOrder._id)
     const paymentResult = await withRetry(() => initializePayment(savedOrder._id, session, user.personalInfo.email, deliveryFee, paymentPhone), 3, `Initialize payment for order ${orderIdStr}`);
     if (paymentResult.error) {
       logger.warn(`Place order failed: Payment initialization failed - ${paymentResult.message}`, { userId: requesterId, orderId: savedOrder.orderId });
-      throw new Error(paymentResult.message);
+      throw new PaymentFailedError(paymentResult.message, { cause: paymentResult.cause });
     }
 
     // Now update listings inventory (after payment init success)
-    for (const [productId, listing] of listings) {
-      const item = items.find(i => i.productId === productId);
-      const updatedListing = await listingModel.findOneAndUpdate(
-        { 'productInfo.productId': productId, verified: 'Verified', isSold: false, inventory: { $gte: item.quantity } },
-        {
-          $inc: { inventory: -item.quantity, 'analytics.ordersNumber': 1 },
-          $set: { isSold: listing.inventory - item.quantity <= 0 },
-        },
-        { session, new: true }
-      );
+    // One update per order line so several variants of the same listing are each decremented
+    for (const { item, variant } of quote.lines) {
+      const { productId } = item;
+      const listingFilter = { 'productInfo.productId': productId, verified: 'Verified', isSold: false, inventory: { $gte: item.quantity } };
+      const inventoryInc = { inventory: -item.quantity, 'analytics.ordersNumber': 1 };
+      const updateOptions = { session };
+      if (variant) {
+        listingFilter.variants = { $elemMatch: { sku: variant.sku, inventory: { $gte: item.quantity } } };
+        inventoryInc['variants.$[variant].inventory'] = -item.quantity;
+        updateOptions.arrayFilters = [{ 'variant.sku': variant.sku }];
+      }
+      const updatedListing = await updateListingStock(listingFilter, { $inc: inventoryInc }, updateOptions, { editedBy: requesterId });
 
       if (!updatedListing) {
         logger.warn(`Place order failed: Failed to update listing ${productId}`, { userId: requesterId, ip: req.ip });
         throw new Error(`Failed to update listing for productId: ${productId}`);
       }
+      if (updatedListing.inventory <= 0) {
+        await listingModel.updateOne({ _id: updatedListing._id }, { $set: { isSold: true } }, { session });
+      }
     }
 
     // Update user orders and stats
@@ -229,14 +387,18 @@ export const placeOrder = async (req, res) => {
       { session }
     );
 
-    for (const item of items) {
+    for (const { listing } of quote.lines) {
       await userModel.updateOne(
-        { _id: item.sellerId },
+        { _id: listing.seller.sellerId },
         { $inc: { 'stats.pendingOrdersCount': 1 } },
         { session }
       );
     }
 
+    if (fromCart) {
+      await clearCartAfterOrder(requesterId, session);
+    }
+
     await session.commitTransaction();
     transactionCommitted = true;
     logger.info(`Transaction committed for order ${savedOrder.orderId}`, { userId: requesterId });
@@ -273,14 +435,13 @@ export const placeOrder = async (req, res) => {
       await session.abortTransaction();
       logger.info(`Transaction aborted for order attempt`, { userId: req.user?._id });
     }
-    logger.error(`Error placing order: ${error.message}`, { stack: error.stack, userId: req.user?._id });
-    res.status(500).json({ success: false, message: `Server error: ${error.message}` });
+    next(error);
   } finally {
     session.endSession();
   }
 };
 
-export const retryOrderPayment = async (req, res) => {
+export const retryOrderPayment = async (req, res, next) => {
   const session = await mongoose.startSession({ defaultTransactionOptions: { timeout: SESSION_TIMEOUT } });
   let transactionCommitted = false;
   session.startTransaction();
@@ -292,10 +453,6 @@ export const retryOrderPayment = async (req, res) => {
     const { orderId } = req.params;
     const { phone } = req.body;
     const requesterId = req.user._id.toString();
-    if (!orderId) {
-      logger.warn('Retry order payment failed: Missing orderId', { userId: requesterId, ip: req.ip });
-      return res.status(400).json({ success: false, message: 'Missing orderId parameter' });
-    }
     const order = await orderModel.findOne({ orderId }).session(session);
     console.log("order status:",order.status)
     if (!order) {
@@ -337,7 +494,7 @@ export const retryOrderPayment = async (req, res) => {
     const paymentResult = await withRetry(() => initializePayment(order._id, session, user.personalInfo.email, order.deliveryFee, phone), 3, `Initialize payment for order ${order.orderId}`);
     if (paymentResult.error) {
       logger.warn(`Retry order payment failed: Payment initialization failed - ${paymentResult.message}`, { userId: requesterId, orderId: order.orderId });
-      throw new Error(paymentResult.message);
+      throw new PaymentFailedError(paymentResult.message, { cause: paymentResult.cause });
     }
     await session.commitTransaction();
     transactionCommitted = true;
@@ -353,8 +510,7 @@ export const retryOrderPayment = async (req, res) => {
       await session.abortTransaction();
       logger.info(`Transaction aborted for payment retry attempt`, { userId: req.user?._id });
     }
-    logger.error(`Error retrying order payment: ${error.message}`, { stack: error.stack, userId: req.user?._id });
-    res.status(500).json({ success: false, message: `Server error: ${error.message}` });
+    next(error);
   } finally {
     session.endSession();
   }
@@ -362,10 +518,11 @@ export const retryOrderPayment = async (req, res) => {
 /**
  * Update Order Status
  * @route PATCH /api/orders/update-status
- * @desc Update the status of an order item (processing, shipped, out_for_delivery, or delivered)
+ * @desc Update the status of an order item (processing, shipped, out_for_delivery, or delivered) and record it in the item's history
  * @access Private (requires JWT token)
+ * @body { orderId, itemIndex, status, sellerId, userId, productId, note?, courier?, trackingNumber? }
  */
-export const updateOrderStatus = async (req, res) => {
+export const updateOrderStatus = async (req, res, next) => {
   const session = await mongoose.startSession({ defaultTransactionOptions: { timeout: SESSION_TIMEOUT } });
   let transactionCommitted = false;
   session.startTransaction();
@@ -375,26 +532,16 @@ export const updateOrderStatus = async (req, res) => {
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
 
-    const { orderId , itemIndex, status, sellerId, userId, productId } = req.body;
+    const { orderId , itemIndex, status, sellerId, userId, productId, note, courier, trackingNumber } = req.body;
     const requesterId = req.user._id.toString();
 
     console.log('Update request body:', req.body); // Log orderId, userId, etc.
 
-    if (!orderId || itemIndex === undefined || !status || !sellerId || !userId || !productId) {
-      logger.warn('Update order status failed: Missing required fields', { userId: requesterId, ip: req.ip });
-      return res.status(400).json({ success: false, message: 'Missing required fields: orderId, itemIndex, status, sellerId, userId, productId' });
-    }
-
     if (requesterId !== userId) {
       logger.warn(`Update order status failed: User ${requesterId} attempted to update as ${userId}`, { ip: req.ip });
       return res.status(403).json({ success: false, message: 'Unauthorized to update this order' });
     }
 
-    if (!mongoose.Types.ObjectId.isValid(userId) || !mongoose.Types.ObjectId.isValid(sellerId)) {
-      logger.warn(`Update order status failed: Invalid userId ${userId} or sellerId ${sellerId}`, { userId: requesterId, ip: req.ip });
-      return res.status(400).json({ success: false, message: 'Invalid userId or sellerId' });
-    }
-
     const order = await orderModel.findOne({ orderId }).session(session).populate('items.sellerId customerId');
     if (!order) {
       logger.warn(`Update order status failed: Order ${orderId} not found`, { userId, ip: req.ip });
@@ -422,22 +569,9 @@ export const updateOrderStatus = async (req, res) => {
       return res.status(400).json({ success: false, message: 'ProductId does not match item productId' });
     }
 
-    const validStatuses = ['processing', 'shipped', 'out_for_delivery', 'delivered'];
-    if (!validStatuses.includes(status)) {
-      logger.warn(`Update order status failed: Invalid status ${status}`, { userId, orderId, itemIndex, ip: req.ip });
-      return res.status(400).json({ success: false, message: `Invalid status. Use one of ${validStatuses.join(', ')}` });
-    }
-
-    const statusFlow = {
-      pending: ['processing', 'shipped'],
-      processing: ['shipped', 'out_for_delivery'],
-      shipped: ['out_for_delivery', 'delivered'],
-      out_for_delivery: ['delivered'],
-      delivered: [],
-    };
-    if (!statusFlow[item.status]?.includes(status)) {
-      logger.warn(`Update order status failed: Cannot transition from ${item.status} to ${status}`, { userId, orderId, itemIndex, ip: req.ip });
-      return res.status(400).json({ success: false, message: `Cannot transition from ${item.status} to ${status}` });
+    if ((courier || trackingNumber) && !['shipped', 'out_for_delivery'].includes(status)) {
+      logger.warn(`Update order status failed: Tracking details sent with status ${status}`, { userId, orderId, itemIndex, ip: req.ip });
+      return res.status(400).json({ success: false, message: 'Courier and tracking number can only be set when shipping an item' });
     }
 
     if (['processing', 'shipped', 'out_for_delivery'].includes(status) && item.sellerId._id.toString() !== userId) {
@@ -449,8 +583,18 @@ export const updateOrderStatus = async (req, res) => {
       return res.status(403).json({ success: false, message: 'Only the buyer can mark an item as delivered' });
     }
 
-    const oldStatus = item.status;
-    item.status = status;
+    const transition = transitionOrderItem(item, status, {
+      actor: requesterId,
+      actorRole: status === 'delivered' ? 'buyer' : 'seller',
+      note,
+      courier,
+      trackingNumber,
+    });
+    if (transition.error) {
+      logger.warn(`Update order status failed: ${transition.message}`, { userId, orderId, itemIndex, ip: req.ip });
+      return res.status(400).json({ success: false, message: transition.message });
+    }
+    const oldStatus = transition.from;
 
     const itemStatuses = order.items.map(i => i.status);
     if (itemStatuses.every(s => s === 'delivered' || s === 'cancelled')) {
@@ -588,8 +732,7 @@ export const updateOrderStatus = async (req, res) => {
       await session.abortTransaction();
       logger.info(`Transaction aborted for order status update`, { userId: req.user?._id, orderId: req.body.orderId, itemIndex: req.body.itemIndex });
     }
-    logger.error(`Error updating order status: ${error.message}`, { stack: error.stack, userId: req.user?._id, orderId: req.body.orderId, itemIndex: req.body.itemIndex });
-    return res.status(500).json({ success: false, message: `Server error: ${error.message}` });
+    return next(error);
   } finally {
     session.endSession();
   }
@@ -601,7 +744,7 @@ export const updateOrderStatus = async (req, res) => {
  * @desc Cancel an order item and process refund if applicable
  * @access Private (requires JWT token)
  */
-export const cancelOrderItem = async (req, res) => {
+export const cancelOrderItem = async (req, res, next) => {
   const session = await mongoose.startSession({ defaultTransactionOptions: { timeout: SESSION_TIMEOUT } });
   let transactionCommitted = false;
   session.startTransaction();
@@ -611,31 +754,21 @@ export const cancelOrderItem = async (req, res) => {
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
 
-    const { orderId, itemId, userId , reason , details} = req.body;
+    const { orderId, itemId, sku, userId , reason , details} = req.body;
     const requesterId = req.user._id.toString();
 
-    if (!orderId || !itemId || !userId) {
-      logger.warn('Cancel order item failed: Missing required fields', { userId: requesterId, ip: req.ip });
-      return res.status(400).json({ success: false, message: 'orderId, itemId, and userId are required' });
-    }
-
     if (requesterId !== userId) {
       logger.warn(`Cancel order item failed: User ${requesterId} attempted to cancel as ${userId}`, { ip: req.ip });
       return res.status(403).json({ success: false, message: 'Unauthorized to cancel this order' });
     }
 
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-      logger.warn(`Cancel order item failed: Invalid userId ${userId}`, { userId: requesterId, ip: req.ip });
-      return res.status(400).json({ success: false, message: 'Invalid userId' });
-    }
-
     let order = await orderModel.findOne({ orderId }).session(session).populate('items.sellerId customerId');
     if (!order) {
       logger.warn(`Cancel order item failed: Order ${orderId} not found`, { userId, ip: req.ip });
       return res.status(404).json({ success: false, message: 'Order not found' });
     }
 
-    const item = order.items.find(i => i.productId === itemId);
+    const item = findOrderItem(order.items, itemId, sku);
     if (!item) {
       logger.warn(`Cancel order item failed: Item ${itemId} not found in order ${orderId}`, { userId, ip: req.ip });
       return res.status(404).json({ success: false, message: 'Item not found in this order' });
@@ -653,15 +786,15 @@ export const cancelOrderItem = async (req, res) => {
       logger.warn(`Cancel order item failed: User ${userId} not authorized to cancel item ${itemId}`, { orderId, ip: req.ip });
       return res.status(403).json({ success: false, message: 'Only the buyer or seller can cancel this item' });
     }
-    if(!reason) {
-      logger.warn("Not sent the reason for cancellation and it should be there")
-      return res.status(403).json({success: false, message : "A reason required for cancellation" })
-    }
 
     item.cancelled = true;
     item.cancellationReason = reason;
     item.cancellationDetails= details;
-    item.status = 'cancelled';
+    transitionOrderItem(item, 'cancelled', {
+      actor: userId,
+      actorRole: order.customerId._id.toString() === userId ? 'buyer' : 'seller',
+      note: reason,
+    });
     item.refundedAmount = item.price * item.quantity;
 
     let refundMessage = '';
@@ -699,11 +832,11 @@ export const cancelOrderItem = async (req, res) => {
 
       if (transaction.status === 'completed') {
         logger.debug(`Initiating manual refund for item ${itemId} in order ${orderId}, transaction status: ${transaction.status}`, { userId, ip: req.ip });
-        const refundResult = await withRetry(() => initiateRefund(order._id, item.productId, session), 3, `Initiate refund for item ${itemId} in order ${orderId}`);
+        const refundResult = await withRetry(() => initiateRefund(order._id, item._id, session), 3, `Initiate refund for item ${itemId} in order ${orderId}`);
         if (refundResult.error) {
           logger.warn(`Failed to initiate refund for item ${itemId} in order ${orderId}: ${refundResult.message}`, { userId, ip: req.ip, refundError: refundResult });
           refundMessage = ` (refund failed: ${refundResult.message})`;
-          throw new Error(refundResult.message);
+          throw new PaymentFailedError(refundResult.message, { cause: refundResult.cause });
         } else {
           refundMessage = ` (refund will be processed as soon as possible)`;
           refundStatus = 'pending';
@@ -737,11 +870,19 @@ export const cancelOrderItem = async (req, res) => {
       })),
     });
 
-    // Restore inventory for the cancelled item
-    await listingModel.updateOne(
+    // Restore inventory for the cancelled item (and its variant stock, if any)
+    await updateListingStock(
       { 'productInfo.productId': item.productId },
-      { $inc: { 'analytics.ordersNumber': -1, 'inventory': item.quantity }, $set: { isSold: false } },
-      { session }
+      {
+        $inc: {
+          'analytics.ordersNumber': -1,
+          'inventory': item.quantity,
+          ...(item.sku && { 'variants.$[variant].inventory': item.quantity }),
+        },
+        $set: { isSold: false },
+      },
+      { session, ...(item.sku && { arrayFilters: [{ 'variant.sku': item.sku }] }) },
+      { editedBy: requesterId }
     );
 
     // Update stats for the seller of this item (per item)
@@ -790,6 +931,9 @@ export const cancelOrderItem = async (req, res) => {
           transaction.isReversed = true;
           await transaction.save({ session });
 
+          // Items refunded individually (e.g. the item just cancelled) are already reversed in the ledger
+          const unrefundedItems = transaction.items.filter(txItem => txItem.refundStatus === 'none');
+
           // Mark all transaction items as refunded
           for (const txItem of transaction.items) {
             txItem.refundStatus = 'pending';
@@ -807,43 +951,19 @@ export const cancelOrderItem = async (req, res) => {
           // Calculate full refund amount (total - service fee)
           const fullRefundAmount = transaction.totalAmount - transaction.swiftServiceFee;
 
-          // Deduct from sellers' balances and add to history
+          // Reverse the remaining seller shares and the platform's prorated cut in the ledger (same split as initiateRefund)
           const sellerDeductions = {};
-          for (const txItem of transaction.items) {
-            const share = txItem.sellerShare;
+          for (const txItem of unrefundedItems) {
             const sid = txItem.sellerId.toString();
-            sellerDeductions[sid] = (sellerDeductions[sid] || 0) + share;
-
-            await userModel.updateOne(
-              { _id: txItem.sellerId },
-              { $inc: { 'financials.balance': -share } },
-              { session }
-            );
-
-            await userModel.updateOne(
-              { _id: txItem.sellerId },
-              {
-                $push: {
-                  'financials.payoutHistory': {
-                    amount: -share,
-                    method: 'M-Pesa',
-                    status: 'manual_refund_pending',
-                  },
-                },
-              },
-              { session }
-            );
+            sellerDeductions[sid] = (sellerDeductions[sid] || 0) + txItem.sellerShare;
           }
-
-          // Calculate and deduct platform share (delivery + commissions)
-          const itemsTotal = transaction.items.reduce((sum, i) => sum + i.itemAmount, 0);
-          const totalCommission = itemsTotal * commissionRate;
-          const platformDeduct = transaction.deliveryFee + totalCommission;
-          await userModel.updateOne(
-            { 'personalInfo.isAdmin': true },
-            { $inc: { 'financials.balance': -platformDeduct } },
-            { session }
+          const platformDeduct = unrefundedItems.reduce(
+            (sum, txItem) => sum + (txItem.itemAmount / transaction.totalAmount) * (transaction.swiftServiceFee + transaction.deliveryFee + (txItem.itemAmount * commissionRate)),
+            0
           );
+          if (unrefundedItems.length) {
+            await postRefundJournal({ orderId: savedOrder.orderId, items: unrefundedItems, platformShare: platformDeduct, createdBy: userId }, session);
+          }
 
           // Full refund notifications and emails
           const buyer = savedOrder.customerId;
@@ -1027,8 +1147,7 @@ export const cancelOrderItem = async (req, res) => {
       await session.abortTransaction();
       logger.info(`Transaction aborted for order item cancellation`, { userId: req.user?._id, orderId, itemId });
     }
-    logger.error(`Error cancelling item: ${error.message}`, { stack: error.stack, userId: req.user?._id, orderId, itemId });
-    res.status(500).json({ success: false, message: `Server error: ${error.message}` });
+    next(error);
   } finally {
     session.endSession();
   }
@@ -1041,7 +1160,7 @@ export const cancelOrderItem = async (req, res) => {
  * @desc Retrieve orders for a seller
  * @access Private (requires JWT token)
  */
-export const getOrders = async (req, res) => {
+export const getOrders = async (req, res, next) => {
   try {
     if (!req.user) {
       logger.warn('Get orders failed: No user data in request', { ip: req.ip });
@@ -1061,6 +1180,7 @@ export const getOrders = async (req, res) => {
     const orders = await orderModel
       .find({ 'items.sellerId': sellerObjectId })
       .populate('customerId', 'personalInfo.fullname personalInfo.profilePicture') // Optional: Populate customer for easier frontend use
+      .populate('items.statusHistory.actor', 'personalInfo.fullname')
       .sort({ createdAt: -1})
       .lean();
 
@@ -1086,6 +1206,7 @@ export const getOrders = async (req, res) => {
           color: sanitizeHtml(item.color || ''),
           size: item.size ? sanitizeHtml(item.size) : undefined,
           status: item.status,
+          ...formatItemTracking(item.statusHistory),
         })),
       deliveryAddress: {
         country: sanitizeHtml(order.deliveryAddress?.country || 'Kenya'),
@@ -1110,8 +1231,7 @@ export const getOrders = async (req, res) => {
     });
   } catch (error) {
     console.error('Error in getOrders:', error);
-    logger.error(`Error fetching orders: ${error.message}`, { stack: error.stack, ip: req.ip });
-    return res.status(500).json({ success: false, message: `Server error: ${error.message}` });
+    return next(error);
   }
 };
 /**
@@ -1120,7 +1240,7 @@ export const getOrders = async (req, res) => {
  * @desc Retrieve orders for a buyer
  * @access Private (requires JWT token)
  */
-export const getBuyerOrders = async (req, res) => {
+export const getBuyerOrders = async (req, res, next) => {
   try {
     if (!req.user) {
       logger.warn('Get buyer orders failed: No user data in request', { ip: req.ip });
@@ -1130,19 +1250,16 @@ export const getBuyerOrders = async (req, res) => {
     const { customerId } = req.body;
     const requesterId = req.user._id.toString();
 
-    if (requesterId !== customerId && !req.user.personalInfo?.isAdmin) {
+    const requester = await userModel.findById(req.user._id).select('personalInfo.isAdmin personalInfo.roles').lean();
+    if (requesterId !== customerId && !hasPermission(requester, 'orders:read')) {
       logger.warn(`Get buyer orders failed: User ${requesterId} unauthorized to access orders for ${customerId}`, { ip: req.ip });
       return res.status(403).json({ success: false, message: 'Unauthorized to access these orders' });
     }
 
-    if (!mongoose.Types.ObjectId.isValid(customerId)) {
-      logger.warn(`Get buyer orders failed: Invalid customerId ${customerId}`, { userId: requesterId, ip: req.ip });
-      return res.status(400).json({ success: false, message: 'Invalid customerId' });
-    }
-
     const orders = await orderModel
       .find({ customerId })
       .populate('items.sellerId', 'personalInfo.fullname personalInfo.email personalInfo.phone')
+      .populate('items.statusHistory.actor', 'personalInfo.fullname')
       .lean();
     if (!orders || orders.length === 0) {
       logger.info(`No orders found for buyer ${customerId}`);
@@ -1162,6 +1279,7 @@ export const getBuyerOrders = async (req, res) => {
         color: sanitizeHtml(item.color),
         size: item.size ? sanitizeHtml(item.size) : undefined,
         status: item.status,
+        ...formatItemTracking(item.statusHistory),
         refundStatus: item.refundStatus || 'none',
         refundedAmount: item.refundedAmount || 0,
         seller: {
@@ -1192,7 +1310,6 @@ export const getBuyerOrders = async (req, res) => {
     });
   } catch (error) {
     console.error(error);
-    logger.error(`Error fetching buyer orders: ${error.message}`, { stack: error.stack, });
-    return res.status(500).json({ success: false, message: `Server error: ${error.message}` });
+    return next(error);
   }
 };
\ No newline at end of file
@@ -0,0 +1,279 @@
+// controllers/payoutController.js
+import mongoose from 'mongoose';
+import { userModel } from '../models/User.js';
+import { withdrawalModel } from '../models/Withdrawal.js';
+import { ledgerEntryModel, SELLER_ACCOUNTS } from '../models/LedgerEntry.js';
+import logger from '../utils/logger.js';
+import { getSellerBalances, postJournal } from '../utils/ledger.js';
+import { staffWithPermissionQuery } from '../utils/permissions.js';
+import { sendNotification } from './notificationController.js';
+
+const WITHDRAWAL_MIN_AMOUNT = parseFloat(process.env.WITHDRAWAL_MIN_AMOUNT || '100');
+const WITHDRAWAL_FEE = parseFloat(process.env.WITHDRAWAL_FEE || '0'); // Flat M-Pesa transfer fee charged to the seller
+const MAX_STATEMENT_LIMIT = 100;
+
+/**
+ * Get Balance
+ * @route GET /api/payouts/balance
+ * @desc Get the seller's available, pending and withdrawing balances derived from the ledger
+ * @access Private (requires JWT token)
+ */
+export const getBalance = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      logger.warn('Get balance failed: No user data in request', { ip: req.ip });
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const userId = req.user._id.toString();
+    const balances = await getSellerBalances(userId);
+    res.status(200).json({
+      success: true,
+      data: { ...balances, currency: 'KES', withdrawalMinimum: WITHDRAWAL_MIN_AMOUNT, withdrawalFee: WITHDRAWAL_FEE },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get Statement
+ * @route GET /api/payouts/statement
+ * @desc Get the seller's ledger entries, newest first
+ * @access Private (requires JWT token)
+ * @query {account?, type?, from?, to?, page?, limit?}
+ */
+export const getStatement = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      logger.warn('Get statement failed: No user data in request', { ip: req.ip });
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const userId = req.user._id.toString();
+    const { account, type, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_STATEMENT_LIMIT);
+
+    const filter = { userId: new mongoose.Types.ObjectId(userId), account: { $in: SELLER_ACCOUNTS } };
+    if (account) filter.account = account;
+    if (type) filter.type = String(type);
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+      if (Object.values(filter.createdAt).some(date => isNaN(date.getTime()))) {
+        logger.warn('Get statement failed: Invalid date range', { userId, from, to });
+        return res.status(400).json({ success: false, message: 'from and to must be valid dates' });
+      }
+    }
+
+    const [entries, total, balances] = await Promise.all([
+      ledgerEntryModel.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      ledgerEntryModel.countDocuments(filter),
+      getSellerBalances(userId),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        balances,
+        entries: entries.map(entry => ({
+          _id: entry._id,
+          journalId: entry.journalId,
+          account: entry.account,
+          type: entry.type,
+          // Seller accounts are liabilities: credits add to the seller's money, debits remove it
+          amount: entry.direction === 'credit' ? entry.amount : -entry.amount,
+          description: entry.description,
+          orderId: entry.orderId,
+          itemId: entry.itemId,
+          withdrawalId: entry.withdrawalId,
+          createdAt: entry.createdAt,
+        })),
+      },
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Request Withdrawal
+ * @route POST /api/payouts/withdrawals
+ * @desc Request a payout of available balance to the seller's verified M-Pesa number
+ * @access Private (requires JWT token)
+ * @body {amount}
+ */
+export const requestWithdrawal = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    if (!req.user) {
+      logger.warn('Request withdrawal failed: No user data in request', { ip: req.ip });
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const userId = req.user._id.toString();
+    const { amount } = req.body;
+
+    if (amount < WITHDRAWAL_MIN_AMOUNT) {
+      logger.warn(`Request withdrawal failed: Invalid amount ${amount}`, { userId });
+      return res.status(400).json({ success: false, message: `Withdrawal amount must be at least KES ${WITHDRAWAL_MIN_AMOUNT}` });
+    }
+    if (Math.round(amount * 100) !== amount * 100) {
+      logger.warn(`Request withdrawal failed: Amount ${amount} has more than 2 decimals`, { userId });
+      return res.status(400).json({ success: false, message: 'Withdrawal amount can have at most 2 decimal places' });
+    }
+    if (amount <= WITHDRAWAL_FEE) {
+      logger.warn(`Request withdrawal failed: Amount ${amount} does not cover fee ${WITHDRAWAL_FEE}`, { userId });
+      return res.status(400).json({ success: false, message: `Withdrawal amount must exceed the KES ${WITHDRAWAL_FEE} fee` });
+    }
+
+    const seller = await userModel.findById(userId).select('personalInfo.fullname personalInfo.mobileMoneyDetails').session(session);
+    if (!seller) {
+      logger.warn(`Request withdrawal failed: User ${userId} not found`);
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    const mobileMoney = seller.personalInfo.mobileMoneyDetails;
+    if (!mobileMoney?.phoneNumber || !mobileMoney.verified) {
+      logger.warn('Request withdrawal failed: No verified mobile money details', { userId });
+      return res.status(400).json({ success: false, message: 'Add and verify your M-Pesa details before requesting a withdrawal' });
+    }
+
+    const pendingWithdrawal = await withdrawalModel.exists({ sellerId: userId, status: { $in: ['pending', 'processing'] } }).session(session);
+    if (pendingWithdrawal) {
+      logger.warn('Request withdrawal failed: Withdrawal already pending', { userId });
+      return res.status(409).json({ success: false, message: 'You already have a withdrawal awaiting approval' });
+    }
+
+    const balances = await getSellerBalances(userId, session);
+    if (amount > balances.available) {
+      logger.warn(`Request withdrawal failed: Amount ${amount} exceeds available ${balances.available}`, { userId });
+      return res.status(400).json({ success: false, message: `Insufficient available balance (KES ${balances.available.toFixed(2)})` });
+    }
+
+    const [withdrawal] = await withdrawalModel.create([{
+      sellerId: userId,
+      amount,
+      fee: WITHDRAWAL_FEE,
+      netAmount: amount - WITHDRAWAL_FEE,
+      destination: {
+        provider: mobileMoney.provider || 'M-Pesa',
+        phoneNumber: mobileMoney.phoneNumber,
+        accountName: mobileMoney.accountName || seller.personalInfo.fullname || '',
+      },
+    }], { session });
+
+    // Hold the funds until an admin pays or rejects the request
+    await postJournal({
+      type: 'withdrawal',
+      description: `Withdrawal requested to ${mobileMoney.phoneNumber}`,
+      withdrawalId: withdrawal._id,
+      createdBy: userId,
+      lines: [
+        { account: 'seller_available', userId, debit: amount },
+        { account: 'seller_withdrawing', userId, credit: amount },
+      ],
+    }, session);
+
+    // Everyone who can approve the withdrawal hears about it
+    const approvers = await userModel.find(staffWithPermissionQuery('payouts:manage')).select('_id').session(session);
+    for (const approver of approvers) {
+      try {
+        await sendNotification(approver._id.toString(), 'payout', `Seller ${seller.personalInfo.fullname || userId} requested a withdrawal of KES ${amount.toFixed(2)}.`, userId, session);
+      } catch (notificationError) {
+        logger.warn(`Failed to notify staff of withdrawal request: ${notificationError.message}`, { staffId: approver._id, withdrawalId: withdrawal._id });
+      }
+    }
+
+    await session.commitTransaction();
+    logger.info(`Withdrawal ${withdrawal._id} requested: KES ${amount} by seller ${userId}`);
+    res.status(201).json({ success: true, message: 'Withdrawal requested. It will be processed after review.', data: withdrawal });
+  } catch (error) {
+    await session.abortTransaction();
+    if (error.code === 11000) {
+      logger.warn('Request withdrawal failed: Concurrent pending withdrawal', { userId: req.user?._id });
+      return res.status(409).json({ success: false, message: 'You already have a withdrawal awaiting approval' });
+    }
+    next(error);
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Get Withdrawals
+ * @route GET /api/payouts/withdrawals
+ * @desc Get the seller's withdrawal requests, newest first
+ * @access Private (requires JWT token)
+ * @query {status?}
+ */
+export const getWithdrawals = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      logger.warn('Get withdrawals failed: No user data in request', { ip: req.ip });
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const userId = req.user._id.toString();
+    const filter = { sellerId: userId };
+    if (req.query.status) filter.status = String(req.query.status);
+
+    const withdrawals = await withdrawalModel.find(filter).sort({ createdAt: -1 }).lean();
+    res.status(200).json({ success: true, data: withdrawals });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel Withdrawal
+ * @route PATCH /api/payouts/withdrawals/:withdrawalId/cancel
+ * @desc Cancel a pending withdrawal and return the held funds to the available balance
+ * @access Private (requires JWT token)
+ */
+export const cancelWithdrawal = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    if (!req.user) {
+      logger.warn('Cancel withdrawal failed: No user data in request', { ip: req.ip });
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const userId = req.user._id.toString();
+    const { withdrawalId } = req.params;
+
+    const withdrawal = await withdrawalModel.findOneAndUpdate(
+      { _id: withdrawalId, sellerId: userId, status: 'pending' },
+      { $set: { status: 'cancelled', reviewedAt: new Date() } },
+      { new: true, session }
+    );
+    if (!withdrawal) {
+      logger.warn(`Cancel withdrawal failed: Withdrawal ${withdrawalId} not found or not pending`, { userId });
+      return res.status(404).json({ success: false, message: 'Pending withdrawal not found' });
+    }
+
+    await postJournal({
+      type: 'withdrawal_reversal',
+      description: 'Withdrawal cancelled by seller',
+      withdrawalId: withdrawal._id,
+      createdBy: userId,
+      lines: [
+        { account: 'seller_withdrawing', userId, debit: withdrawal.amount },
+        { account: 'seller_available', userId, credit: withdrawal.amount },
+      ],
+    }, session);
+
+    await session.commitTransaction();
+    logger.info(`Withdrawal ${withdrawalId} cancelled by seller ${userId}`);
+    res.status(200).json({ success: true, message: 'Withdrawal cancelled', data: withdrawal });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+};
@@ -4,6 +4,7 @@ import { listingModel } from '../models/Listing.js';
 import { userModel } from '../models/User.js';
 import { notificationModel } from '../models/Notifications.js';
 import logger from '../utils/logger.js';
+import { hasPermission } from '../utils/permissions.js';
 import { sendEmail } from '../utils/sendEmail.js';
 import { ReportModel } from '../models/Report.js';
 import { orderModel } from '../models/Order.js';
@@ -185,7 +186,7 @@ const generateAdminReportAlertEmail = (reportId, userName, reportType, reason, d
  * @desc Submit a new report for a user, order, or listing, with optional item-specific reporting for orders
  * @access Private (requires JWT token, optional for anonymous)
  */
-export const createReport = async (req, res) => {
+export const createReport = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
@@ -193,36 +194,7 @@ export const createReport = async (req, res) => {
     const reporterId = req.user?._id?.toString();
     console.log('Create report request:', { reportType, reportedEntityId, itemId, reason, details, reporterId });
 
-    // Validate required fields
-    if (!reportType || !['user', 'order', 'listing'].includes(reportType)) {
-      logger.warn(`Create report failed: Invalid or missing reportType ${reportType}`, { reporterId });
-      return res.status(400).json({ success: false, message: 'Valid reportType (user, order, listing) is required' });
-    }
-    if (!reportedEntityId) {
-      logger.warn('Create report failed: reportedEntityId required', { reporterId });
-      return res.status(400).json({ success: false, message: 'reportedEntityId is required' });
-    }
-    if (!reason) {
-      logger.warn('Create report failed: Reason required', { reporterId });
-      return res.status(400).json({ success: false, message: 'Reason is required' });
-    }
-    const validReasons = [
-      'Fraudulent Activity',
-      'Non-Delivery',
-      'Fake or Counterfeit Product',
-      'Inappropriate Behavior',
-      'Damaged Item',
-      'Wrong Item',
-      'Misleading Listing',
-      'Suspected Stolen Goods',
-      'Other',
-    ];
-    if (!validReasons.includes(reason)) {
-      logger.warn(`Create report failed: Invalid reason ${reason}`, { reporterId });
-      return res.status(400).json({ success: false, message: 'Invalid reason' });
-    }
-
-    // Validate reportedEntityId and itemId format
+    // Field shapes are checked by createReportSchema; IDs depend on the report type
     if (reportType === 'user' || reportType === 'order') {
       if (!mongoose.Types.ObjectId.isValid(reportedEntityId)) {
         logger.warn(`Create report failed: Invalid reportedEntityId ${reportedEntityId} for ${reportType}`, { reporterId });
@@ -433,14 +405,8 @@ export const createReport = async (req, res) => {
       data: savedReport,
     });
   } catch (error) {
-    console.log(error)
     await session.abortTransaction();
-    if (error instanceof mongoose.Error.ValidationError) {
-      logger.warn(`Create report failed: Validation error`, { error: error.errors });
-      return res.status(400).json({ success: false, message: 'Validation error', error: error.errors });
-    }
-    logger.error(`Error creating report: ${error.message}`, { stack: error.stack});
-    res.status(500).json({ success: false, message: 'Server error while submitting report' });
+    next(error);
   } finally {
     session.endSession();
   }
@@ -452,14 +418,14 @@ export const createReport = async (req, res) => {
  * @desc Retrieve all reports (admin only)
  * @access Private (requires JWT token and admin role)
  */
-export const getAllReports = async (req, res) => {
+export const getAllReports = async (req, res, next) => {
   try {
     if (!req.user) {
       logger.warn('Get all reports failed: No user data in request');
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
-    if (!req.user.personalInfo.isAdmin) {
-      logger.warn(`Get all reports failed: User ${req.user._id} is not an admin`);
+    if (!hasPermission(req.user, 'disputes:manage')) {
+      logger.warn(`Get all reports failed: User ${req.user._id} lacks disputes:manage`);
       return res.status(403).json({ success: false, message: 'Admin access required' });
     }
 
@@ -485,8 +451,7 @@ export const getAllReports = async (req, res) => {
       data: reports,
     });
   } catch (error) {
-    logger.error(`Error fetching reports: ${error.message}`, { stack: error.stack, userId: req.user?._id });
-    res.status(500).json({ success: false, message: 'Server error while fetching reports' });
+    next(error);
   }
 };
 
@@ -496,7 +461,7 @@ export const getAllReports = async (req, res) => {
  * @desc Retrieve a report by its ID (admin only)
  * @access Private (requires JWT token and admin role)
  */
-export const getReportById = async (req, res) => {
+export const getReportById = async (req, res, next) => {
   const { id } = req.params;
 
   try {
@@ -504,8 +469,8 @@ export const getReportById = async (req, res) => {
       logger.warn('Get report by ID failed: No user data in request');
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
-    if (!req.user.personalInfo.isAdmin) {
-      logger.warn(`Get report by ID failed: User ${req.user._id} is not an admin`);
+    if (!hasPermission(req.user, 'disputes:manage')) {
+      logger.warn(`Get report by ID failed: User ${req.user._id} lacks disputes:manage`);
       return res.status(403).json({ success: false, message: 'Admin access required' });
     }
 
@@ -541,8 +506,7 @@ export const getReportById = async (req, res) => {
       data: report,
     });
   } catch (error) {
-    logger.error(`Error fetching report: ${error.message}`, { stack: error.stack, userId: req.user?._id, reportId: id });
-    res.status(500).json({ success: false, message: 'Server error while fetching report' });
+    next(error);
   }
 };
 
@@ -552,7 +516,7 @@ export const getReportById = async (req, res) => {
  * @desc Update the status or admin notes of a report (admin only)
  * @access Private (requires JWT token and admin role)
  */
-export const updateReportStatus = async (req, res) => {
+export const updateReportStatus = async (req, res, next) => {
   const { id } = req.params;
   const { status, adminNotes } = req.body;
   const session = await mongoose.startSession();
@@ -563,8 +527,8 @@ export const updateReportStatus = async (req, res) => {
       logger.warn('Update report status failed: No user data in request');
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
-    if (!req.user.personalInfo.isAdmin) {
-      logger.warn(`Update report status failed: User ${req.user._id} is not an admin`);
+    if (!hasPermission(req.user, 'disputes:manage')) {
+      logger.warn(`Update report status failed: User ${req.user._id} lacks disputes:manage`);
       return res.status(403).json({ success: false, message: 'Admin access required' });
     }
 
@@ -579,11 +543,6 @@ export const updateReportStatus = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Report not found' });
     }
 
-    if (status && !['Pending', 'Under Review', 'Resolved', 'Dismissed'].includes(status)) {
-      logger.warn(`Update report status failed: Invalid status ${status}`, { userId: req.user._id, reportId: id });
-      return res.status(400).json({ success: false, message: 'Invalid status value' });
-    }
-
     const previousStatus = report.status;
     if (status) report.status = status;
     if (adminNotes) report.adminNotes = sanitizeHtml(adminNotes);
@@ -685,8 +644,7 @@ export const updateReportStatus = async (req, res) => {
     });
   } catch (error) {
     await session.abortTransaction();
-    logger.error(`Error updating report: ${error.message}`, { stack: error.stack, userId: req.user?._id, reportId: id });
-    res.status(500).json({ success: false, message: 'Server error while updating report' });
+    next(error);
   } finally {
     session.endSession();
   }
@@ -698,7 +656,7 @@ export const updateReportStatus = async (req, res) => {
  * @desc Delete a report by its ID (admin only)
  * @access Private (requires JWT token and admin role)
  */
-export const deleteReport = async (req, res) => {
+export const deleteReport = async (req, res, next) => {
   const { id } = req.params;
 
   try {
@@ -706,8 +664,8 @@ export const deleteReport = async (req, res) => {
       logger.warn('Delete report failed: No user data in request');
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
-    if (!req.user.personalInfo.isAdmin) {
-      logger.warn(`Delete report failed: User ${req.user._id} is not an admin`);
+    if (!hasPermission(req.user, 'disputes:manage')) {
+      logger.warn(`Delete report failed: User ${req.user._id} lacks disputes:manage`);
       return res.status(403).json({ success: false, message: 'Admin access required' });
     }
 
@@ -728,8 +686,7 @@ export const deleteReport = async (req, res) => {
       message: 'Report deleted successfully',
     });
   } catch (error) {
-    logger.error(`Error deleting report: ${error.message}`, { stack: error.stack, userId: req.user?._id, reportId: id });
-    res.status(500).json({ success: false, message: 'Server error while deleting report' });
+    next(error);
   }
 };
 
@@ -739,7 +696,7 @@ export const deleteReport = async (req, res) => {
  * @desc Escalate or de-escalate a report (admin only)
  * @access Private (requires JWT token and admin role)
  */
-export const escalateReport = async (req, res) => {
+export const escalateReport = async (req, res, next) => {
   const { id } = req.params;
   const { escalate } = req.body;
   const session = await mongoose.startSession();
@@ -750,8 +707,8 @@ export const escalateReport = async (req, res) => {
       logger.warn('Escalate report failed: No user data in request');
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
-    if (!req.user.personalInfo.isAdmin) {
-      logger.warn(`Escalate report failed: User ${req.user._id} is not an admin`);
+    if (!hasPermission(req.user, 'disputes:manage')) {
+      logger.warn(`Escalate report failed: User ${req.user._id} lacks disputes:manage`);
       return res.status(403).json({ success: false, message: 'Admin access required' });
     }
 
@@ -806,8 +763,7 @@ export const escalateReport = async (req, res) => {
     });
   } catch (error) {
     await session.abortTransaction();
-    logger.error(`Error escalating report: ${error.message}`, { stack: error.stack, userId: req.user?._id, reportId: id });
-    res.status(500).json({ success: false, message: 'Server error while escalating report' });
+    next(error);
   } finally {
     session.endSession();
   }
@@ -819,7 +775,7 @@ export const escalateReport = async (req, res) => {
  * @desc Retrieve reports submitted by a specific user
  * @access Private (requires JWT token)
  */
-export const getReportsByUser = async (req, res) => {
+export const getReportsByUser = async (req, res, next) => {
   const { userId } = req.params;
 
   try {
@@ -827,7 +783,7 @@ export const getReportsByUser = async (req, res) => {
       logger.warn('Get reports by user failed: No user data in request');
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
-    if (req.user._id.toString() !== userId && !req.user.personalInfo.isAdmin) {
+    if (req.user._id.toString() !== userId && !hasPermission(req.user, 'disputes:manage')) {
       logger.warn(`Get reports by user failed: User ${req.user._id} unauthorized to access reports for ${userId}`);
       return res.status(403).json({ success: false, message: 'Unauthorized to access these reports' });
     }
@@ -864,7 +820,6 @@ export const getReportsByUser = async (req, res) => {
       data: reports,
     });
   } catch (error) {
-    logger.error(`Error fetching user reports: ${error.message}`, { stack: error.stack, userId: req.user?._id, targetUserId: userId });
-    res.status(500).json({ success: false, message: 'Server error while fetching user reports' });
+    next(error);
   }
 };
\ No newline at end of file
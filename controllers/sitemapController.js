@@ -86,13 +86,12 @@ export const generateSitemap = async() => {
   fs.writeFileSync(filePath, xml, 'utf8');
   console.log('Sitemap generated successfully!');
 }
-export const generate = async (req, res) => {
+export const generate = async (req, res, next) => {
   try {
     await generateSitemap();
     res.status(200).json({ success: true ,message: 'Sitemap generated successfully' });
   } catch (error) {
-    console.error('Error generating sitemap:', error);
-    res.status(500).json({ success: false , error: 'Failed to generate sitemap' });
+    next(error);
  }
 }
 // Express endpoint to trigger sitemap generation
@@ -14,21 +14,19 @@ import {
   generateOrderEmailSeller,
   generateOrderEmailAdmin,  // Added missing import
 } from '../utils/Templates.js';
-import axios from 'axios';
 import { platform } from 'os';
 import { sendNotification } from './notificationController.js';
 import { calculateServiceFee } from '../utils/helper.js';
+import { postJournal, postRefundJournal } from '../utils/ledger.js';
 import { listingModel } from '../models/Listing.js';
+import { updateListingStock } from '../utils/listingRevisions.js';
+import { webhookEventModel } from '../models/WebhookEvent.js';
+import { getPaymentProvider, getWebhookUrl } from '../utils/payments/index.js';
+import { AppError, BadRequestError, NotFoundError, PaymentFailedError } from '../utils/errors.js';
+import { findOrderItem } from '../utils/orderStatus.js';
 
 const FRONTEND_URL = process.env.FRONTEND_URL || 'https://www.beifity.com';
 const commissionRate = parseFloat(process.env.COMMISSION_RATE || '0'); // 5% platform commission
-const swift = axios.create({
-  baseURL: process.env.SWIFT_BASE_URL || 'https://swiftwallet.co.ke/pay-app',
-  headers: { 
-    'Authorization': `Bearer ${process.env.SWIFT_API_KEY}`,
-    'Content-Type': 'application/json',
-  },
-});
 
 // Utility function for retry logic
 const withRetry = async (fn, maxRetries, description) => {
@@ -92,14 +90,21 @@ const withTransactionRetry = async (fn, maxRetries = 5, operationName = 'webhook
   }
 };
 
-// Initialize Payment (SWIFT STK Push)
-// Initialize Payment (SWIFT STK Push)
+// Failure result of the payment helpers below. Only typed errors carry a message meant for the client;
+// anything else gets the fallback, and the error is kept as cause for the logs.
+const failureResult = (error, fallbackMessage) => ({
+  error: true,
+  message: error instanceof AppError ? error.message : fallbackMessage,
+  cause: error,
+});
+
+// Initialize Payment (STK Push through the configured payment provider)
 export const initializePayment = async (orderIdObj, session, email, deliveryFee, phone) => {
   try {
     const order = await orderModel.findById(orderIdObj).session(session).populate('customerId', 'personalInfo.phone personalInfo.mobileMoneyDetails');
     if (!order) {
       logger.error(`Order not found for payment initialization`, { orderId: orderIdObj });
-      throw new Error('Order not found');
+      throw new NotFoundError('Order not found');
     }
     if (!order.items || !Array.isArray(order.items)) {
       logger.error(`Order items missing or invalid`, { orderId: orderIdObj });
@@ -119,7 +124,7 @@ export const initializePayment = async (orderIdObj, session, email, deliveryFee,
     let buyerPhone = order.customerId.personalInfo.mobileMoneyDetails?.phoneNumber || order.customerId.personalInfo.phone;
     if (!buyerPhone) {
       logger.error(`Buyer phone not found for payment`, { orderId: orderIdObj, customerId: order.customerId._id });
-      throw new Error('Buyer phone number required for M-Pesa payment');
+      throw new BadRequestError('Buyer phone number required for M-Pesa payment');
     }
 
     // Normalize phone number for Swift Wallet API: Convert +254XXXXXXXXX or 254XXXXXXXXX to 0XXXXXXXXX
@@ -145,6 +150,8 @@ export const initializePayment = async (orderIdObj, session, email, deliveryFee,
     
     console.log('Original phone:', phoneToUse, 'Final phone for STK:', finalPhone);
 
+    const provider = getPaymentProvider();
+
     // Create Transaction (pre-save hook will calculate fees/shares)
     const transaction = new TransactionModel({
       orderId: order.orderId,  // Use string orderId
@@ -172,7 +179,8 @@ export const initializePayment = async (orderIdObj, session, email, deliveryFee,
           returnStatus: 'none',
         })),
       status: 'pending',  // Initial status
-      paymentMethod: 'M-Pesa',
+      paymentProvider: provider.name,
+      paymentMethod: provider.paymentMethod,
     });
 
     // Save transaction temporarily
@@ -184,103 +192,35 @@ export const initializePayment = async (orderIdObj, session, email, deliveryFee,
     // Validate phone format: Should be 0XXXXXXXXX (10 digits starting with 0)
     const phoneRegex = /^0[17]\d{8}$/;
     if (!phoneRegex.test(finalPhone)) {
-      throw new Error(`Invalid phone format: ${finalPhone}. Expected 0XXXXXXXXX format (e.g., 0114672193).`);
+      throw new BadRequestError(`Invalid phone format: ${finalPhone}. Expected 0XXXXXXXXX format (e.g., 0114672193).`);
     }
 
     // Get customer name if available
     const customerName = order.customerId?.personalInfo?.fullname || null;
 
-    // Prepare SWIFT API payload (v3 format)
-    const swiftPayload = {
-      amount: Math.round(order.totalAmount),  // Integer KES
-      phone_number: finalPhone,  // Use provided or buyer's
-      ...(process.env.SWIFT_CHANNEL_ID && { channel_id: process.env.SWIFT_CHANNEL_ID }),  // Optional
-      external_reference: `ORDER-${order.orderId}`,  // Changed from account_reference
-      ...(customerName && { customer_name: customerName }),  // Optional
-      callback_url: `${process.env.DOMAIN || 'https://beifitycom-backend-production.up.railway.app'}/api/payments/webhook/swift`,
-    };
-
-    // Call SWIFT API v3 - try multiple endpoint variations
-    // Note: v3 API might not be available in production yet, so we try multiple paths
-    const endpoints = [
-      { path: '/v3/stk-initiate/', payload: swiftPayload },      // With trailing slash (per docs)
-      { path: '/v3/stk-initiate', payload: swiftPayload },       // Without trailing slash
-      { path: '/pay-app/v3/stk-initiate/', payload: swiftPayload }, // Full path variant
-      { path: '/stk-initiate/', payload: swiftPayload },         // Without v3 prefix
-      // Fallback to old v2 endpoint format if v3 doesn't exist
-      { 
-        path: '/payments.php', 
-        payload: {
-          amount: Math.round(order.totalAmount),
-          phone_number: finalPhone,
-          channel_id: process.env.SWIFT_CHANNEL_ID || "000146",
-          account_reference: `ORDER-${order.orderId}`,  // v2 uses account_reference
-          transaction_desc: `Payment for Order #${order.orderId}`,
-          callback_url: swiftPayload.callback_url,
-        }
-      },
-    ];
-    
-    let response = null;
-    let swiftData = null;
-    let lastError = null;
-    let successfulEndpoint = null;
-    
-    for (const endpointConfig of endpoints) {
-      try {
-        const fullUrl = `${swift.defaults.baseURL}${endpointConfig.path}`;
-        logger.info(`Trying SWIFT API endpoint: ${fullUrl}`, { payload: endpointConfig.payload });
-        
-        response = await swift.post(endpointConfig.path, endpointConfig.payload);
-        swiftData = response.data;
-        successfulEndpoint = endpointConfig.path;
-        
-        logger.info(`SWIFT API success on endpoint: ${endpointConfig.path}`, { status: response.status, data: swiftData });
-        break; // Success, exit loop
-      } catch (error) {
-        lastError = error;
-        const statusCode = error.response?.status;
-        const errorData = error.response?.data;
-        
-        logger.warn(`SWIFT API endpoint ${endpointConfig.path} failed: ${error.message}`, { 
-          statusCode,
-          errorData: typeof errorData === 'string' ? errorData.substring(0, 200) : errorData 
-        });
-        
-        // If it's not a 404, don't try other endpoints (it's a different error)
-        if (statusCode && statusCode !== 404) {
-          throw error;
-        }
-        // Continue to next endpoint if 404
-      }
-    }
-    
-    // If all endpoints failed, throw the last error
-    if (!response || !swiftData) {
-      logger.error(`All SWIFT API endpoints failed. Last error: ${lastError?.message}`, {
-        endpoints: endpoints,
-        lastStatusCode: lastError?.response?.status,
-        lastErrorData: lastError?.response?.data
-      });
-      throw lastError || new Error('All SWIFT API endpoints failed');
-    }
-
-    console.log('SWIFT Init Response:', swiftData);  // Debug log
+    const stkResult = await provider.initiateStkPush({
+      amount: order.totalAmount,
+      phone: finalPhone,  // Use provided or buyer's
+      reference: `ORDER-${order.orderId}`,
+      customerName,
+      description: `Payment for Order #${order.orderId}`,
+      callbackUrl: getWebhookUrl(provider),
+    });
 
-    if (!swiftData.success) {
+    if (!stkResult.success) {
       // Rollback on failure
       await transaction.deleteOne({ session });
       await orderModel.findByIdAndUpdate(orderIdObj, { $unset: { transactionId: '' } }, { session });
-      logger.error(`SWIFT payment initialization failed: ${swiftData.message}`, { orderId: order.orderId, response: swiftData });
-      throw new Error(swiftData.message || 'Payment initiation failed');
+      logger.error(`${provider.name} payment initialization failed: ${stkResult.message}`, { orderId: order.orderId, response: stkResult.raw });
+      throw new PaymentFailedError(stkResult.message || 'Payment initiation failed');
     }
 
-    // Update transaction with real reference and status (v3 response format)
-    transaction.swiftReference = swiftData.reference || swiftData.external_reference || `ORDER-${order.orderId}`;
+    // Update transaction with the provider's reference and status
+    transaction.swiftReference = stkResult.reference;
     transaction.status = 'swift_initiated';
     await transaction.save({ session });
 
-    logger.info(`SWIFT payment initialized for order ${order.orderId}`, { swiftReference: transaction.swiftReference });
+    logger.info(`Payment initialized for order ${order.orderId} via ${provider.name}`, { swiftReference: transaction.swiftReference });
     return {
       error: false,
       authorization_url: null,  // STK Push has no URL
@@ -289,30 +229,27 @@ export const initializePayment = async (orderIdObj, session, email, deliveryFee,
   } catch (error) {
     console.log('Payment init error:', error);
     logger.error(`Error initializing payment: ${error.message}`, { stack: error.stack, orderId: orderIdObj });
-    return { error: true, message: error.message };
+    return failureResult(error, 'Payment could not be started. Please try again.');
   }
 };
-// Verify Transaction (for polling; real confirmation via webhook)
+// Verify Transaction (for polling and reconciliation). A payment the provider reports as settled is
+// applied through the same path as its webhook, unless the amounts disagree. Failures return
+// { error: true, message, cause } (see failureResult).
 export const verifyTransaction = async (reference) => {
-  const session = await mongoose.startSession();
-  let committed = false;
-  session.startTransaction();
   try {
     if (!reference || typeof reference !== 'string') {
       logger.error(`Invalid transaction reference`, { reference });
-      throw new Error('Invalid transaction reference');
+      throw new BadRequestError('Invalid transaction reference');
     }
 
-    const existingTransaction = await TransactionModel.findOne({ swiftReference: reference }).session(session);
+    const existingTransaction = await TransactionModel.findOne({ swiftReference: reference });
     if (!existingTransaction) {
       logger.warn(`Transaction not found in database`, { reference });
-      throw new Error('Transaction not found in database');
+      throw new NotFoundError('Transaction not found in database');
     }
 
     if (existingTransaction.status === 'completed') {
       logger.info(`Transaction ${reference} already verified`, { reference });
-      await session.commitTransaction();
-      committed = true;
       return {
         error: false,
         data: {
@@ -324,47 +261,54 @@ export const verifyTransaction = async (reference) => {
       };
     }
 
-    // For SWIFT, no direct verify—poll status or wait for webhook. Here, check if webhook processed.
-    // If not 'completed', return pending.
-    if (existingTransaction.status !== 'completed') {
-      logger.info(`Transaction ${reference} still pending`, { reference, currentStatus: existingTransaction.status });
-      return {
-        error: false,
-        data: {
-          status: 'pending',
-          amount: existingTransaction.totalAmount,
-          paymentMethod: existingTransaction.paymentMethod,
-          paidAt: null,
-        },
-      };
+    const provider = getPaymentProvider(existingTransaction.paymentProvider);
+    const providerResult = await provider.verifyPayment(reference);
+    // STK pushes are charged in whole shillings
+    const amountMismatch = providerResult.amount != null && Math.round(providerResult.amount) !== Math.round(existingTransaction.totalAmount);
+    let status = existingTransaction.status === 'failed' ? 'failed' : 'pending';
+
+    if (amountMismatch) {
+      logger.warn(`Amount mismatch for transaction ${reference}: expected KES ${existingTransaction.totalAmount}, provider reported KES ${providerResult.amount}`, { providerStatus: providerResult.status });
+    } else if (status === 'pending' && ['completed', 'failed'].includes(providerResult.status)) {
+      const txResult = await applyPaymentResult(provider, {
+        reference,
+        providerTransactionId: providerResult.providerTransactionId,
+        status: providerResult.status,
+        serviceFee: providerResult.serviceFee,
+        paidAt: providerResult.paidAt,
+        failureReason: providerResult.failureReason,
+      });
+      if (txResult.type === 'success') {
+        status = 'completed';
+      } else if (txResult.type === 'failure') {
+        status = 'failed';
+      }
+      logger.info(`Transaction ${reference} settled from provider status: ${status}`, { provider: provider.name, result: txResult.type });
+    } else {
+      logger.info(`Transaction ${reference} still pending`, { reference, currentStatus: existingTransaction.status, providerStatus: providerResult.status });
     }
 
-    await session.commitTransaction();
-    committed = true;
-    logger.info(`Transaction verified successfully (via poll)`, { reference });
+    const settled = status === 'completed' ? await TransactionModel.findById(existingTransaction._id).select('paidAt') : null;
     return {
       error: false,
       data: {
-        status: 'completed',
+        status,
+        providerStatus: providerResult.status,
+        providerAmount: providerResult.amount ?? null,
+        amountMismatch,
         amount: existingTransaction.totalAmount,
         paymentMethod: existingTransaction.paymentMethod,
-        paidAt: existingTransaction.paidAt,
+        paidAt: settled?.paidAt || null,
       },
     };
   } catch (error) {
-    if (!committed) {
-      await session.abortTransaction();
-      logger.info(`Transaction aborted for verification`, { reference });
-    }
     logger.error(`Error verifying transaction: ${error.message}`, { stack: error.stack, reference });
-    return { error: true, message: error.message };
-  } finally {
-    session.endSession();
+    return failureResult(error, 'Payment could not be verified');
   }
 };
 
 // Verify Transactions Endpoint
-export const verifyTransactions = async (req, res) => {
+export const verifyTransactions = async (req, res, next) => {
   try {
     const { reference } = req.params;
     if (!reference) {
@@ -374,7 +318,7 @@ export const verifyTransactions = async (req, res) => {
 
     const result = await verifyTransaction(reference);
     if (result.error) {
-      return res.status(400).json({ error: true, message: result.message });
+      return next(result.cause);
     }
 
     // Return success response with order status
@@ -382,7 +326,9 @@ export const verifyTransactions = async (req, res) => {
       success: true,
       message: result.data.status === 'completed' 
         ? 'Payment verified successfully. Order confirmed!' 
-        : 'Payment is still pending. Please wait...',
+        : result.data.status === 'failed'
+          ? 'Payment was not successful. Please try again.'
+          : 'Payment is still pending. Please wait...',
       data: {
         ...result.data,
         verified: result.data.status === 'completed'
@@ -397,12 +343,40 @@ export const verifyTransactions = async (req, res) => {
     return res.status(200).json(response);
   } catch (error) {
     console.log('Verify endpoint error:', error);
-    logger.error(`Error in verifyTransactions endpoint: ${error.message}`, { stack: error.stack, reference: req.params.reference });
-    return res.status(500).json({ success: false, message: 'Server error' });
+    return next(error);
   }
 };
 
-// Initiate Refund (Manual - no API)
+/**
+ * @route POST /api/payments/sandbox/:reference/emit
+ * @desc Emit a success or failure webhook for a simulated sandbox payment (only when PAYMENT_SANDBOX_ENABLED is set)
+ * @access Private
+ * @body { outcome = 'completed' | 'failed', reason }
+ */
+export const emitSandboxWebhook = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      logger.warn('Sandbox webhook emit failed: No user data in request', { ip: req.ip });
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+    let provider;
+    try {
+      provider = getPaymentProvider('sandbox');
+    } catch (error) {
+      return next(new NotFoundError(error.message));
+    }
+    const { reference } = req.params;
+    const { outcome = 'completed', reason } = req.body;
+
+    const payload = await provider.emitWebhook(reference, outcome, reason ? sanitizeHtml(String(reason)) : null);
+    logger.info(`Sandbox ${outcome} webhook emitted for ${reference} by user ${req.user._id}`);
+    return res.status(200).json({ success: true, message: `Sandbox ${outcome} webhook sent`, data: payload });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Initiate Refund (Manual - no API). itemId is the order line's _id (see findOrderItem).
 export const initiateRefund = async (orderId, itemId, session) => {
   try {
     logger.info("Started the manual refund process", { orderId, itemId });
@@ -410,19 +384,19 @@ export const initiateRefund = async (orderId, itemId, session) => {
     const transaction = await TransactionModel.findOne({ orderId: order.orderId }).session(session);
     if (!order || !transaction) {
       logger.error(`Order or transaction not found for refund`, { orderId, itemId });
-      throw new Error('Order or transaction not found');
+      throw new NotFoundError('Order or transaction not found');
     }
 
-    const item = order.items.find(i => i.productId === itemId);
+    const item = findOrderItem(order.items, itemId);
     if (!item) {
       logger.error(`Item not found or not cancelled`, { orderId, itemId });
-      throw new Error('Item not found or not cancelled');
+      throw new BadRequestError('Item not found or not cancelled');
     }
 
     const transactionItem = transaction.items.find(i => i.itemId.toString() === item._id.toString());
     if (!transactionItem) {
       logger.error(`Transaction item not found`, { orderId, itemId });
-      throw new Error('Transaction item not found');
+      throw new NotFoundError('Transaction item not found');
     }
 
     if (transactionItem.refundStatus !== 'none') {
@@ -438,30 +412,42 @@ export const initiateRefund = async (orderId, itemId, session) => {
     await transaction.save({ session });
     await order.save({ session });
 
-    const sellerShare = transactionItem.sellerShare;
-    await userModel.findByIdAndUpdate(
-      transactionItem.sellerId,
-      {
-        $inc: { 'financials.balance': -sellerShare },
-        $push: {
-          'financials.payoutHistory': {
-            amount: -sellerShare,
-            method: 'M-Pesa',
-            status: 'manual_refund_pending',
-          },
-        },
-      },
-      { session }
-    );
-    logger.info(`Seller ${transactionItem.sellerId} balance updated: -KES ${sellerShare} (manual refund pending)`, { orderId, itemId });
-
+    // Reverse the seller's share and the platform's cut into a refund owed to the buyer
     const platformShare = (transactionItem.itemAmount / transaction.totalAmount) * (transaction.swiftServiceFee + transaction.deliveryFee + (transactionItem.itemAmount * commissionRate));
-    await userModel.findOneAndUpdate(
-      { 'personalInfo.isAdmin': true },
-      { $inc: { 'financials.balance': -platformShare } },
-      { session }
-    );
-    logger.info(`Admin balance updated: -KES ${platformShare} (manual refund)`, { orderId, itemId });
+    await postRefundJournal({ orderId: order.orderId, items: [transactionItem], platformShare }, session);
+    logger.info(`Ledger refund posted: seller -KES ${transactionItem.sellerShare}, platform -KES ${platformShare}`, { orderId, itemId });
+
+    // Providers with a reversal API pay the buyer straight away; otherwise finance sends it manually
+    const provider = getPaymentProvider(transaction.paymentProvider);
+    const refundResult = await provider.refund({
+      reference: transaction.swiftReference,
+      amount: transactionItem.itemAmount,
+      phone: order.customerId?.personalInfo?.phone,
+      reason: `Refund for ${item.name} (Order ${order.orderId})`,
+    });
+    const refundSent = refundResult.success && !refundResult.manual;
+    if (refundSent) {
+      // Settle exactly what the refund journal made payable
+      const refundOwed = Math.round(transactionItem.sellerShare * 100) / 100 + Math.round(platformShare * 100) / 100;
+      transactionItem.refundStatus = 'completed';
+      item.refundStatus = 'completed';
+      await transaction.save({ session });
+      await order.save({ session });
+      await postJournal({
+        type: 'refund',
+        description: `Refund ${refundResult.providerReference} sent via ${provider.name}`,
+        orderId: order.orderId,
+        itemId: transactionItem.itemId,
+        lines: [
+          { account: 'refunds_payable', debit: refundOwed },
+          { account: 'escrow', credit: refundOwed },
+        ],
+      }, session);
+      logger.info(`Refund sent via ${provider.name}`, { orderId, itemId, providerReference: refundResult.providerReference });
+    }
+    const refundPhrase = refundSent
+      ? 'has been refunded to your M-Pesa account'
+      : 'has been initiated manually and will be processed as soon as possible';
 
     const isFullRefund = order.items.every(i => i.refundStatus === 'pending' || i.refundStatus === 'completed');
     const buyer = order.customerId;
@@ -478,7 +464,7 @@ export const initiateRefund = async (orderId, itemId, session) => {
       const emailSent = await sendEmail(
         buyer.personalInfo.email,
         'Refund Initiated - BeiFity.Com',
-        emailContent.replace('has been initiated', 'has been initiated manually and will be processed as soon as possible')
+        refundSent ? emailContent.replace('has been initiated manually and will be processed to your M-Pesa account as soon as possible', refundPhrase) : emailContent
       );
       if (!emailSent) {
         logger.warn(`Failed to send refund email to buyer ${buyer._id}`, { orderId, itemId });
@@ -487,7 +473,7 @@ export const initiateRefund = async (orderId, itemId, session) => {
       }
     }
 
-    const buyerNotificationContent = `A ${isFullRefund ? 'full' : 'partial'} refund of KES ${transactionItem.itemAmount.toFixed(2)} for item "${sanitizeHtml(item.name)}" (Order ID: ${sanitizeHtml(order.orderId)}) has been initiated manually and will be processed as soon as possible.`;
+    const buyerNotificationContent = `A ${isFullRefund ? 'full' : 'partial'} refund of KES ${transactionItem.itemAmount.toFixed(2)} for item "${sanitizeHtml(item.name)}" (Order ID: ${sanitizeHtml(order.orderId)}) ${refundPhrase}.`;
     try {
       await sendNotification(
         buyer._id.toString(),
@@ -515,7 +501,7 @@ export const initiateRefund = async (orderId, itemId, session) => {
       const sellerEmailSent = await sendEmail(
         seller.personalInfo.email,
         'Order Item Refund Notification - BeiFity.Com',
-        sellerEmailContent.replace('has been initiated', 'has been initiated manually and will be processed as soon as possible')
+        sellerEmailContent
       );
       if (!sellerEmailSent) {
         logger.warn(`Failed to send refund email to seller ${seller._id}`, { orderId, itemId });
@@ -524,7 +510,7 @@ export const initiateRefund = async (orderId, itemId, session) => {
       }
     }
 
-    const sellerNotificationContent = `The buyer cancelled item "${sanitizeHtml(item.name)}" (Order ID: ${sanitizeHtml(order.orderId)}). KES ${sellerShare.toFixed(2)} has been deducted from your pending balance as part of the ${isFullRefund ? 'full' : 'partial'} manual refund, which will be processed as soon as possible.`;
+    const sellerNotificationContent = `The buyer cancelled item "${sanitizeHtml(item.name)}" (Order ID: ${sanitizeHtml(order.orderId)}). KES ${transactionItem.sellerShare.toFixed(2)} has been deducted from your balance as part of the ${isFullRefund ? 'full' : 'partial'} refund.`;
     try {
       await sendNotification(
         seller._id.toString(),
@@ -538,32 +524,37 @@ export const initiateRefund = async (orderId, itemId, session) => {
       logger.warn(`Failed to create refund notification for seller ${seller._id}: ${notificationError.message}`, { orderId, itemId });
     }
 
-    return { error: false, message: `Manual refund initiated successfully (${isFullRefund ? 'full' : 'partial'}). Will be processed as soon as possible.` };
+    return {
+      error: false,
+      message: refundSent
+        ? `Refund sent successfully (${isFullRefund ? 'full' : 'partial'}).`
+        : `Manual refund initiated successfully (${isFullRefund ? 'full' : 'partial'}). Will be processed as soon as possible.`,
+    };
   } catch (error) {
     logger.error(`Error initiating manual refund: ${error.message}`, { stack: error.stack, orderId, itemId });
-    return { error: true, message: error.message };
+    return failureResult(error, 'Refund failed');
   }
 };
 
-// Initiate Payout (Manual - no API)
+// Initiate Payout: releases delivered items' proceeds to the seller's ledger balance (withdrawn via withdrawal requests)
 export const initiatePayout = async (transactionId, itemId, session) => {
   try {
     const transaction = await TransactionModel.findById(transactionId).session(session);
     if (!transaction) {
       logger.error(`Transaction not found for payout`, { transactionId, itemId });
-      throw new Error('Transaction not found');
+      throw new NotFoundError('Transaction not found');
     }
 
     const order = await orderModel.findOne({ orderId: transaction.orderId }).session(session).populate('items.sellerId');
     if (!order) {
       logger.error(`Order not found for payout`, { transactionId, itemId });
-      throw new Error('Order not found');
+      throw new NotFoundError('Order not found');
     }
 
     const transactionItem = transaction.items.find(i => i.itemId.toString() === itemId.toString());
     if (!transactionItem) {
       logger.error(`Transaction item not found for payout`, { transactionId, itemId });
-      throw new Error('Transaction item not found');
+      throw new NotFoundError('Transaction item not found');
     }
 
     if (transactionItem.payoutStatus !== 'manual_pending') {
@@ -575,7 +566,7 @@ export const initiatePayout = async (transactionId, itemId, session) => {
     const seller = await userModel.findById(sellerId).session(session);
     if (!seller) {
       logger.error(`Seller not found for payout`, { transactionId, itemId, sellerId });
-      throw new Error('Seller not found');
+      throw new NotFoundError('Seller not found');
     }
 
     const sellerItems = transaction.items.filter(
@@ -591,57 +582,26 @@ export const initiatePayout = async (transactionId, itemId, session) => {
     // Find admin
     const admin = await userModel.findOne({ 'personalInfo.isAdmin': true }).session(session);
     if (!admin) {
-      logger.error(`Admin not found for payout deduction`, { transactionId, itemId });
+      logger.error(`Admin not found for payout notification`, { transactionId, itemId });
       throw new Error('Admin not found');
     }
 
-    // Manual: Mark as transferred
+    // Release the held proceeds to the seller's withdrawable balance
+    const journalId = await postJournal({
+      type: 'sale_release',
+      description: `Delivery confirmed for order ${transaction.orderId}`,
+      orderId: transaction.orderId,
+      lines: sellerItems.flatMap(item => [
+        { account: 'seller_pending', userId: item.sellerId, debit: item.owedAmount, itemId: item.itemId },
+        { account: 'seller_available', userId: item.sellerId, credit: item.owedAmount, itemId: item.itemId },
+      ]),
+    }, session);
     for (const item of sellerItems) {
       item.payoutStatus = 'transferred';
-      item.swiftPayoutReference = `MANUAL-${Date.now()}-${sellerId}`; // Track manual
+      item.swiftPayoutReference = `LEDGER-${journalId}`; // Journal that released the funds
     }
     await transaction.save({ session });
-
-    // Deduct from admin's balance (platform paying out)
-    await userModel.findByIdAndUpdate(
-      admin._id,
-      { $inc: { 'financials.balance': -totalPayoutAmount } },
-      { session }
-    );
-    logger.info(`Admin balance deducted: -KES ${totalPayoutAmount} for manual payout`, { transactionId, itemId });
-
-    // Push to admin's payoutHistory as outgoing (negative amount)
-    await userModel.findByIdAndUpdate(
-      admin._id,
-      {
-        $push: {
-          'financials.payoutHistory': {
-            amount: -totalPayoutAmount,
-            date: new Date(),
-            method: 'M-Pesa',
-            status: 'completed',
-          },
-        },
-      },
-      { session }
-    );
-    logger.info(`Outgoing payout recorded in admin history: -KES ${totalPayoutAmount}`, { transactionId, itemId });
-
-    // Push to seller's payoutHistory ONLY (no $inc balance—already added on payment)
-    await userModel.findByIdAndUpdate(
-      sellerId,
-      {
-        $push: {
-          'financials.payoutHistory': {
-            amount: totalPayoutAmount,
-            date: new Date(),
-            method: 'M-Pesa',
-            status: 'completed',
-          },
-        },
-      },
-      { session }
-    );
+    logger.info(`Released KES ${totalPayoutAmount} to seller ${sellerId} available balance`, { transactionId, itemId, journalId });
 
     // Notify and email seller
     if (seller && seller.personalInfo?.email) {
@@ -650,21 +610,21 @@ export const initiatePayout = async (transactionId, itemId, session) => {
         transaction.orderId,
         totalPayoutAmount,
         sellerItems.map(i => i.itemId.toString()),
-        `MANUAL-${Date.now()}-${sellerId}`
+        `LEDGER-${journalId}`
       );
       const emailSent = await sendEmail(
         seller.personalInfo.email,
-        'Payout Processed - BeiFity.Com',
-        emailContent.replace('Initiated', 'Processed Manually')
+        'Funds Released - BeiFity.Com',
+        emailContent.replace('Initiated', 'Released to Your Balance')
       );
       if (!emailSent) {
         logger.warn(`Failed to send payout notification email to seller ${seller._id}`, { transactionId, itemId });
       } else {
-        logger.info(`Manual payout email sent to seller ${seller._id}`, { transactionId, itemId });
+        logger.info(`Funds released email sent to seller ${seller._id}`, { transactionId, itemId });
       }
     }
 
-    const sellerNotificationContent = `A manual payout of KES ${totalPayoutAmount.toFixed(2)} for items in Order ID: ${sanitizeHtml(transaction.orderId)} has been processed to your M-Pesa account.`;
+    const sellerNotificationContent = `KES ${totalPayoutAmount.toFixed(2)} for items in Order ID: ${sanitizeHtml(transaction.orderId)} has been released to your BeiFity balance. You can now request a withdrawal to M-Pesa.`;
     try {
       await sendNotification(
         seller._id.toString(),
@@ -673,27 +633,27 @@ export const initiatePayout = async (transactionId, itemId, session) => {
         'system',
         session
       );
-      logger.info(`Manual payout notification created for seller ${seller._id}`, { transactionId, itemId });
+      logger.info(`Funds released notification created for seller ${seller._id}`, { transactionId, itemId });
     } catch (notificationError) {
       logger.warn(`Failed to create payout notification for seller ${seller._id}: ${notificationError.message}`, { transactionId, itemId });
     }
 
     // Notify and email admin
     if (admin && admin.personalInfo?.email) {
-      const adminEmailContent = `Manual payout of KES ${totalPayoutAmount.toFixed(2)} processed to seller "${sanitizeHtml(seller.personalInfo.fullname || 'Seller')}" for Order ID: ${sanitizeHtml(transaction.orderId)}. Balance deducted from platform account.`;
+      const adminEmailContent = `KES ${totalPayoutAmount.toFixed(2)} released to seller "${sanitizeHtml(seller.personalInfo.fullname || 'Seller')}" for Order ID: ${sanitizeHtml(transaction.orderId)}. It will be paid out when the seller requests a withdrawal.`;
       const adminEmailSent = await sendEmail(
         admin.personalInfo.email,
-        'Manual Payout Processed - BeiFity.Com',
+        'Seller Funds Released - BeiFity.Com',
         adminEmailContent
       );
       if (!adminEmailSent) {
         logger.warn(`Failed to send payout notification email to admin ${admin._id}`, { transactionId, itemId });
       } else {
-        logger.info(`Manual payout email sent to admin ${admin._id}`, { transactionId, itemId });
+        logger.info(`Funds released email sent to admin ${admin._id}`, { transactionId, itemId });
       }
     }
 
-    const adminNotificationContent = `Manual payout of KES ${totalPayoutAmount.toFixed(2)} processed to seller "${sanitizeHtml(seller.personalInfo.fullname || 'Seller')}" for Order ID: ${sanitizeHtml(transaction.orderId)}. Platform balance updated.`;
+    const adminNotificationContent = `KES ${totalPayoutAmount.toFixed(2)} released to seller "${sanitizeHtml(seller.personalInfo.fullname || 'Seller')}" for Order ID: ${sanitizeHtml(transaction.orderId)}.`;
     try {
       await sendNotification(
         admin._id.toString(),
@@ -702,535 +662,625 @@ export const initiatePayout = async (transactionId, itemId, session) => {
         'system',
         session
       );
-      logger.info(`Manual payout notification created for admin ${admin._id}`, { transactionId, itemId });
+      logger.info(`Funds released notification created for admin ${admin._id}`, { transactionId, itemId });
     } catch (notificationError) {
       logger.warn(`Failed to create payout notification for admin ${admin._id}: ${notificationError.message}`, { transactionId, itemId });
     }
 
-    logger.info(`Manual payout processed for seller ${transactionItem.sellerId}: KES ${totalPayoutAmount}`, { transactionId, itemId });
-    return { error: false, message: 'Manual payout processed successfully' };
+    logger.info(`Funds released for seller ${transactionItem.sellerId}: KES ${totalPayoutAmount}`, { transactionId, itemId });
+    return { error: false, message: 'Funds released to seller balance successfully' };
   } catch (error) {
     logger.error(`Error initiating manual payout: ${error.message}`, { stack: error.stack, transactionId, itemId });
-    return { error: true, message: error.message };
+    return failureResult(error, 'Payout failed');
   }
 };
-/// Modified handleSwiftWebhook function - Optimized for speed
-export const handleSwiftWebhook = async (req, res) => {
-  console.log('Received SWIFT webhook:', JSON.stringify(req.body, null, 2));
-  logger.info('SWIFT webhook received', { 
-    transaction_id: req.body.transaction_id, 
-    external_reference: req.body.external_reference, 
-    status: req.body.status,
-    success: req.body.success,
-    fullBody: req.body
-  });
-  try {
-    // Wrap ONLY critical DB logic in retryable transaction (minimize scope for speed)
-    const txResult = await withTransactionRetry(async (session) => {
-      logger.debug('Starting webhook transaction processing', { external_reference: req.body.external_reference });
-      const input = req.body;
-      const signature = req.headers['x-swiftwallet-signature'];
-
-      // Verify HMAC signature (fast, no DB)
-      logger.debug('Verifying webhook signature', { hasSecret: !!process.env.SWIFT_WEBHOOK_SECRET });
-      const webhookSecret = process.env.SWIFT_WEBHOOK_SECRET;
-      if (webhookSecret) {
-        const expectedSignature = crypto
-          .createHmac('sha256', webhookSecret)
-          .update(JSON.stringify(input))
-          .digest('hex');
-        if (!crypto.timingSafeEqual(Buffer.from(signature || ''), Buffer.from(expectedSignature))) {
-          logger.warn('Invalid webhook signature', { reference: input.transaction_id });
-          throw new Error('Unauthorized');  // Non-retryable
-        }
-        logger.debug('Webhook signature verified successfully');
-      }
-
-      const { transaction_id, external_reference, status, service_fee, result } = input;
-
-      logger.debug('Checking webhook validity', { 
-        status, 
-        resultCode: result?.ResultCode,
-        hasResult: !!result,
-        fullInput: input 
-      });
+// Applies a provider payment result to its transaction and order.
+// Shared by live webhooks, admin replays and reconciliation so every path settles payments the same way.
+const applyPaymentResult = async (provider, paymentResult) => {
+  // Wrap ONLY critical DB logic in retryable transaction (minimize scope for speed)
+  const txResult = await withTransactionRetry(async (session) => {
+    const { reference: external_reference, providerTransactionId: transaction_id, status, serviceFee: service_fee, paidAt: providerPaidAt, failureReason } = paymentResult;
+    logger.debug('Applying payment result', { provider: provider.name, external_reference, transaction_id, status });
+
+    if (status !== 'completed') {
+      logger.warn(`Webhook invalid or failed: ${failureReason}`, { transaction_id, external_reference });
       
-      // Safely check result code - handle cases where result might be undefined
-      const resultCode = result?.ResultCode;
-      const isSuccess = status === 'completed' && (resultCode === 0 || resultCode === undefined);
+      let order = null;  // FIXED: Declare outside with null fallback to avoid ReferenceError
       
-      if (!transaction_id || !isSuccess) {
-        logger.warn(`Webhook invalid or failed: status=${status}, code=${resultCode}`, { 
-          transaction_id,
-          hasResult: !!result,
-          result 
-        });
-        
-        let order = null;  // FIXED: Declare outside with null fallback to avoid ReferenceError
-        
-        // Handle failure: Rollback order state (only if not already completed) - Keep minimal
-        logger.debug('Processing webhook failure - keeping transaction pending');
-        const transaction = await TransactionModel.findOne({ swiftReference: external_reference }).session(session);
-        if (transaction) {
-          if (transaction.status === 'completed') {
-            logger.info(`Duplicate failure webhook ignored for already-completed transaction ${external_reference}`);
-            return { type: 'duplicate' };  // Skip rollback for completed (idempotency)
-          }
-          logger.info(`Found transaction for failure handling: ${transaction._id}`);
-          order = await orderModel.findOne({ orderId: transaction.orderId }).session(session).populate('items.sellerId customerId');
-          if (order) {
-            logger.info(`Found order for failure handling: ${order._id}`);
-            // Ensure order status is pending for retry
-            order.status = 'pending';
-            await order.save({ session });
-            // Restore inventory for non-cancelled items (batch if possible, but sequential for safety)
-            for (const item of order.items.filter(i => !i.cancelled)) {
-              await listingModel.updateOne(
-                { 'productInfo.productId': item.productId },
-                { 
-                  $inc: { inventory: item.quantity, 'analytics.ordersNumber': -1 }, 
-                  $set: { isSold: false } 
-                },
-                { session }
-              );
-              logger.debug(`Restored inventory for item ${item.productId}`);
-            }
-            // Reset buyer stats
-            await userModel.updateOne(
-              { _id: order.customerId },
+      // Handle failure: Rollback order state (only if not already completed) - Keep minimal
+      logger.debug('Processing webhook failure - keeping transaction pending');
+      const transaction = await TransactionModel.findOne({ swiftReference: external_reference }).session(session);
+      if (transaction && transaction.paymentProvider === provider.name) {
+        if (transaction.status === 'completed' || transaction.status === 'failed') {
+          logger.info(`Duplicate failure webhook ignored for already-${transaction.status} transaction ${external_reference}`);
+          return { type: 'duplicate' };  // Skip rollback for completed (idempotency)
+        }
+        logger.info(`Found transaction for failure handling: ${transaction._id}`);
+        order = await orderModel.findOne({ orderId: transaction.orderId }).session(session).populate('items.sellerId customerId');
+        if (order) {
+          logger.info(`Found order for failure handling: ${order._id}`);
+          // Ensure order status is pending for retry
+          order.status = 'pending';
+          await order.save({ session });
+          // Restore inventory for non-cancelled items (batch if possible, but sequential for safety)
+          for (const item of order.items.filter(i => !i.cancelled)) {
+            await updateListingStock(
+              { 'productInfo.productId': item.productId },
               { 
-                $inc: { 'stats.pendingOrdersCount': -1, 'analytics.orderCount': -1 },
-                $pull: { orders: order._id }  // Remove from orders array
+                $inc: {
+                  inventory: item.quantity,
+                  'analytics.ordersNumber': -1,
+                  ...(item.sku && { 'variants.$[variant].inventory': item.quantity }),
+                }, 
+                $set: { isSold: false } 
               },
-              { session }
+              { session, ...(item.sku && { arrayFilters: [{ 'variant.sku': item.sku }] }) }
             );
-            logger.debug(`Reset buyer stats for ${order.customerId}`);
-            // Reset seller pending counts (batch by unique sellers)
-            const uniqueSellers = [...new Set(order.items.filter(i => !i.cancelled).map(i => i.sellerId))];
-            for (const sellerId of uniqueSellers) {
-              await userModel.updateOne(
-                { _id: sellerId },
-                { $inc: { 'stats.pendingOrdersCount': -1 } },
-                { session }
-              );
-              logger.debug(`Reset seller pending count for ${sellerId}`);
-            }
-            // REMOVED: Do not delete transaction - keep in pending/failed mode
-            transaction.status = 'failed';  // Or 'pending' if you prefer to allow retry without marking as failed
-            await transaction.save({ session });
-            // Unlink transaction from order to allow retry
-            await orderModel.updateOne(
-              { _id: order._id },
-              { $unset: { transactionId: '' } },
+            logger.debug(`Restored inventory for item ${item.productId}`);
+          }
+          // Reset buyer stats
+          await userModel.updateOne(
+            { _id: order.customerId },
+            { 
+              $inc: { 'stats.pendingOrdersCount': -1, 'analytics.orderCount': -1 },
+              $pull: { orders: order._id }  // Remove from orders array
+            },
+            { session }
+          );
+          logger.debug(`Reset buyer stats for ${order.customerId}`);
+          // Reset seller pending counts (batch by unique sellers)
+          const uniqueSellers = [...new Set(order.items.filter(i => !i.cancelled).map(i => i.sellerId))];
+          for (const sellerId of uniqueSellers) {
+            await userModel.updateOne(
+              { _id: sellerId },
+              { $inc: { 'stats.pendingOrdersCount': -1 } },
               { session }
             );
-            logger.info(`Transaction set to failed and unlinked from order ${order.orderId} for retry`);
-          } else {
-            logger.warn(`Transaction found but order not found for failure handling`, { orderId: transaction.orderId });
+            logger.debug(`Reset seller pending count for ${sellerId}`);
           }
+          // REMOVED: Do not delete transaction - keep in pending/failed mode
+          transaction.status = 'failed';  // Or 'pending' if you prefer to allow retry without marking as failed
+          await transaction.save({ session });
+          // Unlink transaction from order to allow retry
+          await orderModel.updateOne(
+            { _id: order._id },
+            { $unset: { transactionId: '' } },
+            { session }
+          );
+          logger.info(`Transaction set to failed and unlinked from order ${order.orderId} for retry`);
         } else {
-          logger.warn(`No transaction found for failure handling`, { external_reference });
+          logger.warn(`Transaction found but order not found for failure handling`, { orderId: transaction.orderId });
         }
-
-        return { type: 'failure', order };  // Now safe: order is always defined (null if missing)
+      } else {
+        logger.warn(`No transaction found for failure handling`, { external_reference });
       }
 
-      console.log('Processing SWIFT webhook for transaction:', external_reference);
-      logger.info('Processing successful webhook', { external_reference, transaction_id });
-     
-      const transaction = await TransactionModel.findOne({ swiftReference: external_reference }).session(session);
-      if (!transaction) {
-        logger.warn(`Webhook: Transaction not found for ${transaction_id}`);
-        return { type: 'not_found' };
-      }
-      
-      // FIXED: Idempotency check for success webhooks - prevent re-processing completed transactions
-      if (transaction.status === 'completed') {
-        logger.info(`Duplicate webhook ignored for already-completed transaction ${external_reference}`);
-        return { type: 'duplicate' };
-      }
-      
-      console.log("Transactions: ",transaction)
-      logger.debug('Fetched transaction', { 
-        id: transaction._id, 
-        status: transaction.status, 
-        totalAmount: transaction.totalAmount,
-        itemsCount: transaction.items.length 
-      });
+      return { type: 'failure', order };  // Now safe: order is always defined (null if missing)
+    }
 
-      const order = await orderModel.findOne({ orderId: transaction.orderId }).session(session).populate('customerId items.sellerId');
+    console.log(`Processing ${provider.name} webhook for transaction:`, external_reference);
+    logger.info('Processing successful webhook', { external_reference, transaction_id });
+   
+    const transaction = await TransactionModel.findOne({ swiftReference: external_reference }).session(session);
+    if (!transaction || transaction.paymentProvider !== provider.name) {
+      logger.warn(`Webhook: Transaction not found for ${transaction_id}`, { provider: provider.name, external_reference });
+      return { type: 'not_found' };
+    }
+    
+    // FIXED: Idempotency check for success webhooks - prevent re-processing completed transactions
+    if (transaction.status === 'completed') {
+      logger.info(`Duplicate webhook ignored for already-completed transaction ${external_reference}`);
+      return { type: 'duplicate' };
+    }
+    
+    console.log("Transactions: ",transaction)
+    logger.debug('Fetched transaction', { 
+      id: transaction._id, 
+      status: transaction.status, 
+      totalAmount: transaction.totalAmount,
+      itemsCount: transaction.items.length 
+    });
 
-      if (!order) {
-        logger.warn(`Webhook: Order not found for transaction ${external_reference}`);
-        return { type: 'order_not_found' };
-      }
-      console.log('Order :', order)
-      logger.debug('Fetched order', { 
-        id: order._id, 
-        status: order.status, 
-        totalAmount: order.totalAmount,
-        itemsCount: order.items.length 
-      });
+    const order = await orderModel.findOne({ orderId: transaction.orderId }).session(session).populate('customerId items.sellerId');
 
-      // Parse paidAt correctly (fast) - safely handle missing result
-      let paidAt = new Date();  // Fallback to now
-      if (result?.TransactionDate) {
-        const tsStr = result.TransactionDate.toString().padStart(14, '0');  // Ensure 14 chars
-        if (tsStr.length === 14 && /^\d{14}$/.test(tsStr)) {
-          const year = parseInt(tsStr.slice(0, 4), 10);
-          const month = parseInt(tsStr.slice(4, 6), 10) - 1;  // JS months are 0-based
-          const day = parseInt(tsStr.slice(6, 8), 10);
-          const hour = parseInt(tsStr.slice(8, 10), 10);
-          const min = parseInt(tsStr.slice(10, 12), 10);
-          const sec = parseInt(tsStr.slice(12, 14), 10);
-          // Adjust for timezone if needed (SWIFT likely UTC; add +3h for EAT)
-          paidAt = new Date(year, month, day, hour, min, sec);
-          if (isNaN(paidAt.getTime())) {
-            logger.warn(`Invalid parsed TransactionDate: ${tsStr}, falling back to now`);
-            paidAt = new Date();
-          }
-        } else {
-          logger.warn(`Unexpected TransactionDate format: ${result.TransactionDate}`);
-        }
-      } else {
-        logger.debug('No TransactionDate in result, using current time', { hasResult: !!result });
-      }
-      logger.debug('Parsed paidAt', { paidAt: paidAt.toISOString() });
-
-      // Update Transaction with final details (minimal)
-      logger.debug('Updating transaction status to completed');
-      transaction.status = 'completed';
-      transaction.swiftServiceFee = service_fee || transaction.swiftServiceFee;
-      // FIXED: Calculate netReceived using itemsTotal (exclude delivery for commission/net)
-      const itemsTotal = transaction.items.reduce((sum, item) => sum + (item.itemAmount || 0), 0);
-      const commissionRate = parseFloat(process.env.COMMISSION_RATE || '0');
-      const platformCommission_total = itemsTotal * commissionRate;
-      transaction.netReceived = Math.max(itemsTotal - transaction.swiftServiceFee - platformCommission_total, 0);
-      transaction.paidAt = paidAt;
-      await transaction.save({ session });
-      logger.debug('Transaction saved after status update', { netReceived: transaction.netReceived, swiftServiceFee: transaction.swiftServiceFee });
+    if (!order) {
+      logger.warn(`Webhook: Order not found for transaction ${external_reference}`);
+      return { type: 'order_not_found' };
+    }
+    console.log('Order :', order)
+    logger.debug('Fetched order', { 
+      id: order._id, 
+      status: order.status, 
+      totalAmount: order.totalAmount,
+      itemsCount: order.items.length 
+    });
 
+    const paidAt = providerPaidAt || new Date();
+    logger.debug('Parsed paidAt', { paidAt: paidAt.toISOString() });
+
+    // Update Transaction with final details (minimal)
+    logger.debug('Updating transaction status to completed');
+    transaction.status = 'completed';
+    transaction.swiftServiceFee = service_fee || transaction.swiftServiceFee;
+    // FIXED: Calculate netReceived using itemsTotal (exclude delivery for commission/net)
+    const itemsTotal = transaction.items.reduce((sum, item) => sum + (item.itemAmount || 0), 0);
+    const commissionRate = parseFloat(process.env.COMMISSION_RATE || '0');
+    const platformCommission_total = itemsTotal * commissionRate;
+    transaction.netReceived = Math.max(itemsTotal - transaction.swiftServiceFee - platformCommission_total, 0);
+    transaction.paidAt = paidAt;
+    await transaction.save({ session });
+    logger.debug('Transaction saved after status update', { netReceived: transaction.netReceived, swiftServiceFee: transaction.swiftServiceFee });
 
-      // Update Order status to paid (fast)
-      if (order.status !== 'paid') {
-        logger.debug('Updating order status to paid');
-        order.status = 'paid';
-        await order.save({ session });
-        logger.info(`Order ${order.orderId} status updated to paid via webhook`, { transaction_id });
-      } else {
-        logger.debug('Order already in paid status, skipping update');
-      }
 
-      console.log('Items Total:', itemsTotal); // User's log
-      console.log('Net For Sellers', transaction.netReceived); // User's log
-      logger.debug('Pre-calculation: itemsTotal', { itemsTotal, commissionRate, platformCommission_total });
-
-      // Batch calculate item shares (no await here, just compute)
-      for (const transactionItem of transaction.items.filter(item => !(item.cancelled ?? false))) { // Safe undefined check
-        const itemAmount = transactionItem.itemAmount || 0; // Safe
-        // FIXED: Prorate commission on itemsTotal only
-        const proratedCommission = itemsTotal > 0 ? (itemAmount / itemsTotal) * platformCommission_total : 0;
-        transactionItem.platformCommission = proratedCommission;
-        transactionItem.sellerShare = itemsTotal > 0 ? (itemAmount / itemsTotal) * transaction.netReceived : 0;
-        transactionItem.transferFee = 0;
-        transactionItem.netCommission = proratedCommission;
-        transactionItem.owedAmount = transactionItem.sellerShare;
-        console.log(`Seller ${transactionItem.sellerId} share calculated: KES ${transactionItem.sellerShare} (from total net ${transaction.netReceived}, item ${itemAmount}/${itemsTotal})`); // User's log
-        logger.debug('Item share calculated', { 
-          itemId: transactionItem.itemId, 
-          sellerId: transactionItem.sellerId, 
-          itemAmount, 
-          sellerShare: transactionItem.sellerShare, 
-          platformCommission: transactionItem.platformCommission 
-        });
-      }
+    // Update Order status to paid (fast)
+    if (order.status !== 'paid') {
+      logger.debug('Updating order status to paid');
+      order.status = 'paid';
+      await order.save({ session });
+      logger.info(`Order ${order.orderId} status updated to paid via webhook`, { transaction_id });
+    } else {
+      logger.debug('Order already in paid status, skipping update');
+    }
 
-      await transaction.save({ session });  // Save updated items
-      logger.debug('Transaction saved after item calculations', { itemsUpdated: true });
-
-      // FIXED: Platform takes commissions (on items) + delivery fee + swift fee
-      const totalPlatformCommission = transaction.items.reduce((sum, item) => sum + item.platformCommission, 0);
-      console.log("Total platform commission: ", totalPlatformCommission)
-      const platformBalance = transaction.swiftServiceFee + transaction.deliveryFee + totalPlatformCommission;
-      console.log("Platform Balance:", platformBalance)
-      console.log('After save, sellerShare:', transaction.items[0].sellerShare); // User's log - now 5!
-      logger.debug('Platform balance calculated', { totalPlatformCommission, platformBalance });
-
-      // Update admin balance (fast)
-      const admin = await userModel.findOne({ 'personalInfo.isAdmin': true }).session(session);
-      if (admin) {
-        await userModel.findByIdAndUpdate(
-          admin._id,
-          { $inc: { 'financials.balance': platformBalance } },
-          { session }
-        );
-        logger.info(`Platform (admin) balance updated: +KES ${platformBalance} (service ${transaction.swiftServiceFee} + delivery ${transaction.deliveryFee} + comm ${totalPlatformCommission})`, { orderId: order.orderId });
-      } else {
-        logger.warn('No admin user found for balance update');
-      }
+    console.log('Items Total:', itemsTotal); // User's log
+    console.log('Net For Sellers', transaction.netReceived); // User's log
+    logger.debug('Pre-calculation: itemsTotal', { itemsTotal, commissionRate, platformCommission_total });
+
+    // Batch calculate item shares (no await here, just compute)
+    for (const transactionItem of transaction.items.filter(item => !(item.cancelled ?? false))) { // Safe undefined check
+      const itemAmount = transactionItem.itemAmount || 0; // Safe
+      // FIXED: Prorate commission on itemsTotal only
+      const proratedCommission = itemsTotal > 0 ? (itemAmount / itemsTotal) * platformCommission_total : 0;
+      transactionItem.platformCommission = proratedCommission;
+      transactionItem.sellerShare = itemsTotal > 0 ? (itemAmount / itemsTotal) * transaction.netReceived : 0;
+      transactionItem.transferFee = 0;
+      transactionItem.netCommission = proratedCommission;
+      transactionItem.owedAmount = transactionItem.sellerShare;
+      console.log(`Seller ${transactionItem.sellerId} share calculated: KES ${transactionItem.sellerShare} (from total net ${transaction.netReceived}, item ${itemAmount}/${itemsTotal})`); // User's log
+      logger.debug('Item share calculated', { 
+        itemId: transactionItem.itemId, 
+        sellerId: transactionItem.sellerId, 
+        itemAmount, 
+        sellerShare: transactionItem.sellerShare, 
+        platformCommission: transactionItem.platformCommission 
+      });
+    }
 
-      // OPTIMIZED: Group sellers and prepare bulk updates (minimize queries)
-      // Group transaction items by seller for efficiency (use ObjectId for keys)
-      const sellerGroups = {};
-      for (const txItem of transaction.items.filter(item => !item.cancelled)) {
-        const sellerIdObj = txItem.sellerId;  // Keep as ObjectId
-        const sellerIdStr = sellerIdObj.toString();  // For grouping key
-        if (!sellerGroups[sellerIdStr]) {
-          sellerGroups[sellerIdStr] = { 
-            sellerIdObj: sellerIdObj, 
-            items: [], 
-            totalShare: 0, 
-            numItems: 0 
-          };
-        }
-        sellerGroups[sellerIdStr].items.push(txItem);
-        sellerGroups[sellerIdStr].totalShare += txItem.sellerShare;
-        sellerGroups[sellerIdStr].numItems += 1;
+    await transaction.save({ session });  // Save updated items
+    logger.debug('Transaction saved after item calculations', { itemsUpdated: true });
+
+    // FIXED: Platform takes commissions (on items) + delivery fee + swift fee
+    const totalPlatformCommission = transaction.items.reduce((sum, item) => sum + item.platformCommission, 0);
+    console.log("Total platform commission: ", totalPlatformCommission)
+    const platformBalance = transaction.swiftServiceFee + transaction.deliveryFee + totalPlatformCommission;
+    console.log("Platform Balance:", platformBalance)
+    console.log('After save, sellerShare:', transaction.items[0].sellerShare); // User's log - now 5!
+    logger.debug('Platform balance calculated', { totalPlatformCommission, platformBalance });
+
+    // Record the platform's cut in the ledger (fast)
+    await postJournal({
+      type: 'platform_fee',
+      description: `Service, delivery and commission for order ${order.orderId}`,
+      orderId: order.orderId,
+      lines: [
+        { account: 'escrow', debit: platformBalance },
+        { account: 'platform_revenue', credit: platformBalance },
+      ],
+    }, session);
+    logger.info(`Platform revenue recorded: +KES ${platformBalance} (service ${transaction.swiftServiceFee} + delivery ${transaction.deliveryFee} + comm ${totalPlatformCommission})`, { orderId: order.orderId });
+
+    // OPTIMIZED: Group sellers and prepare bulk updates (minimize queries)
+    // Group transaction items by seller for efficiency (use ObjectId for keys)
+    const sellerGroups = {};
+    for (const txItem of transaction.items.filter(item => !item.cancelled)) {
+      const sellerIdObj = txItem.sellerId;  // Keep as ObjectId
+      const sellerIdStr = sellerIdObj.toString();  // For grouping key
+      if (!sellerGroups[sellerIdStr]) {
+        sellerGroups[sellerIdStr] = { 
+          sellerIdObj: sellerIdObj, 
+          items: [], 
+          totalShare: 0, 
+          numItems: 0 
+        };
       }
-      logger.debug('Seller groups formed', { groupCount: Object.keys(sellerGroups).length });
-
-      // OPTIMIZED: Prepare history entries in batch (fetch all listings once if needed, but per group for now)
-      const historyPromises = Object.entries(sellerGroups).map(async ([sellerIdStr, group]) => {
-        logger.debug(`Preparing updates for seller group ${sellerIdStr}`, { totalShare: group.totalShare, numItems: group.numItems });
-        // Fetch listings for history (batch per seller - parallel)
-        const orderItemsForSeller = order.items.filter(oi => group.items.some(gi => gi.itemId.toString() === oi._id.toString()));
-        const productIds = orderItemsForSeller.map(oi => oi.productId);
-        const listings = await listingModel.find({ 'productInfo.productId': { $in: productIds } }).session(session); // Batch fetch
-        const listingMap = new Map(listings.map(l => [l.productInfo.productId, l._id]));
-        
-        const historyEntries = group.items.map(txItem => {
-          const orderItem = orderItemsForSeller.find(oi => oi._id.toString() === txItem.itemId.toString());
-          const listingId = orderItem ? listingMap.get(orderItem.productId) : null;
-          return {
-            amount: txItem.sellerShare,
-            listingId: listingId || null,  // Use listing._id if found
-            date: paidAt,
-          };
-        });
+      sellerGroups[sellerIdStr].items.push(txItem);
+      sellerGroups[sellerIdStr].totalShare += txItem.sellerShare;
+      sellerGroups[sellerIdStr].numItems += 1;
+    }
+    logger.debug('Seller groups formed', { groupCount: Object.keys(sellerGroups).length });
+
+    // OPTIMIZED: Prepare history entries in batch (fetch all listings once if needed, but per group for now)
+    const historyPromises = Object.entries(sellerGroups).map(async ([sellerIdStr, group]) => {
+      logger.debug(`Preparing updates for seller group ${sellerIdStr}`, { totalShare: group.totalShare, numItems: group.numItems });
+      // Fetch listings for history (batch per seller - parallel)
+      const orderItemsForSeller = order.items.filter(oi => group.items.some(gi => gi.itemId.toString() === oi._id.toString()));
+      const productIds = orderItemsForSeller.map(oi => oi.productId);
+      const listings = await listingModel.find({ 'productInfo.productId': { $in: productIds } }).session(session); // Batch fetch
+      const listingMap = new Map(listings.map(l => [l.productInfo.productId, l._id]));
+      
+      const historyEntries = group.items.map(txItem => {
+        const orderItem = orderItemsForSeller.find(oi => oi._id.toString() === txItem.itemId.toString());
+        const listingId = orderItem ? listingMap.get(orderItem.productId) : null;
+        return {
+          amount: txItem.sellerShare,
+          listingId: listingId || null,  // Use listing._id if found
+          date: paidAt,
+        };
+      });
 
-        const sellerIdObj = group.sellerIdObj;  // Use ObjectId for update
-        // Update seller: +totalShare to balance, +numItems to salesCount, +totalShare to totalSales.amount, push history
-        await userModel.findByIdAndUpdate(
-          sellerIdObj,
-          {
-            $inc: {
-              'financials.balance': group.totalShare,
-              'analytics.salesCount': group.numItems,
-              'analytics.totalSales.amount': group.totalShare,
-            },
-            $push: {
-              'analytics.totalSales.history': { $each: historyEntries },
-            },
+      const sellerIdObj = group.sellerIdObj;  // Use ObjectId for update
+      // Hold the seller's share as pending until delivery is confirmed
+      await postJournal({
+        type: 'sale',
+        description: `Sale proceeds held for order ${order.orderId}`,
+        orderId: order.orderId,
+        lines: group.items.flatMap(txItem => [
+          { account: 'escrow', debit: txItem.sellerShare, itemId: txItem.itemId },
+          { account: 'seller_pending', userId: sellerIdObj, credit: txItem.sellerShare, itemId: txItem.itemId },
+        ]),
+      }, session);
+
+      // Update seller: +numItems to salesCount, +totalShare to totalSales.amount, push history
+      await userModel.findByIdAndUpdate(
+        sellerIdObj,
+        {
+          $inc: {
+            'analytics.salesCount': group.numItems,
+            'analytics.totalSales.amount': group.totalShare,
+          },
+          $push: {
+            'analytics.totalSales.history': { $each: historyEntries },
           },
-          { session }
-        );
+        },
+        { session }
+      );
 
-        logger.info(`Seller ${sellerIdStr} updated post-payment: +KES ${group.totalShare} to balance/analytics (${group.numItems} items, pending delivery)`, { orderId: order.orderId });
-        return { sellerId: sellerIdStr, success: true };
-      });
+      logger.info(`Seller ${sellerIdStr} updated post-payment: +KES ${group.totalShare} pending in ledger (${group.numItems} items, pending delivery)`, { orderId: order.orderId });
+      return { sellerId: sellerIdStr, success: true };
+    });
 
-      // Await all seller updates in parallel
-      await Promise.all(historyPromises);
+    // Await all seller updates in parallel
+    await Promise.all(historyPromises);
 
-      logger.info(`SWIFT webhook processed successfully`, { transaction_id, orderId: order.orderId, netReceived: transaction.netReceived, platformBalance });
-      return { type: 'success', order, transaction, paidAt, sellerGroups };  // Include sellerGroups for notifications
-    }, 5, 'SWIFT webhook transaction');
+    logger.info(`${provider.name} webhook processed successfully`, { transaction_id, orderId: order.orderId, netReceived: transaction.netReceived, platformBalance });
+    return { type: 'success', order, transaction, paidAt, sellerGroups };  // Include sellerGroups for notifications
+  }, 5, `${provider.name} webhook transaction`);
 
-    logger.debug('Webhook transaction completed', { type: txResult?.type });
+  logger.debug('Webhook transaction completed', { type: txResult?.type });
 
-    // FIXED: Handle duplicate case to prevent re-processing
-    if (txResult.type === 'duplicate') {
-      logger.info('Duplicate webhook processed (skipped updates)');
-      return res.status(200).send('OK');
-    }
+  // FIXED: Handle duplicate case to prevent re-processing
+  if (txResult.type === 'duplicate') {
+    logger.info('Duplicate webhook processed (skipped updates)');
+    return txResult;
+  }
 
-    // OPTIMIZED: Post-transaction processing (notifications/emails - outside transaction, parallel fire-and-forget)
-    // Use Promise.all for parallel execution to speed up response
-    const postProcessingPromises = [];
+  // OPTIMIZED: Post-transaction processing (notifications/emails - outside transaction, parallel fire-and-forget)
+  // Use Promise.all for parallel execution to speed up response
+  const postProcessingPromises = [];
 
-    if (txResult.type === 'failure' && txResult.order) {
-      const order = txResult.order;
-      const buyer = order.customerId;
-      logger.debug('Processing failure notifications', { orderId: order.orderId });
-      const buyerNotificationContent = `Your payment for Order ID: ${sanitizeHtml(order.orderId)} (KES ${order.totalAmount}) was not successful. Please try again or contact support if the issue persists.`;
+  if (txResult.type === 'failure' && txResult.order) {
+    const order = txResult.order;
+    const buyer = order.customerId;
+    logger.debug('Processing failure notifications', { orderId: order.orderId });
+    const buyerNotificationContent = `Your payment for Order ID: ${sanitizeHtml(order.orderId)} (KES ${order.totalAmount}) was not successful. Please try again or contact support if the issue persists.`;
+    
+    // Parallel: Notification + Email
+    postProcessingPromises.push(
+      sendNotification( 
+        buyer._id.toString(),
+        'order',
+        buyerNotificationContent, 
+        null
+      ).then(() => logger.info(`Failed payment notification created for buyer ${buyer._id}`, { orderId: order.orderId }))
+        .catch(err => logger.warn(`Failed to create failed payment notification: ${err.message}`, { orderId: order.orderId })),
       
-      // Parallel: Notification + Email
-      postProcessingPromises.push(
-        sendNotification( 
-          buyer._id.toString(),
-          'order',
-          buyerNotificationContent, 
-          null
-        ).then(() => logger.info(`Failed payment notification created for buyer ${buyer._id}`, { orderId: order.orderId }))
-          .catch(err => logger.warn(`Failed to create failed payment notification: ${err.message}`, { orderId: order.orderId })),
+      sendEmail(
+        buyer.personalInfo.email,
+        'Payment Failed - BeiFity.Com',
+        `Dear ${sanitizeHtml(buyer.personalInfo.fullname || 'Customer')},
         
-        sendEmail(
-          buyer.personalInfo.email,
-          'Payment Failed - BeiFity.Com',
-          `Dear ${sanitizeHtml(buyer.personalInfo.fullname || 'Customer')},
-          
-          <br><br>Your payment for Order ID: ${sanitizeHtml(order.orderId)} (KES ${order.totalAmount}) was not successful.
-            <a href="${FRONTEND_URL}/your-orders?orderId=${order.orderId}">View Details and Try Repayment</a> 
-          .Please try again or contact support if the issue persists.<br><br>Best regards,<br>BeiFity Team`
-        ).then(() => logger.info(`Failed payment email sent to buyer ${buyer._id}`, { orderId: order.orderId }))
-          .catch(err => logger.warn(`Failed to send failed payment email: ${err.message}`, { orderId: order.orderId }))
-      );
+        <br><br>Your payment for Order ID: ${sanitizeHtml(order.orderId)} (KES ${order.totalAmount}) was not successful.
+          <a href="${FRONTEND_URL}/your-orders?orderId=${order.orderId}">View Details and Try Repayment</a> 
+        .Please try again or contact support if the issue persists.<br><br>Best regards,<br>BeiFity Team`
+      ).then(() => logger.info(`Failed payment email sent to buyer ${buyer._id}`, { orderId: order.orderId }))
+        .catch(err => logger.warn(`Failed to send failed payment email: ${err.message}`, { orderId: order.orderId }))
+    );
 
-      // Notify admin (parallel)
-      postProcessingPromises.push(
-        (async () => {
-          const admin = await userModel.findOne({ 'personalInfo.isAdmin': true });
-          if (admin && admin.personalInfo?.email) {
-            await sendEmail(
-              admin.personalInfo.email,
-              'Order Payment Failed - BeiFity.Com',
-              `Admin,<br><br>The payment for Order ID: ${sanitizeHtml(order.orderId)} (KES ${order.totalAmount}) has failed. Please review the order and assist the customer if needed.<br><br>Best regards,<br>BeiFity System`
-            );
-            logger.info(`Failed payment email sent to admin ${admin._id}`);
-          }
-        })().catch(err => logger.warn(`Failed admin failure email: ${err.message}`, { orderId: order.orderId }))
-      );
+    // Notify admin (parallel)
+    postProcessingPromises.push(
+      (async () => {
+        const admin = await userModel.findOne({ 'personalInfo.isAdmin': true });
+        if (admin && admin.personalInfo?.email) {
+          await sendEmail(
+            admin.personalInfo.email,
+            'Order Payment Failed - BeiFity.Com',
+            `Admin,<br><br>The payment for Order ID: ${sanitizeHtml(order.orderId)} (KES ${order.totalAmount}) has failed. Please review the order and assist the customer if needed.<br><br>Best regards,<br>BeiFity System`
+          );
+          logger.info(`Failed payment email sent to admin ${admin._id}`);
+        }
+      })().catch(err => logger.warn(`Failed admin failure email: ${err.message}`, { orderId: order.orderId }))
+    );
 
-    } else if (txResult.type === 'success') {
-      const { order, transaction, paidAt, sellerGroups } = txResult;
-      const buyer = order.customerId;
-      const orderTime = order.createdAt.toLocaleString('en-US', { timeZone: 'Africa/Nairobi' });
-      const totalOrderPrice = order.totalAmount;
-      const buyerName = sanitizeHtml(buyer.personalInfo?.fullname || 'Buyer');
-      logger.debug('Processing success notifications', { orderId: order.orderId, buyerId: buyer._id });
-
-      // Buyer: Full confirmation email and notification (parallel, with retry only if needed)
-      const buyerNotificationContent = `Your payment for Order ID: ${sanitizeHtml(order.orderId)} (KES ${totalOrderPrice}) has been confirmed. Processing will begin soon.`;
-      postProcessingPromises.push(
-        sendNotification(
-          buyer._id.toString(),
-          'order',
-          buyerNotificationContent,
-          null
-        ).then(() => logger.info(`Order confirmation notification created for buyer ${buyer._id}`, { orderId: order.orderId }))
-          .catch(err => logger.warn(`Failed to create buyer confirmation notification: ${err.message}`, { orderId: order.orderId })),
-
-        (async () => {
-          if (buyer.preferences?.emailNotifications) {
-            logger.debug('Sending buyer email');
-            const buyerEmailContent = generateOrderEmailBuyer(
-              buyerName,
-              order.items.filter(item => !item.cancelled),
-              orderTime,
-              totalOrderPrice,
-              order.deliveryAddress,
-              order.orderId,
-              [...new Set(order.items.filter(item => !item.cancelled).map(item => item.sellerId.toString()))],
-              null  // No URL
-            ).replace('has been placed', 'payment has been confirmed and is now processing');
-            await sendEmail(buyer.personalInfo.email, 'Order Confirmed - BeiFity.Com', buyerEmailContent);
-            logger.info(`Order confirmation email sent to buyer ${buyer._id}`, { orderId: order.orderId });
-          } else {
-            logger.info(`Buyer ${buyer._id} has email notifications disabled`, { orderId: order.orderId });
-          }
-        })().catch(err => logger.warn(`Failed buyer email: ${err.message}`, { orderId: order.orderId }))
-      );
+  } else if (txResult.type === 'success') {
+    const { order, transaction, paidAt, sellerGroups } = txResult;
+    const buyer = order.customerId;
+    const orderTime = order.createdAt.toLocaleString('en-US', { timeZone: 'Africa/Nairobi' });
+    const totalOrderPrice = order.totalAmount;
+    const buyerName = sanitizeHtml(buyer.personalInfo?.fullname || 'Buyer');
+    logger.debug('Processing success notifications', { orderId: order.orderId, buyerId: buyer._id });
+
+    // Buyer: Full confirmation email and notification (parallel, with retry only if needed)
+    const buyerNotificationContent = `Your payment for Order ID: ${sanitizeHtml(order.orderId)} (KES ${totalOrderPrice}) has been confirmed. Processing will begin soon.`;
+    postProcessingPromises.push(
+      sendNotification(
+        buyer._id.toString(),
+        'order',
+        buyerNotificationContent,
+        null
+      ).then(() => logger.info(`Order confirmation notification created for buyer ${buyer._id}`, { orderId: order.orderId }))
+        .catch(err => logger.warn(`Failed to create buyer confirmation notification: ${err.message}`, { orderId: order.orderId })),
+
+      (async () => {
+        if (buyer.preferences?.emailNotifications) {
+          logger.debug('Sending buyer email');
+          const buyerEmailContent = generateOrderEmailBuyer(
+            buyerName,
+            order.items.filter(item => !item.cancelled),
+            orderTime,
+            totalOrderPrice,
+            order.deliveryAddress,
+            order.orderId,
+            [...new Set(order.items.filter(item => !item.cancelled).map(item => item.sellerId.toString()))],
+            null  // No URL
+          ).replace('has been placed', 'payment has been confirmed and is now processing');
+          await sendEmail(buyer.personalInfo.email, 'Order Confirmed - BeiFity.Com', buyerEmailContent);
+          logger.info(`Order confirmation email sent to buyer ${buyer._id}`, { orderId: order.orderId });
+        } else {
+          logger.info(`Buyer ${buyer._id} has email notifications disabled`, { orderId: order.orderId });
+        }
+      })().catch(err => logger.warn(`Failed buyer email: ${err.message}`, { orderId: order.orderId }))
+    );
 
-      // Sellers: Confirmation emails and notifications (grouped, parallel per seller)
-      const sellerPromises = Object.entries(sellerGroups || {}).map(([sellerIdStr, group]) => {
-        const items = order.items.filter(item => group.items.some(gi => gi.itemId.toString() === item._id.toString()));
-        console.log('Notifying seller with ID:', sellerIdStr);
-        logger.debug(`Processing notifications for seller ${sellerIdStr}`, { itemCount: items.length });
-        return (async () => {
-          const seller = await userModel.findById(new mongoose.Types.ObjectId(sellerIdStr));  // Ensure ObjectId
-          if (!seller || !seller.personalInfo?.email) {
-            logger.warn(`Failed to notify seller ${sellerIdStr}: Seller not found or no email`, { orderId: order.orderId });
-            return;
-          }
+    // Sellers: Confirmation emails and notifications (grouped, parallel per seller)
+    const sellerPromises = Object.entries(sellerGroups || {}).map(([sellerIdStr, group]) => {
+      const items = order.items.filter(item => group.items.some(gi => gi.itemId.toString() === item._id.toString()));
+      console.log('Notifying seller with ID:', sellerIdStr);
+      logger.debug(`Processing notifications for seller ${sellerIdStr}`, { itemCount: items.length });
+      return (async () => {
+        const seller = await userModel.findById(new mongoose.Types.ObjectId(sellerIdStr));  // Ensure ObjectId
+        if (!seller || !seller.personalInfo?.email) {
+          logger.warn(`Failed to notify seller ${sellerIdStr}: Seller not found or no email`, { orderId: order.orderId });
+          return;
+        }
 
-          const sellerName = sanitizeHtml(seller.personalInfo.fullname || 'Seller');
-          const totalPrice = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
-
-          // Parallel email + notification for this seller
-          await Promise.all([
-            (async () => {
-              if (seller.preferences?.emailNotifications) {
-                logger.debug(`Sending email to seller ${sellerIdStr}`);
-                const sellerEmailContent = generateOrderEmailSeller(
-                  sellerName,
-                  buyerName,
-                  items,
-                  orderTime,
-                  order.deliveryAddress,
-                  totalPrice,
-                  buyer._id,
-                  order.orderId,
-                  null
-                ).replace('You have a new order', 'Payment confirmed for your new order');
-                await sendEmail(seller.personalInfo.email, 'New Order Confirmed - BeiFity.Com', sellerEmailContent);
-                logger.info(`Order confirmation email sent to seller ${sellerIdStr}`, { orderId: order.orderId });
-              } else {
-                logger.info(`Seller ${sellerIdStr} has email notifications disabled`, { orderId: order.orderId });
-              }
-            })().catch(err => logger.warn(`Failed seller ${sellerIdStr} email: ${err.message}`, { orderId: order.orderId })),
-
-            (async () => {
-              const sellerShare = group.totalShare || transaction.items
-                .filter(i => i.sellerId.toString() === sellerIdStr)
-                .reduce((sum, i) => sum + i.sellerShare, 0);
-              const sellerNotificationContent = `Payment confirmed for Order ID: ${sanitizeHtml(order.orderId)}. Your share (KES ${sellerShare.toFixed(2)}) is pending after delivery for items: ${items.map(i => sanitizeHtml(i.name)).join(', ')}.`;
-              await sendNotification(
-                sellerIdStr,
-                'order',
-                sellerNotificationContent,
-                buyer._id.toString()
-              );
-              logger.info(`Order confirmation notification created for seller ${sellerIdStr}`, { orderId: order.orderId });
-            })().catch(err => logger.warn(`Failed seller ${sellerIdStr} notification: ${err.message}`, { orderId: order.orderId }))
-          ]);
-        })();
-      });
-      postProcessingPromises.push(...sellerPromises);
+        const sellerName = sanitizeHtml(seller.personalInfo.fullname || 'Seller');
+        const totalPrice = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+        // Parallel email + notification for this seller
+        await Promise.all([
+          (async () => {
+            if (seller.preferences?.emailNotifications) {
+              logger.debug(`Sending email to seller ${sellerIdStr}`);
+              const sellerEmailContent = generateOrderEmailSeller(
+                sellerName,
+                buyerName,
+                items,
+                orderTime,
+                order.deliveryAddress,
+                totalPrice,
+                buyer._id,
+                order.orderId,
+                null
+              ).replace('You have a new order', 'Payment confirmed for your new order');
+              await sendEmail(seller.personalInfo.email, 'New Order Confirmed - BeiFity.Com', sellerEmailContent);
+              logger.info(`Order confirmation email sent to seller ${sellerIdStr}`, { orderId: order.orderId });
+            } else {
+              logger.info(`Seller ${sellerIdStr} has email notifications disabled`, { orderId: order.orderId });
+            }
+          })().catch(err => logger.warn(`Failed seller ${sellerIdStr} email: ${err.message}`, { orderId: order.orderId })),
 
-      // Admins: Confirmation notifications and emails (parallel per admin)
-      const adminPromise = (async () => {
-        const admins = await userModel.find({ 'personalInfo.isAdmin': true }).select('_id personalInfo.email personalInfo.fullname preferences');
-        logger.debug('Fetched admins for notifications', { adminCount: admins.length });
-        const adminNotificationContent = `A new order (ID: ${order.orderId}) has been placed and paid by ${buyerName} for a total of KES ${totalOrderPrice}.`;
-        
-        // Parallel notifications for all admins
-        await Promise.all(
-          admins.map(async (admin) => {
+          (async () => {
+            const sellerShare = group.totalShare || transaction.items
+              .filter(i => i.sellerId.toString() === sellerIdStr)
+              .reduce((sum, i) => sum + i.sellerShare, 0);
+            const sellerNotificationContent = `Payment confirmed for Order ID: ${sanitizeHtml(order.orderId)}. Your share (KES ${sellerShare.toFixed(2)}) is pending after delivery for items: ${items.map(i => sanitizeHtml(i.name)).join(', ')}.`;
             await sendNotification(
-              admin._id.toString(),
+              sellerIdStr,
               'order',
-              adminNotificationContent,
+              sellerNotificationContent,
               buyer._id.toString()
             );
-            logger.info(`Order confirmation notification created for admin ${admin._id}`, { orderId: order.orderId });
-          }).concat(
-            // Parallel emails for admins with notifications enabled
-            admins
-              .filter(admin => admin.personalInfo?.email && admin.preferences?.emailNotifications)
-              .map(async (admin) => {
-                logger.debug(`Sending email to admin ${admin._id}`);
-                const adminEmailContent = generateOrderEmailAdmin(
-                  buyerName,
-                  order.items.filter(item => !item.cancelled),
-                  orderTime,
-                  totalOrderPrice,
-                  order.deliveryAddress,
-                  order.orderId,
-                  buyer._id
-                ).replace('has been placed', 'has been paid and confirmed');
-                await sendEmail(admin.personalInfo.email, 'New Order Confirmed - BeiFity.Com Admin Notification', adminEmailContent);
-                logger.info(`Order confirmation email sent to admin ${admin._id}`, { orderId: order.orderId });
-              })
-          )
-        ).catch(err => logger.warn(`Failed admin processing: ${err.message}`, { orderId: order.orderId }));
+            logger.info(`Order confirmation notification created for seller ${sellerIdStr}`, { orderId: order.orderId });
+          })().catch(err => logger.warn(`Failed seller ${sellerIdStr} notification: ${err.message}`, { orderId: order.orderId }))
+        ]);
       })();
-      postProcessingPromises.push(adminPromise);
+    });
+    postProcessingPromises.push(...sellerPromises);
+
+    // Admins: Confirmation notifications and emails (parallel per admin)
+    const adminPromise = (async () => {
+      const admins = await userModel.find({ 'personalInfo.isAdmin': true }).select('_id personalInfo.email personalInfo.fullname preferences');
+      logger.debug('Fetched admins for notifications', { adminCount: admins.length });
+      const adminNotificationContent = `A new order (ID: ${order.orderId}) has been placed and paid by ${buyerName} for a total of KES ${totalOrderPrice}.`;
+      
+      // Parallel notifications for all admins
+      await Promise.all(
+        admins.map(async (admin) => {
+          await sendNotification(
+            admin._id.toString(),
+            'order',
+            adminNotificationContent,
+            buyer._id.toString()
+          );
+          logger.info(`Order confirmation notification created for admin ${admin._id}`, { orderId: order.orderId });
+        }).concat(
+          // Parallel emails for admins with notifications enabled
+          admins
+            .filter(admin => admin.personalInfo?.email && admin.preferences?.emailNotifications)
+            .map(async (admin) => {
+              logger.debug(`Sending email to admin ${admin._id}`);
+              const adminEmailContent = generateOrderEmailAdmin(
+                buyerName,
+                order.items.filter(item => !item.cancelled),
+                orderTime,
+                totalOrderPrice,
+                order.deliveryAddress,
+                order.orderId,
+                buyer._id
+              ).replace('has been placed', 'has been paid and confirmed');
+              await sendEmail(admin.personalInfo.email, 'New Order Confirmed - BeiFity.Com Admin Notification', adminEmailContent);
+              logger.info(`Order confirmation email sent to admin ${admin._id}`, { orderId: order.orderId });
+            })
+        )
+      ).catch(err => logger.warn(`Failed admin processing: ${err.message}`, { orderId: order.orderId }));
+    })();
+    postProcessingPromises.push(adminPromise);
+  }
+
+  // Fire all post-processing in parallel (non-blocking for response)
+  Promise.all(postProcessingPromises)
+    .then(() => logger.info('All post-processing completed'))
+    .catch(err => logger.warn(`Some post-processing failed: ${err.message}`));
+
+  return txResult;
+};
+
+// In-flight events older than this are assumed to have crashed and can be claimed again
+const WEBHOOK_PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Persists a callback delivery; redeliveries of the same event are counted instead of stored twice
+const recordWebhookEvent = async (provider, req) => {
+  const signatureValid = provider.verifyWebhook(req);
+  const parsed = provider.parseWebhook(req.body);
+  const signature = req.headers[provider.signatureHeader] || null;
+
+  const existing = await webhookEventModel.findOneAndUpdate(
+    { provider: provider.name, eventId: parsed.eventId },
+    { $inc: { deliveries: 1 } },
+    { new: true }
+  );
+  if (existing) {
+    const duplicate = ['processing', 'processed'].includes(existing.status);
+    // A correctly signed redelivery supersedes an earlier rejected one, body included: the stored payload
+    // is what gets processed, and the rejected body was never verified
+    if (!duplicate && signatureValid && existing.status === 'rejected') {
+      const superseded = await webhookEventModel.findOneAndUpdate(
+        { _id: existing._id, status: 'rejected' },
+        {
+          $set: {
+            status: 'received',
+            reference: parsed.reference || null,
+            payload: req.body,
+            rawBody: req.rawBody || JSON.stringify(req.body),
+            signature,
+            signatureValid: true,
+            error: null,
+          },
+        },
+        { new: true }
+      );
+      return { event: superseded || existing, duplicate, signatureValid };
+    }
+    return { event: existing, duplicate, signatureValid };
+  }
+
+  try {
+    const event = await webhookEventModel.create({
+      provider: provider.name,
+      eventId: parsed.eventId,
+      reference: parsed.reference || null,
+      payload: req.body,
+      rawBody: req.rawBody || JSON.stringify(req.body),
+      signature,
+      signatureValid,
+      status: signatureValid ? 'received' : 'rejected',
+      error: signatureValid ? null : 'Invalid signature',
+    });
+    return { event, duplicate: false, signatureValid };
+  } catch (error) {
+    // Concurrent delivery of the same event
+    if (error.code === 11000) {
+      const event = await webhookEventModel.findOne({ provider: provider.name, eventId: parsed.eventId });
+      return { event, duplicate: true, signatureValid };
     }
+    throw error;
+  }
+};
 
-    // Fire all post-processing in parallel (non-blocking for response)
-    Promise.all(postProcessingPromises)
-      .then(() => logger.info('All post-processing completed'))
-      .catch(err => logger.warn(`Some post-processing failed: ${err.message}`));
+/**
+ * Claims a stored webhook event and processes it. Received, failed and stale in-flight events can be claimed.
+ * @param {Object} event - webhookEventModel document
+ * @param {Object} [options] - { allowUnsigned: true } lets an admin replay an event whose signature was rejected
+ * @returns {Promise<Object>} Processing result ({ type, order? }), or { type: 'in_progress' } when the event can't be claimed
+ */
+export const runWebhookEvent = async (event, { allowUnsigned = false } = {}) => {
+  const claimable = ['received', 'failed', ...(allowUnsigned ? ['rejected'] : [])];
+  const claimed = await webhookEventModel.findOneAndUpdate(
+    {
+      _id: event._id,
+      $or: [
+        { status: { $in: claimable } },
+        { status: 'processing', lastAttemptAt: { $lt: new Date(Date.now() - WEBHOOK_PROCESSING_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: 'processing', lastAttemptAt: new Date(), error: null }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    return { type: 'in_progress' };
+  }
+
+  try {
+    const provider = getPaymentProvider(claimed.provider);
+    const txResult = await applyPaymentResult(provider, provider.parseWebhook(claimed.payload));
+    // Callbacks that arrive before their transaction exists stay replayable
+    const unresolved = txResult.type === 'not_found' || txResult.type === 'order_not_found';
+    await webhookEventModel.updateOne({ _id: claimed._id }, {
+      $set: {
+        status: unresolved ? 'failed' : 'processed',
+        result: { type: txResult.type, orderId: txResult.order?.orderId || null },
+        error: unresolved ? `${txResult.type === 'not_found' ? 'Transaction' : 'Order'} not found for ${claimed.reference}` : null,
+        processedAt: unresolved ? null : new Date(),
+      },
+    });
+    return txResult;
+  } catch (error) {
+    await webhookEventModel.updateOne({ _id: claimed._id }, { $set: { status: 'failed', error: error.message } });
+    throw error;
+  }
+};
+
+/**
+ * @route POST /api/payments/webhook/:provider
+ * @desc Payment provider callback (Swift in production, sandbox locally). Every delivery is stored;
+ *       each event is applied once and failed events can be replayed by an admin.
+ * @access Public (signature verified by the provider implementation)
+ */
+export const handlePaymentWebhook = async (req, res, next) => {
+  let provider;
+  try {
+    provider = getPaymentProvider(req.params.provider);
+  } catch (error) {
+    logger.warn(`Payment webhook rejected: ${error.message}`, { provider: req.params.provider, ip: req.ip });
+    return res.status(404).json({ success: false, message: 'Unknown payment provider' });
+  }
+  console.log(`Received ${provider.name} webhook:`, JSON.stringify(req.body, null, 2));
+  logger.info(`${provider.name} webhook received`, { fullBody: req.body });
+  try {
+    const { event, duplicate, signatureValid } = await recordWebhookEvent(provider, req);
+    if (!signatureValid) {
+      logger.warn('Invalid webhook signature', { provider: provider.name, eventId: event.eventId });
+      return res.status(401).json({ success: false, message: 'Invalid signature' });
+    }
+    if (duplicate) {
+      logger.info(`Duplicate ${provider.name} webhook delivery ignored`, { eventId: event.eventId, status: event.status });
+      return res.status(200).send('OK');
+    }
+
+    const txResult = await runWebhookEvent(event);
+    if (txResult.type === 'duplicate' || txResult.type === 'in_progress') {
+      return res.status(200).send('OK');
+    }
 
     // Early returns for non-processing cases
     if (txResult.type === 'not_found' || txResult.type === 'order_not_found') {
@@ -1255,8 +1305,6 @@ export const handleSwiftWebhook = async (req, res) => {
     logger.info('Webhook fully processed successfully (DB committed, notifications queued)');
     return res.status(200).json({ success: true, message: 'Webhook processed' });  // Respond immediately after DB commit
   } catch (error) {
-    console.error('Error processing SWIFT webhook:', error);
-    logger.error(`SWIFT webhook error: ${error.message}`, { stack: error.stack });
-    return res.status(500).send('Internal Server Error');
+    return next(error); // A 500 makes the provider deliver the webhook again
   }
 };
\ No newline at end of file
@@ -3,6 +3,7 @@ import { userModel } from '../models/User.js';
 import { listingModel } from '../models/Listing.js'; // Assuming Listing model exists
 import bcrypt from 'bcryptjs';
 import logger from '../utils/logger.js';
+import { getUserPermissions, getUserRoles, hasPermission } from '../utils/permissions.js';
 import env from '../config/env.js';
 import { Conversation, Message } from '../models/Message.js';
 import { notificationModel } from '../models/Notifications.js';
@@ -11,6 +12,7 @@ import { orderModel } from '../models/Order.js';
 import { TransactionModel } from '../models/Transaction.js';
 import mongoose from 'mongoose';
 import { sendNotification } from './notificationController.js';
+import { revokeAllSessions } from '../utils/sessions.js';
 
 /**
  * Update Profile Views
@@ -18,16 +20,11 @@ import { sendNotification } from './notificationController.js';
  * @desc Record a view for a user’s profile and increment view count
  * @access Public
  */
-export const updateProfileViews = async (req, res) => {
+export const updateProfileViews = async (req, res, next) => {
   try {
     const { sellerId } = req.params;
     const { viewerId } = req.body;
 
-    if (!sellerId || !viewerId) {
-      logger.warn('Profile views update failed: Missing sellerId or viewerId', { sellerId, viewerId });
-      return res.status(400).json({ success: false, message: 'Missing sellerId or viewerId' });
-    }
-
     const user = await userModel.findById(sellerId);
     if (!user) {
       logger.warn(`Profile views update failed: User ${sellerId} not found`);
@@ -54,8 +51,7 @@ export const updateProfileViews = async (req, res) => {
     logger.info(`Profile view recorded for user ${sellerId} by viewer ${viewerId}`);
     return res.status(200).json({ success: true, message: 'Profile view recorded successfully' });
   } catch (error) {
-    logger.error(`Error updating profile views: ${error.message}`, { stack: error.stack, sellerId });
-    return res.status(500).json({ success: false, message: 'Failed to update profile views' });
+    return next(error);
   }
 };
 
@@ -65,7 +61,7 @@ export const updateProfileViews = async (req, res) => {
  * @desc Fetch a user’s public profile by ID
  * @access Public
  */
-export const getUserProfile = async (req, res) => {
+export const getUserProfile = async (req, res, next) => {
   try {
     const { userId } = req.params;
 
@@ -78,8 +74,7 @@ export const getUserProfile = async (req, res) => {
     logger.info(`User profile fetched for user ${userId}`);
     return res.status(200).json({ success: true, data: user });
   } catch (error) {
-    logger.error(`Error fetching user profile: ${error.message}`, { stack: error.stack });
-    return res.status(500).json({ success: false, message: 'Failed to fetch user profile' });
+    return next(error);
   }
 };
 
@@ -89,7 +84,7 @@ export const getUserProfile = async (req, res) => {
  * @desc Fetch the authenticated user’s full profile
  * @access Private (requires token)
  */
-export const getAuthenticatedProfile = async (req, res) => {
+export const getAuthenticatedProfile = async (req, res, next) => {
   try {
     if (!req.user) {
       logger.warn('Authenticated profile fetch failed: No user data in request');
@@ -120,8 +115,7 @@ export const getAuthenticatedProfile = async (req, res) => {
       },
     });
   } catch (error) {
-    logger.error(`Error fetching authenticated profile: ${error.message}`, { stack: error.stack,});
-    return res.status(500).json({ success: false, message: 'Failed to fetch authenticated profile' });
+    return next(error);
   }
 };
 /**
@@ -131,7 +125,7 @@ export const getAuthenticatedProfile = async (req, res) => {
  * @access Private (requires token)
  * @body {personalInfo: {fullname, username, profilePicture, phone, location: {country, county, constituency, fullAddress, coordinates: {type, coordinates}}, bio, socialLinks: {facebook, twitter, instagram, website}}, preferences}
  */
-export const updateUserProfile = async (req, res) => {
+export const updateUserProfile = async (req, res, next) => {
   try {
     if (!req.user) {
       logger.warn('Profile update failed: No user data in request');
@@ -239,18 +233,107 @@ export const updateUserProfile = async (req, res) => {
       },
     });
   } catch (error) {
-    console.log(error);
-    logger.error(`Error updating user profile: ${error.message}`, { stack: error.stack });
-    return res.status(500).json({ success: false, message: 'Failed to update user profile' });
+    return next(error);
+  }
+};
+/**
+ * Update Mobile Money Details
+ * @route PUT /api/profile/mobile-money
+ * @desc Set the M-Pesa number payouts are sent to. A new number can't receive payouts until staff verify it.
+ *       Requires a two-factor code (x-2fa-code header) when 2FA is enabled.
+ * @access Private (requires token, and 2FA when enabled)
+ * @body {phoneNumber, accountName}
+ */
+export const updateMobileMoneyDetails = async (req, res, next) => {
+  try {
+    const { phoneNumber, accountName } = req.body;
+    const normalizedPhone = String(phoneNumber || '').replace(/\s/g, '').replace(/^0(?=[17]\d{8}$)/, '254');
+    if (!/^\+?254[17]\d{8}$/.test(normalizedPhone)) {
+      logger.warn(`Mobile money update failed: Invalid number ${phoneNumber}`, { userId: req.user._id });
+      return res.status(400).json({ success: false, message: 'Enter a valid Kenyan M-Pesa number, e.g. 254712345678' });
+    }
+
+    const user = await userModel.findById(req.user._id).select('personalInfo.fullname personalInfo.mobileMoneyDetails');
+    if (!user) {
+      logger.warn(`Mobile money update failed: User ${req.user._id} not found`);
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const previousNumber = user.personalInfo.mobileMoneyDetails?.phoneNumber;
+    const newNumber = normalizedPhone.replace(/^\+/, '');
+    user.personalInfo.mobileMoneyDetails = {
+      provider: 'M-Pesa',
+      phoneNumber: newNumber,
+      accountName: (accountName || user.personalInfo.fullname || '').trim(),
+      // Ownership of the number is confirmed by staff (verifyMobileMoneyDetails), so a new number starts unverified
+      verified: previousNumber === newNumber && Boolean(user.personalInfo.mobileMoneyDetails?.verified),
+    };
+    await user.save();
+
+    if (previousNumber && previousNumber !== user.personalInfo.mobileMoneyDetails.phoneNumber) {
+      await sendNotification(
+        user._id.toString(),
+        'payout',
+        `Your payout M-Pesa number was changed from ${previousNumber} to ${user.personalInfo.mobileMoneyDetails.phoneNumber}. If this wasn't you, contact support immediately.`,
+        null
+      );
+    }
+
+    logger.info(`Mobile money details updated for user ${user._id}`);
+    return res.status(200).json({
+      success: true,
+      message: user.personalInfo.mobileMoneyDetails.verified
+        ? 'M-Pesa payout details updated'
+        : 'M-Pesa payout details saved. Withdrawals open once the number is verified.',
+      data: user.personalInfo.mobileMoneyDetails,
+    });
+  } catch (error) {
+    return next(error);
   }
 };
+
+/**
+ * Verify Mobile Money Details
+ * @route PUT /api/profile/admin/:userId/mobile-money/verify
+ * @desc Confirm that a user owns their payout M-Pesa number. The number checked must still be the one on file.
+ * @access Private (users:manage)
+ * @body {phoneNumber}
+ */
+export const verifyMobileMoneyDetails = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const phoneNumber = String(req.body.phoneNumber).replace(/\s/g, '').replace(/^\+/, '');
+
+    const user = await userModel.findOneAndUpdate(
+      { _id: userId, 'personalInfo.mobileMoneyDetails.phoneNumber': phoneNumber },
+      { $set: { 'personalInfo.mobileMoneyDetails.verified': true } },
+      { new: true }
+    ).select('personalInfo.mobileMoneyDetails');
+    if (!user) {
+      logger.warn(`Mobile money verification failed: User ${userId} has no payout number ${phoneNumber}`, { staffId: req.user._id });
+      return res.status(404).json({ success: false, message: 'The user has no payout details with this number' });
+    }
+
+    try {
+      await sendNotification(userId, 'payout', `Your payout M-Pesa number ${phoneNumber} has been verified. You can now request withdrawals.`, null);
+    } catch (notificationError) {
+      logger.warn(`Failed to send mobile money verification notification: ${notificationError.message}`, { userId });
+    }
+
+    logger.info(`User ${req.user._id} verified payout number of user ${userId}`);
+    return res.status(200).json({ success: true, message: 'M-Pesa number verified', data: user.personalInfo.mobileMoneyDetails });
+  } catch (error) {
+    return next(error);
+  }
+};
+
 /**
  * Get Seller Profile
  * @route GET /api/profile/seller/:sellerId
  * @desc Fetch a seller’s public profile by ID
  * @access Public
  */
-export const getSeller = async (req, res) => {
+export const getSeller = async (req, res, next) => {
   try {
     const { sellerId } = req.params;
     const seller = await userModel.findById(sellerId).select('-personalInfo.password');
@@ -283,8 +366,7 @@ export const getSeller = async (req, res) => {
       },
     });
   } catch (error) {    
-    logger.error(`Error fetching seller profile: ${error.message}`, { stack: error.stack });
-    return res.status(500).json({ success: false, message: 'Failed to fetch seller profile' });
+    return next(error);
   }
 };
 
@@ -294,7 +376,7 @@ export const getSeller = async (req, res) => {
  * @desc Fetch a list of all users (public data only)
  * @access Public
  */
-export const getUsers = async (req, res) => {
+export const getUsers = async (req, res, next) => {
   try {
     const users = await userModel.find().select('-personalInfo.password -wishlist -stats -personalInfo.email -personalInfo.bankDetails -personalInfo.mobileMoneyDetails  -orders -analytics -financials');
     const requiredUsers = users.filter(user => user.personalInfo.verified );
@@ -311,29 +393,17 @@ export const getUsers = async (req, res) => {
     logger.info(`Fetched ${requiredUsers.length} users`);
     return res.status(200).json({ success: true, data });
   } catch (error) {
-    logger.error(`Error fetching users: ${error.message}`, { stack: error.stack });
-    return res.status(500).json({ success: false, message: 'Failed to fetch users' });
+    return next(error);
   }
 };
-export const fixLocationOfAseller = async (req, res) => {
+export const fixLocationOfAseller = async (req, res, next) => {
   try {
     const userId = req.user._id;
     const { ids, county, constituency } = req.body;
 
-    // Validate input
-    if (!ids || !Array.isArray(ids) || ids.length === 0) {
-      logger.warn(`Invalid ids provided: ${JSON.stringify(ids)}`);
-      return res.status(400).json({ success: false, message: 'Invalid or empty array of IDs provided' });
-    }
-
-    if (!county || !constituency) {
-      logger.warn(`Missing county or constituency in request body`);
-      return res.status(400).json({ success: false, message: 'County and constituency are required' });
-    }
-
     // Check if user is admin
-    const admin = await userModel.findById(userId).select('personalInfo.isAdmin');
-    if (!admin || !admin.personalInfo.isAdmin) {
+    const admin = await userModel.findById(userId).select('personalInfo.isAdmin personalInfo.roles');
+    if (!admin || !hasPermission(admin, 'users:manage')) {
       logger.warn(`Unauthorized access attempt by user ${userId}`);
       return res.status(401).json({ success: false, message: 'Unauthorized: Admin access required' });
     }
@@ -365,10 +435,78 @@ export const fixLocationOfAseller = async (req, res) => {
       updatedCount: updateResult.modifiedCount
     });
   } catch (error) {
-    logger.error(`Error fixing sellers locations: ${error.message}`, { stack: error.stack });
-    return res.status(500).json({ success: false, message: 'Failed to update sellers locations' });
+    return next(error);
   }
 };
+/**
+ * Get Staff
+ * @route GET /api/profile/admin/staff
+ * @desc Fetch every user holding a staff role, with their resolved permissions
+ * @access Private (roles:manage)
+ */
+export const getStaff = async (req, res, next) => {
+  try {
+    const staff = await userModel
+      .find({ $or: [{ 'personalInfo.isAdmin': true }, { 'personalInfo.roles.0': { $exists: true } }] })
+      .select('personalInfo.fullname personalInfo.username personalInfo.email personalInfo.profilePicture personalInfo.isAdmin personalInfo.roles')
+      .lean();
+
+    const data = staff.map((user) => ({
+      userId: user._id,
+      fullname: user.personalInfo.fullname,
+      username: user.personalInfo.username,
+      email: user.personalInfo.email,
+      profilePicture: user.personalInfo.profilePicture,
+      roles: getUserRoles(user),
+      permissions: getUserPermissions(user),
+    }));
+
+    logger.info(`Fetched ${data.length} staff members`);
+    return res.status(200).json({ success: true, data });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Update User Roles
+ * @route PUT /api/profile/admin/:userId/roles
+ * @desc Replace a user's staff roles. The admin role keeps personalInfo.isAdmin in sync.
+ * @access Private (roles:manage)
+ * @body {roles}
+ */
+export const updateUserRoles = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { roles } = req.body;
+
+    // Keep at least one admin able to manage roles
+    if (userId === req.user._id.toString() && !roles.includes('admin')) {
+      return res.status(400).json({ success: false, message: 'You cannot remove your own admin role' });
+    }
+
+    const uniqueRoles = [...new Set(roles)];
+    const user = await userModel.findByIdAndUpdate(
+      userId,
+      { $set: { 'personalInfo.roles': uniqueRoles, 'personalInfo.isAdmin': uniqueRoles.includes('admin') } },
+      { new: true }
+    ).select('personalInfo.fullname personalInfo.isAdmin personalInfo.roles');
+    if (!user) {
+      logger.warn(`Role update failed: User ${userId} not found`);
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    logger.info(`User ${req.user._id} set roles of ${userId} to [${uniqueRoles.join(', ')}]`);
+    return res.status(200).json({
+      success: true,
+      message: 'Roles updated successfully',
+      data: { userId: user._id, roles: getUserRoles(user), permissions: getUserPermissions(user) },
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
 /**
  * Get Specific Users by IDs
  * @route POST /api/profile/specific
@@ -376,15 +514,10 @@ export const fixLocationOfAseller = async (req, res) => {
  * @access Public
  * @body {reviewIds}
  */
-export const getSpecificPeople = async (req, res) => {
+export const getSpecificPeople = async (req, res, next) => {
   try {
     const { reviewIds } = req.body;
 
-    if (!reviewIds || !Array.isArray(reviewIds) || reviewIds.length === 0) {
-      logger.warn('Specific users fetch failed: Invalid or empty reviewIds', { reviewIds });
-      return res.status(400).json({ success: false, message: 'No valid IDs provided' });
-    }
-
     const users = await userModel.find({ _id: { $in: reviewIds } }).select('-personalInfo.password');
     if (!users.length) {
       logger.warn(`Specific users fetch failed: No users found for IDs ${reviewIds.join(', ')}`);
@@ -401,8 +534,7 @@ export const getSpecificPeople = async (req, res) => {
     logger.info(`Fetched ${users.length} specific users`);
     return res.status(200).json({ success: true, data });
   } catch (error) {
-    logger.error(`Error fetching specific users: ${error.message}`, { stack: error.stack });
-    return res.status(500).json({ success: false, message: 'Failed to fetch specific users' });
+    return next(error);
   }
 };
 
@@ -413,7 +545,7 @@ export const getSpecificPeople = async (req, res) => {
  * @access Private (requires token)
  * @param {string} listingId - Listing ID to add
  */
-export const addToWishlist = async (req, res) => {
+export const addToWishlist = async (req, res, next) => {
   try {
     if (!req.user) {
       logger.warn('Add to wishlist failed: No user data in request');
@@ -449,8 +581,7 @@ export const addToWishlist = async (req, res) => {
     logger.info(`Listing ${listingId} added to wishlist for user ${req.user._id}`);
     return res.status(200).json({ success: true, message: 'Added to wishlist successfully' });
   } catch (error) {
-    logger.error(`Error adding to wishlist: ${error.message}`, { stack: error.stack, listingId });
-    return res.status(500).json({ success: false, message: 'Failed to add to wishlist' });
+    return next(error);
   }
 };
 
@@ -461,7 +592,7 @@ export const addToWishlist = async (req, res) => {
  * @access Private (requires token)
  * @param {string} listingId - Listing ID to remove
  */
-export const removeFromWishlist = async (req, res) => {
+export const removeFromWishlist = async (req, res, next) => {
   try {
     if (!req.user) {
       logger.warn('Remove from wishlist failed: No user data in request');
@@ -490,8 +621,7 @@ export const removeFromWishlist = async (req, res) => {
     logger.info(`Listing ${listingId} removed from wishlist for user ${req.user._id}`);
     return res.status(200).json({ success: true, message: 'Removed from wishlist successfully' });
   } catch (error) {
-    logger.error(`Error removing from wishlist: ${error.message}`, { stack: error.stack });
-    return res.status(500).json({ success: false, message: 'Failed to remove from wishlist' });
+    return next(error);
   }
 };
 
@@ -501,7 +631,7 @@ export const removeFromWishlist = async (req, res) => {
  * @desc Get the authenticated user’s referral link
  * @access Private (requires token)
  */
-export const getReferralLink = async (req, res) => {
+export const getReferralLink = async (req, res, next) => {
   try {
     if (!req.user) {
       logger.warn('Referral link fetch failed: No user data in request');
@@ -523,8 +653,7 @@ export const getReferralLink = async (req, res) => {
       message: 'Referral link generated successfully',
     });
   } catch (error) {
-    logger.error(`Error fetching referral link: ${error.message}`, { stack: error.stack,});
-    return res.status(500).json({ success: false, message: 'Failed to fetch referral link' });
+    return next(error);
   }
 };
 
@@ -534,7 +663,7 @@ export const getReferralLink = async (req, res) => {
  * @desc Add a review for a seller
  * @access Private (requires token)
  */
-export const addSellerReview = async (req, res) => {
+export const addSellerReview = async (req, res, next) => {
   try {
     if (!req.user) {
       logger.warn('Seller review addition failed: No user data in request');
@@ -544,26 +673,11 @@ export const addSellerReview = async (req, res) => {
     const { sellerId } = req.params;
     const { rating, comment, userId } = req.body;
 
-    if (!sellerId) {
-      logger.warn('Seller review addition failed: Seller ID missing');
-      return res.status(400).json({ success: false, message: 'Seller ID is required' });
-    }
-
     if (userId !== req.user._id.toString()) {
       logger.warn(`Seller review addition failed: User ${req.user._id} attempted to review as ${userId}`);
       return res.status(403).json({ success: false, message: 'Unauthorized: Cannot review as another user' });
     }
 
-    if (!rating || !comment) {
-      logger.warn('Seller review addition failed: Rating or comment missing', { sellerId, userId });
-      return res.status(400).json({ success: false, message: 'Rating and comment are required' });
-    }
-
-    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
-      logger.warn(`Seller review addition failed: Invalid rating ${rating} for seller ${sellerId}`);
-      return res.status(400).json({ success: false, message: 'Rating must be an integer between 1 and 5' });
-    }
-
     const user = await userModel.findById(sellerId);
     if (!user) {
       logger.warn(`Seller review addition failed: Seller ${sellerId} not found`);
@@ -600,10 +714,11 @@ export const addSellerReview = async (req, res) => {
 
     // Send notification to seller about new review
     try {
+      const reviewer = await userModel.findById(userId).select('personalInfo.fullname').lean();
       await sendNotification(
         sellerId,
         'review',
-        `${req.user.personalInfo.fullname} left you a ${rating}-star review: "${comment.trim()}"`,
+        `${reviewer?.personalInfo?.fullname || 'A buyer'} left you a ${rating}-star review: "${comment.trim()}"`,
         req.user._id.toString()
       );
     } catch (notificationError) {
@@ -616,12 +731,11 @@ export const addSellerReview = async (req, res) => {
       message: 'Seller review added successfully',
     });
   } catch (error) {
-    logger.error(`Error adding seller review: ${error.message}`, { stack: error.stack, sellerId, userId });
-    return res.status(500).json({ success: false, message: 'Failed to add seller review' });
+    return next(error);
   }
 };
 
-export const removeSellerReview = async (req, res) => {
+export const removeSellerReview = async (req, res, next) => {
   try {
     if (!req.user) {
       logger.warn('Seller review removal failed: No user data in request');
@@ -631,11 +745,6 @@ export const removeSellerReview = async (req, res) => {
     const { sellerId, reviewId } = req.params;
     const { userId } = req.body;
 
-    if (!sellerId || !reviewId) {
-      logger.warn('Seller review removal failed: Missing sellerId or reviewId', { sellerId, reviewId });
-      return res.status(400).json({ success: false, message: 'sellerId and reviewId are required' });
-    }
-
     if (userId !== req.user._id.toString()) {
       console.log(req.user._id.toString(), userId)
       logger.warn(`Seller review removal failed: User ${req.user._id} attempted to remove review as ${userId}`);
@@ -673,17 +782,13 @@ export const removeSellerReview = async (req, res) => {
       message: 'Seller review removed successfully',
     });
   } catch (error) {
-    logger.error(`Error removing seller review: ${error.message}`, { stack: error.stack, sellerId, reviewId, userId });
-    return res.status(500).json({ success: false, message: 'Failed to remove seller review' });
+    return next(error);
   }
 }
 
-export const getOnlySellers = async (req, res) =>{
+export const getOnlySellers = async (req, res, next) =>{
   try{
      const users = await userModel.find().select('-personalInfo.password -stats -orders -wishlist -financial -lastseen -preferences -analytics.profileViews').lean();
-     if(!users){
-      return res.status(500).json({ success : false, message :"There is no user"})
-     }
      const sellers = users.filter(user => user.listings.length > 0)
 
      logger.info(`Fetched ${sellers.length} sellers`)
@@ -696,13 +801,11 @@ export const getOnlySellers = async (req, res) =>{
 
 
   } catch (error){
-    console.log(error)
-    logger.error('Error in fetching the sellers for the sitemap')
-    return res.status(500).json({ success: false, message : 'failed to fetch sellers'})
+    return next(error);
   }
 }
 
-export const deleteAccount = async (req, res) => {
+export const deleteAccount = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -798,13 +901,15 @@ export const deleteAccount = async (req, res) => {
     await session.commitTransaction();
     session.endSession();
 
+    // Tokens of the deleted account must stop working on every device
+    await revokeAllSessions(userId, { reason: 'account_deleted' });
+
     logger.info(`Account deleted for user ${userId}`);
     return res.status(200).json({ success: true, message: 'Account deleted successfully' });
   } catch (error) {
     console.log(error);
     await session.abortTransaction();
     session.endSession();
-    logger.error(`Error deleting account: ${error.message}`, { stack: error.stack,});
-    return res.status(500).json({ success: false, message: 'Failed to delete account' });
+    return next(error);
   }
 };
\ No newline at end of file
@@ -0,0 +1,78 @@
+import { STATUS_CODES } from 'http';
+import { orderModel } from '../models/Order.js';
+import { errorCodeForStatus, NotFoundError } from '../utils/errors.js';
+import { findOrderItem } from '../utils/orderStatus.js';
+
+// v2 envelopes:
+//   success: { success: true, message?, data, meta? }  (meta holds pagination, facets and other extras)
+//   error:   { success: false, code, message, errors?, details?, requestId }  (requestId is added by errorResponseCodes)
+const toV2Body = (status, body) => {
+  if (status >= 400) {
+    const { message, code, errors, details, retryAfter } = body && typeof body === 'object' ? body : {};
+    return {
+      success: false,
+      code: code || (errors ? 'VALIDATION_FAILED' : errorCodeForStatus(status)),
+      message: message || STATUS_CODES[status],
+      ...(errors && { errors }),
+      ...(details !== undefined && { details }),
+      ...(retryAfter !== undefined && { retryAfter }),
+    };
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body) || body.success === undefined) {
+    return { success: true, data: body ?? null };
+  }
+  const { success, message, data, ...meta } = body;
+  return {
+    success: true,
+    ...(message && { message }),
+    data: data ?? null,
+    ...(Object.keys(meta).length && { meta }),
+  };
+};
+
+// Rewrites every JSON response of the v2 routers into the v2 envelope
+export const v2Envelope = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => json(toV2Body(res.statusCode, body));
+  next();
+};
+
+/**
+ * Reshapes a v2 request into the form a shared (v1) controller reads, so both versions run the same code.
+ * The acting user always comes from the token: v1 controllers compare body/param user IDs against it.
+ * @param {Function} mapper - (req) => ({ params?, query?, body? }), merged over the request
+ */
+export const asV1Request = (mapper) => (req, res, next) => {
+  const { params, query, body } = mapper(req);
+  if (params) Object.assign(req.params, params);
+  if (query) Object.assign(req.query, query);
+  if (body) req.body = { ...req.body, ...body };
+  next();
+};
+
+// Looks up the order item addressed by /orders/:orderId/items/:itemId and exposes it as
+// req.orderItem = { itemId, index, productId, sellerId } for the v1 controllers, which take the item's _id or index.
+// itemId is the item's _id; a productId is accepted while only one line of the order has it (see findOrderItem).
+export const resolveOrderItem = async (req, res, next) => {
+  const { orderId, itemId } = req.params;
+  try {
+    const order = await orderModel.findOne({ orderId }).select('items._id items.productId items.sellerId').lean();
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+    const item = findOrderItem(order.items, itemId);
+    if (!item) {
+      throw new NotFoundError('Item not found in order');
+    }
+    req.orderItem = {
+      itemId: item._id.toString(),
+      index: order.items.indexOf(item),
+      productId: item.productId,
+      sellerId: item.sellerId.toString(),
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -2,9 +2,13 @@ import jwt from 'jsonwebtoken';
 import env from '../config/env.js';
 import logger from '../utils/logger.js';
 import { OAuth2Client } from 'google-auth-library';
+import { userModel } from '../models/User.js';
+import { getUserPermissions, getUserRoles, isStaff } from '../utils/permissions.js';
+import { isSessionRevoked } from '../utils/sessions.js';
+import { verifySecondFactor } from '../utils/twoFactor.js';
 
 // Authentication middleware
-export const authUser = (req, res, next) => {
+export const authUser = async (req, res, next) => {
   const { token } = req.headers;
 
   if (!token) {
@@ -12,11 +16,9 @@ export const authUser = (req, res, next) => {
     return res.status(401).json({ success: false, message: 'Please log in to proceed' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, env.SECRET_KEY);
-    req.user = decoded; // Attach decoded user data (e.g., _id) to req.user
-    logger.debug(`Token verified for user ${decoded._id}`, { userId: decoded._id, url: req.originalUrl });
-    next();
+    decoded = jwt.verify(token, env.SECRET_KEY);
   } catch (error) {
     let message = 'Unauthorized: Invalid token';
     if (error.name === 'TokenExpiredError') {
@@ -25,6 +27,12 @@ export const authUser = (req, res, next) => {
       message = 'Unauthorized: Malformed token';
     }
 
+    // Access tokens are short-lived, so expiry is routine; the client refreshes and retries
+    if (error.name === 'TokenExpiredError') {
+      logger.debug(`Access token expired: ${error.message}`, { url: req.originalUrl });
+      return res.status(401).json({ success: false, message, code: 'TOKEN_EXPIRED' });
+    }
+
     logger.error(`Authentication error: ${error.message}`, {
       stack: error.stack,
       url: req.originalUrl,
@@ -32,5 +40,126 @@ export const authUser = (req, res, next) => {
     });
     return res.status(401).json({ success: false, message });
   }
+
+  // Tokens issued before sessions existed carry no session id and never expire
+  if (!decoded.sid) {
+    logger.warn(`Authentication failed: Token without session for user ${decoded._id}`, { url: req.originalUrl });
+    return res.status(401).json({ success: false, message: 'Unauthorized: Session expired, please log in again' });
+  }
+
+  try {
+    if (await isSessionRevoked(decoded)) {
+      logger.warn(`Authentication failed: Session ${decoded.sid} revoked for user ${decoded._id}`, { url: req.originalUrl, ip: req.ip });
+      return res.status(401).json({ success: false, message: 'Unauthorized: Session has been revoked' });
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  req.user = decoded; // Attach decoded user data (_id, sid) to req.user
+  logger.debug(`Token verified for user ${decoded._id}`, { userId: decoded._id, url: req.originalUrl });
+  next();
+};
+
+// Optional authentication: attaches req.user when a valid token is sent, otherwise continues as a guest
+export const optionalAuth = async (req, res, next) => {
+  const { token } = req.headers;
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(token, env.SECRET_KEY);
+    if (await isSessionRevoked(decoded)) {
+      logger.warn(`Optional authentication ignored revoked or legacy token for user ${decoded._id}`, { url: req.originalUrl });
+      return next();
+    }
+    req.user = decoded;
+    logger.debug(`Token verified for user ${req.user._id}`, { userId: req.user._id, url: req.originalUrl });
+  } catch (error) {
+    logger.warn(`Optional authentication ignored invalid token: ${error.message}`, { url: req.originalUrl });
+  }
+  next();
 };
 
+// Authorization middleware (use after authUser): requires every listed permission.
+// Roles are read from the database on each request so revoking a role takes effect immediately.
+// The permissions are kept on the middleware (middleware.permissions) for the API documentation.
+export const authorize = (...permissions) => Object.assign(async (req, res, next) => {
+  if (!req.user) {
+    logger.warn('Authorization failed: No user data in request', { url: req.originalUrl, ip: req.ip });
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+
+  try {
+    const user = await userModel.findById(req.user._id).select('personalInfo.isAdmin personalInfo.roles personalInfo.twoFactor.enabled').lean();
+    if (!user) {
+      logger.warn(`Authorization failed: User ${req.user._id} not found`, { url: req.originalUrl });
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const granted = getUserPermissions(user);
+    const missing = permissions.filter(permission => !granted.includes(permission));
+    if (missing.length) {
+      logger.warn(`Authorization failed: User ${req.user._id} lacks ${missing.join(', ')}`, { url: req.originalUrl, ip: req.ip });
+      return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
+    }
+
+    // Staff accounts must have two-factor authentication turned on
+    if (isStaff(user) && !user.personalInfo.twoFactor?.enabled) {
+      logger.warn(`Authorization failed: Staff user ${req.user._id} has not enabled 2FA`, { url: req.originalUrl });
+      return res.status(403).json({
+        success: false,
+        message: 'Enable two-factor authentication to access staff tools',
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+      });
+    }
+
+    req.user.roles = getUserRoles(user);
+    req.user.permissions = granted;
+    next();
+  } catch (error) {
+    return next(error);
+  }
+}, { permissions });
+
+// Step-up check for sensitive actions (use after authUser): when the account has 2FA enabled, the request
+// must carry a current code in the x-2fa-code header (or twoFactorCode in the body). Accounts without 2FA pass.
+// Staff tools require 2FA to be set up through authorize instead.
+export const requireTwoFactor = async (req, res, next) => {
+  if (!req.user) {
+    logger.warn('Two-factor check failed: No user data in request', { url: req.originalUrl, ip: req.ip });
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+
+  try {
+    const user = await userModel.findById(req.user._id).select('personalInfo.twoFactor.enabled').lean();
+    if (!user) {
+      logger.warn(`Two-factor check failed: User ${req.user._id} not found`, { url: req.originalUrl });
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+    if (!user.personalInfo?.twoFactor?.enabled) {
+      return next();
+    }
+
+    const code = req.headers['x-2fa-code'] || req.body?.twoFactorCode;
+    const result = await verifySecondFactor(req.user._id, code, req.ip);
+    if (result.valid || result.reason === 'not_enabled') {
+      // not_enabled: 2FA was turned off since the check above
+      return next();
+    }
+    if (result.reason === 'throttled') {
+      res.set('Retry-After', String(result.throttle.retryAfter));
+      return res.status(result.throttle.status).json({ success: false, message: result.throttle.message, code: 'TWO_FACTOR_LOCKED' });
+    }
+
+    if (result.reason === 'missing') {
+      return res.status(403).json({ success: false, message: 'Enter your two-factor code to continue', code: 'TWO_FACTOR_CODE_REQUIRED' });
+    }
+
+    logger.warn(`Two-factor check failed: ${result.reason} code from user ${req.user._id}`, { url: req.originalUrl, ip: req.ip });
+    return res.status(401).json({ success: false, message: 'Invalid two-factor code', code: 'TWO_FACTOR_CODE_INVALID' });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -1,37 +1,77 @@
 import logger from "../utils/logger.js";
+import { AppError, BadRequestError, ConflictError, errorCodeForStatus, NotFoundError, RequestValidationError } from "../utils/errors.js";
 
+// Errors from mongoose and body-parser that are the client's fault
+const fromKnownError = (err) => {
+  if (err.name === 'ValidationError' && err.errors) {
+    const errors = Object.values(err.errors).map(error => ({ location: 'body', field: error.path, message: error.message }));
+    return new RequestValidationError('Invalid data', errors);
+  }
+  if (err.name === 'CastError') {
+    return new BadRequestError(`Invalid ${err.path}`, { code: 'INVALID_ID' });
+  }
+  if (err.code === 11000) {
+    return new ConflictError('A record with this value already exists', { code: 'DUPLICATE' });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return new BadRequestError('Malformed JSON body', { code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return new AppError('Request body is too large', { status: 413 });
+  }
+  return null;
+};
 
+// Central error handler (mounted last in app.js). Controllers throw or next() typed errors from utils/errors.js;
+// anything unexpected is logged with its stack and answered with a generic 500, never with its message.
 const errorHandler = (err, req, res, next) => {
-  // Log the error
-  logger.error(`${err.name}: ${err.message} | Stack: ${err.stack}`);
-
-  // Default error status and message
-  const statusCode = err.statusCode || 500;
-  const message = err.message || 'Internal Server Error';
-
-  // Specific error handling (customize as needed)
-  if (err.name === 'ValidationError') {
-    return res.status(400).json({
-      success: false,
-      error: 'Validation Error',
-      details: err.errors
-    });
+  if (res.headersSent) {
+    return next(err);
   }
 
-  if (err.name === 'MongoError' && err.code === 11000) {
-    return res.status(409).json({
-      success: false,
-      error: 'Duplicate Key Error',
-      details: 'A resource with this value already exists'
-    });
+  const error = err instanceof AppError ? err : fromKnownError(err);
+  const context = { url: req.originalUrl, method: req.method, userId: req.user?._id };
+
+  if (!error) {
+    logger.error(`Unhandled error: ${err.name}: ${err.message}`, { ...context, stack: err.stack });
+  } else if (error.status >= 500) {
+    logger.error(`${error.name} (${error.code}): ${error.message}`, { ...context, stack: (error.cause || error).stack });
+  } else {
+    logger.warn(`${error.name} (${error.code}): ${error.message}`, context);
   }
 
-  // Generic error response
-  res.status(statusCode).json({
+  const status = error?.status || 500;
+  res.status(status).json({
     success: false,
-    error: message,
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack }) // Include stack in dev
+    code: error?.code || errorCodeForStatus(500),
+    message: error?.message || 'Server error',
+    ...(error?.errors && { errors: error.errors }),
+    ...(error?.details !== undefined && { details: error.details }),
+    requestId: req.id,
   });
 };
 
-export default errorHandler;
\ No newline at end of file
+// Unknown /api routes
+export const notFound = (req, res, next) => {
+  next(new NotFoundError(`Route not found: ${req.method} ${req.baseUrl}${req.path}`, { code: 'ROUTE_NOT_FOUND' }));
+};
+
+// Adds a stable code (from the status) and the correlation id to the 4xx responses controllers build
+// themselves, so every error a client sees has the same shape as the ones from errorHandler.
+// Server errors are never built by hand; they go to errorHandler.
+export const errorResponseCodes = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 400 || res.statusCode >= 500 || !body || typeof body !== 'object' || Array.isArray(body)) {
+      return json(body);
+    }
+    return json({
+      ...body,
+      code: body.code || (body.errors ? 'VALIDATION_FAILED' : errorCodeForStatus(res.statusCode)),
+      requestId: body.requestId || req.id,
+    });
+  };
+  next();
+};
+
+export default errorHandler;
@@ -10,7 +10,7 @@ const httpLogger = (req, res, next) => {
     const ip = req.ip || req.connection.remoteAddress;
     const userId = req.user?._id || 'anonymous';
 
-    logger.http(`${method} ${originalUrl} ${statusCode} ${duration}ms | User: ${userId} | IP: ${ip}`);
+    logger.http(`${method} ${originalUrl} ${statusCode} ${duration}ms | User: ${userId} | IP: ${ip}`, { requestId: req.id });
   });
 
   next();
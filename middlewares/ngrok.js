@@ -1,19 +1,24 @@
 import ngrok from '@ngrok/ngrok';
 import dotenv from 'dotenv';
+import { ServiceUnavailableError } from '../utils/errors.js';
+import { getPaymentProvider } from '../utils/payments/index.js';
 dotenv.config();
 
 let domain = null;
 
 export const connectNgrok = async (req, res, next) => {
-    console.log('Connecting to Ngrok...');
     try {
+        // Providers that call back from this machine (sandbox) don't need a public tunnel
+        if (!getPaymentProvider().requiresPublicCallback) {
+            return next();
+        }
+        console.log('Connecting to Ngrok...');
         domain = process.env.DOMAIN || null;
         const authToken = process.env.NGROK_AUTH_TOKEN;
         console.log('Ngrok auth token:', authToken ? 'Present' : 'Not Set');
 
         if (!authToken) {
-            console.warn('Ngrok auth token not set in environment variables.');
-            return res.status(500).json({ success: false, message: 'Ngrok auth token missing' });
+            throw new Error('NGROK_AUTH_TOKEN is not set');
         }
 
         if (!domain) {
@@ -31,7 +36,7 @@ export const connectNgrok = async (req, res, next) => {
         console.log(`Request domain set to: ${process.env.DOMAIN}`);
         next();
     } catch (error) {
-        console.error('Error connecting to Ngrok:', error);
-        res.status(500).json({ success: false, message: 'Failed to connect to Ngrok', error: error.message });
+        // The payment provider could not reach our callback URL
+        next(new ServiceUnavailableError('Payments are temporarily unavailable. Please try again later.', { cause: error }));
     }
 };
@@ -0,0 +1,89 @@
+import logger from '../utils/logger.js';
+import { getRateLimitStore } from '../utils/rateLimitStore.js';
+
+const clientKey = (req, keyBy) => {
+  if (typeof keyBy === 'function') {
+    return keyBy(req);
+  }
+  // 'user' falls back to the IP for guests (or when used before authUser)
+  if (keyBy === 'user' && req.user?._id) {
+    return `user:${req.user._id}`;
+  }
+  return `ip:${req.ip}`;
+};
+
+/**
+ * Rate limit middleware (fixed window).
+ * @param {Object} options
+ * @param {string} options.name - Policy name, part of every counter key
+ * @param {number} options.windowMs - Window length
+ * @param {number} options.max - Requests allowed per client per window
+ * @param {'ip'|'user'|Function} [options.keyBy] - How clients are told apart; a function receives req
+ * @param {string} [options.message]
+ * @param {Function} [options.skip] - (req) => true to not count a request
+ * @param {Object} [options.store] - Defaults to the store chosen by RATE_LIMIT_STORE
+ * @returns {Function} Middleware; the policy is kept on middleware.rateLimit for the API documentation
+ */
+export const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyBy = 'ip',
+  message = 'Too many requests. Please slow down and try again later.',
+  skip = null,
+  store = null,
+}) => Object.assign(async (req, res, next) => {
+  if (skip?.(req)) {
+    return next();
+  }
+
+  let result;
+  const key = `${name}:${clientKey(req, keyBy)}`;
+  try {
+    result = await (store || getRateLimitStore()).increment(key, windowMs);
+  } catch (error) {
+    // A broken counter store shouldn't take the API down with it
+    logger.error(`Rate limiter store error (${name}): ${error.message}`, { stack: error.stack, url: req.originalUrl });
+    return next();
+  }
+
+  const resetSeconds = Math.max(Math.ceil((result.resetAt.getTime() - Date.now()) / 1000), 1);
+  res.set({
+    'RateLimit-Limit': String(max),
+    'RateLimit-Remaining': String(Math.max(max - result.count, 0)),
+    'RateLimit-Reset': String(resetSeconds),
+  });
+
+  if (result.count > max) {
+    logger.warn(`Rate limit exceeded (${name}) by ${key}`, { url: req.originalUrl, count: result.count });
+    res.set('Retry-After', String(resetSeconds));
+    return res.status(429).json({ success: false, message, retryAfter: resetSeconds });
+  }
+  next();
+}, { rateLimit: { name, windowMs, max } });
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Per-route policies
+export const rateLimits = {
+  // Whole API, per IP; payment provider callbacks arrive in bursts and are exempt
+  api: rateLimit({
+    name: 'api',
+    windowMs: MINUTE,
+    max: 300,
+    skip: (req) => req.originalUrl.startsWith('/api/payments/webhook'),
+  }),
+  // Each of these sends an email
+  signup: rateLimit({ name: 'signup', windowMs: HOUR, max: 5, message: 'Too many sign-up attempts. Please try again later.' }),
+  emailSending: rateLimit({ name: 'email', windowMs: HOUR, max: 10, message: 'Too many email requests. Please try again later.' }),
+  login: rateLimit({ name: 'login', windowMs: 15 * MINUTE, max: 30, message: 'Too many login attempts. Please try again later.' }),
+  // Questions are forwarded to sellers
+  askForProduct: rateLimit({ name: 'ask-for-product', windowMs: HOUR, max: 10, keyBy: 'user', message: 'You have sent too many questions. Please try again later.' }),
+  // Analytics counters: a client counts at most a few times per item per hour
+  listingViews: rateLimit({ name: 'listing-views', windowMs: HOUR, max: 3, keyBy: (req) => `ip:${req.ip}:${req.params.productId}` }),
+  listingShares: rateLimit({ name: 'listing-shares', windowMs: HOUR, max: 5, keyBy: (req) => `ip:${req.ip}:${req.params.productId}` }),
+  profileViews: rateLimit({ name: 'profile-views', windowMs: HOUR, max: 3, keyBy: (req) => `ip:${req.ip}:${req.params.sellerId}` }),
+  // Authenticated writes that notify other users
+  userActions: rateLimit({ name: 'user-actions', windowMs: MINUTE, max: 20, keyBy: 'user' }),
+};
@@ -0,0 +1,17 @@
+import { randomUUID } from 'crypto';
+import { runWithRequestContext } from '../utils/requestContext.js';
+
+// Accept a caller's id (e.g. from the frontend or a proxy) only if it looks like one
+const VALID_REQUEST_ID = /^[\w-]{8,128}$/;
+
+// Gives every request a correlation id: echoed in the X-Request-Id header and error responses, and added to
+// every log line written while the request is handled.
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+  req.id = id;
+  res.set('X-Request-Id', id);
+  runWithRequestContext({ requestId: id }, next);
+};
+
+export default requestId;
@@ -0,0 +1,187 @@
+import mongoose from 'mongoose';
+import validator from 'validator';
+import { RequestValidationError } from '../utils/errors.js';
+
+// Request validation against declarative schemas (schemas/*.js). Schemas are a JSON Schema subset so the same
+// objects can be published in the OpenAPI document:
+//   type: 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' (or an array of types)
+//   nullable, enum, minimum, maximum, minLength, maxLength, pattern, format, minItems, maxItems,
+//   items, properties, required, description,
+//   additionalProperties (false rejects unknown fields; a schema checks every field not in properties)
+// Formats: 'objectId', 'email', 'date-time', 'uri', 'phone'
+
+const FORMATS = {
+  objectId: (value) => mongoose.Types.ObjectId.isValid(value) && String(value).length === 24,
+  email: (value) => validator.isEmail(value),
+  'date-time': (value) => !Number.isNaN(Date.parse(value)),
+  uri: (value) => validator.isURL(value, { require_protocol: true }),
+  phone: (value) => /^\+?[0-9]{7,15}$/.test(value),
+};
+
+const FORMAT_MESSAGES = {
+  objectId: 'must be a valid ID',
+  email: 'must be a valid email address',
+  'date-time': 'must be a valid date',
+  uri: 'must be a valid URL',
+  phone: 'must be a valid phone number',
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+// Query strings and route params are always strings; read them as the type the schema asks for
+const coerce = (value, schema) => {
+  if (typeof value !== 'string') return value;
+  const types = [].concat(schema.type || []);
+  if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  if (types.includes('array')) {
+    return value.split(',');
+  }
+  return value;
+};
+
+const joinPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+/**
+ * Validates a value against a schema.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {Object} [options]
+ * @param {string} [options.path] - Field path for messages
+ * @param {boolean} [options.coerceStrings] - Treat strings as numbers/booleans where the schema expects them
+ * @returns {Array<{field: string, message: string}>} Every problem found (empty when valid)
+ */
+export const validateValue = (value, schema, { path = '', coerceStrings = false } = {}) => {
+  const errors = [];
+  const fail = (message) => errors.push({ field: path || '(root)', message });
+  const current = coerceStrings ? coerce(value, schema) : value;
+
+  if (current === null) {
+    if (!schema.nullable) fail('must not be null');
+    return errors;
+  }
+
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some(type => matchesType(current, type))) {
+    fail(`must be ${types.map(type => (type === 'integer' ? 'an integer' : type === 'object' || type === 'array' ? `an ${type}` : `a ${type}`)).join(' or ')}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(current)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof current === 'string') {
+    if (schema.minLength !== undefined && current.trim().length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && current.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(current)) {
+      fail(schema.patternMessage || 'has an invalid format');
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](current)) {
+      fail(FORMAT_MESSAGES[schema.format]);
+    }
+  }
+
+  if (typeof current === 'number') {
+    if (schema.minimum !== undefined && current < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && current > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(current)) {
+    if (schema.minItems !== undefined && current.length < schema.minItems) {
+      fail(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && current.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      current.forEach((item, index) => {
+        errors.push(...validateValue(item, schema.items, { path: joinPath(path, index), coerceStrings }));
+      });
+    }
+  }
+
+  if (typeOf(current) === 'object' && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+    for (const key of schema.required || []) {
+      if (current[key] === undefined || current[key] === '') {
+        errors.push({ field: joinPath(path, key), message: 'is required' });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      const property = current[key];
+      // Forms send '' for untouched optional fields
+      const isRequired = (schema.required || []).includes(key);
+      const emptyOptional = property === '' && !isRequired && propertySchema.type !== 'string';
+      // Empty required fields were reported above
+      const emptyRequired = property === '' && isRequired;
+      if (property !== undefined && !emptyOptional && !emptyRequired) {
+        errors.push(...validateValue(property, propertySchema, { path: joinPath(path, key), coerceStrings }));
+      }
+    }
+    if (schema.additionalProperties === false || typeOf(schema.additionalProperties) === 'object') {
+      for (const key of Object.keys(current)) {
+        if (schema.properties?.[key]) continue;
+        if (schema.additionalProperties === false) {
+          errors.push({ field: joinPath(path, key), message: 'is not allowed' });
+        } else {
+          errors.push(...validateValue(current[key], schema.additionalProperties, { path: joinPath(path, key), coerceStrings }));
+        }
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Request validation middleware. Fails with a RequestValidationError (400) listing every invalid field.
+ * The schema is kept on the middleware (middleware.schema) for the API documentation.
+ * @param {Object} schema
+ * @param {Object} [schema.params] - Object schema for route params
+ * @param {Object} [schema.query] - Object schema for the query string
+ * @param {Object} [schema.body] - Schema for the JSON body
+ * @param {string} [schema.summary] - One-line description for the docs
+ * @param {Object} [schema.response] - Schema of the `data` returned on success, for the docs
+ */
+export const validate = (schema) => {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    for (const location of ['params', 'query', 'body']) {
+      if (!schema[location]) continue;
+      const value = req[location] ?? {};
+      errors.push(
+        ...validateValue(value, schema[location], { coerceStrings: location !== 'body' })
+          .map(error => ({ location, ...error }))
+      );
+    }
+
+    if (errors.length) {
+      return next(new RequestValidationError(`Invalid request: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`, errors));
+    }
+    next();
+  };
+  middleware.schema = schema;
+  return middleware;
+};
@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+export const MAX_ITEM_QUANTITY = 99;
+
+// Cart Item Schema
+const CartItemSchema = new mongoose.Schema({
+  listingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true,
+  },
+  productId: {
+    type: String,
+    required: true,
+  },
+  sellerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  image: {
+    type: String,
+    default: '',
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: MAX_ITEM_QUANTITY,
+  },
+  size: {
+    type: String,
+    default: '',
+  },
+  color: {
+    type: String,
+    default: '',
+  },
+  sku: {
+    type: String,
+    default: null,
+  },
+  // Unit price when the item was added or last re-validated
+  priceSnapshot: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  offerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Offer',
+    default: null,
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Main Cart Schema (one per user or guest)
+const CartSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  guestId: {
+    type: String,
+    trim: true,
+  },
+  items: {
+    type: [CartItemSchema],
+    default: [],
+    validate: {
+      validator: (v) => v.length <= 50,
+      message: 'Maximum 50 items allowed in cart',
+    },
+  },
+}, { timestamps: true });
+
+CartSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { userId: { $exists: true } } });
+CartSchema.index({ guestId: 1 }, { unique: true, partialFilterExpression: { guestId: { $exists: true } } });
+// Abandoned guest carts are cleaned up after 30 days of inactivity
+CartSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { guestId: { $exists: true } } });
+
+CartSchema.pre('validate', function (next) {
+  if (!this.userId && !this.guestId) {
+    return next(new Error('Cart requires a userId or guestId'));
+  }
+  next();
+});
+
+export const cartModel = mongoose.model('Cart', CartSchema);
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+export const LEDGER_ACCOUNTS = ['escrow', 'seller_pending', 'seller_available', 'seller_withdrawing', 'platform_revenue', 'refunds_payable'];
+// Accounts owned by a seller (userId is set)
+export const SELLER_ACCOUNTS = ['seller_pending', 'seller_available', 'seller_withdrawing'];
+export const LEDGER_ENTRY_TYPES = ['sale', 'sale_release', 'platform_fee', 'refund', 'withdrawal', 'withdrawal_fee', 'withdrawal_paid', 'withdrawal_reversal', 'adjustment'];
+
+// One side of a double-entry journal; every journal's debits equal its credits
+const LedgerEntrySchema = new mongoose.Schema({
+  journalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true,
+  },
+  account: {
+    type: String,
+    required: true,
+    enum: LEDGER_ACCOUNTS,
+  },
+  // Owner of seller_* accounts; null for platform accounts
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  direction: {
+    type: String,
+    required: true,
+    enum: ['debit', 'credit'],
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01,
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: LEDGER_ENTRY_TYPES,
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 500,
+  },
+  orderId: {
+    type: String,
+    default: null,
+  },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  withdrawalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Withdrawal',
+    default: null,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+});
+
+LedgerEntrySchema.index({ userId: 1, account: 1, createdAt: -1 }); // For balances and statements
+LedgerEntrySchema.index({ orderId: 1 });
+LedgerEntrySchema.index({ withdrawalId: 1 });
+
+// Ledger entries are append-only; corrections are posted as new journals
+LedgerEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function (next) {
+  next(new Error('Ledger entries are immutable'));
+});
+
+export const ledgerEntryModel = mongoose.model('LedgerEntry', LedgerEntrySchema);
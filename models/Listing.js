@@ -35,6 +35,29 @@ const LocationSchema = new mongoose.Schema({
 // models/Listing.js
 import mongoose from 'mongoose';
 
+export const LISTING_CONDITIONS = ['New', 'Like New', 'Used', 'Refurbished'];
+export const VERIFICATION_STATUSES = ['Pending', 'Verified', 'Rejected'];
+// How long a new or renewed listing stays live, and how early sellers may renew before it lapses
+export const LISTING_LIFETIME_DAYS = 30;
+export const LISTING_RENEWAL_WINDOW_DAYS = 3;
+// How far ahead a listing can be scheduled to go live
+export const LISTING_MAX_SCHEDULE_DAYS = 90;
+// Standard reasons a moderator picks from when rejecting a listing (plus free-text guidance)
+export const REJECTION_REASONS = [
+  'Prohibited Item',
+  'Counterfeit or Replica',
+  'Poor Quality Photos',
+  'Inaccurate Description',
+  'Missing Information',
+  'Wrong Category',
+  'Unrealistic Price',
+  'Contact Details in Listing',
+  'Duplicate Listing',
+  'Offensive Content',
+  'Other',
+];
+export const MODERATION_ACTIONS = ['submitted', 'assigned', 'unassigned', 'approved', 'rejected', 'resubmitted'];
+
 // AI Finding Schema
 const AiFindingSchema = new mongoose.Schema({
   title: {
@@ -56,6 +79,109 @@ const AiFindingSchema = new mongoose.Schema({
   },
 });
 
+// A change the seller has to make before a rejected listing can be approved
+const RequiredChangeSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200,
+  },
+  action: {
+    type: String,
+    maxlength: 1000,
+  },
+  source: {
+    type: String,
+    enum: ['ai', 'moderator'],
+    default: 'moderator',
+  },
+  // The aiFindings entry this change came from
+  findingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+});
+
+// One step in a listing's review history. `by` is null for automatic (AI) steps.
+const ModerationEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: MODERATION_ACTIONS,
+    required: true,
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reasons: [String],
+  note: String,
+  // Time from (re)submission to this decision, for the SLA metrics
+  turnaroundMinutes: Number,
+  // Fields the seller changed, on resubmission
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+  }],
+}, { _id: false });
+
+const ModerationSchema = new mongoose.Schema({
+  // When the listing last entered the review queue; the SLA clock starts here
+  submittedAt: {
+    type: Date,
+    default: null,
+  },
+  resubmissions: {
+    type: Number,
+    default: 0,
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  assignedAt: {
+    type: Date,
+    default: null,
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  decidedAt: {
+    type: Date,
+    default: null,
+  },
+  rejectionReasons: {
+    type: [{ type: String, enum: REJECTION_REASONS }],
+    default: [],
+  },
+  rejectionNote: {
+    type: String,
+    maxlength: 2000,
+    default: null,
+  },
+  requiredChanges: {
+    type: [RequiredChangeSchema],
+    default: [],
+  },
+  history: {
+    type: [ModerationEventSchema],
+    default: [],
+  },
+}, { _id: false });
+
 // Product Information Schema
 const ProductInfoSchema = new mongoose.Schema({
   productId: {
@@ -135,7 +261,7 @@ const ProductInfoSchema = new mongoose.Schema({
   },
   condition: {
     type: String,
-    enum: ['New', 'Like New', 'Used', 'Refurbished'],
+    enum: LISTING_CONDITIONS,
     default: 'New',
   },
   brand: {
@@ -154,6 +280,35 @@ const ProductInfoSchema = new mongoose.Schema({
   },
 });
 
+// Variant Schema (one SKU per size × color combination)
+const VariantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  size: {
+    type: String,
+    default: '',
+    trim: true,
+  },
+  color: {
+    type: String,
+    default: '',
+    trim: true,
+  },
+  inventory: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  price: {
+    type: Number,
+    min: 0,
+    default: null, // Overrides productInfo.price when set
+  },
+}, { _id: false });
+
 // Seller Information Schema
 const SellerInfoSchema = new mongoose.Schema({
   sellerId: {
@@ -296,7 +451,7 @@ const ListingSchema = new mongoose.Schema({
   verified: {
     type: String,
     default: 'Pending',
-    enum: ['Pending', 'Verified', 'Rejected'],
+    enum: VERIFICATION_STATUSES,
   },
   location: {
     type: LocationSchema,
@@ -329,6 +484,15 @@ const ListingSchema = new mongoose.Schema({
     default: 1,
     min: 0,
   },
+  // When variants exist, inventory is kept as the sum of variant stock
+  variants: {
+    type: [VariantSchema],
+    default: [],
+    validate: {
+      validator: (v) => v.length <= 25,
+      message: 'Maximum 25 variants allowed',
+    },
+  },
   shippingOptions: {
     type: [String],
     default: ['Local Pickup', 'Delivery'],
@@ -345,10 +509,35 @@ const ListingSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Set by the expiry job (utils/expireListings.js); cleared on renewal
+  expiryReminderSentAt: {
+    type: Date,
+    default: null,
+  },
+  expiredAt: {
+    type: Date,
+    default: null,
+  },
+  // Scheduled go-live time: the listing stays inactive until then and is published by
+  // utils/publishScheduledListings.js once it is also verified; null once published
+  publishAt: {
+    type: Date,
+    default: null,
+  },
   aiFindings: {
     type: [AiFindingSchema],
     default: [],
   },
+  // Number of the latest ListingRevision (0 until the first one is recorded, see utils/listingRevisions.js)
+  revision: {
+    type: Number,
+    default: 0,
+  },
+  // Review queue state; `verified` stays the source of truth for visibility (see utils/moderation.js)
+  moderation: {
+    type: ModerationSchema,
+    default: () => ({}),
+  },
 }, { timestamps: true });
 
 // Compound indexes for efficient queries
@@ -356,6 +545,23 @@ ListingSchema.index({ 'seller.sellerId': 1 });
 ListingSchema.index({ 'location.coordinates': '2dsphere' });
 ListingSchema.index({ category: 1, 'location.county': 1 }); // For category/location searches
 ListingSchema.index({ isSold: 1 });
+ListingSchema.index({ isActive: 1, expiresAt: 1 }); // For the expiry job
+ListingSchema.index({ publishAt: 1, verified: 1 }, { partialFilterExpression: { publishAt: { $type: 'date' } } }); // For the publishing job
+ListingSchema.index({ 'variants.sku': 1 });
+ListingSchema.index({ verified: 1, 'moderation.submittedAt': 1, createdAt: 1 }); // For the moderation queue (oldest first)
+ListingSchema.index({ 'moderation.assignedTo': 1, verified: 1 }); // For a reviewer's own queue
+ListingSchema.index(
+  {
+    'productInfo.name': 'text',
+    'productInfo.description': 'text',
+    'productInfo.tags': 'text',
+    'productInfo.brand': 'text',
+  },
+  { name: 'listing_search', weights: { 'productInfo.name': 10, 'productInfo.tags': 5, 'productInfo.brand': 3, 'productInfo.description': 1 } }
+); // For storefront full-text search
+ListingSchema.index({ verified: 1, isActive: 1, 'productInfo.category': 1, 'location.county': 1 }); // For storefront filters and facets
+ListingSchema.index({ verified: 1, isActive: 1, createdAt: -1, _id: -1 }); // For newest-first pagination
+ListingSchema.index({ verified: 1, isActive: 1, 'productInfo.price': 1, _id: 1 }); // For price-sorted pagination
 
 // Pre-save hook to calculate rating
 ListingSchema.pre('save', function (next) {
@@ -365,6 +571,12 @@ ListingSchema.pre('save', function (next) {
     this.rating = reviews.length ? totalRating / reviews.length : 0;
   }
 
+  // Keep total inventory and sold state in sync with variant stock
+  if (this.isModified('variants') && this.variants.length) {
+    this.inventory = this.variants.reduce((sum, variant) => sum + (variant.inventory || 0), 0);
+    this.isSold = this.inventory === 0;
+  }
+
   // Auto-set location from seller if not provided (requires population in controller)
   if (!this.location || !this.location.county) {
     // In controller: await populate seller and set this.location = seller.location
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// Drafts a seller can keep at once
+export const MAX_DRAFTS_PER_SELLER = 50;
+
+// An unfinished listing: whatever the seller has entered so far, in addListing's body shape. Nothing is
+// required here; the draft is checked against addListingSchema when it is published.
+const ListingDraftSchema = new mongoose.Schema({
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  productInfo: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+  negotiable: { type: Boolean, default: false },
+  location: { type: mongoose.Schema.Types.Mixed, default: null },
+  inventory: { type: Number, default: null },
+  variants: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  shippingOptions: { type: [String], default: undefined },
+  // Go-live time the listing is scheduled for once the draft is published
+  publishAt: { type: Date, default: null },
+}, { timestamps: true, minimize: false });
+
+ListingDraftSchema.index({ sellerId: 1, updatedAt: -1 });
+
+export const listingDraftModel = mongoose.model('ListingDraft', ListingDraftSchema);
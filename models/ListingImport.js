@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+export const LISTING_IMPORT_FORMATS = ['csv', 'json'];
+export const LISTING_IMPORT_STATUSES = ['queued', 'running', 'completed', 'failed'];
+// Rows in one import
+export const MAX_IMPORT_ROWS = 500;
+
+// Outcome of one row: a new listing, an update of the seller's listing with that productId, or why it failed
+const ImportRowResultSchema = new mongoose.Schema({
+  row: { type: Number, required: true }, // 1-based position in the upload (CSV: the line it starts on)
+  productId: { type: String, default: null },
+  status: { type: String, enum: ['created', 'updated', 'failed'], required: true },
+  message: { type: String, default: '' },
+  fieldErrors: [{
+    field: { type: String },
+    message: { type: String },
+    _id: false,
+  }],
+}, { _id: false });
+
+// A bulk listing upload, processed in the background by utils/listingImports.js
+const ListingImportSchema = new mongoose.Schema({
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  format: { type: String, enum: LISTING_IMPORT_FORMATS, required: true },
+  status: { type: String, enum: LISTING_IMPORT_STATUSES, default: 'queued' },
+  agreedToTerms: { type: Boolean, required: true },
+  // Uploaded rows as received (CSV records keyed by column, or listing objects); `line` is the CSV line
+  rows: [{
+    line: { type: Number, default: null },
+    data: { type: mongoose.Schema.Types.Mixed, required: true },
+    _id: false,
+  }],
+  results: { type: [ImportRowResultSchema], default: [] },
+  summary: {
+    total: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+  },
+  error: { type: String, default: null }, // Why the whole import failed
+  // A worker holds the import until this time; an import left running past it (e.g. by a restart) is resumed
+  lockedUntil: { type: Date, default: null },
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+ListingImportSchema.index({ sellerId: 1, createdAt: -1 });
+ListingImportSchema.index({ status: 1, createdAt: 1 });
+
+export const listingImportModel = mongoose.model('ListingImport', ListingImportSchema);
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// created: the listing was added; updated/admin: edited by its seller/by staff; inventory: stock changed by
+// the seller; order: stock taken or returned by an order; baseline: the state of a listing from before
+// revisions were recorded
+export const REVISION_SOURCES = ['created', 'updated', 'admin', 'inventory', 'order', 'baseline'];
+
+const changeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  from: { type: mongoose.Schema.Types.Mixed, default: null },
+  to: { type: mongoose.Schema.Types.Mixed, default: null },
+}, { _id: false });
+
+// Immutable record of a listing version: what changed, who changed it, and the listing as it then stood
+const ListingRevisionSchema = new mongoose.Schema({
+  listingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Listing', required: true },
+  productId: { type: String, required: true },
+  // Kept so the seller can still read the history once the listing is deleted
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  revision: { type: Number, required: true, min: 1 },
+  editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  source: { type: String, enum: REVISION_SOURCES, required: true },
+  changes: { type: [changeSchema], default: [] },
+  snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+ListingRevisionSchema.index({ productId: 1, revision: -1 }, { unique: true });
+
+export const listingRevisionModel = mongoose.model('ListingRevision', ListingRevisionSchema);
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Failed attempt counters per account and per IP for login, two-factor and password reset (see utils/loginProtection.js)
+const LoginThrottleSchema = new mongoose.Schema({
+  // "<scope>:<account|ip>:<identifier>", e.g. "login:account:jane@example.com"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  // Consecutive lockouts; each one doubles the next lockout's length
+  lockouts: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }, // Counters are forgotten a day after the last failure
+  },
+});
+
+export const loginThrottleModel = mongoose.model('LoginThrottle', LoginThrottleSchema);
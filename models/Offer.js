@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+
+export const OFFER_STATUSES = ['pending', 'countered', 'accepted', 'rejected', 'withdrawn', 'expired', 'used'];
+
+// Offer History Schema (one entry per buyer/seller action)
+const OfferHistorySchema = new mongoose.Schema({
+  by: {
+    type: String,
+    enum: ['buyer', 'seller', 'system'],
+    required: true,
+  },
+  action: {
+    type: String,
+    enum: ['offered', 'countered', 'accepted', 'rejected', 'withdrawn', 'expired', 'used'],
+    required: true,
+  },
+  amount: {
+    type: Number,
+    min: 0,
+  },
+  message: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 500,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// Main Offer Schema
+const OfferSchema = new mongoose.Schema({
+  listingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true,
+  },
+  productId: {
+    type: String,
+    required: true,
+  },
+  // Listing variant SKU the offer is for, when the listing has variants
+  sku: {
+    type: String,
+    default: null,
+  },
+  buyerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  sellerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Price of the listing (or its variant) when the offer was made
+  listPrice: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  status: {
+    type: String,
+    enum: OFFER_STATUSES,
+    default: 'pending',
+  },
+  // Party whose turn it is to respond
+  awaitingResponseFrom: {
+    type: String,
+    enum: ['buyer', 'seller', null],
+    default: 'seller',
+  },
+  // Price locked in for checkout once the offer is accepted
+  acceptedPrice: {
+    type: Number,
+    min: 0,
+  },
+  acceptedAt: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  orderId: {
+    type: String,
+    default: null,
+  },
+  history: {
+    type: [OfferHistorySchema],
+    default: [],
+  },
+}, { timestamps: true });
+
+OfferSchema.index({ buyerId: 1, status: 1 });
+OfferSchema.index({ sellerId: 1, status: 1 });
+OfferSchema.index({ productId: 1, buyerId: 1, status: 1 });
+OfferSchema.index({ status: 1, expiresAt: 1 }); // For the expiry job
+
+// Whether the offer can still be acted on (pending/countered or an unused accepted price)
+OfferSchema.methods.isOpen = function () {
+  return ['pending', 'countered', 'accepted'].includes(this.status) && this.expiresAt > new Date();
+};
+
+export const offerModel = mongoose.model('Offer', OfferSchema);
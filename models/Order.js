@@ -1,6 +1,22 @@
 import mongoose from 'mongoose';
 import { listingModel } from './Listing.js';
 import { TransactionModel } from './Transaction.js';
+import { offerModel } from './Offer.js';
+
+export const ORDER_STATUSES = ['pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled'];
+export const FULFILMENT_METHODS = ['Delivery', 'Local Pickup'];
+
+// Append-only record of every item status change
+const statusHistorySchema = new mongoose.Schema({
+  status: { type: String, required: true },
+  from: { type: String, default: null },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  actorRole: { type: String, enum: ['buyer', 'seller', 'admin', 'system'], default: 'system' },
+  note: { type: String, default: '', maxlength: 500 },
+  courier: { type: String, default: '', maxlength: 100 },
+  trackingNumber: { type: String, default: '', maxlength: 100 },
+  createdAt: { type: Date, default: Date.now },
+}, { _id: false });
 
 const itemSchema = new mongoose.Schema({
   sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -8,13 +24,19 @@ const itemSchema = new mongoose.Schema({
   name: { type: String, required: true },
   productId: { type: String, required: true },
   size: { type: String },
+  sku: { type: String, default: null }, // Listing variant SKU when the listing has variants
   color: { type: String, required: true },
   price: { type: Number, required: true, min: 0 },
+  offerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Offer', default: null }, // Accepted offer that set the price
+  listingRevision: { type: Number, default: null }, // ListingRevision current when the item was bought
   status: { 
     type: String, 
-    enum: ['pending', 'processing', 'shipped', 'out_for_delivery', 'delivered', 'cancelled'], 
+    enum: ['pending', 'processing', 'shipped', 'out_for_delivery', 'delivered', 'rejected', 'cancelled'], 
     default: 'pending' 
   },
+  statusHistory: { type: [statusHistorySchema], default: [] },
+  autoConfirmAt: { type: Date, default: null }, // Buyer-protection deadline while out for delivery
+  autoConfirmReminderSentAt: { type: Date, default: null },
   returnStatus: { type: String, enum: ['none', 'rejected', 'return_initiated', 'returned'], default: 'none' },
   cancelled: { type: Boolean, default: false },
   cancellationReason: {type: String, default:""},
@@ -33,6 +55,15 @@ const deliveryAddressSchema = new mongoose.Schema({
   phone: { type: String, required: true },
 });
 
+// Per-seller delivery quote captured at checkout
+const shipmentSchema = new mongoose.Schema({
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  method: { type: String, enum: FULFILMENT_METHODS, required: true },
+  zone: { type: String, enum: ['same_constituency', 'same_county', 'metro', 'national', null], default: null },
+  fee: { type: Number, required: true, min: 0 },
+  productIds: [{ type: String }],
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema(
   {
     orderId: { 
@@ -46,9 +77,10 @@ const orderSchema = new mongoose.Schema(
     deliveryFee: { type: Number, required: true, min: 0, default: 0 },
     transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
     swiftTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction', default: null }, // Parallel for migration
-    status: { type: String, enum: ['pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled'], default: 'pending' },
+    status: { type: String, enum: ORDER_STATUSES, default: 'pending' },
     items: [itemSchema],
     deliveryAddress: deliveryAddressSchema,
+    deliveryBreakdown: { type: [shipmentSchema], default: [] },
     reportCount: { type: Number, default: 0 },
   },
   { timestamps: true }
@@ -81,9 +113,25 @@ orderSchema.pre('save', async function (next) {
     }
     for (const item of this.items) {
       const listing = await listingModel.findOne({ 'productInfo.productId': item.productId });
-      if (!listing || listing.productInfo.price !== item.price) {
+      if (!listing) {
         return next(new Error(`Invalid price for product ${item.productId}`));
       }
+      const variant = item.sku ? listing.variants.find(v => v.sku === item.sku) : null;
+      if (item.sku && !variant) {
+        return next(new Error(`Invalid variant ${item.sku} for product ${item.productId}`));
+      }
+      // Items bought through an accepted offer are priced at the locked offer amount, agreed for one variant
+      if (item.offerId) {
+        const offer = await offerModel.findById(item.offerId);
+        if (!offer || offer.productId !== item.productId || (offer.sku || null) !== (item.sku || null) || offer.acceptedPrice !== item.price) {
+          return next(new Error(`Invalid offer price for product ${item.productId}`));
+        }
+      } else {
+        const unitPrice = typeof variant?.price === 'number' ? variant.price : listing.productInfo.price;
+        if (unitPrice !== item.price) {
+          return next(new Error(`Invalid price for product ${item.productId}`));
+        }
+      }
     }
   }
   next();
@@ -91,5 +139,6 @@ orderSchema.pre('save', async function (next) {
 
 orderSchema.index({ reportCount: 1 });
 orderSchema.index({ 'items.returnStatus': 1 });
+orderSchema.index({ 'items.status': 1, 'items.autoConfirmAt': 1 }); // For the buyer-protection auto-confirm job
 
 export const orderModel = mongoose.model('Order', orderSchema);
\ No newline at end of file
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// Request counters for the MongoDB rate-limit store; one document per key per window
+const RateLimitSchema = new mongoose.Schema({
+  // "<policy>:<client key>:<window number>"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 },
+  },
+});
+
+export const rateLimitModel = mongoose.model('RateLimit', RateLimitSchema);
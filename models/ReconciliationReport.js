@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// One report per day (Africa/Nairobi); every reconciliation run adds its findings to the day's report
+const ReconciliationReportSchema = new mongoose.Schema({
+  // YYYY-MM-DD
+  date: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  runs: {
+    type: Number,
+    default: 0,
+  },
+  summary: {
+    checked: { type: Number, default: 0 },
+    completed: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    pending: { type: Number, default: 0 },
+    unresolved: { type: Number, default: 0 },
+    amountMismatches: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 },
+  },
+  // Only transactions that needed action or attention are listed
+  entries: [{
+    transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+    reference: { type: String },
+    orderId: { type: String },
+    provider: { type: String },
+    outcome: {
+      type: String,
+      enum: ['completed', 'failed', 'unresolved', 'amount_mismatch', 'error'],
+    },
+    expectedAmount: { type: Number },
+    providerAmount: { type: Number, default: null },
+    providerStatus: { type: String, default: null },
+    note: { type: String, default: '' },
+    checkedAt: { type: Date, default: Date.now },
+  }],
+  // Filled in when the daily report is sent
+  totals: {
+    collectedCount: { type: Number, default: 0 },
+    collectedAmount: { type: Number, default: 0 },
+    outstandingCount: { type: Number, default: 0 },
+    outstandingAmount: { type: Number, default: 0 },
+  },
+  sentAt: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+export const reconciliationReportModel = mongoose.model('ReconciliationReport', ReconciliationReportSchema);
@@ -1,6 +1,20 @@
 import mongoose from 'mongoose';
 import { orderModel } from './Order.js';
 
+export const REPORT_TYPES = ['user', 'order', 'listing'];
+export const REPORT_REASONS = [
+  'Fraudulent Activity',
+  'Non-Delivery',
+  'Fake or Counterfeit Product',
+  'Inappropriate Behavior',
+  'Damaged Item',
+  'Wrong Item',
+  'Misleading Listing',
+  'Suspected Stolen Goods',
+  'Other',
+];
+export const REPORT_STATUSES = ['Pending', 'Under Review', 'Resolved', 'Dismissed'];
+
 const reportSchema = new mongoose.Schema({
   reporterId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -11,7 +25,7 @@ const reportSchema = new mongoose.Schema({
   reportType: {
     type: String,
     required: true,
-    enum: ['user', 'order', 'listing'],
+    enum: REPORT_TYPES,
   },
   reportedEntityId: {
     type: mongoose.Schema.Types.Mixed,
@@ -87,17 +101,7 @@ const reportSchema = new mongoose.Schema({
   reason: {
     type: String,
     required: true,
-    enum: [
-      'Fraudulent Activity',
-      'Non-Delivery',
-      'Fake or Counterfeit Product',
-      'Inappropriate Behavior',
-      'Damaged Item',
-      'Wrong Item',
-      'Misleading Listing',
-      'Suspected Stolen Goods',
-      'Other',
-    ],
+    enum: REPORT_REASONS,
   },
   details: {
     type: String,
@@ -107,7 +111,7 @@ const reportSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Pending', 'Under Review', 'Resolved', 'Dismissed'],
+    enum: REPORT_STATUSES,
     default: 'Pending',
   },
   createdAt: {
@@ -10,6 +10,16 @@ const ResetTokenSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Wrong guesses against this code; it is discarded after too many
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  // Set once the code is entered correctly; passwordChange requires it
+  verifiedAt: {
+    type: Date,
+    default: null,
+  },
   expiresAt: {
     type: Date,
     required: true,
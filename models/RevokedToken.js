@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// Sessions whose access tokens must be rejected before they expire. authUser checks this on every request;
+// entries only need to outlive the longest access token issued for the session.
+const RevokedTokenSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true,
+    unique: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  reason: {
+    type: String,
+    default: 'revoked',
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 },
+  },
+});
+
+export const revokedTokenModel = mongoose.model('RevokedToken', RevokedTokenSchema);
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// One login on one device. The refresh token is rotated on every use and only its hash is stored.
+const SessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+  },
+  // Hash of the token this one replaced; presenting it again means the refresh token leaked
+  previousTokenHash: {
+    type: String,
+    default: null,
+  },
+  method: {
+    type: String,
+    enum: ['password', 'google', 'email_verification'],
+    default: 'password',
+  },
+  userAgent: {
+    type: String,
+    default: '',
+  },
+  ip: {
+    type: String,
+    default: '',
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'refresh_token_reuse', 'password_change', 'account_deleted', null],
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }, // Removed once the refresh token can no longer be used
+  },
+}, { timestamps: true });
+
+export const sessionModel = mongoose.model('Session', SessionSchema);
@@ -1,6 +1,8 @@
 import mongoose from 'mongoose';
 import { calculateServiceFee } from '../utils/helper.js';
 
+export const TRANSACTION_STATUSES = ['pending', 'swift_initiated', 'completed', 'failed', 'reversed'];
+
 const TransactionSchema = new mongoose.Schema(
   {
     // In Transaction.js
@@ -9,11 +11,17 @@ const TransactionSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Provider reference (kept as swiftReference for existing records)
     swiftReference: {
       type: String,
       required: true,
       unique: true,
     },
+    paymentProvider: {
+      type: String,
+      enum: ['swift', 'sandbox'],
+      default: 'swift',
+    },
     totalAmount: {
       type: Number,
       required: true,
@@ -58,7 +66,7 @@ const TransactionSchema = new mongoose.Schema(
     ],
     status: {
       type: String,
-      enum: ['pending', 'swift_initiated', 'completed', 'failed', 'reversed'],
+      enum: TRANSACTION_STATUSES,
       default: 'pending',
     },
     isReversed: {
@@ -67,6 +75,14 @@ const TransactionSchema = new mongoose.Schema(
     },
     paymentMethod: { type: String, default: 'M-Pesa' },
     paidAt: { type: Date },
+    // Set by the reconciliation job while the payment is unsettled
+    reconciliation: {
+      lastCheckedAt: { type: Date, default: null },
+      checks: { type: Number, default: 0 },
+      providerStatus: { type: String, default: null },
+      providerAmount: { type: Number, default: null },
+      flag: { type: String, enum: [null, 'amount_mismatch', 'unresolved'], default: null },
+    },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now },
   },
@@ -129,6 +145,7 @@ TransactionSchema.pre('save', function (next) {
 });
 
 TransactionSchema.index({ orderId: 1 });
+TransactionSchema.index({ status: 1, createdAt: 1 }); // For the reconciliation job
 TransactionSchema.index({ 'items.sellerId': 1 });
 TransactionSchema.index({ 'items.payoutStatus': 1 });
 TransactionSchema.index({ 'items.deliveryConfirmed': 1 });
@@ -1,5 +1,6 @@
 // models/User.js
 import mongoose from 'mongoose';
+import { ROLES } from '../utils/permissions.js';
 
 // Shared Location Schema (imported or defined here if not shared)
 const LocationSchema = new mongoose.Schema({
@@ -68,6 +69,15 @@ const UserSchema = new mongoose.Schema(
         required: true,
         select: false,
       },
+      // TOTP two-factor authentication (see utils/twoFactor.js)
+      twoFactor: {
+        enabled: { type: Boolean, default: false },
+        secret: { type: String, default: null, select: false }, // Encrypted
+        pendingSecret: { type: String, default: null, select: false }, // Set up but not yet confirmed
+        backupCodes: { type: [String], default: [], select: false }, // SHA-256 hashes
+        lastUsedStep: { type: Number, default: null },
+        enabledAt: { type: Date, default: null },
+      },
       profilePicture: {
         type: String,
         default: 'https://img.freepik.com/free-vector/blue-circle-with-white-user_78370-4707.jpg?semt=ais_hybrid&w=740&q=80',
@@ -114,10 +124,16 @@ const UserSchema = new mongoose.Schema(
         accountName: { type: String, trim: true },
         verified: { type: Boolean, default: false },
       },
+      // Super-admin flag; implies the admin role
       isAdmin: {
         type: Boolean,
         default: false,
       },
+      // Staff roles (see utils/permissions.js)
+      roles: {
+        type: [{ type: String, enum: ROLES }],
+        default: [],
+      },
       deviceToken: { type: String },
     },
     
@@ -221,6 +237,7 @@ const UserSchema = new mongoose.Schema(
     
     // Financials
    // Financials
+    // Legacy balance fields; live balances are derived from the ledger (see utils/ledger.js)
     financials: {
       balance: { type: Number, default: 0, min: 0 },
       swiftTransferId: { type: String },
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+export const WEBHOOK_EVENT_STATUSES = ['received', 'processing', 'processed', 'failed', 'rejected'];
+
+// Every payment provider callback as received, so duplicates are skipped and failures can be replayed
+const WebhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+  },
+  // Provider-derived id; the same callback delivered twice has the same eventId
+  eventId: {
+    type: String,
+    required: true,
+  },
+  // Payment reference the callback is about (Transaction.swiftReference)
+  reference: {
+    type: String,
+    default: null,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  rawBody: {
+    type: String,
+    default: '',
+  },
+  signature: {
+    type: String,
+    default: null,
+  },
+  signatureValid: {
+    type: Boolean,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: WEBHOOK_EVENT_STATUSES,
+    default: 'received',
+  },
+  // Outcome of processing, e.g. { type: 'success', orderId }
+  result: {
+    type: { type: String, default: null },
+    orderId: { type: String, default: null },
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  // How many times the provider delivered this event
+  deliveries: {
+    type: Number,
+    default: 1,
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null,
+  },
+  processedAt: {
+    type: Date,
+    default: null,
+  },
+  replays: [{
+    replayedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    replayedAt: { type: Date, default: Date.now },
+    status: { type: String },
+    error: { type: String, default: null },
+  }],
+});
+
+WebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+WebhookEventSchema.index({ status: 1, receivedAt: -1 }); // For the admin failed-events list
+WebhookEventSchema.index({ reference: 1 });
+
+export const webhookEventModel = mongoose.model('WebhookEvent', WebhookEventSchema);
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// processing: claimed by an approval that is sending the transfer through the payment provider
+export const WITHDRAWAL_STATUSES = ['pending', 'processing', 'paid', 'rejected', 'cancelled'];
+
+// Seller request to pay out available ledger balance to M-Pesa
+const WithdrawalSchema = new mongoose.Schema({
+  sellerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  fee: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Amount sent to the seller (amount - fee)
+  netAmount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Snapshot of the verified payout destination at request time
+  destination: {
+    provider: { type: String, default: 'M-Pesa' },
+    phoneNumber: { type: String, required: true },
+    accountName: { type: String, default: '' },
+  },
+  status: {
+    type: String,
+    enum: WITHDRAWAL_STATUSES,
+    default: 'pending',
+  },
+  // M-Pesa transaction code recorded by the approving admin
+  payoutReference: {
+    type: String,
+    default: null,
+    trim: true,
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  reviewedAt: {
+    type: Date,
+    default: null,
+  },
+  rejectionReason: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 500,
+  },
+}, { timestamps: true });
+
+WithdrawalSchema.index({ sellerId: 1, createdAt: -1 });
+WithdrawalSchema.index({ status: 1, createdAt: 1 }); // For the admin approval queue
+// A seller can only have one withdrawal awaiting review
+WithdrawalSchema.index({ sellerId: 1 }, { unique: true, partialFilterExpression: { status: 'pending' }, name: 'one_pending_withdrawal' });
+
+export const withdrawalModel = mongoose.model('Withdrawal', WithdrawalSchema);
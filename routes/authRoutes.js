@@ -16,35 +16,81 @@ import {
   sendVerificationReminderToOne,
   getUnverified,
   resendVerification,
+  refreshAccessToken,
+  logoutAll,
+  getSessions,
+  revokeSessionById,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
 } from '../controllers/authController.js';
 import passport from 'passport';
-import { authUser } from '../middlewares/authMiddleware.js';
+import { authorize, authUser } from '../middlewares/authMiddleware.js';
 import env from '../config/env.js';
+import { rateLimits } from '../middlewares/rateLimiter.js';
+import { validate } from '../middlewares/validate.js';
+import {
+  emailOnlySchema,
+  emailVerificationSchema,
+  googleAuthSchema,
+  googleCallbackSchema,
+  googleLogoutSchema,
+  googleUserSchema,
+  loginSchema,
+  logoutAllSchema,
+  logoutSchema,
+  passwordChangeSchema,
+  refreshTokenSchema,
+  remindAllUnverifiedSchema,
+  resetCodeSchema,
+  sessionIdSchema,
+  sessionsSchema,
+  signupSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  twoFactorSetupSchema,
+  unverifiedUsersSchema,
+  verificationReminderSchema,
+} from '../schemas/authSchemas.js';
 
 const authRouter = express.Router();
 
 // Public Routes
-authRouter.post('/signup', signup);
-authRouter.get('/verify/:id/:token', verification);
-authRouter.post('/login', login);
-authRouter.post('/resend-verification', resendVerification);
-authRouter.post('/reset', getEmailReset);
-authRouter.post('/reset/verify', codeVerification);
-authRouter.post('/reset/change', passwordChange);
-authRouter.post('/verification', authUser, sendVerificationReminders);
-authRouter.post('/verify-one', authUser, sendVerificationReminderToOne)
-authRouter.get('/unverified', authUser, getUnverified);
+authRouter.post('/signup', rateLimits.signup, validate(signupSchema), signup);
+authRouter.get('/verify/:id/:token', validate(emailVerificationSchema), verification);
+authRouter.post('/login', rateLimits.login, validate(loginSchema), login);
+authRouter.post('/resend-verification', rateLimits.emailSending, validate(emailOnlySchema), resendVerification);
+authRouter.post('/reset', rateLimits.emailSending, validate(emailOnlySchema), getEmailReset);
+authRouter.post('/reset/verify', rateLimits.login, validate(resetCodeSchema), codeVerification);
+authRouter.post('/reset/change', rateLimits.login, validate(passwordChangeSchema), passwordChange);
+authRouter.post('/refresh', validate(refreshTokenSchema), refreshAccessToken); // Rotate refresh token, get a new access token
+authRouter.post('/2fa/verify', rateLimits.login, validate(twoFactorLoginSchema), verifyTwoFactorLogin); // Second login step for accounts with 2FA
+
+// Staff Routes
+authRouter.post('/verification', authUser, authorize('users:manage'), validate(remindAllUnverifiedSchema), sendVerificationReminders);
+authRouter.post('/verify-one', authUser, authorize('users:manage'), validate(verificationReminderSchema), sendVerificationReminderToOne)
+authRouter.get('/unverified', authUser, authorize('users:manage'), validate(unverifiedUsersSchema), getUnverified);
 
 // Private Routes (require authentication)
-authRouter.post('/logout', authUser, logout);
-authRouter.post('/google/logout', authUser, logoutWithGoogle);
-authRouter.get('/google/user', authUser, getGoogleUser);
+authRouter.post('/logout', authUser, validate(logoutSchema), logout);
+authRouter.post('/logout-all', authUser, validate(logoutAllSchema), logoutAll); // Log out of all devices
+authRouter.get('/sessions', authUser, validate(sessionsSchema), getSessions); // Active sessions (devices)
+authRouter.delete('/sessions/:sessionId', authUser, validate(sessionIdSchema), revokeSessionById);
+authRouter.post('/2fa/setup', authUser, validate(twoFactorSetupSchema), setupTwoFactor);
+authRouter.post('/2fa/enable', authUser, validate(twoFactorCodeSchema), enableTwoFactor);
+authRouter.post('/2fa/disable', authUser, validate(twoFactorCodeSchema), disableTwoFactor);
+authRouter.post('/2fa/backup-codes', authUser, validate(twoFactorCodeSchema), regenerateBackupCodes);
+authRouter.post('/google/logout', authUser, validate(googleLogoutSchema), logoutWithGoogle);
+authRouter.get('/google/user', authUser, validate(googleUserSchema), getGoogleUser);
 
 // Google OAuth Routes
-authRouter.get('/google', googleAuth, passport.authenticate('google', { scope: ['profile', 'email'] }));
+authRouter.get('/google', validate(googleAuthSchema), googleAuth, passport.authenticate('google', { scope: ['profile', 'email'] }));
 
 authRouter.get(
   '/google/callback',
+  validate(googleCallbackSchema),
   passport.authenticate('google', { session: false, failureRedirect: `${env.FRONTEND_URL}/login` }),
   googleCallback
 );
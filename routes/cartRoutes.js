@@ -0,0 +1,16 @@
+import express from 'express';
+import { addCartItem, clearCart, getCart, removeCartItem, updateCartItem } from '../controllers/cartController.js';
+import { optionalAuth } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validate.js';
+import { addCartItemSchema, cartOwnerSchema, removeCartItemSchema, updateCartItemSchema } from '../schemas/cartSchemas.js';
+
+const cartRouter = express.Router();
+
+// Carts belong to a logged-in user or to a guest identified by guestId / x-guest-id
+cartRouter.get('/', optionalAuth, validate(cartOwnerSchema), getCart);
+cartRouter.delete('/', optionalAuth, validate(cartOwnerSchema), clearCart);
+cartRouter.post('/items', optionalAuth, validate(addCartItemSchema), addCartItem);
+cartRouter.patch('/items/:itemId', optionalAuth, validate(updateCartItemSchema), updateCartItem);
+cartRouter.delete('/items/:itemId', optionalAuth, validate(removeCartItemSchema), removeCartItem);
+
+export default cartRouter;
@@ -1,10 +1,12 @@
 import express from 'express';
 import { deleteImage, uploadImages } from '../controllers/cloudinaryController.js';
 import { authUser } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validate.js';
+import { deleteImageSchema, uploadImagesSchema } from '../schemas/cloudinarySchemas.js';
 
 const cloudinaryRouter = express.Router();
 
-cloudinaryRouter.post('/upload', authUser, uploadImages);
-cloudinaryRouter.post('/delete-image', authUser, deleteImage);
+cloudinaryRouter.post('/upload', authUser, validate(uploadImagesSchema), uploadImages);
+cloudinaryRouter.post('/delete-image', authUser, validate(deleteImageSchema), deleteImage);
 
 export default cloudinaryRouter;
\ No newline at end of file
@@ -1,25 +1,34 @@
 import express from 'express';
 import { getComprehensiveProductAnalytics, getSellerAnalytics, getSellerInquiries, getSellerListings, getSellerOverview, getSellerTransactions } from '../controllers/dashboardController.js';
-import { authUser } from '../middlewares/authMiddleware.js';
+import { authorize, authUser } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validate.js';
+import {
+  productAnalyticsSchema,
+  sellerAnalyticsQuerySchema,
+  sellerInquiriesQuerySchema,
+  sellerListingsQuerySchema,
+  sellerOverviewSchema,
+  sellerTransactionsQuerySchema,
+} from '../schemas/dashboardSchemas.js';
 
 const dashboardRouter = express.Router();
 
 // Overview: Quick stats and recent inquiries
-dashboardRouter.get('/overview', authUser, getSellerOverview);
+dashboardRouter.get('/overview', authUser, validate(sellerOverviewSchema), getSellerOverview);
 
 // Listings: Seller's products with filters
-dashboardRouter.get('/listings', authUser,getSellerListings);
+dashboardRouter.get('/listings', authUser, validate(sellerListingsQuerySchema), getSellerListings);
 
 // Transactions: Successful sales and payouts
-dashboardRouter.get('/transactions',authUser, getSellerTransactions);
+dashboardRouter.get('/transactions', authUser, validate(sellerTransactionsQuerySchema), getSellerTransactions);
 
 // Analytics: Views, trends, etc.
-dashboardRouter.get('/analytics',authUser, getSellerAnalytics);
+dashboardRouter.get('/analytics', authUser, validate(sellerAnalyticsQuerySchema), getSellerAnalytics);
 
 // Inquiries: Recent buyer inquiries/negotiations
-dashboardRouter.get('/inquiries',authUser, getSellerInquiries);
+dashboardRouter.get('/inquiries', authUser, validate(sellerInquiriesQuerySchema), getSellerInquiries);
 
 // Comprehensive Product Analytics
-dashboardRouter.get('/admin/comprehensive-product-analytics', authUser, getComprehensiveProductAnalytics);
+dashboardRouter.get('/admin/comprehensive-product-analytics', authUser, authorize('analytics:read'), validate(productAnalyticsSchema), getComprehensiveProductAnalytics);
 
 export default dashboardRouter;
\ No newline at end of file
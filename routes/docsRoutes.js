@@ -0,0 +1,43 @@
+import express from 'express';
+import { buildOpenApiSpec } from '../utils/openapi.js';
+
+// Swagger UI is loaded from the CDN so the docs add no dependencies to the API
+const SWAGGER_UI_VERSION = '5.17.14';
+
+const viewerPage = (specUrl) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>BeiFity API docs</title>
+  <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/swagger-ui-dist@${SWAGGER_UI_VERSION}/swagger-ui.css" />
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://cdn.jsdelivr.net/npm/swagger-ui-dist@${SWAGGER_UI_VERSION}/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '${specUrl}', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>`;
+
+/**
+ * API documentation router: the interactive viewer at / and the OpenAPI document at /openapi.json.
+ * @param {Array<{path: string, router: Function, tag: string}>} apiRoutes - The routers to document
+ */
+export const createDocsRouter = (apiRoutes) => {
+  const docsRouter = express.Router();
+  // Routes don't change at runtime, so the document is built once on first request
+  let spec = null;
+
+  docsRouter.get('/openapi.json', (req, res) => {
+    spec = spec || buildOpenApiSpec(apiRoutes);
+    res.status(200).json(spec);
+  });
+
+  docsRouter.get('/', (req, res) => {
+    res.type('html').send(viewerPage(`${req.baseUrl}/openapi.json`));
+  });
+
+  return docsRouter;
+};
@@ -2,6 +2,8 @@ import express from 'express';
 import {
   getListings,
   getListingById,
+  getListingRevision,
+  getListingRevisions,
   addListing,
   updateListing,
   deleteListing,
@@ -27,6 +29,7 @@ import {
   markAsUnSold,
   updateAllListings,
   renewListing,
+  scheduleListing,
   checkInventory,
   askForAProduct,
   recordNegotiation,
@@ -34,50 +37,130 @@ import {
   recordInquiry,
   verifyListing
 } from '../controllers/listingController.js';
-import { authUser } from '../middlewares/authMiddleware.js';
-import { bulkToggleListingOffer, toggleListingOffer } from '../controllers/AdminControllers/ListingAdminController.js';
+import {
+  createListingDraft,
+  deleteListingDraft,
+  getListingDraft,
+  getListingDrafts,
+  publishListingDraft,
+  updateListingDraft,
+} from '../controllers/listingDraftController.js';
+import {
+  createListingImport,
+  exportListings,
+  getListingImport,
+  getListingImports,
+} from '../controllers/listingImportController.js';
+import { authorize, authUser } from '../middlewares/authMiddleware.js';
+import {
+  assignListingReviewer,
+  bulkToggleListingOffer,
+  getListingModerationMetrics,
+  runListingExpiryNow,
+  toggleListingOffer,
+} from '../controllers/AdminControllers/ListingAdminController.js';
+import { rateLimits } from '../middlewares/rateLimiter.js';
+import { validate } from '../middlewares/validate.js';
+import {
+  acceptanceRateSchema,
+  addListingSchema,
+  addReviewSchema,
+  assignReviewerSchema,
+  askForProductSchema,
+  bulkToggleOfferSchema,
+  cartSchema,
+  checkInventorySchema,
+  conversionRateSchema,
+  createListingDraftSchema,
+  exportListingsSchema,
+  featureListingSchema,
+  featuredListingsSchema,
+  listingByIdSchema,
+  listingDraftParamsSchema,
+  listingDraftsSchema,
+  listingImportReportSchema,
+  listingImportSchema,
+  listingImportsSchema,
+  listingParamsSchema,
+  listingRevisionSchema,
+  listingRevisionsSchema,
+  listingsNearSchema,
+  listingsQuerySchema,
+  moderationMetricsSchema,
+  moderationQueueSchema,
+  publishListingDraftSchema,
+  responseTimeSchema,
+  runListingExpirySchema,
+  scheduleListingSchema,
+  sellerListingsSchema,
+  shareListingSchema,
+  shopperItemSchema,
+  transferGuestDataSchema,
+  updateAllListingsSchema,
+  updateInventorySchema,
+  updateListingDraftSchema,
+  updateListingSchema,
+  updateViewsSchema,
+  verifyListingSchema,
+} from '../schemas/listingSchemas.js';
 
 const listingRouter = express.Router();
 
 // Public Routes
-listingRouter.get('/', getListings);
-listingRouter.get('/byproductId/:productId', getListingById);
-listingRouter.post('/:productId/views', updateViews);
-listingRouter.post('/ask-for-product', askForAProduct); // Authenticated users can ask questions about a product
-listingRouter.post('/:productId/share', shareListing);
-listingRouter.get('/sellerslistings/:sellerId', getSellerListings);
-listingRouter.get('/featured', getFeaturedListings);
-listingRouter.get('/near', getListingsNear);
-listingRouter.post('/transfer-guest-data', authUser, transferGuestData);
-listingRouter.post('/:productId/wishlist/add', authUser, addToWishlist);
-listingRouter.post('/:productId/wishlist/remove', authUser, removeFromWishlist);
-listingRouter.post('/:productId/cart/add', authUser, addToCart);
-listingRouter.post('/:productId/cart/remove', authUser, removeFromCart);
-listingRouter.put('/:productId/renew', authUser, renewListing);
-listingRouter.post('/check-inventory', authUser, checkInventory);
+listingRouter.get('/', validate(listingsQuerySchema), getListings);
+listingRouter.get('/byproductId/:productId', validate(listingByIdSchema), getListingById);
+listingRouter.post('/:productId/views', rateLimits.listingViews, validate(updateViewsSchema), updateViews);
+listingRouter.post('/ask-for-product', rateLimits.askForProduct, validate(askForProductSchema), askForAProduct); // Authenticated users can ask questions about a product
+listingRouter.post('/:productId/share', rateLimits.listingShares, validate(shareListingSchema), shareListing);
+listingRouter.get('/sellerslistings/:sellerId', validate(sellerListingsSchema), getSellerListings);
+listingRouter.get('/featured', validate(featuredListingsSchema), getFeaturedListings);
+listingRouter.get('/near', validate(listingsNearSchema), getListingsNear);
+listingRouter.post('/transfer-guest-data', authUser, validate(transferGuestDataSchema), transferGuestData);
+listingRouter.post('/:productId/wishlist/add', authUser, validate(shopperItemSchema), addToWishlist);
+listingRouter.post('/:productId/wishlist/remove', authUser, validate(shopperItemSchema), removeFromWishlist);
+listingRouter.post('/:productId/cart/add', authUser, validate(cartSchema), addToCart);
+listingRouter.post('/:productId/cart/remove', authUser, validate(shopperItemSchema), removeFromCart);
+listingRouter.put('/:productId/renew', authUser, validate(listingParamsSchema), renewListing);
+listingRouter.post('/check-inventory', authUser, validate(checkInventorySchema), checkInventory);
 
 // Private Routes (authenticated users)
-listingRouter.post('/add', authUser, addListing);
-listingRouter.put('/update-product/:productId', authUser, updateListing);
-listingRouter.delete('/delete-product/:productId', authUser, deleteListing);
-listingRouter.post('/:productId/reviews', authUser, addReview);
-listingRouter.put('/product/:productId/sold', authUser, markAsSold);
-listingRouter.put('/product/:productId/unsold', authUser, markAsUnSold);
-listingRouter.put('/:productId/promote', authUser, promoteListing);
-listingRouter.put('/:productId/inventory', authUser, updateInventory);
-listingRouter.patch('/:productId/renew', authUser, renewListing);
-listingRouter.post('/:productId/negotiate', authUser, recordNegotiation);
-listingRouter.post('/:productId/inquire', authUser, recordInquiry);
+listingRouter.post('/add', authUser, validate(addListingSchema), addListing);
+listingRouter.get('/drafts', authUser, validate(listingDraftsSchema), getListingDrafts);
+listingRouter.post('/drafts', authUser, validate(createListingDraftSchema), createListingDraft);
+listingRouter.get('/drafts/:draftId', authUser, validate(listingDraftParamsSchema), getListingDraft);
+listingRouter.patch('/drafts/:draftId', authUser, validate(updateListingDraftSchema), updateListingDraft);
+listingRouter.delete('/drafts/:draftId', authUser, validate(listingDraftParamsSchema), deleteListingDraft);
+listingRouter.post('/drafts/:draftId/publish', authUser, validate(publishListingDraftSchema), publishListingDraft, addListing);
+listingRouter.get('/export', authUser, validate(exportListingsSchema), exportListings);
+listingRouter.get('/imports', authUser, validate(listingImportsSchema), getListingImports);
+listingRouter.post('/imports', authUser, rateLimits.userActions, validate(listingImportSchema), createListingImport);
+listingRouter.get('/imports/:importId', authUser, validate(listingImportReportSchema), getListingImport);
+listingRouter.put('/update-product/:productId', authUser, validate(updateListingSchema), updateListing);
+listingRouter.delete('/delete-product/:productId', authUser, validate(listingParamsSchema), deleteListing);
+listingRouter.post('/:productId/reviews', authUser, rateLimits.userActions, validate(addReviewSchema), addReview);
+listingRouter.put('/product/:productId/sold', authUser, validate(listingParamsSchema), markAsSold);
+listingRouter.put('/product/:productId/unsold', authUser, validate(listingParamsSchema), markAsUnSold);
+listingRouter.put('/:productId/promote', authUser, validate(listingParamsSchema), promoteListing);
+listingRouter.put('/:productId/inventory', authUser, validate(updateInventorySchema), updateInventory);
+listingRouter.patch('/:productId/renew', authUser, validate(listingParamsSchema), renewListing);
+listingRouter.put('/:productId/schedule', authUser, validate(scheduleListingSchema), scheduleListing);
+listingRouter.post('/:productId/negotiate', authUser, rateLimits.userActions, validate(listingParamsSchema), recordNegotiation);
+listingRouter.post('/:productId/inquire', authUser, rateLimits.userActions, validate(listingParamsSchema), recordInquiry);
+listingRouter.get('/:productId/revisions', authUser, validate(listingRevisionsSchema), getListingRevisions);
+listingRouter.get('/:productId/revisions/:revision', authUser, validate(listingRevisionSchema), getListingRevision);
 
 // Admin Routes
-listingRouter.get('/admin/pending', authUser, getPendingListings);
-listingRouter.put('/admin/:productId/verify', authUser, verifyListing);
-listingRouter.put('/admin/:productId/response-time', authUser, updateResponseTime);
-listingRouter.put('/admin/:productId/acceptance-rate', authUser, updateAcceptanceRate);
-listingRouter.put('/admin/:productId/conversion-rate', authUser, updateConversionRate);
-listingRouter.put('/admin/:productId/feature', authUser, featureListing);
-listingRouter.post('/admin/update-all', authUser, updateAllListings);
-listingRouter.put('/admin/:productId/offer', authUser, toggleListingOffer);
-listingRouter.put('/admin/bulk-toggle-offer', authUser, bulkToggleListingOffer);
+listingRouter.get('/admin/pending', authUser, authorize('listings:moderate'), validate(moderationQueueSchema), getPendingListings);
+listingRouter.get('/admin/moderation/metrics', authUser, authorize('listings:moderate'), validate(moderationMetricsSchema), getListingModerationMetrics);
+listingRouter.put('/admin/:productId/assign', authUser, authorize('listings:moderate'), validate(assignReviewerSchema), assignListingReviewer);
+listingRouter.put('/admin/:productId/verify', authUser, authorize('listings:moderate'), validate(verifyListingSchema), verifyListing);
+listingRouter.put('/admin/:productId/response-time', authUser, authorize('listings:manage'), validate(responseTimeSchema), updateResponseTime);
+listingRouter.put('/admin/:productId/acceptance-rate', authUser, authorize('listings:manage'), validate(acceptanceRateSchema), updateAcceptanceRate);
+listingRouter.put('/admin/:productId/conversion-rate', authUser, authorize('listings:manage'), validate(conversionRateSchema), updateConversionRate);
+listingRouter.put('/admin/:productId/feature', authUser, authorize('listings:moderate'), validate(featureListingSchema), featureListing);
+listingRouter.post('/admin/update-all', authUser, authorize('listings:manage'), validate(updateAllListingsSchema), updateAllListings);
+listingRouter.post('/admin/expire', authUser, authorize('listings:manage'), validate(runListingExpirySchema), runListingExpiryNow);
+listingRouter.put('/admin/:productId/offer', authUser, authorize('listings:moderate'), validate(listingParamsSchema), toggleListingOffer);
+listingRouter.put('/admin/bulk-toggle-offer', authUser, authorize('listings:moderate'), validate(bulkToggleOfferSchema), bulkToggleListingOffer);
 
 export default listingRouter;
\ No newline at end of file
@@ -5,19 +5,21 @@ import {
   sendMessage, 
   markMessagesRead 
 } from '../controllers/messageController.js';
+import { validate } from '../middlewares/validate.js';
+import { conversationsSchema, markMessagesReadSchema, messagesSchema, sendMessageSchema } from '../schemas/messageSchemas.js';
 
 const messageRouter = express.Router();
 
 // Get all conversations for a user
-messageRouter.get('/conversations/:userId', getConversations);
+messageRouter.get('/conversations/:userId', validate(conversationsSchema), getConversations);
 
 // Get messages between two users
-messageRouter.get('/messages/:sender/:receiver', getMessages);
+messageRouter.get('/messages/:sender/:receiver', validate(messagesSchema), getMessages);
 
 // Send a message (now suggests using Socket.IO)
-messageRouter.post('/send', sendMessage);
+messageRouter.post('/send', validate(sendMessageSchema), sendMessage);
 
 // Mark messages as read (optional REST endpoint)
-messageRouter.post('/mark-read', markMessagesRead);
+messageRouter.post('/mark-read', validate(markMessagesReadSchema), markMessagesRead);
 
 export default messageRouter;
\ No newline at end of file
@@ -1,11 +1,13 @@
 import express from "express";
 import { getNotifications, markAllAsRead, markAsRead, savePushSubscription } from "../controllers/notificationController.js";
 import { authUser } from "../middlewares/authMiddleware.js";
+import { validate } from "../middlewares/validate.js";
+import { markAllReadSchema, notificationIdSchema, notificationsQuerySchema, pushSubscriptionSchema } from "../schemas/notificationSchemas.js";
 const notificationRouter = express.Router();
 
-notificationRouter.post("/subscribe", authUser,  savePushSubscription);
-notificationRouter.get("/:userId", authUser ,getNotifications);
-notificationRouter.put("/read/:notificationId",authUser, markAsRead);
-notificationRouter.put('/read-all', authUser,markAllAsRead)
+notificationRouter.post("/subscribe", authUser, validate(pushSubscriptionSchema), savePushSubscription);
+notificationRouter.get("/:userId", authUser, validate(notificationsQuerySchema), getNotifications);
+notificationRouter.put("/read/:notificationId",authUser, validate(notificationIdSchema), markAsRead);
+notificationRouter.put('/read-all', authUser, validate(markAllReadSchema), markAllAsRead)
 
 export default notificationRouter;
\ No newline at end of file
@@ -0,0 +1,16 @@
+import express from 'express';
+import { getOfferById, getOffers, makeOffer, respondToOffer, withdrawOffer } from '../controllers/offerController.js';
+import { authUser } from '../middlewares/authMiddleware.js';
+import { rateLimits } from '../middlewares/rateLimiter.js';
+import { validate } from '../middlewares/validate.js';
+import { getOffersSchema, makeOfferSchema, offerIdSchema, respondToOfferSchema } from '../schemas/offerSchemas.js';
+
+const offerRouter = express.Router();
+
+offerRouter.get('/', authUser, validate(getOffersSchema), getOffers);
+offerRouter.get('/:offerId', authUser, validate(offerIdSchema), getOfferById);
+offerRouter.post('/:productId', authUser, rateLimits.userActions, validate(makeOfferSchema), makeOffer);
+offerRouter.patch('/:offerId/respond', authUser, validate(respondToOfferSchema), respondToOffer);
+offerRouter.patch('/:offerId/withdraw', authUser, validate(offerIdSchema), withdrawOffer);
+
+export default offerRouter;
@@ -4,38 +4,59 @@ import {
   getBuyerOrders, 
   getOrders, 
   placeOrder, 
+  quoteOrder,
   retryOrderPayment, 
   updateOrderStatus,
   // Admin controllers
 
 } from '../controllers/orderController.js';
-import { authUser } from '../middlewares/authMiddleware.js';
+import { authorize, authUser, optionalAuth } from '../middlewares/authMiddleware.js';
 import { connectNgrok } from '../middlewares/ngrok.js';
+import { validate } from '../middlewares/validate.js';
+import {
+  acceptDeliverySchema,
+  adminDisputeOrdersSchema,
+  adminForcePayoutSchema,
+  adminManualRefundSchema,
+  adminOrderIdSchema,
+  adminOrderReportSchema,
+  adminOrdersQuerySchema,
+  adminUpdateOrderStatusSchema,
+  buyerOrdersSchema,
+  cancelOrderItemSchema,
+  placeOrderSchema,
+  quoteOrderSchema,
+  rejectDeliverySchema,
+  retryOrderPaymentSchema,
+  sellerOrdersSchema,
+  updateOrderStatusSchema,
+} from '../schemas/orderSchemas.js';
 import { acceptDelivery, adminForcePayout, adminManualRefund, adminUpdateOrderStatus, exportOrders, getAllOrders, getCancelledOrders, getDisputeOrders, getOrderAnalytics, getOrderById, rejectDelivery } from '../controllers/AdminControllers/OrderAdminController.js';
 
 const orderRouter = express.Router();
 
-orderRouter.post('/place-order', connectNgrok, authUser, placeOrder)
-orderRouter.post('/get-orders', authUser, getOrders)
-orderRouter.patch('/update-status', authUser, updateOrderStatus)
-orderRouter.post('/get-your-orders', authUser ,getBuyerOrders)
-orderRouter.post('/retry-payment/:orderId', connectNgrok, authUser, retryOrderPayment);
-orderRouter.post('/cancel-item', authUser, cancelOrderItem);
+orderRouter.post('/quote', optionalAuth, validate(quoteOrderSchema), quoteOrder)
+orderRouter.post('/place-order', connectNgrok, authUser, validate(placeOrderSchema), placeOrder)
+orderRouter.post('/get-orders', authUser, validate(sellerOrdersSchema), getOrders)
+orderRouter.patch('/update-status', authUser, validate(updateOrderStatusSchema), updateOrderStatus)
+orderRouter.post('/get-your-orders', authUser, validate(buyerOrdersSchema), getBuyerOrders)
+orderRouter.post('/retry-payment/:orderId', connectNgrok, authUser, validate(retryOrderPaymentSchema), retryOrderPayment);
+orderRouter.post('/cancel-item', authUser, validate(cancelOrderItemSchema), cancelOrderItem);
 
 // Buyers Routers
-orderRouter.patch('/accept-delivery', authUser, acceptDelivery)
-orderRouter.patch('/reject-delivery', authUser, rejectDelivery)
+orderRouter.patch('/accept-delivery', authUser, validate(acceptDeliverySchema), acceptDelivery)
+orderRouter.patch('/reject-delivery', authUser, validate(rejectDeliverySchema), rejectDelivery)
 
 
 // Admin Routes For all the Orders
-orderRouter.get('/admin', authUser, getAllOrders);
-orderRouter.get('/admin/:id', authUser, getOrderById);
-orderRouter.get('/admin/cancel/cancelled', authUser, getCancelledOrders);
-orderRouter.get('/admin/analytics', authUser, getOrderAnalytics);
-orderRouter.get('/admin/export', authUser, exportOrders);
-orderRouter.get('/admin/disputes', authUser, getDisputeOrders);
-orderRouter.post('/admin/manual-refund', authUser, adminManualRefund);
-orderRouter.post('/admin/force-payout', authUser, adminForcePayout);
-orderRouter.post('/admin/update-status', authUser, adminUpdateOrderStatus);
+orderRouter.get('/admin', authUser, authorize('orders:read'), validate(adminOrdersQuerySchema), getAllOrders);
+orderRouter.get('/admin/cancel/cancelled', authUser, authorize('orders:read'), validate(adminDisputeOrdersSchema), getCancelledOrders);
+orderRouter.get('/admin/analytics', authUser, authorize('orders:read'), validate(adminOrderReportSchema), getOrderAnalytics);
+orderRouter.get('/admin/export', authUser, authorize('orders:read'), validate(adminOrderReportSchema), exportOrders);
+orderRouter.get('/admin/disputes', authUser, authorize('orders:read'), validate(adminDisputeOrdersSchema), getDisputeOrders);
+orderRouter.get('/admin/:id', authUser, authorize('orders:read'), validate(adminOrderIdSchema), getOrderById); // After the static /admin/* paths
+orderRouter.post('/admin/manual-refund', authUser, authorize('payments:refund'), validate(adminManualRefundSchema), adminManualRefund);
+orderRouter.post('/admin/force-payout', authUser, authorize('payments:refund'), validate(adminForcePayoutSchema), adminForcePayout);
+orderRouter.post('/admin/update-status', authUser, authorize('orders:manage'), validate(adminUpdateOrderStatusSchema), adminUpdateOrderStatus);
 
 export default orderRouter;
\ No newline at end of file
@@ -0,0 +1,32 @@
+import express from 'express';
+import { cancelWithdrawal, getBalance, getStatement, getWithdrawals, requestWithdrawal } from '../controllers/payoutController.js';
+import { approveWithdrawal, getLedgerSummary, getWithdrawalQueue, rejectWithdrawal } from '../controllers/AdminControllers/PayoutAdminController.js';
+import { authorize, authUser, requireTwoFactor } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validate.js';
+import {
+  approveWithdrawalSchema,
+  balanceSchema,
+  ledgerSummarySchema,
+  rejectWithdrawalSchema,
+  requestWithdrawalSchema,
+  statementSchema,
+  withdrawalIdSchema,
+  withdrawalQueueSchema,
+  withdrawalsQuerySchema,
+} from '../schemas/payoutSchemas.js';
+
+const payoutRouter = express.Router();
+
+payoutRouter.get('/balance', authUser, validate(balanceSchema), getBalance);
+payoutRouter.get('/statement', authUser, validate(statementSchema), getStatement);
+payoutRouter.get('/withdrawals', authUser, validate(withdrawalsQuerySchema), getWithdrawals);
+payoutRouter.post('/withdrawals', authUser, validate(requestWithdrawalSchema), requireTwoFactor, requestWithdrawal);
+payoutRouter.patch('/withdrawals/:withdrawalId/cancel', authUser, validate(withdrawalIdSchema), cancelWithdrawal);
+
+// Admin approval queue
+payoutRouter.get('/admin/withdrawals', authUser, authorize('payouts:manage'), validate(withdrawalQueueSchema), getWithdrawalQueue);
+payoutRouter.post('/admin/withdrawals/:withdrawalId/approve', authUser, authorize('payouts:manage'), validate(approveWithdrawalSchema), approveWithdrawal);
+payoutRouter.post('/admin/withdrawals/:withdrawalId/reject', authUser, authorize('payouts:manage'), validate(rejectWithdrawalSchema), rejectWithdrawal);
+payoutRouter.get('/admin/ledger/summary', authUser, authorize('ledger:read'), validate(ledgerSummarySchema), getLedgerSummary);
+
+export default payoutRouter;
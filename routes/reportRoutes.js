@@ -1,20 +1,23 @@
 import express from 'express'
-import { authUser } from '../middlewares/authMiddleware.js';
+import { authorize, authUser } from '../middlewares/authMiddleware.js';
+import { rateLimits } from '../middlewares/rateLimiter.js';
 import { createReport, deleteReport, getAllReports, getReportById, updateReportStatus } from '../controllers/reportController.js';
+import { validate } from '../middlewares/validate.js';
+import { allReportsSchema, createReportSchema, reportIdSchema, updateReportStatusSchema } from '../schemas/reportSchemas.js';
 
 const reportRouter =  express.Router()
 
 
-reportRouter.post('/create-report', authUser, createReport)
+reportRouter.post('/create-report', authUser, rateLimits.userActions, validate(createReportSchema), createReport)
 // reportRouter.post('/create-seller-report', authUser, reportingSeller)
 
 
 // Accessbile by few
-reportRouter.get('/get-report/:id', authUser, getReportById)
+reportRouter.get('/get-report/:id', authUser, authorize('disputes:manage'), validate(reportIdSchema), getReportById)
 
-// Admin only
-reportRouter.put('/update-report/:id', authUser, updateReportStatus)
-reportRouter.delete('/delete-report/:id', authUser, deleteReport)
-reportRouter.get('/get-all-reports', authUser, getAllReports)
+// Dispute handlers only
+reportRouter.put('/update-report/:id', authUser, authorize('disputes:manage'), validate(updateReportStatusSchema), updateReportStatus)
+reportRouter.delete('/delete-report/:id', authUser, authorize('disputes:manage'), validate(reportIdSchema), deleteReport)
+reportRouter.get('/get-all-reports', authUser, authorize('disputes:manage'), validate(allReportsSchema), getAllReports)
 
 export default reportRouter;
\ No newline at end of file
@@ -1,15 +1,38 @@
 import express from 'express'; 
-import { handleSwiftWebhook, verifyTransactions  } from '../controllers/swiftController.js';
-import { authUser } from '../middlewares/authMiddleware.js';
+import { emitSandboxWebhook, handlePaymentWebhook, verifyTransactions  } from '../controllers/swiftController.js';
+import { getFlaggedTransactions, getReconciliationReport, getReconciliationReports, runReconciliation } from '../controllers/AdminControllers/ReconciliationAdminController.js';
+import { getWebhookEventById, getWebhookEvents, replayWebhookEvent } from '../controllers/AdminControllers/WebhookAdminController.js';
+import { authorize, authUser } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validate.js';
+import {
+  flaggedTransactionsSchema,
+  paymentReferenceSchema,
+  paymentWebhookSchema,
+  reconciliationReportSchema,
+  reconciliationReportsSchema,
+  replayWebhookEventSchema,
+  runReconciliationSchema,
+  sandboxWebhookSchema,
+  webhookEventIdSchema,
+  webhookEventsSchema,
+} from '../schemas/paymentSchemas.js';
 
 const swiftRouter = express.Router();
 
-// swiftRouter.post('/subaccount', authUser ,createSubaccount);
-swiftRouter.get('/verify/:reference', verifyTransactions);
-swiftRouter.post('/webhook/swift', handleSwiftWebhook);
-// swiftRouter.get('/check', authUser, checkSubAccount);
-// swiftRouter.get('/verify/:reference', verifyPayment);
-// swiftRouter.get("/banks", fetchBanks)
+swiftRouter.get('/verify/:reference', validate(paymentReferenceSchema), verifyTransactions);
+swiftRouter.post('/webhook/:provider', validate(paymentWebhookSchema), handlePaymentWebhook); // /webhook/swift, /webhook/sandbox
+swiftRouter.post('/sandbox/:reference/emit', authUser, validate(sandboxWebhookSchema), emitSandboxWebhook);
+
+// Admin webhook event store
+swiftRouter.get('/admin/webhook-events', authUser, authorize('payments:manage'), validate(webhookEventsSchema), getWebhookEvents);
+swiftRouter.get('/admin/webhook-events/:eventId', authUser, authorize('payments:manage'), validate(webhookEventIdSchema), getWebhookEventById);
+swiftRouter.post('/admin/webhook-events/:eventId/replay', authUser, authorize('payments:manage'), validate(replayWebhookEventSchema), replayWebhookEvent);
+
+// Admin payment reconciliation
+swiftRouter.get('/admin/reconciliation/reports', authUser, authorize('payments:manage'), validate(reconciliationReportsSchema), getReconciliationReports);
+swiftRouter.get('/admin/reconciliation/reports/:date', authUser, authorize('payments:manage'), validate(reconciliationReportSchema), getReconciliationReport);
+swiftRouter.get('/admin/reconciliation/flagged', authUser, authorize('payments:manage'), validate(flaggedTransactionsSchema), getFlaggedTransactions);
+swiftRouter.post('/admin/reconciliation/run', authUser, authorize('payments:manage'), validate(runReconciliationSchema), runReconciliation);
 
 
 export default swiftRouter;
\ No newline at end of file
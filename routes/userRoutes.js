@@ -15,28 +15,60 @@ import {
   removeSellerReview,
   deleteAccount,
   fixLocationOfAseller,
+  getStaff,
+  updateUserRoles,
+  updateMobileMoneyDetails,
+  verifyMobileMoneyDetails,
 } from '../controllers/userController.js';
-import { authUser } from '../middlewares/authMiddleware.js';
+import { authorize, authUser, requireTwoFactor } from '../middlewares/authMiddleware.js';
+import { rateLimits } from '../middlewares/rateLimiter.js';
+import { validate } from '../middlewares/validate.js';
+import {
+  allUsersSchema,
+  authenticatedProfileSchema,
+  deleteAccountSchema,
+  fixLocationSchema,
+  mobileMoneySchema,
+  profileViewsSchema,
+  referralLinkSchema,
+  removeSellerReviewSchema,
+  sellerIdSchema,
+  sellerReviewSchema,
+  sellersSitemapSchema,
+  specificPeopleSchema,
+  staffSchema,
+  updateProfileSchema,
+  updateRolesSchema,
+  userIdSchema,
+  userWishlistSchema,
+  verifyMobileMoneySchema,
+} from '../schemas/userSchemas.js';
 
 const userRouter = express.Router();
 
 // Public Routes
-userRouter.get('/:userId', getUserProfile); // Fetch a user’s public profile
-userRouter.get('/seller/:sellerId', getSeller); // Fetch a seller’s public profile
-userRouter.get('/all/users', getUsers); // Fetch all users (for chat or listing purposes)
-userRouter.get("/sitemap/sellers", getOnlySellers)
-userRouter.post('/people', getSpecificPeople); // Fetch specific users by IDs
-userRouter.post('/update-views/:sellerId', updateProfileViews); // Update profile views
+userRouter.get('/:userId', validate(userIdSchema), getUserProfile); // Fetch a user’s public profile
+userRouter.get('/seller/:sellerId', validate(sellerIdSchema), getSeller); // Fetch a seller’s public profile
+userRouter.get('/all/users', validate(allUsersSchema), getUsers); // Fetch all users (for chat or listing purposes)
+userRouter.get("/sitemap/sellers", validate(sellersSitemapSchema), getOnlySellers)
+userRouter.post('/people', validate(specificPeopleSchema), getSpecificPeople); // Fetch specific users by IDs
+userRouter.post('/update-views/:sellerId', rateLimits.profileViews, validate(profileViewsSchema), updateProfileViews); // Update profile views
 
 // Private Routes (require authentication)
-userRouter.get('/auth/profile', authUser, getAuthenticatedProfile); // Fetch authenticated user’s full profile
-userRouter.post('/seller-review/:sellerId', authUser ,addSellerReview)
-userRouter.put('/update/user', authUser, updateUserProfile); // Update authenticated user’s profile
-userRouter.post('/wishlist/:listingId', authUser, addToWishlist); // Add to wishlist
-userRouter.delete('/wishlist/:listingId', authUser, removeFromWishlist); // Remove from wishlist
-userRouter.post('/link/referral', authUser, getReferralLink); // Get referral link
-userRouter.post('/seller-review/:sellerId/:reviewId', authUser, removeSellerReview); // Remove seller review
-userRouter.delete('/delete-account', authUser, deleteAccount); // Delete user account
-userRouter.post('/admin/location/change', authUser, fixLocationOfAseller)
+userRouter.get('/auth/profile', authUser, validate(authenticatedProfileSchema), getAuthenticatedProfile); // Fetch authenticated user’s full profile
+userRouter.post('/seller-review/:sellerId', authUser, rateLimits.userActions, validate(sellerReviewSchema), addSellerReview)
+userRouter.put('/update/user', authUser, validate(updateProfileSchema), updateUserProfile); // Update authenticated user’s profile
+userRouter.post('/wishlist/:listingId', authUser, validate(userWishlistSchema), addToWishlist); // Add to wishlist
+userRouter.delete('/wishlist/:listingId', authUser, validate(userWishlistSchema), removeFromWishlist); // Remove from wishlist
+userRouter.post('/link/referral', authUser, validate(referralLinkSchema), getReferralLink); // Get referral link
+userRouter.post('/seller-review/:sellerId/:reviewId', authUser, validate(removeSellerReviewSchema), removeSellerReview); // Remove seller review
+userRouter.put('/mobile-money', authUser, validate(mobileMoneySchema), requireTwoFactor, updateMobileMoneyDetails); // Payout M-Pesa number (2FA when enabled)
+userRouter.delete('/delete-account', authUser, validate(deleteAccountSchema), requireTwoFactor, deleteAccount); // Delete user account (2FA when enabled)
+
+// Staff Routes
+userRouter.post('/admin/location/change', authUser, authorize('users:manage'), validate(fixLocationSchema), fixLocationOfAseller)
+userRouter.get('/admin/staff', authUser, authorize('roles:manage'), validate(staffSchema), getStaff); // List staff and their roles
+userRouter.put('/admin/:userId/roles', authUser, authorize('roles:manage'), validate(updateRolesSchema), updateUserRoles); // Assign staff roles
+userRouter.put('/admin/:userId/mobile-money/verify', authUser, authorize('users:manage'), validate(verifyMobileMoneySchema), verifyMobileMoneyDetails); // Verify a payout number
 
 export default userRouter;
\ No newline at end of file
@@ -0,0 +1,14 @@
+import express from 'express';
+import { deleteImage, uploadImages } from '../../controllers/cloudinaryController.js';
+import { asV1Request } from '../../middlewares/apiV2.js';
+import { authUser } from '../../middlewares/authMiddleware.js';
+import { validate } from '../../middlewares/validate.js';
+import { uploadImagesSchema, v2DeleteImageSchema } from '../../schemas/cloudinarySchemas.js';
+
+// Uploaded images: /api/v2/images
+const imageRouter = express.Router();
+
+imageRouter.post('/', authUser, validate(uploadImagesSchema), uploadImages);
+imageRouter.delete('/:publicId', authUser, validate(v2DeleteImageSchema), asV1Request(req => ({ body: { public_id: req.params.publicId } })), deleteImage);
+
+export default imageRouter;
@@ -0,0 +1,41 @@
+import express from 'express';
+import authRouter from '../authRoutes.js';
+import cartRouter from '../cartRoutes.js';
+import dashboardRouter from '../dashboardRoutes.js';
+import payoutRouter from '../payoutRoutes.js';
+import imageRouter from './imageRoutes.js';
+import listingRouter from './listingRoutes.js';
+import meRouter from './meRoutes.js';
+import offerRouter from './offerRoutes.js';
+import orderRouter from './orderRoutes.js';
+import reportRouter from './reportRoutes.js';
+import sellerRouter from './sellerRoutes.js';
+import userRouter from './userRoutes.js';
+import { v2Envelope } from '../../middlewares/apiV2.js';
+import { notFound } from '../../middlewares/errorHandler.js';
+
+// /api/v2: resource-oriented routes on top of the same controllers as /api. The acting user always comes from the
+// token, and every response uses the v2 envelope (see middlewares/apiV2.js). Routers that were already
+// resource-oriented are shared with v1.
+export const v2Routes = [
+  { path: '/auth', router: authRouter, tag: 'Auth' },
+  { path: '/me', router: meRouter, tag: 'Me' },
+  { path: '/users', router: userRouter, tag: 'Users' },
+  { path: '/sellers', router: sellerRouter, tag: 'Sellers' },
+  { path: '/listings', router: listingRouter, tag: 'Listings' },
+  { path: '/offers', router: offerRouter, tag: 'Offers' },
+  { path: '/cart', router: cartRouter, tag: 'Cart' },
+  { path: '/orders', router: orderRouter, tag: 'Orders' },
+  { path: '/payouts', router: payoutRouter, tag: 'Payouts' },
+  { path: '/dashboard', router: dashboardRouter, tag: 'Seller dashboard' },
+  { path: '/reports', router: reportRouter, tag: 'Reports' },
+  { path: '/images', router: imageRouter, tag: 'Images' },
+];
+
+const v2Router = express.Router();
+
+v2Router.use(v2Envelope);
+v2Routes.forEach(({ path, router }) => v2Router.use(path, router));
+v2Router.use(notFound);
+
+export default v2Router;
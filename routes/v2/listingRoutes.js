@@ -0,0 +1,119 @@
+import express from 'express';
+import {
+  addListing,
+  addReview,
+  askForAProduct,
+  checkInventory,
+  deleteListing,
+  getFeaturedListings,
+  getListingById,
+  getListingRevision,
+  getListingRevisions,
+  getListings,
+  getListingsNear,
+  markAsSold,
+  markAsUnSold,
+  promoteListing,
+  recordInquiry,
+  recordNegotiation,
+  renewListing,
+  scheduleListing,
+  shareListing,
+  updateInventory,
+  updateListing,
+  updateViews,
+} from '../../controllers/listingController.js';
+import {
+  createListingDraft,
+  deleteListingDraft,
+  getListingDraft,
+  getListingDrafts,
+  publishListingDraft,
+  updateListingDraft,
+} from '../../controllers/listingDraftController.js';
+import {
+  createListingImport,
+  exportListings,
+  getListingImport,
+  getListingImports,
+} from '../../controllers/listingImportController.js';
+import { makeOffer } from '../../controllers/offerController.js';
+import { authUser } from '../../middlewares/authMiddleware.js';
+import { rateLimits } from '../../middlewares/rateLimiter.js';
+import { validate } from '../../middlewares/validate.js';
+import {
+  addListingSchema,
+  addReviewSchema,
+  askForProductSchema,
+  checkInventorySchema,
+  createListingDraftSchema,
+  exportListingsSchema,
+  featuredListingsSchema,
+  listingByIdSchema,
+  listingDraftParamsSchema,
+  listingDraftsSchema,
+  listingImportReportSchema,
+  listingImportSchema,
+  listingImportsSchema,
+  listingParamsSchema,
+  listingRevisionSchema,
+  listingRevisionsSchema,
+  listingsNearSchema,
+  listingsQuerySchema,
+  publishListingDraftSchema,
+  scheduleListingSchema,
+  shareListingSchema,
+  updateInventorySchema,
+  updateListingDraftSchema,
+  updateListingSchema,
+  updateViewsSchema,
+} from '../../schemas/listingSchemas.js';
+import { makeOfferSchema } from '../../schemas/offerSchemas.js';
+
+// Listings: /api/v2/listings
+const listingRouter = express.Router();
+
+// Collection (static paths before /:productId)
+listingRouter.get('/', validate(listingsQuerySchema), getListings);
+listingRouter.get('/featured', validate(featuredListingsSchema), getFeaturedListings);
+listingRouter.get('/near', validate(listingsNearSchema), getListingsNear);
+listingRouter.post('/', authUser, validate(addListingSchema), addListing);
+listingRouter.post('/requests', rateLimits.askForProduct, validate(askForProductSchema), askForAProduct); // Ask the team to source a product
+listingRouter.post('/inventory-checks', authUser, validate(checkInventorySchema), checkInventory);
+
+// The signed-in seller's drafts
+listingRouter.get('/drafts', authUser, validate(listingDraftsSchema), getListingDrafts);
+listingRouter.post('/drafts', authUser, validate(createListingDraftSchema), createListingDraft);
+listingRouter.get('/drafts/:draftId', authUser, validate(listingDraftParamsSchema), getListingDraft);
+listingRouter.patch('/drafts/:draftId', authUser, validate(updateListingDraftSchema), updateListingDraft);
+listingRouter.delete('/drafts/:draftId', authUser, validate(listingDraftParamsSchema), deleteListingDraft);
+listingRouter.post('/drafts/:draftId/publish', authUser, validate(publishListingDraftSchema), publishListingDraft, addListing);
+
+// Bulk import and export of the signed-in seller's listings
+listingRouter.get('/export', authUser, validate(exportListingsSchema), exportListings);
+listingRouter.get('/imports', authUser, validate(listingImportsSchema), getListingImports);
+listingRouter.post('/imports', authUser, rateLimits.userActions, validate(listingImportSchema), createListingImport);
+listingRouter.get('/imports/:importId', authUser, validate(listingImportReportSchema), getListingImport);
+
+// A listing
+listingRouter.get('/:productId', validate(listingByIdSchema), getListingById);
+listingRouter.patch('/:productId', authUser, validate(updateListingSchema), updateListing);
+listingRouter.delete('/:productId', authUser, validate(listingParamsSchema), deleteListing);
+listingRouter.put('/:productId/inventory', authUser, validate(updateInventorySchema), updateInventory);
+listingRouter.put('/:productId/sold', authUser, validate(listingParamsSchema), markAsSold);
+listingRouter.delete('/:productId/sold', authUser, validate(listingParamsSchema), markAsUnSold);
+listingRouter.post('/:productId/renew', authUser, validate(listingParamsSchema), renewListing);
+listingRouter.put('/:productId/schedule', authUser, validate(scheduleListingSchema), scheduleListing);
+listingRouter.post('/:productId/promote', authUser, validate(listingParamsSchema), promoteListing);
+listingRouter.post('/:productId/reviews', authUser, rateLimits.userActions, validate(addReviewSchema), addReview);
+listingRouter.post('/:productId/offers', authUser, rateLimits.userActions, validate(makeOfferSchema), makeOffer);
+listingRouter.get('/:productId/revisions', authUser, validate(listingRevisionsSchema), getListingRevisions);
+listingRouter.get('/:productId/revisions/:revision', authUser, validate(listingRevisionSchema), getListingRevision);
+
+// Engagement counters
+listingRouter.post('/:productId/views', rateLimits.listingViews, validate(updateViewsSchema), updateViews);
+listingRouter.post('/:productId/shares', rateLimits.listingShares, validate(shareListingSchema), shareListing);
+listingRouter.post('/:productId/negotiations', authUser, rateLimits.userActions, validate(listingParamsSchema), recordNegotiation);
+listingRouter.post('/:productId/inquiries', authUser, rateLimits.userActions, validate(listingParamsSchema), recordInquiry);
+
+export default listingRouter;
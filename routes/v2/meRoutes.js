@@ -0,0 +1,63 @@
+import express from 'express';
+import { getConversations, getMessages, markMessagesRead } from '../../controllers/messageController.js';
+import { getNotifications, markAllAsRead, markAsRead, savePushSubscription } from '../../controllers/notificationController.js';
+import { getBuyerOrders, getOrders } from '../../controllers/orderController.js';
+import { transferGuestData } from '../../controllers/listingController.js';
+import {
+  addToWishlist,
+  deleteAccount,
+  getAuthenticatedProfile,
+  getReferralLink,
+  removeFromWishlist,
+  updateMobileMoneyDetails,
+  updateUserProfile,
+} from '../../controllers/userController.js';
+import { asV1Request } from '../../middlewares/apiV2.js';
+import { authUser, requireTwoFactor } from '../../middlewares/authMiddleware.js';
+import { validate } from '../../middlewares/validate.js';
+import { v2TransferGuestDataSchema } from '../../schemas/listingSchemas.js';
+import { v2ConversationsSchema, v2MarkConversationReadSchema, v2MessagesSchema } from '../../schemas/messageSchemas.js';
+import { notificationIdSchema, pushSubscriptionSchema, v2MarkAllReadSchema, v2NotificationsQuerySchema } from '../../schemas/notificationSchemas.js';
+import { sellerOrdersSchema, v2BuyerOrdersSchema } from '../../schemas/orderSchemas.js';
+import {
+  authenticatedProfileSchema,
+  deleteAccountSchema,
+  mobileMoneySchema,
+  referralLinkSchema,
+  updateProfileSchema,
+  userWishlistSchema,
+} from '../../schemas/userSchemas.js';
+
+// Everything about the signed-in user: /api/v2/me (sessions and 2FA are under /api/v2/auth)
+const meRouter = express.Router();
+
+const me = (req) => req.user._id.toString();
+
+// Profile and account
+meRouter.get('/', authUser, validate(authenticatedProfileSchema), getAuthenticatedProfile);
+meRouter.patch('/', authUser, validate(updateProfileSchema), updateUserProfile);
+meRouter.delete('/', authUser, validate(deleteAccountSchema), requireTwoFactor, deleteAccount); // 2FA when enabled
+meRouter.put('/mobile-money', authUser, validate(mobileMoneySchema), requireTwoFactor, updateMobileMoneyDetails); // 2FA when enabled
+meRouter.get('/referral-link', authUser, validate(referralLinkSchema), getReferralLink);
+meRouter.post('/guest-data', authUser, validate(v2TransferGuestDataSchema), asV1Request(req => ({ body: { userId: me(req) } })), transferGuestData);
+
+// Wishlist
+meRouter.put('/wishlist/:listingId', authUser, validate(userWishlistSchema), addToWishlist);
+meRouter.delete('/wishlist/:listingId', authUser, validate(userWishlistSchema), removeFromWishlist);
+
+// Orders placed and received
+meRouter.get('/orders', authUser, validate(v2BuyerOrdersSchema), asV1Request(req => ({ body: { customerId: me(req) } })), getBuyerOrders);
+meRouter.get('/sales', authUser, validate(sellerOrdersSchema), getOrders);
+
+// Notifications
+meRouter.get('/notifications', authUser, validate(v2NotificationsQuerySchema), asV1Request(req => ({ params: { userId: me(req) } })), getNotifications);
+meRouter.post('/notifications/read', authUser, validate(v2MarkAllReadSchema), asV1Request(req => ({ body: { userId: me(req) } })), markAllAsRead);
+meRouter.post('/notifications/:notificationId/read', authUser, validate(notificationIdSchema), markAsRead);
+meRouter.put('/push-subscription', authUser, validate(pushSubscriptionSchema), savePushSubscription);
+
+// Chat
+meRouter.get('/conversations', authUser, validate(v2ConversationsSchema), asV1Request(req => ({ params: { userId: me(req) } })), getConversations);
+meRouter.post('/conversations/:conversationId/read', authUser, validate(v2MarkConversationReadSchema), asV1Request(req => ({ body: { conversationId: req.params.conversationId, userId: me(req) } })), markMessagesRead);
+meRouter.get('/messages/:userId', authUser, validate(v2MessagesSchema), asV1Request(req => ({ params: { sender: me(req), receiver: req.params.userId } })), getMessages);
+
+export default meRouter;
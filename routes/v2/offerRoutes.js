@@ -0,0 +1,15 @@
+import express from 'express';
+import { getOfferById, getOffers, respondToOffer, withdrawOffer } from '../../controllers/offerController.js';
+import { authUser } from '../../middlewares/authMiddleware.js';
+import { validate } from '../../middlewares/validate.js';
+import { getOffersSchema, offerIdSchema, respondToOfferSchema } from '../../schemas/offerSchemas.js';
+
+// Offers: /api/v2/offers (new offers are made at POST /api/v2/listings/:productId/offers)
+const offerRouter = express.Router();
+
+offerRouter.get('/', authUser, validate(getOffersSchema), getOffers);
+offerRouter.get('/:offerId', authUser, validate(offerIdSchema), getOfferById);
+offerRouter.post('/:offerId/respond', authUser, validate(respondToOfferSchema), respondToOffer);
+offerRouter.post('/:offerId/withdraw', authUser, validate(offerIdSchema), withdrawOffer);
+
+export default offerRouter;
@@ -0,0 +1,43 @@
+import express from 'express';
+import { acceptDelivery, rejectDelivery } from '../../controllers/AdminControllers/OrderAdminController.js';
+import { cancelOrderItem, placeOrder, quoteOrder, retryOrderPayment, updateOrderStatus } from '../../controllers/orderController.js';
+import { asV1Request, resolveOrderItem } from '../../middlewares/apiV2.js';
+import { authUser, optionalAuth } from '../../middlewares/authMiddleware.js';
+import { connectNgrok } from '../../middlewares/ngrok.js';
+import { validate } from '../../middlewares/validate.js';
+import {
+  quoteOrderSchema,
+  retryOrderPaymentSchema,
+  v2AcceptDeliverySchema,
+  v2CancelOrderItemSchema,
+  v2OrderItemStatusSchema,
+  v2PlaceOrderSchema,
+  v2RejectDeliverySchema,
+} from '../../schemas/orderSchemas.js';
+
+// Orders: /api/v2/orders (your order lists are under /api/v2/me/orders and /api/v2/me/sales)
+const orderRouter = express.Router();
+
+// Buyer or seller acting on the item in the URL, after resolveOrderItem found its line
+const itemActor = asV1Request(req => ({
+  body: { orderId: req.params.orderId, itemId: req.orderItem.itemId, userId: req.user._id.toString() },
+}));
+
+orderRouter.post('/quotes', optionalAuth, validate(quoteOrderSchema), quoteOrder);
+orderRouter.post('/', connectNgrok, authUser, validate(v2PlaceOrderSchema), asV1Request(req => ({ body: { customerId: req.user._id.toString() } })), placeOrder);
+orderRouter.post('/:orderId/payments', connectNgrok, authUser, validate(retryOrderPaymentSchema), retryOrderPayment);
+
+orderRouter.patch('/:orderId/items/:itemId', authUser, validate(v2OrderItemStatusSchema), resolveOrderItem, asV1Request(req => ({
+  body: {
+    orderId: req.params.orderId,
+    itemIndex: req.orderItem.index,
+    productId: req.orderItem.productId,
+    sellerId: req.orderItem.sellerId,
+    userId: req.user._id.toString(),
+  },
+})), updateOrderStatus);
+orderRouter.post('/:orderId/items/:itemId/cancel', authUser, validate(v2CancelOrderItemSchema), resolveOrderItem, itemActor, cancelOrderItem);
+orderRouter.post('/:orderId/items/:itemId/accept', authUser, validate(v2AcceptDeliverySchema), resolveOrderItem, itemActor, acceptDelivery);
+orderRouter.post('/:orderId/items/:itemId/reject', authUser, validate(v2RejectDeliverySchema), resolveOrderItem, itemActor, rejectDelivery);
+
+export default orderRouter;
@@ -0,0 +1,13 @@
+import express from 'express';
+import { createReport } from '../../controllers/reportController.js';
+import { authUser } from '../../middlewares/authMiddleware.js';
+import { rateLimits } from '../../middlewares/rateLimiter.js';
+import { validate } from '../../middlewares/validate.js';
+import { createReportSchema } from '../../schemas/reportSchemas.js';
+
+// Reports: /api/v2/reports (handling reports stays on the staff routes under /api/report)
+const reportRouter = express.Router();
+
+reportRouter.post('/', authUser, rateLimits.userActions, validate(createReportSchema), createReport);
+
+export default reportRouter;
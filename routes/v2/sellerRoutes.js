@@ -0,0 +1,22 @@
+import express from 'express';
+import { getSellerListings } from '../../controllers/listingController.js';
+import { addSellerReview, getSeller, removeSellerReview, updateProfileViews } from '../../controllers/userController.js';
+import { asV1Request } from '../../middlewares/apiV2.js';
+import { authUser } from '../../middlewares/authMiddleware.js';
+import { rateLimits } from '../../middlewares/rateLimiter.js';
+import { validate } from '../../middlewares/validate.js';
+import { sellerListingsSchema } from '../../schemas/listingSchemas.js';
+import { profileViewsSchema, sellerIdSchema, v2RemoveSellerReviewSchema, v2SellerReviewSchema } from '../../schemas/userSchemas.js';
+
+// Seller profiles, listings and reviews: /api/v2/sellers
+const sellerRouter = express.Router();
+
+const reviewer = asV1Request(req => ({ body: { userId: req.user._id.toString() } }));
+
+sellerRouter.get('/:sellerId', validate(sellerIdSchema), getSeller);
+sellerRouter.get('/:sellerId/listings', validate(sellerListingsSchema), getSellerListings);
+sellerRouter.post('/:sellerId/views', rateLimits.profileViews, validate(profileViewsSchema), updateProfileViews);
+sellerRouter.post('/:sellerId/reviews', authUser, rateLimits.userActions, validate(v2SellerReviewSchema), reviewer, addSellerReview);
+sellerRouter.delete('/:sellerId/reviews/:reviewId', authUser, validate(v2RemoveSellerReviewSchema), reviewer, removeSellerReview);
+
+export default sellerRouter;
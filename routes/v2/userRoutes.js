@@ -0,0 +1,11 @@
+import express from 'express';
+import { getUserProfile } from '../../controllers/userController.js';
+import { validate } from '../../middlewares/validate.js';
+import { userIdSchema } from '../../schemas/userSchemas.js';
+
+// Public user profiles: /api/v2/users
+const userRouter = express.Router();
+
+userRouter.get('/:userId', validate(userIdSchema), getUserProfile);
+
+export default userRouter;
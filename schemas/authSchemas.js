@@ -0,0 +1,126 @@
+// schemas/authSchemas.js
+import { email, idParams, noInput, nonEmptyString, objectId, phone, requiredObject } from './common.js';
+
+const password = { ...nonEmptyString, maxLength: 128 };
+const newPassword = { type: 'string', minLength: 8, maxLength: 128 };
+// 6-digit authenticator code or a backup code
+const twoFactorCode = { ...nonEmptyString, maxLength: 20 };
+
+export const signupSchema = {
+  summary: 'Create an account and send the verification email',
+  body: {
+    type: 'object',
+    required: ['fullname', 'email', 'password', 'phone', 'username'],
+    properties: {
+      fullname: { ...nonEmptyString, maxLength: 100 },
+      email,
+      password,
+      phone,
+      username: { ...nonEmptyString, maxLength: 50 },
+      referralCode: { type: 'string', maxLength: 50 },
+    },
+  },
+};
+
+export const emailVerificationSchema = {
+  params: requiredObject({ id: objectId, token: nonEmptyString }),
+};
+
+export const loginSchema = {
+  summary: 'Log in with email and password; accounts with 2FA get a challenge token instead of a session',
+  body: requiredObject({ email: { ...nonEmptyString, maxLength: 254 }, password }),
+};
+
+export const emailOnlySchema = {
+  body: requiredObject({ email }),
+};
+
+export const resetCodeSchema = {
+  summary: 'Check the emailed password reset code',
+  body: requiredObject({ email, code: { ...nonEmptyString, maxLength: 10 } }),
+};
+
+export const passwordChangeSchema = {
+  summary: 'Set a new password after the reset code was verified',
+  body: requiredObject({ email, password: newPassword }),
+};
+
+export const refreshTokenSchema = {
+  summary: 'Exchange a refresh token for new access and refresh tokens',
+  body: requiredObject({ refreshToken: { ...nonEmptyString, maxLength: 200 } }),
+};
+
+export const twoFactorLoginSchema = {
+  summary: 'Second login step for accounts with two-factor authentication',
+  body: requiredObject({ challengeToken: nonEmptyString, code: twoFactorCode }),
+};
+
+export const twoFactorCodeSchema = {
+  body: requiredObject({ code: twoFactorCode }),
+};
+
+export const logoutAllSchema = {
+  summary: 'Log out of every device',
+  body: {
+    type: 'object',
+    properties: { keepCurrent: { type: 'boolean', description: 'Stay logged in on this device' } },
+  },
+};
+
+export const sessionIdSchema = {
+  params: idParams('sessionId'),
+};
+
+export const verificationReminderSchema = {
+  body: requiredObject({ userEmail: email }),
+};
+
+// Routes without input
+
+export const logoutSchema = {
+  summary: 'Log out of this device',
+  body: noInput,
+};
+
+export const sessionsSchema = {
+  summary: 'List your active sessions (devices), marking the current one',
+  query: noInput,
+};
+
+export const twoFactorSetupSchema = {
+  summary: 'Generate an authenticator secret; 2FA turns on once a code from it is confirmed',
+  body: noInput,
+};
+
+export const remindAllUnverifiedSchema = {
+  summary: 'Email a verification reminder to every unverified user',
+  body: noInput,
+};
+
+export const unverifiedUsersSchema = {
+  summary: 'List users who have not verified their email',
+  query: noInput,
+};
+
+export const googleLogoutSchema = {
+  summary: 'Log out of a Google login',
+  body: noInput,
+};
+
+export const googleUserSchema = {
+  summary: 'The signed-in Google user',
+  query: noInput,
+};
+
+export const googleAuthSchema = {
+  summary: 'Start Google sign-in (browser redirect)',
+  query: noInput,
+};
+
+export const googleCallbackSchema = {
+  summary: 'Google sign-in callback (browser redirect)',
+  query: {
+    type: 'object',
+    properties: { code: { type: 'string', maxLength: 2048 }, state: { type: 'string', maxLength: 2048 } },
+  },
+};
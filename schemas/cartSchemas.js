@@ -0,0 +1,38 @@
+// schemas/cartSchemas.js
+import { MAX_ITEM_QUANTITY } from '../models/Cart.js';
+import { idParams, objectId, productId } from './common.js';
+
+const quantity = { type: 'integer', minimum: 1, maximum: MAX_ITEM_QUANTITY };
+// Guests send their ID in the body, the query or the x-guest-id header
+const guestId = { type: 'string', pattern: '^[\\w-]{8,64}$', patternMessage: 'must be 8-64 letters, digits, - or _' };
+
+export const cartOwnerSchema = {
+  query: { type: 'object', properties: { guestId } },
+};
+
+export const addCartItemSchema = {
+  summary: 'Add a listing (or one of its variants) to the cart',
+  body: {
+    type: 'object',
+    required: ['productId'],
+    properties: {
+      productId,
+      quantity,
+      size: { type: 'string', maxLength: 200 },
+      color: { type: 'string', maxLength: 200 },
+      offerId: { ...objectId, description: 'Accepted offer to buy at the offer price' },
+      guestId,
+    },
+  },
+};
+
+export const updateCartItemSchema = {
+  summary: 'Change the quantity of a cart item',
+  params: idParams('itemId'),
+  body: { type: 'object', required: ['quantity'], properties: { quantity, guestId } },
+};
+
+export const removeCartItemSchema = {
+  params: idParams('itemId'),
+  query: { type: 'object', properties: { guestId } },
+};
@@ -0,0 +1,29 @@
+// schemas/cloudinarySchemas.js
+import { nonEmptyString, requiredObject } from './common.js';
+
+export const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+export const MAX_FILES_PER_REQUEST = 10;
+
+export const uploadImagesSchema = {
+  summary: `Upload up to ${MAX_FILES_PER_REQUEST} base64 images (5MB each)`,
+  body: requiredObject({
+    files: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_FILES_PER_REQUEST,
+      items: requiredObject({
+        data: { ...nonEmptyString, description: 'Base64 data, optionally as a data URI' },
+        mimeType: { type: 'string', enum: IMAGE_MIME_TYPES },
+      }),
+    },
+  }),
+};
+
+export const deleteImageSchema = {
+  body: requiredObject({ public_id: { ...nonEmptyString, maxLength: 300 } }),
+};
+
+export const v2DeleteImageSchema = {
+  summary: 'Delete an uploaded image (URL-encode the public ID)',
+  params: requiredObject({ publicId: deleteImageSchema.body.properties.public_id }),
+};
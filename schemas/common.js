@@ -0,0 +1,44 @@
+// schemas/common.js
+// Building blocks shared by the request schemas (see middlewares/validate.js for the supported keywords)
+
+export const objectId = { type: 'string', format: 'objectId' };
+// Listing product IDs are UUIDs, but older listings use other string IDs
+export const productId = { type: 'string', minLength: 1, maxLength: 100 };
+export const nonEmptyString = { type: 'string', minLength: 1 };
+export const email = { type: 'string', format: 'email', maxLength: 254 };
+export const phone = { type: 'string', format: 'phone' };
+export const amount = { type: 'number', minimum: 0 };
+export const positiveInteger = { type: 'integer', minimum: 1 };
+// Form fields that arrive as either 1500 or "1500"
+export const numeric = { type: ['number', 'string'], pattern: '^[0-9]+(\\.[0-9]+)?$', patternMessage: 'must be a number', minimum: 0 };
+export const url = { type: 'string', format: 'uri', maxLength: 2048 };
+
+// Object schema where every listed field is required
+export const requiredObject = (properties, extra = {}) => ({
+  type: 'object',
+  required: Object.keys(properties),
+  properties,
+  ...extra,
+});
+
+// Route params that are MongoDB ObjectIds, e.g. idParams('orderId')
+export const idParams = (...names) => requiredObject(Object.fromEntries(names.map(name => [name, objectId])));
+
+export const productIdParams = requiredObject({ productId });
+
+export const pagination = {
+  page: positiveInteger,
+  limit: { type: 'integer', minimum: 1, maximum: 100 },
+};
+
+export const paginationQuery = { type: 'object', properties: pagination };
+
+// For the query or body of routes that take no input, so every route is declared to validation and the docs
+export const noInput = { type: 'object', properties: {} };
+
+// Object schema without some fields, e.g. a v1 body minus the user IDs that v2 takes from the token
+export const omitFields = (schema, ...fields) => ({
+  ...schema,
+  properties: Object.fromEntries(Object.entries(schema.properties || {}).filter(([name]) => !fields.includes(name))),
+  ...(schema.required && { required: schema.required.filter(name => !fields.includes(name)) }),
+});
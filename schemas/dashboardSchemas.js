@@ -0,0 +1,38 @@
+// schemas/dashboardSchemas.js
+import { TRANSACTION_STATUSES } from '../models/Transaction.js';
+import { noInput, pagination, paginationQuery } from './common.js';
+
+export const sellerListingsQuerySchema = {
+  query: {
+    type: 'object',
+    properties: { ...pagination, status: { type: 'string', enum: ['all', 'active', 'sold', 'scheduled'] } },
+  },
+};
+
+export const sellerTransactionsQuerySchema = {
+  query: {
+    type: 'object',
+    properties: { ...pagination, status: { type: 'string', enum: ['all', ...TRANSACTION_STATUSES] } },
+  },
+};
+
+export const sellerAnalyticsQuerySchema = {
+  query: {
+    type: 'object',
+    properties: { period: { type: 'string', enum: ['7days', '30days', 'all'] } },
+  },
+};
+
+export const sellerInquiriesQuerySchema = {
+  query: paginationQuery,
+};
+
+export const sellerOverviewSchema = {
+  summary: 'Quick seller stats and recent inquiries',
+  query: noInput,
+};
+
+export const productAnalyticsSchema = {
+  summary: 'Product analytics across the marketplace',
+  query: noInput,
+};
@@ -0,0 +1,598 @@
+// schemas/listingSchemas.js
+import { LISTING_CONDITIONS, REJECTION_REASONS, VERIFICATION_STATUSES } from '../models/Listing.js';
+import { REVISION_SOURCES } from '../models/ListingRevision.js';
+import { LISTING_IMPORT_FORMATS, LISTING_IMPORT_STATUSES, MAX_IMPORT_ROWS } from '../models/ListingImport.js';
+import { noInput, nonEmptyString, numeric, objectId, omitFields, pagination, positiveInteger, productId, productIdParams, requiredObject, url } from './common.js';
+
+const shortText = { type: 'string', maxLength: 200 };
+const stringList = (maxItems) => ({ type: 'array', items: shortText, maxItems });
+
+const productInfoProperties = {
+  name: { ...nonEmptyString, maxLength: 200 },
+  description: { type: 'string', maxLength: 5000 },
+  details: { ...nonEmptyString, maxLength: 10000 },
+  price: { ...numeric, minimum: 1 },
+  cancelledPrice: numeric,
+  images: { type: 'array', items: url, minItems: 1, maxItems: 5 },
+  category: shortText,
+  subCategory: shortText,
+  tags: stringList(5),
+  sizes: stringList(5),
+  colors: stringList(5),
+  usageDuration: shortText,
+  condition: { type: 'string', enum: LISTING_CONDITIONS },
+  brand: shortText,
+  model: shortText,
+  warranty: shortText,
+};
+
+const location = requiredObject(
+  { country: nonEmptyString, county: nonEmptyString, constituency: nonEmptyString },
+  { properties: { country: nonEmptyString, county: nonEmptyString, constituency: nonEmptyString, fullAddress: { type: 'string', maxLength: 500 } } }
+);
+
+// Variant fields are checked and cleaned by sanitizeVariants
+const variants = {
+  type: 'array',
+  maxItems: 25,
+  items: {
+    type: 'object',
+    properties: {
+      sku: shortText,
+      size: shortText,
+      color: shortText,
+      inventory: { type: 'integer', minimum: 0 },
+      price: numeric,
+    },
+  },
+};
+
+const shippingOptions = { type: 'array', items: shortText, minItems: 1, maxItems: 3 };
+
+// Guests are identified by a client-generated ID until they sign up
+const shopper = {
+  type: 'object',
+  properties: { userId: objectId, guestId: shortText },
+};
+
+// Response shapes (docs only)
+
+const dateTime = { type: 'string', format: 'date-time' };
+
+const listingView = {
+  type: 'object',
+  properties: {
+    _id: objectId,
+    productInfo: {
+      type: 'object',
+      properties: {
+        productId,
+        ...productInfoProperties,
+        price: { type: 'number', minimum: 1 },
+        cancelledPrice: { type: 'number', minimum: 0 },
+      },
+    },
+    seller: {
+      type: 'object',
+      properties: {
+        sellerId: { description: 'The seller\'s ID, or the seller with their name and phone on public listings' },
+        sellerNotes: { type: 'string' },
+        responseTime: { type: 'number' },
+        acceptanceRate: { type: 'number' },
+      },
+    },
+    location: { type: 'object', properties: location.properties },
+    negotiable: { type: 'boolean' },
+    verified: { type: 'string', enum: VERIFICATION_STATUSES },
+    isSold: { type: 'boolean' },
+    isActive: { type: 'boolean' },
+    featured: { type: 'boolean' },
+    rating: { type: 'number', minimum: 0, maximum: 5 },
+    inventory: { type: 'integer', minimum: 0 },
+    variants,
+    shippingOptions: { type: 'array', items: shortText },
+    reviews: { type: 'array', items: { type: 'object' } },
+    analytics: { type: 'object', description: 'Views, cart and wishlist additions, shares' },
+    publishAt: { ...dateTime, nullable: true },
+    expiresAt: dateTime,
+    createdAt: dateTime,
+  },
+};
+
+const listingsView = { type: 'array', items: listingView };
+
+export const listingsQuerySchema = {
+  summary: 'Browse verified listings with filters, sorting and cursor pagination',
+  query: {
+    type: 'object',
+    properties: {
+      q: shortText,
+      category: shortText,
+      subCategory: shortText,
+      condition: { type: 'string', description: `Comma-separated: ${LISTING_CONDITIONS.join(', ')}` },
+      county: shortText,
+      constituency: shortText,
+      minPrice: { type: 'number', minimum: 0 },
+      maxPrice: { type: 'number', minimum: 0 },
+      negotiable: { type: 'boolean' },
+      onOffer: { type: 'boolean' },
+      sort: { type: 'string', description: 'newest, price_asc, price_desc, rating or popularity' },
+      limit: { type: 'integer', minimum: 1, maximum: 100 },
+      cursor: { type: 'string', maxLength: 500 },
+    },
+  },
+  response: listingsView,
+};
+
+export const listingParamsSchema = {
+  params: productIdParams,
+};
+
+export const listingByIdSchema = {
+  summary: 'A verified listing with its seller and reviews',
+  params: productIdParams,
+  response: listingView,
+};
+
+export const sellerListingsSchema = {
+  summary: 'All listings of a seller, newest first',
+  params: requiredObject({ sellerId: objectId }),
+  response: listingsView,
+};
+
+export const listingsNearSchema = {
+  query: {
+    type: 'object',
+    required: ['lat', 'lng'],
+    properties: {
+      lat: { type: 'number', minimum: -90, maximum: 90 },
+      lng: { type: 'number', minimum: -180, maximum: 180 },
+      maxDistance: { type: 'number', minimum: 0, description: 'Metres' },
+    },
+  },
+  response: listingsView,
+};
+
+const publishAt = {
+  type: 'string',
+  format: 'date-time',
+  nullable: true,
+  description: 'Go live at this time (once verified) instead of straight away',
+};
+
+export const addListingSchema = {
+  summary: 'Create a listing (goes through AI verification, then moderation)',
+  body: {
+    type: 'object',
+    required: ['productInfo', 'location', 'AgreedToTerms'],
+    properties: {
+      productInfo: { type: 'object', required: ['name', 'price', 'details'], properties: productInfoProperties },
+      negotiable: { type: 'boolean' },
+      location,
+      AgreedToTerms: { type: 'boolean', enum: [true], description: 'Must accept the listing terms' },
+      inventory: { ...positiveInteger, description: 'Required unless variants are given' },
+      shippingOptions,
+      featured: { type: 'boolean' },
+      variants,
+      publishAt,
+    },
+  },
+  response: {
+    type: 'object',
+    properties: {
+      listing: listingView,
+      aiFindings: { type: 'array', items: { type: 'object' }, description: 'Issues found by the AI verification' },
+    },
+  },
+};
+
+export const updateListingSchema = {
+  summary: 'Update a listing; price, description, details or location changes send it back for verification',
+  params: productIdParams,
+  body: {
+    type: 'object',
+    properties: {
+      productInfo: { type: 'object', properties: productInfoProperties },
+      negotiable: { type: 'boolean' },
+      location,
+      inventory: { type: 'integer', minimum: 0 },
+      shippingOptions,
+      sellerNotes: { type: 'string', maxLength: 1000 },
+      variants,
+    },
+  },  response: listingView,
+};
+
+export const scheduleListingSchema = {
+  summary: 'Reschedule a listing that is not live yet, or publish it now (publishAt: null)',
+  params: productIdParams,
+  body: requiredObject({ publishAt }),
+};
+
+// Drafts take any part of a listing (images can come later); publishing checks them against addListingSchema
+const draftBody = {
+  type: 'object',
+  properties: {
+    productInfo: {
+      type: 'object',
+      properties: { ...productInfoProperties, images: { ...productInfoProperties.images, minItems: 0 } },
+    },
+    negotiable: { type: 'boolean' },
+    location: { type: 'object', properties: location.properties },
+    inventory: { type: 'integer', minimum: 0, nullable: true },
+    shippingOptions,
+    variants,
+    publishAt,
+  },
+};
+
+const draftParams = requiredObject({ draftId: objectId });
+
+const draftView = {
+  type: 'object',
+  properties: {
+    _id: objectId,
+    sellerId: objectId,
+    ...draftBody.properties,
+    complete: { type: 'boolean', description: 'Whether the draft can be published' },
+    missing: {
+      type: 'array',
+      items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } },
+      description: 'What is still needed before publishing',
+    },
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  },
+};
+
+export const listingDraftsSchema = {
+  summary: 'Your listing drafts, most recently edited first',
+  query: { type: 'object', properties: pagination },
+  response: { type: 'array', items: draftView },
+};
+
+export const createListingDraftSchema = {
+  summary: 'Save an unfinished listing as a draft',
+  body: draftBody,
+  response: draftView,
+};
+
+export const listingDraftParamsSchema = {
+  params: draftParams,
+};
+
+export const updateListingDraftSchema = {
+  summary: 'Save more of a draft (productInfo fields are merged, other fields replaced)',
+  params: draftParams,
+  body: draftBody,
+  response: draftView,
+};
+
+export const publishListingDraftSchema = {
+  summary: 'Publish a complete draft as a new listing',
+  params: draftParams,
+  body: {
+    type: 'object',
+    required: ['AgreedToTerms'],
+    properties: {
+      AgreedToTerms: { type: 'boolean', enum: [true], description: 'Must accept the listing terms' },
+      publishAt,
+    },
+  },  response: addListingSchema.response,
+};
+
+export const addReviewSchema = {
+  summary: 'Review a listing',
+  params: productIdParams,
+  body: requiredObject({
+    rating: { type: 'integer', minimum: 1, maximum: 5 },
+    comment: { ...nonEmptyString, maxLength: 1000 },
+  }),
+};
+
+export const shopperItemSchema = {
+  params: productIdParams,
+  body: shopper,
+};
+
+export const cartSchema = {
+  params: productIdParams,
+  body: { ...shopper, properties: { ...shopper.properties, size: shortText, color: shortText } },
+};
+
+export const updateInventorySchema = {
+  summary: 'Set the stock of a listing, or of one variant when sku is given',
+  params: productIdParams,
+  body: {
+    type: 'object',
+    required: ['inventory'],
+    properties: { inventory: { type: 'integer', minimum: 0 }, sku: shortText },
+  },
+};
+
+export const updateViewsSchema = {
+  params: productIdParams,
+  body: requiredObject({ viewerId: { ...nonEmptyString, maxLength: 100 } }),
+};
+
+export const shareListingSchema = {
+  params: productIdParams,
+  body: requiredObject({ platform: { ...nonEmptyString, maxLength: 50, pattern: '^[A-Za-z0-9_-]+$', patternMessage: 'must be a platform name' } }),
+};
+
+export const askForProductSchema = {
+  summary: 'Ask the team to source a product',
+  body: requiredObject({
+    name: { ...nonEmptyString, maxLength: 100 },
+    phone: { ...nonEmptyString, maxLength: 20 },
+    productDetails: {
+      type: 'object',
+      required: ['productName', 'preferredPriceRange', 'condition'],
+      properties: {
+        productName: { ...nonEmptyString, maxLength: 200 },
+        description: { type: 'string', maxLength: 2000 },
+        preferredPriceRange: numeric,
+        colors: stringList(10),
+        condition: { type: 'string', enum: ['New', 'Refurbished', 'Lightly Used', 'Used'] },
+        additionalNotes: { type: 'string', maxLength: 2000 },
+      },
+    },
+  }),
+};
+
+export const transferGuestDataSchema = {
+  summary: 'Move a guest cart and wishlist to the signed-in account',
+  body: {
+    type: 'object',
+    required: ['userId', 'guestId'],
+    properties: {
+      userId: objectId,
+      guestId: shortText,
+      cart: { type: 'array', maxItems: 100, items: { type: 'object', required: ['productId'], properties: { productId } } },
+      favorites: { type: 'array', maxItems: 500, items: productId },
+    },
+  },
+};
+
+export const checkInventorySchema = {
+  summary: 'Check stock for a list of items before checkout',
+  body: requiredObject({
+    items: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 100,
+      items: {
+        type: 'object',
+        required: ['productId'],
+        properties: { productId, quantity: positiveInteger, size: shortText, color: shortText },
+      },
+    },
+  }),
+};
+
+// Admin
+
+export const moderationQueueSchema = {
+  summary: 'Moderation queue: listings awaiting review, oldest first, with SLA status',
+  query: {
+    type: 'object',
+    properties: {
+      assignedTo: { type: 'string', pattern: '^(me|unassigned|[0-9a-fA-F]{24})$', patternMessage: "must be 'me', 'unassigned' or a user ID" },
+      overdue: { type: 'boolean', description: 'Only listings past (true) or within (false) the review SLA' },
+      ...pagination,
+    },
+  },
+};
+
+export const verifyListingSchema = {
+  summary: 'Approve or reject a listing',
+  params: productIdParams,
+  body: {
+    type: 'object',
+    required: ['status'],
+    properties: {
+      status: { type: 'string', enum: VERIFICATION_STATUSES.filter(status => status !== 'Pending') },
+      reasons: {
+        type: 'array',
+        items: { type: 'string', enum: REJECTION_REASONS },
+        maxItems: REJECTION_REASONS.length,
+        description: 'Required when rejecting',
+      },
+      note: { type: 'string', maxLength: 2000, description: 'Guidance for the seller' },
+      findingIds: {
+        type: 'array',
+        items: objectId,
+        maxItems: 50,
+        description: 'AI findings the seller must address; defaults to the high-priority ones',
+      },
+      requiredChanges: {
+        type: 'array',
+        maxItems: 20,
+        items: requiredObject(
+          { title: { ...nonEmptyString, maxLength: 200 } },
+          { properties: { title: { ...nonEmptyString, maxLength: 200 }, action: { type: 'string', maxLength: 1000 } } }
+        ),
+      },
+    },
+  },
+};
+
+export const assignReviewerSchema = {
+  summary: 'Assign a pending listing to a reviewer (yourself by default) or release it',
+  params: productIdParams,
+  body: { type: 'object', properties: { reviewerId: { ...objectId, nullable: true } } },
+};
+
+export const moderationMetricsSchema = {
+  summary: 'Moderation SLA metrics',
+  query: { type: 'object', properties: { days: { type: 'integer', minimum: 1, maximum: 365 } } },
+};
+
+export const featureListingSchema = {
+  params: productIdParams,
+  body: { type: 'object', properties: { featured: { type: 'boolean' } } },
+};
+
+export const responseTimeSchema = {
+  params: productIdParams,
+  body: requiredObject({ responseTime: { type: 'number', minimum: 0 } }),
+};
+
+export const acceptanceRateSchema = {
+  params: productIdParams,
+  body: requiredObject({ acceptanceRate: { type: 'number', minimum: 0, maximum: 100 } }),
+};
+
+export const conversionRateSchema = {
+  params: productIdParams,
+  body: requiredObject({ conversionRate: { type: 'number', minimum: 0, maximum: 100 } }),
+};
+
+export const bulkToggleOfferSchema = {
+  summary: 'Toggle the on-offer flag of several listings',
+  body: requiredObject({ listingIds: { type: 'array', items: productId, minItems: 1, maxItems: 500 } }),
+};
+
+export const runListingExpirySchema = {
+  summary: 'Send due expiry reminders and expire lapsed listings now',
+  response: {
+    type: 'object',
+    properties: {
+      reminded: { type: 'integer', description: 'Sellers reminded that a listing expires soon' },
+      expired: { type: 'integer', description: 'Listings taken off the marketplace' },
+      failed: { type: 'integer' },
+    },
+  },
+};
+
+const revisionChange = {
+  type: 'object',
+  properties: { field: { type: 'string' }, from: {}, to: {} },
+};
+
+const listingRevision = {
+  type: 'object',
+  properties: {
+    productId,
+    revision: { type: 'integer' },
+    editedBy: {
+      type: 'object',
+      nullable: true,
+      properties: { _id: objectId, personalInfo: { type: 'object', properties: { fullname: { type: 'string' } } } },
+    },
+    source: { type: 'string', enum: REVISION_SOURCES },
+    changes: { type: 'array', items: revisionChange },
+    createdAt: { type: 'string', format: 'date-time' },
+  },
+};
+
+export const listingRevisionsSchema = {
+  summary: "A listing's revision history, newest first",
+  params: productIdParams,
+  query: { type: 'object', properties: { ...pagination, source: { type: 'string', enum: REVISION_SOURCES } } },
+  response: { type: 'array', items: listingRevision },
+};
+
+export const listingRevisionSchema = {
+  summary: 'One revision of a listing, with the listing as it was at that revision',
+  params: requiredObject({ productId, revision: positiveInteger }),
+  response: {
+    ...listingRevision,
+    properties: { ...listingRevision.properties, snapshot: { type: 'object', description: 'The tracked listing fields at this revision' } },
+  },
+};
+
+const fileFormat = { type: 'string', enum: LISTING_IMPORT_FORMATS, description: 'json (default) or csv' };
+
+export const listingImportSchema = {
+  summary: 'Import listings in bulk from CSV or JSON (rows with a productId update that listing)',
+  body: {
+    type: 'object',
+    required: ['format', 'AgreedToTerms'],
+    properties: {
+      format: { type: 'string', enum: LISTING_IMPORT_FORMATS },
+      csv: { type: 'string', maxLength: 5000000, description: 'CSV text with a header row, in the export\'s columns (format: csv)' },
+      listings: {
+        type: 'array',
+        minItems: 1,
+        maxItems: MAX_IMPORT_ROWS,
+        items: { type: 'object' },
+        description: 'Listings in the export\'s JSON shape (format: json); each is checked when it is imported',
+      },
+      AgreedToTerms: { type: 'boolean', enum: [true], description: 'Must accept the listing terms' },
+    },
+  },
+};
+
+const listingImportView = {
+  type: 'object',
+  properties: {
+    _id: objectId,
+    format: { type: 'string', enum: LISTING_IMPORT_FORMATS },
+    status: { type: 'string', enum: LISTING_IMPORT_STATUSES },
+    summary: {
+      type: 'object',
+      properties: { total: { type: 'integer' }, created: { type: 'integer' }, updated: { type: 'integer' }, failed: { type: 'integer' } },
+    },
+    error: { type: 'string', nullable: true, description: 'Why the whole import failed' },
+    startedAt: { ...dateTime, nullable: true },
+    finishedAt: { ...dateTime, nullable: true },
+    createdAt: dateTime,
+  },
+};
+
+export const listingImportsSchema = {
+  summary: 'Your listing imports, newest first',
+  query: { type: 'object', properties: pagination },
+  response: { type: 'array', items: listingImportView },
+};
+
+export const listingImportReportSchema = {
+  summary: 'Progress and per-row report of a listing import',
+  params: requiredObject({ importId: objectId }),
+  query: { type: 'object', properties: { format: fileFormat } },
+  response: {
+    ...listingImportView,
+    properties: {
+      ...listingImportView.properties,
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            row: { type: 'integer', description: 'Position in the upload (CSV: the line the row starts on)' },
+            productId: { ...productId, nullable: true },
+            status: { type: 'string', enum: ['created', 'updated', 'failed'] },
+            message: { type: 'string' },
+            fieldErrors: {
+              type: 'array',
+              items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+export const exportListingsSchema = {
+  summary: 'Export your listings as CSV or JSON for editing and importing back',
+  query: { type: 'object', properties: { format: fileFormat } },
+};
+
+// v2 (the user comes from the token)
+
+export const v2TransferGuestDataSchema = {
+  ...transferGuestDataSchema,
+  body: omitFields(transferGuestDataSchema.body, 'userId'),
+};
+
+export const featuredListingsSchema = {
+  summary: 'Featured listings',
+  query: noInput,  response: listingsView,
+};
+
+export const updateAllListingsSchema = {
+  summary: 'Reactivate every listing for another lifetime and notify the sellers',
+  body: noInput,
+};
@@ -0,0 +1,37 @@
+// schemas/messageSchemas.js
+import { idParams, noInput, objectId, requiredObject } from './common.js';
+
+export const conversationsSchema = {
+  summary: 'Conversations of a user with the other participants and unread counts',
+  params: idParams('userId'),
+};
+
+export const messagesSchema = {
+  summary: 'Messages exchanged between two users',
+  params: idParams('sender', 'receiver'),
+};
+
+export const markMessagesReadSchema = {
+  body: requiredObject({ conversationId: objectId, userId: objectId }),
+};
+
+// v2 (the user comes from the token)
+
+export const v2MessagesSchema = {
+  summary: 'Your messages with another user',
+  params: idParams('userId'),
+};
+
+export const v2MarkConversationReadSchema = {
+  params: idParams('conversationId'),
+};
+
+export const sendMessageSchema = {
+  summary: 'Deprecated: send messages with the Socket.IO sendMessage event',
+  body: noInput,
+};
+
+export const v2ConversationsSchema = {
+  summary: 'Your conversations',
+  query: noInput,
+};
@@ -0,0 +1,53 @@
+// schemas/notificationSchemas.js
+import { idParams, objectId, omitFields, pagination, requiredObject } from './common.js';
+
+export const pushSubscriptionSchema = {
+  summary: 'Save the browser push subscription of the current user',
+  body: requiredObject({
+    subscription: {
+      type: 'object',
+      required: ['endpoint'],
+      properties: { endpoint: { type: 'string', maxLength: 2048 }, keys: { type: 'object' } },
+    },
+  }),
+};
+
+export const notificationsQuerySchema = {
+  params: idParams('userId'),
+  query: {
+    type: 'object',
+    properties: {
+      ...pagination,
+      isRead: { type: 'boolean' },
+      type: { type: 'string', maxLength: 50 },
+    },
+  },
+};
+
+export const notificationIdSchema = {
+  params: idParams('notificationId'),
+};
+
+export const markAllReadSchema = {
+  summary: 'Mark every notification of a user as read, or only the given ones',
+  body: {
+    type: 'object',
+    required: ['userId'],
+    properties: {
+      userId: objectId,
+      notificationIds: { type: 'array', items: objectId, maxItems: 500 },
+    },
+  },
+};
+
+// v2 (the user comes from the token)
+
+export const v2NotificationsQuerySchema = {
+  summary: 'Your notifications, newest first',
+  query: notificationsQuerySchema.query,
+};
+
+export const v2MarkAllReadSchema = {
+  summary: 'Mark all your notifications as read, or only the given ones',
+  body: omitFields(markAllReadSchema.body, 'userId'),
+};
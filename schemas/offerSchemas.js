@@ -0,0 +1,53 @@
+// schemas/offerSchemas.js
+import { OFFER_STATUSES } from '../models/Offer.js';
+import { idParams, positiveInteger, productId, productIdParams } from './common.js';
+
+const offerAmount = { type: 'number', minimum: 1 };
+const message = { type: 'string', maxLength: 500 };
+
+export const getOffersSchema = {
+  summary: 'Offers you made (buyer) or received (seller)',
+  query: {
+    type: 'object',
+    properties: {
+      role: { type: 'string', enum: ['buyer', 'seller'] },
+      status: { type: 'string', enum: OFFER_STATUSES },
+      productId,
+    },
+  },
+};
+
+export const offerIdSchema = {
+  params: idParams('offerId'),
+};
+
+export const makeOfferSchema = {
+  summary: 'Offer a lower price on a negotiable listing',
+  params: productIdParams,
+  body: {
+    type: 'object',
+    required: ['amount'],
+    properties: {
+      amount: offerAmount,
+      quantity: positiveInteger,
+      sku: { type: 'string', maxLength: 200, description: 'Variant SKU; listings with variants need a sku or a size/color' },
+      size: { type: 'string', maxLength: 200 },
+      color: { type: 'string', maxLength: 200 },
+      message,
+    },
+  },
+};
+
+export const respondToOfferSchema = {
+  summary: 'Accept, reject or counter an offer',
+  params: idParams('offerId'),
+  body: {
+    type: 'object',
+    required: ['action'],
+    properties: {
+      action: { type: 'string', enum: ['accept', 'reject', 'counter'] },
+      amount: { ...offerAmount, description: 'Required when countering' },
+      message,
+    },
+  },
+};
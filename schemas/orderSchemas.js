@@ -0,0 +1,411 @@
+// schemas/orderSchemas.js
+import { FULFILMENT_METHODS, ORDER_STATUSES } from '../models/Order.js';
+import { ITEM_STATUS_FLOW } from '../utils/orderStatus.js';
+import { amount, nonEmptyString, objectId, omitFields, pagination, phone, positiveInteger, productId, requiredObject } from './common.js';
+
+// Statuses buyers and sellers can set themselves; the rest come from cancellations, rejections and admins
+const USER_ITEM_STATUSES = ['processing', 'shipped', 'out_for_delivery', 'delivered'];
+const ITEM_STATUSES = Object.keys(ITEM_STATUS_FLOW);
+
+const orderId = { ...nonEmptyString, maxLength: 100, description: 'Order number (orderId), not the document _id' };
+const itemIndex = { type: 'integer', minimum: 0, description: 'Position of the item in the order' };
+const shortText = { type: 'string', maxLength: 200 };
+const longText = { type: 'string', maxLength: 1000 };
+
+const orderItem = {
+  type: 'object',
+  required: ['productId', 'quantity'],
+  properties: {
+    productId,
+    quantity: positiveInteger,
+    size: shortText,
+    color: shortText,
+    sku: shortText,
+    offerId: { ...objectId, description: 'Accepted offer to buy at the offer price' },
+    // Ignored: prices always come from the listing
+    price: amount,
+  },
+};
+
+const orderLines = {
+  items: { type: 'array', items: orderItem, maxItems: 100, description: 'Required unless fromCart is true' },
+  fromCart: { type: 'boolean', description: 'Take the items from the server-side cart' },
+  fulfilment: {
+    type: 'object',
+    additionalProperties: { type: 'string', enum: FULFILMENT_METHODS },
+    description: 'Fulfilment method per seller ID, defaults to Delivery',
+  },
+};
+
+// Response shapes (docs only)
+
+const deliveryAddressView = {
+  type: 'object',
+  properties: { country: shortText, county: shortText, constituency: shortText, nearestTown: shortText, phone: shortText },
+};
+
+const orderItemView = {
+  type: 'object',
+  properties: {
+    _id: objectId,
+    productId,
+    name: shortText,
+    quantity: positiveInteger,
+    price: amount,
+    size: shortText,
+    color: shortText,
+    sellerId: objectId,
+    status: { type: 'string', enum: ITEM_STATUSES },
+    statusHistory: { type: 'array', items: { type: 'object' } },
+    tracking: { type: 'object', nullable: true, properties: { courier: shortText, trackingNumber: shortText } },
+    refundStatus: shortText,
+    refundedAmount: amount,
+  },
+};
+
+const orderView = {
+  type: 'object',
+  properties: {
+    orderId,
+    totalAmount: amount,
+    deliveryFee: amount,
+    status: { type: 'string', enum: ORDER_STATUSES },
+    items: { type: 'array', items: orderItemView },
+    deliveryAddress: deliveryAddressView,
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' },
+  },
+};
+
+// Status changes answer with the order number and its items after the change
+const orderItemsView = {
+  type: 'object',
+  properties: { orderId, items: { type: 'array', items: orderItemView } },
+};
+
+// A buyer or seller populated into an admin view
+const userSummaryView = {
+  type: 'object',
+  properties: {
+    _id: objectId,
+    personalInfo: { type: 'object', properties: { fullname: shortText, email: shortText, phone: shortText } },
+  },
+};
+
+const adminOrderView = {
+  type: 'object',
+  properties: {
+    ...orderView.properties,
+    customerId: userSummaryView,
+    items: { type: 'array', items: { ...orderItemView, properties: { ...orderItemView.properties, sellerId: userSummaryView } } },
+    isFullyCancelled: { type: 'boolean' },
+    numCancelledItems: { type: 'integer', minimum: 0 },
+    totalRefunded: amount,
+  },
+};
+
+export const quoteOrderSchema = {
+  summary: 'Price items and quote delivery without placing an order',
+  body: {
+    type: 'object',
+    required: ['deliveryAddress'],
+    properties: {
+      ...orderLines,
+      deliveryAddress: {
+        type: 'object',
+        required: ['county', 'constituency'],
+        properties: { county: nonEmptyString, constituency: nonEmptyString },
+      },
+    },
+  },
+  response: {
+    type: 'object',
+    properties: {
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            productId,
+            sellerId: objectId,
+            name: shortText,
+            quantity: positiveInteger,
+            size: shortText,
+            color: shortText,
+            sku: { ...shortText, nullable: true },
+            offerId: { ...objectId, nullable: true },
+            unitPrice: amount,
+            lineTotal: amount,
+          },
+        },
+      },
+      shipments: { type: 'array', items: { type: 'object' }, description: 'Delivery fee per seller' },
+      subtotal: amount,
+      deliveryFee: amount,
+      totalAmount: amount,
+      currency: { type: 'string', enum: ['KES'] },
+    },
+  },
+};
+
+export const placeOrderSchema = {
+  summary: 'Place an order and start the M-Pesa payment',
+  body: {
+    type: 'object',
+    required: ['customerId', 'deliveryAddress'],
+    properties: {
+      ...orderLines,
+      customerId: objectId,
+      deliveryAddress: requiredObject({
+        county: nonEmptyString,
+        constituency: nonEmptyString,
+        nearestTown: nonEmptyString,
+        phone,
+      }),
+      paymentPhone: { ...phone, description: 'M-Pesa number, defaults to the delivery phone' },
+      totalAmount: { ...amount, description: 'Ignored: the total is recalculated' },
+    },
+  },
+  response: {
+    type: 'object',
+    properties: { reference: { type: 'string', description: 'Payment reference to poll' } },
+  },
+};
+
+export const retryOrderPaymentSchema = {
+  summary: 'Retry the M-Pesa payment of an unpaid order',
+  params: requiredObject({ orderId }),
+  body: {
+    type: 'object',
+    properties: { phone },
+  },
+  response: {
+    type: 'object',
+    properties: {
+      authorization_url: { type: 'string', nullable: true, description: 'Always null: M-Pesa prompts on the phone' },
+      reference: { type: 'string', description: 'Payment reference to poll' },
+    },
+  },
+};
+
+export const updateOrderStatusSchema = {
+  summary: 'Seller marks an item processing/shipped/out for delivery, or the buyer marks it delivered',
+  body: {
+    type: 'object',
+    required: ['orderId', 'itemIndex', 'status', 'sellerId', 'userId', 'productId'],
+    properties: {
+      orderId,
+      itemIndex,
+      status: { type: 'string', enum: USER_ITEM_STATUSES },
+      sellerId: objectId,
+      userId: objectId,
+      productId,
+      note: longText,
+      courier: shortText,
+      trackingNumber: shortText,
+    },
+  },
+  response: orderItemsView,
+};
+
+export const buyerOrdersSchema = {
+  summary: 'Orders placed by a buyer',
+  body: requiredObject({ customerId: objectId }),
+  response: { type: 'array', items: orderView },
+};
+
+export const sellerOrdersSchema = {
+  summary: 'Orders containing items sold by the current user (only their items are returned)',
+  response: {
+    type: 'array',
+    items: {
+      ...orderView,
+      properties: { ...orderView.properties, customerId: objectId, customerName: shortText },
+    },
+  },
+};
+
+const orderLineId = {
+  ...productId,
+  description: 'The order item\'s _id, or its productId when only one line of the order has that product (or sku is given)',
+};
+const itemAction = { orderId, itemId: orderLineId, userId: objectId };
+const lineSku = { ...shortText, description: 'Variant SKU of the line, when itemId is a productId shared by several lines' };
+
+export const cancelOrderItemSchema = {
+  summary: 'Cancel a pending order item (buyer or seller)',
+  body: {
+    type: 'object',
+    required: ['orderId', 'itemId', 'userId', 'reason'],
+    properties: { ...itemAction, sku: lineSku, reason: { ...nonEmptyString, maxLength: 200 }, details: longText },
+  },
+  response: {
+    type: 'object',
+    properties: {
+      ...orderItemsView.properties,
+      totalAmount: amount,
+      status: { type: 'string', enum: ORDER_STATUSES },
+      refundStatus: shortText,
+      refundedAmount: amount,
+    },
+  },
+};
+
+export const acceptDeliverySchema = {
+  summary: 'Buyer accepts a delivered item, releasing the seller payout',
+  body: {
+    type: 'object',
+    required: ['orderId', 'itemId', 'userId'],
+    properties: { ...itemAction, sku: lineSku },
+  },
+  response: {
+    type: 'object',
+    properties: { orderId, itemId: productId, status: { type: 'string', enum: ['delivered'] } },
+  },
+};
+
+export const rejectDeliverySchema = {
+  summary: 'Buyer rejects a delivered item and opens a dispute',
+  body: {
+    type: 'object',
+    required: ['orderId', 'itemId', 'userId', 'reason'],
+    properties: { ...itemAction, sku: lineSku, reason: { ...nonEmptyString, maxLength: 200 }, details: longText },
+  },
+  response: {
+    type: 'object',
+    properties: {
+      orderId,
+      itemId: productId,
+      status: { type: 'string', enum: ['rejected'] },
+      refundStatus: shortText,
+      refundedAmount: amount,
+    },
+  },
+};
+
+// Admin
+
+export const adminOrdersQuerySchema = {
+  query: {
+    type: 'object',
+    properties: {
+      ...pagination,
+      status: { type: 'string', enum: ORDER_STATUSES },
+      startDate: { type: 'string', format: 'date-time' },
+      endDate: { type: 'string', format: 'date-time' },
+      sellerId: objectId,
+      buyerId: objectId,
+      orderId: { type: 'string', maxLength: 100 },
+    },
+  },
+  response: {
+    type: 'array',
+    items: {
+      ...adminOrderView,
+      properties: {
+        ...adminOrderView.properties,
+        transactionStatus: { type: 'string', description: 'Status of the order payment, or none' },
+        totalItems: { type: 'integer', minimum: 0 },
+      },
+    },
+  },
+};
+
+export const adminOrderIdSchema = {
+  params: requiredObject({ id: orderId }),
+  response: {
+    ...adminOrderView,
+    properties: {
+      ...adminOrderView.properties,
+      transaction: { type: 'object', nullable: true, description: 'The order payment' },
+    },
+  },
+};
+
+export const adminDisputeOrdersSchema = {
+  query: {
+    type: 'object',
+    properties: { ...pagination, type: { type: 'string', enum: ['rejected', 'reported'] } },
+  },
+};
+
+export const adminOrderReportSchema = {
+  query: {
+    type: 'object',
+    properties: {
+      startDate: { type: 'string', format: 'date-time' },
+      endDate: { type: 'string', format: 'date-time' },
+      status: { type: 'string', enum: ORDER_STATUSES },
+    },
+  },
+};
+
+export const adminManualRefundSchema = {
+  summary: 'Refund an order item to the buyer',
+  body: requiredObject({ orderId, itemId: orderLineId }),
+};
+
+export const adminForcePayoutSchema = {
+  summary: 'Release a held seller payout for an item',
+  body: requiredObject({ transactionId: objectId, itemId: { ...objectId, description: 'The order item\'s _id' } }),
+};
+
+export const adminUpdateOrderStatusSchema = {
+  summary: 'Move an order item to a new status (transition rules still apply)',
+  body: {
+    type: 'object',
+    required: ['orderId', 'itemIndex', 'status'],
+    properties: {
+      orderId,
+      itemIndex,
+      status: { type: 'string', enum: ITEM_STATUSES },
+      reason: longText,
+      courier: shortText,
+      trackingNumber: shortText,
+    },
+  },
+};
+
+// v2: the acting user comes from the token, items are addressed in the URL
+
+const orderLineParams = requiredObject({
+  orderId,
+  itemId: { ...productId, description: 'The order item\'s _id, or its productId when only one line of the order has that product' },
+});
+
+export const v2PlaceOrderSchema = {
+  ...placeOrderSchema,
+  body: omitFields(placeOrderSchema.body, 'customerId'),
+};
+
+export const v2OrderItemStatusSchema = {
+  summary: updateOrderStatusSchema.summary,
+  params: orderLineParams,
+  body: omitFields(updateOrderStatusSchema.body, 'orderId', 'itemIndex', 'sellerId', 'userId', 'productId'),
+  response: updateOrderStatusSchema.response,
+};
+
+export const v2CancelOrderItemSchema = {
+  summary: cancelOrderItemSchema.summary,
+  params: orderLineParams,
+  body: omitFields(cancelOrderItemSchema.body, 'orderId', 'itemId', 'sku', 'userId'),
+  response: cancelOrderItemSchema.response,
+};
+
+export const v2AcceptDeliverySchema = {
+  summary: acceptDeliverySchema.summary,
+  params: orderLineParams,
+  response: acceptDeliverySchema.response,
+};
+
+export const v2RejectDeliverySchema = {
+  summary: rejectDeliverySchema.summary,
+  params: orderLineParams,
+  body: omitFields(rejectDeliverySchema.body, 'orderId', 'itemId', 'sku', 'userId'),
+  response: rejectDeliverySchema.response,
+};
+
+export const v2BuyerOrdersSchema = {
+  summary: 'Your orders',
+  response: buyerOrdersSchema.response,
+};
@@ -0,0 +1,71 @@
+// schemas/paymentSchemas.js
+import { WEBHOOK_EVENT_STATUSES } from '../models/WebhookEvent.js';
+import { idParams, nonEmptyString, pagination, requiredObject } from './common.js';
+
+const reference = { ...nonEmptyString, maxLength: 100 };
+const reportDate = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', patternMessage: 'must be in YYYY-MM-DD format' };
+
+export const paymentReferenceSchema = {
+  params: requiredObject({ reference }),
+};
+
+export const sandboxWebhookSchema = {
+  summary: 'Make the sandbox provider call the payment webhook for a reference',
+  params: requiredObject({ reference }),
+  body: {
+    type: 'object',
+    properties: {
+      outcome: { type: 'string', enum: ['completed', 'failed'] },
+      reason: { type: 'string', maxLength: 500 },
+    },
+  },
+};
+
+// Admin
+
+export const webhookEventsSchema = {
+  query: {
+    type: 'object',
+    properties: {
+      ...pagination,
+      status: { type: 'string', enum: [...WEBHOOK_EVENT_STATUSES, 'all'], description: "'failed' (default) also includes rejected events" },
+      provider: { type: 'string', maxLength: 50 },
+      reference: { type: 'string', maxLength: 100 },
+    },
+  },
+};
+
+export const webhookEventIdSchema = {
+  params: idParams('eventId'),
+};
+
+export const replayWebhookEventSchema = {
+  summary: 'Process a stored webhook event again',
+  params: idParams('eventId'),
+  body: {
+    type: 'object',
+    properties: { acceptUnsigned: { type: 'boolean', description: 'Replay even if the signature did not verify' } },
+  },
+};
+
+export const reconciliationReportsSchema = {
+  query: { type: 'object', properties: pagination },
+};
+
+export const reconciliationReportSchema = {
+  params: requiredObject({ date: reportDate }),
+};
+
+export const flaggedTransactionsSchema = {
+  query: { type: 'object', properties: { flag: { type: 'string', enum: ['amount_mismatch', 'unresolved'] } } },
+};
+
+export const runReconciliationSchema = {
+  summary: 'Run payment reconciliation now',
+  body: { type: 'object', properties: { sendReportFor: { ...reportDate, description: 'Also (re)send the report for this day' } } },
+};
+
+export const paymentWebhookSchema = {
+  summary: 'Payment provider callback; the body is the provider\'s own and is checked against its signature',
+  params: requiredObject({ provider: { ...nonEmptyString, maxLength: 50, description: 'swift, or sandbox when enabled' } }),
+};
@@ -0,0 +1,162 @@
+// schemas/payoutSchemas.js
+import { LEDGER_ENTRY_TYPES, SELLER_ACCOUNTS } from '../models/LedgerEntry.js';
+import { WITHDRAWAL_STATUSES } from '../models/Withdrawal.js';
+import { amount, idParams, noInput, objectId, pagination } from './common.js';
+
+// Response shapes (docs only)
+
+const dateTime = { type: 'string', format: 'date-time' };
+const currency = { type: 'string', enum: ['KES'] };
+
+const sellerBalances = {
+  type: 'object',
+  properties: {
+    available: { ...amount, description: 'Can be withdrawn' },
+    pending: { ...amount, description: 'Held in escrow until delivery is confirmed' },
+    withdrawing: { ...amount, description: 'In withdrawals awaiting review' },
+  },
+};
+
+const withdrawalView = {
+  type: 'object',
+  properties: {
+    _id: objectId,
+    sellerId: objectId,
+    amount,
+    fee: amount,
+    netAmount: { ...amount, description: 'Sent to the seller (amount - fee)' },
+    destination: {
+      type: 'object',
+      properties: { provider: { type: 'string' }, phoneNumber: { type: 'string' }, accountName: { type: 'string' } },
+    },
+    status: { type: 'string', enum: WITHDRAWAL_STATUSES },
+    payoutReference: { type: 'string', nullable: true },
+    reviewedBy: { ...objectId, nullable: true },
+    reviewedAt: { ...dateTime, nullable: true },
+    rejectionReason: { type: 'string' },
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  },
+};
+
+export const statementSchema = {
+  summary: 'Your ledger entries, newest first',
+  query: {
+    type: 'object',
+    properties: {
+      ...pagination,
+      account: { type: 'string', enum: SELLER_ACCOUNTS },
+      type: { type: 'string', enum: LEDGER_ENTRY_TYPES },
+      from: { type: 'string', format: 'date-time' },
+      to: { type: 'string', format: 'date-time' },
+    },
+  },
+  response: {
+    type: 'object',
+    properties: {
+      balances: sellerBalances,
+      entries: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            _id: objectId,
+            journalId: objectId,
+            account: { type: 'string', enum: SELLER_ACCOUNTS },
+            type: { type: 'string', enum: LEDGER_ENTRY_TYPES },
+            amount: { type: 'number', description: 'Positive when money is added to the account, negative when it leaves' },
+            description: { type: 'string' },
+            orderId: { type: 'string', nullable: true },
+            itemId: { ...objectId, nullable: true },
+            withdrawalId: { ...objectId, nullable: true },
+            createdAt: dateTime,
+          },
+        },
+      },
+    },
+  },
+};
+
+export const withdrawalsQuerySchema = {
+  query: { type: 'object', properties: { status: { type: 'string', enum: WITHDRAWAL_STATUSES } } },
+  response: { type: 'array', items: withdrawalView },
+};
+
+export const requestWithdrawalSchema = {
+  summary: 'Withdraw available balance to your M-Pesa number (needs a two-factor code)',
+  body: {
+    type: 'object',
+    required: ['amount'],
+    properties: { amount: { type: 'number', minimum: 1, description: 'KES, at most 2 decimal places' } },
+  },
+  response: withdrawalView,
+};
+
+export const withdrawalIdSchema = {
+  params: idParams('withdrawalId'),
+  response: withdrawalView,
+};
+
+// Admin
+
+export const withdrawalQueueSchema = {
+  query: {
+    type: 'object',
+    properties: { ...pagination, status: { type: 'string', enum: [...WITHDRAWAL_STATUSES, 'all'] } },
+  },
+  response: {
+    type: 'array',
+    items: {
+      ...withdrawalView,
+      properties: {
+        ...withdrawalView.properties,
+        sellerId: { type: 'object', description: 'The seller with their name, email and phone' },
+        reviewedBy: { type: 'object', nullable: true, description: 'The reviewing admin with their name' },
+      },
+    },
+  },
+};
+
+export const approveWithdrawalSchema = {
+  summary: 'Mark a withdrawal paid, or send it through the payment provider when no reference is given',
+  params: idParams('withdrawalId'),
+  body: {
+    type: 'object',
+    properties: { payoutReference: { type: 'string', maxLength: 100, description: 'M-Pesa reference of a manual payout, or of a provider transfer left processing' } },
+  },
+  response: withdrawalView,
+};
+
+export const rejectWithdrawalSchema = {
+  summary: 'Reject a withdrawal and return the money to the seller balance',
+  params: idParams('withdrawalId'),
+  body: {
+    type: 'object',
+    required: ['reason'],
+    properties: { reason: { type: 'string', minLength: 1, maxLength: 500 } },
+  },
+  response: withdrawalView,
+};
+
+export const balanceSchema = {
+  summary: 'Your available, pending and withdrawing balances',
+  query: noInput,
+  response: {
+    type: 'object',
+    properties: {
+      ...sellerBalances.properties,
+      currency,
+      withdrawalMinimum: amount,
+      withdrawalFee: amount,
+    },
+  },
+};
+
+export const ledgerSummarySchema = {
+  summary: 'Platform ledger balances (escrow held, platform revenue, refunds owed)',
+  query: noInput,
+  response: {
+    type: 'object',
+    properties: { escrow: amount, platformRevenue: amount, refundsPayable: amount, currency },
+  },
+};
@@ -0,0 +1,40 @@
+// schemas/reportSchemas.js
+import { REPORT_REASONS, REPORT_STATUSES, REPORT_TYPES } from '../models/Report.js';
+import { idParams, noInput, nonEmptyString } from './common.js';
+
+export const createReportSchema = {
+  summary: 'Report a user, order or listing (optionally one item of an order)',
+  body: {
+    type: 'object',
+    required: ['reportType', 'reportedEntityId', 'reason'],
+    properties: {
+      reportType: { type: 'string', enum: REPORT_TYPES },
+      // User ID, order ID or listing productId depending on reportType
+      reportedEntityId: { ...nonEmptyString, maxLength: 100 },
+      itemId: { type: 'string', maxLength: 100, description: 'productId of the reported item (order reports)' },
+      reason: { type: 'string', enum: REPORT_REASONS },
+      details: { type: 'string', maxLength: 1000 },
+    },
+  },
+};
+
+export const reportIdSchema = {
+  params: idParams('id'),
+};
+
+export const updateReportStatusSchema = {
+  summary: 'Change a report status or add admin notes',
+  params: idParams('id'),
+  body: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: REPORT_STATUSES },
+      adminNotes: { type: 'string', maxLength: 1000 },
+    },
+  },
+};
+
+export const allReportsSchema = {
+  summary: 'Every report',
+  query: noInput,
+};
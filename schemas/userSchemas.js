@@ -0,0 +1,263 @@
+// schemas/userSchemas.js
+import { ROLES } from '../utils/permissions.js';
+import { idParams, noInput, nonEmptyString, objectId, omitFields, phone, requiredObject } from './common.js';
+
+const shortText = { type: 'string', maxLength: 200 };
+
+// Response shapes (docs only)
+
+const dateTime = { type: 'string', format: 'date-time' };
+
+const profileLocation = {
+  type: 'object',
+  properties: { country: shortText, county: shortText, constituency: shortText, fullAddress: shortText },
+};
+
+const publicPersonalInfo = {
+  type: 'object',
+  properties: {
+    fullname: shortText,
+    username: shortText,
+    profilePicture: { type: 'string' },
+    phone: shortText,
+    bio: { type: 'string' },
+    location: profileLocation,
+    verified: { type: 'boolean' },
+    socialLinks: { type: 'object', additionalProperties: { type: 'string' } },
+  },
+};
+
+const userRating = {
+  type: 'object',
+  properties: { average: { type: 'number', minimum: 0, maximum: 5 }, reviewCount: { type: 'integer', minimum: 0 } },
+};
+
+const userStats = {
+  type: 'object',
+  properties: {
+    activeListingsCount: { type: 'integer' },
+    soldListingsCount: { type: 'integer' },
+    pendingOrdersCount: { type: 'integer' },
+    completedOrdersCount: { type: 'integer' },
+    failedOrdersCount: { type: 'integer' },
+  },
+};
+
+const mobileMoneyView = {
+  type: 'object',
+  properties: {
+    provider: { type: 'string', enum: ['M-Pesa'] },
+    phoneNumber: shortText,
+    accountName: shortText,
+    verified: { type: 'boolean', description: 'Withdrawals are only paid to a verified number' },
+  },
+};
+
+const preferencesView = {
+  type: 'object',
+  properties: {
+    emailNotifications: { type: 'boolean' },
+    smsNotifications: { type: 'boolean' },
+    marketingEmails: { type: 'boolean' },
+  },
+};
+
+const publicProfileView = {
+  type: 'object',
+  properties: {
+    personalInfo: publicPersonalInfo,
+    reviews: { type: 'array', items: { type: 'object' } },
+    rating: userRating,
+    stats: userStats,
+    badges: { type: 'array', items: { type: 'string' } },
+    listings: { type: 'array', items: objectId },
+    isFeatured: { type: 'boolean' },
+    createdAt: dateTime,
+  },
+};
+
+export const userIdSchema = {
+  summary: 'Public profile of a user',
+  params: idParams('userId'),
+  response: { ...publicProfileView, properties: { _id: objectId, ...publicProfileView.properties } },
+};
+
+export const sellerIdSchema = {
+  summary: 'Public profile of a seller',
+  params: idParams('sellerId'),
+  response: publicProfileView,
+};
+
+export const profileViewsSchema = {
+  params: idParams('sellerId'),
+  body: requiredObject({ viewerId: { ...nonEmptyString, maxLength: 100 } }),
+};
+
+export const specificPeopleSchema = {
+  summary: 'Public profiles of several users',
+  body: requiredObject({ reviewIds: { type: 'array', items: objectId, minItems: 1, maxItems: 200 } }),
+};
+
+export const updateProfileSchema = {
+  summary: 'Update your profile (email and password are changed elsewhere)',
+  body: {
+    type: 'object',
+    properties: {
+      personalInfo: {
+        type: 'object',
+        properties: {
+          fullname: { ...nonEmptyString, maxLength: 100 },
+          username: { ...nonEmptyString, maxLength: 50 },
+          profilePicture: { type: 'string', maxLength: 2048 },
+          phone,
+          bio: { type: 'string', maxLength: 1000 },
+          location: {
+            type: 'object',
+            properties: {
+              country: shortText,
+              county: shortText,
+              constituency: shortText,
+              fullAddress: { type: 'string', maxLength: 500 },
+              coordinates: { type: 'object' },
+            },
+          },
+          socialLinks: { type: 'object', additionalProperties: { type: 'string', maxLength: 500 } },
+        },
+      },
+      preferences: {
+        type: 'object',
+        properties: {
+          emailNotifications: { type: 'boolean' },
+          smsNotifications: { type: 'boolean' },
+          marketingEmails: { type: 'boolean' },
+        },
+      },
+    },
+  },
+  response: {
+    type: 'object',
+    properties: {
+      ...omitFields(publicPersonalInfo, 'verified').properties,
+      email: shortText,
+      preferences: preferencesView,
+    },
+  },
+};
+
+export const userWishlistSchema = {
+  params: idParams('listingId'),
+};
+
+export const sellerReviewSchema = {
+  summary: 'Review a seller',
+  params: idParams('sellerId'),
+  body: requiredObject({
+    userId: objectId,
+    rating: { type: 'integer', minimum: 1, maximum: 5 },
+    comment: { ...nonEmptyString, maxLength: 1000 },
+  }),
+};
+
+export const removeSellerReviewSchema = {
+  params: idParams('sellerId', 'reviewId'),
+  body: requiredObject({ userId: objectId }),
+};
+
+export const mobileMoneySchema = {
+  summary: 'Set the M-Pesa number payouts are sent to (needs a two-factor code when 2FA is on)',
+  body: {
+    type: 'object',
+    required: ['phoneNumber'],
+    properties: {
+      phoneNumber: { type: 'string', maxLength: 20, description: 'Kenyan M-Pesa number, e.g. 254712345678' },
+      accountName: { type: 'string', maxLength: 100 },
+    },
+  },  response: mobileMoneyView,
+};
+
+// Staff
+
+export const fixLocationSchema = {
+  summary: 'Set the county and constituency of several sellers',
+  body: requiredObject({
+    ids: { type: 'array', items: objectId, minItems: 1, maxItems: 500 },
+    county: nonEmptyString,
+    constituency: nonEmptyString,
+  }),
+};
+
+export const updateRolesSchema = {
+  summary: 'Replace the staff roles of a user',
+  params: idParams('userId'),
+  body: requiredObject({ roles: { type: 'array', items: { type: 'string', enum: ROLES }, maxItems: ROLES.length } }),
+};
+
+export const verifyMobileMoneySchema = {
+  summary: 'Confirm that a user owns their payout M-Pesa number',
+  params: idParams('userId'),
+  body: requiredObject({ phoneNumber: { ...mobileMoneySchema.body.properties.phoneNumber, description: 'The number on file that was checked' } }),  response: mobileMoneyView,
+};
+
+export const staffSchema = {
+  summary: 'Every user holding a staff role, with their permissions',
+  query: noInput,
+};
+
+export const allUsersSchema = {
+  summary: 'Public details of every user',
+  query: noInput,
+};
+
+export const sellersSitemapSchema = {
+  summary: 'Sellers for the sitemap',
+  query: noInput,
+};
+
+export const authenticatedProfileSchema = {
+  summary: 'Your full profile',
+  query: noInput,  response: {
+    type: 'object',
+    properties: {
+      personalInfo: {
+        type: 'object',
+        properties: {
+          ...publicPersonalInfo.properties,
+          email: shortText,
+          mobileMoneyDetails: mobileMoneyView,
+          roles: { type: 'array', items: { type: 'string', enum: ROLES } },
+        },
+      },
+      analytics: { type: 'object', description: 'Profile views' },
+      rating: userRating,
+      stats: userStats,
+      isFeatured: { type: 'boolean' },
+      badges: { type: 'array', items: { type: 'string' } },
+      preferences: preferencesView,
+      referralCode: shortText,
+      wishlist: { type: 'array', items: objectId },
+      listings: { type: 'array', items: objectId },
+      orders: { type: 'array', items: objectId },
+    },
+  },
+};
+
+export const referralLinkSchema = {
+  summary: 'Your referral link',
+  query: noInput,
+};
+
+export const deleteAccountSchema = {
+  summary: 'Delete your account (needs a two-factor code when 2FA is on)',
+  body: { type: 'object', properties: { twoFactorCode: { type: 'string', maxLength: 20 } } },
+};
+
+// v2 (the reviewer comes from the token)
+
+export const v2SellerReviewSchema = {
+  ...sellerReviewSchema,
+  body: omitFields(sellerReviewSchema.body, 'userId'),
+};
+
+export const v2RemoveSellerReviewSchema = {
+  params: removeSellerReviewSchema.params,
+};
@@ -0,0 +1,35 @@
+// v2 order item addressing: variant lines of one product share a productId. The order model is stubbed.
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import './env.js';
+import mongoose from 'mongoose';
+import { orderModel } from '../models/Order.js';
+import { resolveOrderItem } from '../middlewares/apiV2.js';
+import { ConflictError } from '../utils/errors.js';
+
+const originalFindOne = orderModel.findOne;
+after(() => { orderModel.findOne = originalFindOne; });
+
+const sellerId = new mongoose.Types.ObjectId();
+const lines = [
+  { _id: new mongoose.Types.ObjectId(), productId: 'phone', sellerId },
+  { _id: new mongoose.Types.ObjectId(), productId: 'phone', sellerId },
+  { _id: new mongoose.Types.ObjectId(), productId: 'case', sellerId },
+];
+orderModel.findOne = () => ({ select: () => ({ lean: async () => ({ items: lines }) }) });
+
+const resolve = (itemId) => new Promise((done) => {
+  const req = { params: { orderId: 'ORDER-1', itemId } };
+  resolveOrderItem(req, {}, error => done({ error, orderItem: req.orderItem }));
+});
+
+test('an item _id addresses that exact line', async () => {
+  const { error, orderItem } = await resolve(lines[1]._id.toString());
+  assert.equal(error, undefined);
+  assert.deepEqual(orderItem, { itemId: lines[1]._id.toString(), index: 1, productId: 'phone', sellerId: sellerId.toString() });
+});
+
+test('a productId is accepted only while it is unambiguous', async () => {
+  assert.equal((await resolve('case')).orderItem.index, 2);
+  assert.ok((await resolve('phone')).error instanceof ConflictError);
+});
@@ -0,0 +1,37 @@
+// Step-up checks only ask for a code when the account has two-factor authentication on. The user model is stubbed.
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import './env.js';
+import { userModel } from '../models/User.js';
+import { requireTwoFactor } from '../middlewares/authMiddleware.js';
+
+const originalFindById = userModel.findById;
+after(() => { userModel.findById = originalFindById; });
+
+const withTwoFactor = (enabled) => {
+  userModel.findById = () => ({ select: () => ({ lean: async () => ({ personalInfo: { twoFactor: { enabled } } }) }) });
+};
+
+const run = () => new Promise((done) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json: body => done({ status: res.statusCode, body }),
+  };
+  requireTwoFactor({ user: { _id: '64b000000000000000000001' }, headers: {}, body: {} }, res, () => done({ next: true }));
+});
+
+test('accounts without 2FA pass without a code', async () => {
+  withTwoFactor(false);
+  assert.deepEqual(await run(), { next: true });
+});
+
+test('accounts with 2FA must send a code', async () => {
+  withTwoFactor(true);
+  const { status, body } = await run();
+  assert.equal(status, 403);
+  assert.equal(body.code, 'TWO_FACTOR_CODE_REQUIRED');
+});
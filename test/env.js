@@ -0,0 +1,18 @@
+// Test environment: config/env.js requires these. The values are never used; set variables win.
+const TEST_ENV = {
+  MONGO_DB_URL: 'mongodb://127.0.0.1:1/test',
+  SECRET_KEY: 'test',
+  CLIENT_ID: 'test',
+  CLIENT_SECRET: 'test',
+  FRONTEND_URL: 'http://localhost:5173',
+  BACKEND_URL: 'http://localhost:4000',
+  SESSION_SECRET: 'test',
+  USER: 'test@example.com',
+  PASS: 'test',
+  CLOUDINARY_CLOUD_NAME: 'test',
+  CLOUDINARY_API_KEY: 'test',
+  CLOUDINARY_API_SECRET: 'test',
+  VAPID_PUBLIC_KEY: 'test',
+  VAPID_PRIVATE_KEY: 'test',
+};
+Object.entries(TEST_ENV).forEach(([key, value]) => { process.env[key] ??= value; });
@@ -0,0 +1,45 @@
+// Opening balance migration: one adjustment journal per seller wallet, never twice. Models are stubbed.
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { ledgerEntryModel } from '../models/LedgerEntry.js';
+import { userModel } from '../models/User.js';
+import { OPENING_BALANCE_DESCRIPTION, migrateOpeningBalances } from '../utils/ledger.js';
+
+const originals = [];
+
+const stub = (target, key, value) => {
+  originals.push([target, key, target[key]]);
+  target[key] = value;
+};
+
+after(() => {
+  originals.reverse().forEach(([target, key, value]) => { target[key] = value; });
+});
+
+test('opening balances are posted once per seller', async () => {
+  const migratedSeller = new mongoose.Types.ObjectId();
+  const newSeller = new mongoose.Types.ObjectId();
+  const inserted = [];
+  stub(userModel, 'find', () => ({
+    select: () => ({
+      lean: async () => [
+        { _id: migratedSeller, financials: { balance: 500 } },
+        { _id: newSeller, financials: { balance: 1250.5 } },
+      ],
+    }),
+  }));
+  stub(ledgerEntryModel, 'exists', async ({ userId }) => (userId.equals(migratedSeller) ? { _id: userId } : null));
+  stub(ledgerEntryModel, 'insertMany', async (entries) => { inserted.push(...entries); });
+
+  const results = await migrateOpeningBalances();
+
+  assert.deepEqual(results, { posted: 1, skipped: 1 });
+  assert.deepEqual(
+    inserted.map(({ account, userId, direction, amount, type, description }) => ({ account, userId, direction, amount, type, description })),
+    [
+      { account: 'escrow', userId: null, direction: 'debit', amount: 1250.5, type: 'adjustment', description: OPENING_BALANCE_DESCRIPTION },
+      { account: 'seller_available', userId: newSeller, direction: 'credit', amount: 1250.5, type: 'adjustment', description: OPENING_BALANCE_DESCRIPTION },
+    ]
+  );
+});
@@ -0,0 +1,57 @@
+// Listings feed pagination over sort fields that older listings lack. The listing model is stubbed.
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import './env.js';
+import mongoose from 'mongoose';
+import { listingModel } from '../models/Listing.js';
+import { getListings } from '../controllers/listingController.js';
+
+const originals = { find: listingModel.find, aggregate: listingModel.aggregate };
+after(() => { Object.assign(listingModel, originals); });
+
+// Returns `docs` for the page query and records its filter
+const stubListings = (docs) => {
+  const filters = [];
+  listingModel.find = (filter) => {
+    filters.push(filter);
+    const query = { sort: () => query, limit: () => query, select: () => query, populate: () => query, lean: async () => docs };
+    return query;
+  };
+  listingModel.aggregate = async () => [{ total: [{ count: docs.length }], categories: [], counties: [] }];
+  return filters;
+};
+
+const fetchPage = (query) => new Promise((done) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json: body => done({ status: res.statusCode, body }),
+  };
+  getListings({ query }, res);
+});
+
+test('listings without a rating are paged after the rated ones', async () => {
+  const rated = { _id: new mongoose.Types.ObjectId(), rating: 4.5 };
+  const unrated = { _id: new mongoose.Types.ObjectId() };
+  const unratedNext = { _id: new mongoose.Types.ObjectId() };
+
+  stubListings([rated, unrated]);
+  const first = await fetchPage({ sort: 'rating', limit: '1' });
+  const filters = stubListings([unrated, unratedNext]);
+  const second = await fetchPage({ sort: 'rating', limit: '1', cursor: first.body.pagination.nextCursor });
+  assert.deepEqual(filters[0].$or, [
+    { rating: { $lt: 4.5 } },
+    { rating: 4.5, _id: { $lt: rated._id } },
+    { rating: null },
+  ]);
+
+  // A cursor on a listing without a rating is still valid and continues through the unrated ones
+  assert.equal(second.status, 200);
+  const last = stubListings([unratedNext]);
+  const third = await fetchPage({ sort: 'rating', limit: '1', cursor: second.body.pagination.nextCursor });
+  assert.equal(third.status, 200);
+  assert.deepEqual(last[0].$or, [{ rating: null, _id: { $lt: unrated._id } }]);
+});
@@ -0,0 +1,69 @@
+// Offers on variant listings: a price agreed for one SKU cannot be used on another. Models are stubbed.
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import './env.js';
+import mongoose from 'mongoose';
+import { listingModel } from '../models/Listing.js';
+import { offerModel } from '../models/Offer.js';
+import { orderModel } from '../models/Order.js';
+import { TransactionModel } from '../models/Transaction.js';
+import { resolveCheckoutOffer } from '../controllers/offerController.js';
+
+const originals = [];
+const stub = (target, key, value) => {
+  originals.push([target, key, target[key]]);
+  target[key] = value;
+};
+after(() => {
+  originals.reverse().forEach(([target, key, value]) => { target[key] = value; });
+});
+
+const buyerId = new mongoose.Types.ObjectId();
+const offer = new offerModel({
+  listingId: new mongoose.Types.ObjectId(),
+  productId: 'phone',
+  sku: 'PHONE-64GB',
+  buyerId,
+  sellerId: new mongoose.Types.ObjectId(),
+  listPrice: 1000,
+  amount: 900,
+  status: 'accepted',
+  acceptedPrice: 900,
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+});
+const listing = {
+  productInfo: { productId: 'phone', price: 1000 },
+  variants: [{ sku: 'PHONE-64GB', price: 1000 }, { sku: 'PHONE-256GB', price: 2000 }],
+};
+
+// Awaitable like a query, with .session() for the transactional callers
+const found = (doc) => {
+  const query = Promise.resolve(doc);
+  query.session = () => query;
+  return query;
+};
+stub(offerModel, 'findById', () => found(offer));
+stub(listingModel, 'findOne', () => found(listing));
+stub(TransactionModel, 'findOne', () => found(null));
+// Runs the save middleware without a database
+stub(orderModel.prototype, '$__handleSave', function (options, callback) { callback(null, this); });
+
+test('checkout needs the SKU the offer was made for', async () => {
+  const sameSku = await resolveCheckoutOffer(offer._id.toString(), buyerId, 'phone', 'PHONE-64GB', 1, null);
+  assert.equal(sameSku.error, false);
+  const otherSku = await resolveCheckoutOffer(offer._id.toString(), buyerId, 'phone', 'PHONE-256GB', 1, null);
+  assert.equal(otherSku.error, true);
+  assert.match(otherSku.message, /different size\/color/);
+});
+
+test('an order cannot carry an offer price on a pricier SKU', async () => {
+  const order = (sku) => new orderModel({
+    orderId: 'ORDER-1',
+    customerId: buyerId,
+    totalAmount: 900,
+    items: [{ sellerId: offer.sellerId, productId: 'phone', name: 'Phone', quantity: 1, color: 'Black', price: 900, sku, offerId: offer._id }],
+  });
+
+  await order('PHONE-64GB').save();
+  await assert.rejects(order('PHONE-256GB').save(), /Invalid offer price for product phone/);
+});
@@ -0,0 +1,35 @@
+// Order line lookup: an order can hold several SKUs of one listing, which share their productId.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './env.js';
+import mongoose from 'mongoose';
+import { orderModel } from '../models/Order.js';
+import { findOrderItem } from '../utils/orderStatus.js';
+import { ConflictError } from '../utils/errors.js';
+
+const sellerId = new mongoose.Types.ObjectId();
+const line = (productId, sku, price) => ({ sellerId, productId, name: productId, quantity: 1, color: 'Black', price, sku });
+const order = new orderModel({
+  orderId: 'ORDER-1',
+  customerId: new mongoose.Types.ObjectId(),
+  totalAmount: 3500,
+  items: [line('phone', 'PHONE-64GB', 1000), line('phone', 'PHONE-256GB', 2000), line('case', null, 500)],
+});
+const [smallPhone, largePhone, phoneCase] = order.items;
+
+test('the second SKU line of a listing is found by its _id', () => {
+  assert.equal(findOrderItem(order.items, largePhone._id.toString()), largePhone);
+  assert.equal(findOrderItem(order.items, largePhone._id), largePhone);
+});
+
+test('a productId shared by several lines needs the sku', () => {
+  assert.throws(() => findOrderItem(order.items, 'phone'), ConflictError);
+  assert.equal(findOrderItem(order.items, 'phone', 'PHONE-64GB'), smallPhone);
+  assert.equal(findOrderItem(order.items, 'phone', 'PHONE-256GB'), largePhone);
+  assert.equal(findOrderItem(order.items, 'phone', 'PHONE-1TB'), undefined);
+});
+
+test('a productId of a single line needs no sku', () => {
+  assert.equal(findOrderItem(order.items, 'case'), phoneCase);
+  assert.equal(findOrderItem(order.items, 'missing'), undefined);
+});
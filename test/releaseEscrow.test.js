@@ -0,0 +1,73 @@
+// Escrow release: an open order report must hold the payout. Models are stubbed; no database is needed.
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import './env.js';
+
+let mongoose;
+let orderModel;
+let ReportModel;
+let releaseEscrow;
+const originals = [];
+
+const stub = (target, key, value) => {
+  originals.push([target, key, target[key]]);
+  target[key] = value;
+};
+
+const fakeSession = () => ({
+  startTransaction() {},
+  async commitTransaction() {},
+  async abortTransaction() {},
+  endSession() {},
+});
+
+before(async () => {
+  mongoose = (await import('mongoose')).default;
+  ({ orderModel } = await import('../models/Order.js'));
+  ({ ReportModel } = await import('../models/Report.js'));
+  ({ releaseEscrow } = await import('../utils/releaseEscrow.js'));
+});
+
+// The imported modules schedule cron jobs at load time; `npm test` runs with --test-force-exit for them
+after(() => {
+  originals.reverse().forEach(([target, key, value]) => { target[key] = value; });
+});
+
+test('an open report on the order holds the auto-confirm', async () => {
+  const overdue = new Date(Date.now() - 60 * 60 * 1000);
+  const order = new orderModel({
+    orderId: 'ORDER-1',
+    customerId: new mongoose.Types.ObjectId(),
+    totalAmount: 1000,
+    items: [{
+      sellerId: new mongoose.Types.ObjectId(),
+      productId: 'product-1',
+      name: 'Phone',
+      quantity: 1,
+      color: 'Black',
+      price: 1000,
+      status: 'out_for_delivery',
+      autoConfirmAt: overdue,
+    }],
+  });
+  const [item] = order.items;
+
+  const reportQueries = [];
+  const orderUpdates = [];
+  stub(mongoose, 'startSession', async () => fakeSession());
+  stub(orderModel, 'find', () => ({ select: async () => [order] }));
+  stub(orderModel, 'findById', () => ({ session: () => ({ populate: async () => order }) }));
+  stub(orderModel, 'updateOne', async (filter, update) => { orderUpdates.push(update); });
+  stub(ReportModel, 'exists', async (query) => {
+    reportQueries.push(query);
+    return query.orderId === 'ORDER-1' ? { _id: new mongoose.Types.ObjectId() } : null;
+  });
+
+  const results = await releaseEscrow();
+
+  assert.equal(reportQueries.length, 1);
+  assert.equal(reportQueries[0].orderId, 'ORDER-1');
+  assert.deepEqual(results, { confirmed: 0, held: 1, failed: 0, skipped: 0 });
+  assert.equal(item.status, 'out_for_delivery');
+  assert.deepEqual(orderUpdates, [{ $set: { 'items.$[elem].autoConfirmAt': null } }]);
+});
@@ -1,6 +1,7 @@
 // templates.js
 import sanitizeHtml from 'sanitize-html';
 import { createSlug } from './helper.js';
+import { LISTING_LIFETIME_DAYS } from '../models/Listing.js';
 
 const FRONTEND_URL = process.env.FRONTEND_URL || 'https://www.beifity.com';
 // Sanitize-html configuration
@@ -412,6 +413,211 @@ export const generateOrderStatusEmail = (recipientName, itemName, orderId, statu
   `;
 };
 
+// HTML Email Template Function for Buyer-Protection Release Reminder
+export const generateEscrowReminderEmail = (recipientName, itemName, orderId, releaseDate, recipientRole) => {
+  const sanitizedRecipientName = sanitizeHtml(recipientName, sanitizeConfig);
+  const sanitizedItemName = sanitizeHtml(itemName, sanitizeConfig);
+  const sanitizedOrderId = sanitizeHtml(orderId, sanitizeConfig);
+  const formattedReleaseDate = new Date(releaseDate).toLocaleString('en-KE', { dateStyle: 'medium', timeStyle: 'short', timeZone: 'Africa/Nairobi' });
+  const isBuyer = recipientRole === 'buyer';
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Delivery Confirmation Reminder</title>
+    </head>
+    <body style="margin: 0; padding: 0; background-color: #f8fafc; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; display: flex; justify-content: center; align-items: center; min-height: 100vh;">
+      <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="padding: 20px;">
+        <tr>
+          <td align="center">
+            <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="max-width: 600px; margin: 20px; background-color: #ffffff; padding: 40px; border-radius: 12px; box-shadow: 0 4px 20px rgba(0, 0, 0, 0.1); text-align: center;">
+              <tr>
+                <td>
+                  <img src="https://www.beifity.com/assets/logo-without-CMu8rsBL.png" alt="BeiFity.Com Logo" style="width: auto; height: 70px; margin-bottom: 30px; display: block; margin-left: auto; margin-right: auto;">
+                </td>
+              </tr>
+              <tr>
+                <td>
+                  <h2 style="font-size: 20px; font-weight: 700; color: #1e40af; margin-bottom: 20px;">Heads Up, ${sanitizedRecipientName}!</h2>
+                </td>
+              </tr>
+              <tr>
+                <td>
+                  <p style="font-size: 13px; color: #475569; line-height: 1.6; margin-bottom: 30px;">
+                    Hi ${sanitizedRecipientName},<br>
+                    ${isBuyer
+                      ? `The seller has marked "<strong>${sanitizedItemName}</strong>" (Order ID: ${sanitizedOrderId}) as out for delivery. If you do not accept or reject the delivery by <strong>${formattedReleaseDate}</strong>, it will be confirmed automatically and the payment released to the seller.`
+                      : `Payment for "<strong>${sanitizedItemName}</strong>" (Order ID: ${sanitizedOrderId}) will be released to you on <strong>${formattedReleaseDate}</strong> unless the buyer rejects the delivery or opens a dispute before then.`}
+                  </p>
+                </td>
+              </tr>
+              <tr>
+                <td>
+                  <a href="${FRONTEND_URL}/dashboard/orders" style="display: inline-block; background-color: #1e40af; color: #ffffff; font-size: 14px; font-weight: 600; padding: 12px 25px; text-decoration: none; border-radius: 6px; margin-bottom: 30px;">
+                    ${isBuyer ? 'Review Delivery' : 'View Order'}
+                  </a>
+                </td>
+              </tr>
+              <tr>
+                <td style="margin-top: 30px;">
+                  <p style="font-size: 14px; color: #64748b; margin: 0;">${isBuyer ? 'Happy shopping' : 'Keep selling'} on BeiFity!</p>
+                  <span style="color: #1e40af; font-weight: 700; font-size: 14px;">BeiF<span style="color: #fbbf24;">ity.Com</span></span>
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+      </table>
+    </body>
+    </html>
+  `;
+};
+
+// HTML Email Template Function for Listing Expiry (Seller): the reminder before a listing lapses and the notice once it has
+export const generateListingExpiryEmail = (sellerName, listingName, productId, expiresAt, hasExpired) => {
+  const sanitizedSellerName = sanitizeHtml(sellerName, sanitizeConfig);
+  const sanitizedListingName = sanitizeHtml(listingName, sanitizeConfig);
+  const encodedProductId = encodeURIComponent(productId);
+  const formattedExpiry = new Date(expiresAt).toLocaleString('en-KE', { dateStyle: 'medium', timeStyle: 'short', timeZone: 'Africa/Nairobi' });
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${hasExpired ? 'Listing Expired' : 'Listing Expiring Soon'}</title>
+    </head>
+    <body style="margin: 0; padding: 0; background-color: #f8fafc; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; display: flex; justify-content: center; align-items: center; min-height: 100vh;">
+      <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="padding: 20px;">
+        <tr>
+          <td align="center">
+            <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="max-width: 600px; margin: 20px; background-color: #ffffff; padding: 40px; border-radius: 12px; box-shadow: 0 4px 20px rgba(0, 0, 0, 0.1); text-align: center;">
+              <tr>
+                <td>
+                  <img src="https://www.beifity.com/assets/logo-without-CMu8rsBL.png" alt="BeiFity.Com Logo" style="width: auto; height: 70px; margin-bottom: 30px; display: block; margin-left: auto; margin-right: auto;">
+                </td>
+              </tr>
+              <tr>
+                <td>
+                  <h2 style="font-size: 20px; font-weight: 700; color: #1e40af; margin-bottom: 20px;">${hasExpired ? 'Your Listing Has Expired' : 'Your Listing Expires Soon'}</h2>
+                </td>
+              </tr>
+              <tr>
+                <td>
+                  <p style="font-size: 13px; color: #475569; line-height: 1.6; margin-bottom: 30px;">
+                    Hi ${sanitizedSellerName},<br>
+                    ${hasExpired
+                      ? `Your listing "<strong>${sanitizedListingName}</strong>" expired on <strong>${formattedExpiry}</strong> and is no longer visible to buyers. Renew it to put it back on the marketplace.`
+                      : `Your listing "<strong>${sanitizedListingName}</strong>" expires on <strong>${formattedExpiry}</strong>. Renew it now to keep it visible to buyers for another ${LISTING_LIFETIME_DAYS} days.`}
+                  </p>
+                </td>
+              </tr>
+              <tr>
+                <td>
+                  <a href="${FRONTEND_URL}/dashboard/listings/${encodedProductId}/renew" style="display: inline-block; background-color: #1e40af; color: #ffffff; font-size: 14px; font-weight: 600; padding: 12px 25px; text-decoration: none; border-radius: 6px; margin-bottom: 30px;">
+                    Renew Listing
+                  </a>
+                </td>
+              </tr>
+              <tr>
+                <td style="margin-top: 30px;">
+                  <p style="font-size: 14px; color: #64748b; margin: 0;">Keep selling on BeiFity!</p>
+                  <span style="color: #1e40af; font-weight: 700; font-size: 14px;">BeiF<span style="color: #fbbf24;">ity.Com</span></span>
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+      </table>
+    </body>
+    </html>
+  `;
+};
+
+// HTML Email Template Function for the Daily Payment Reconciliation Report (Admin)
+export const generateReconciliationReportEmail = (adminName, report) => {
+  const sanitizedAdminName = sanitizeHtml(adminName, sanitizeConfig);
+  const sanitizedDate = sanitizeHtml(report.date, sanitizeConfig);
+  const { summary, totals } = report;
+  const attentionEntries = report.entries.filter(entry => ['unresolved', 'amount_mismatch', 'error'].includes(entry.outcome));
+  const attentionRows = attentionEntries.slice(0, 20).map(entry => `
+                      <tr>
+                        <td style="padding: 6px; border-bottom: 1px solid #e2e8f0;">${sanitizeHtml(entry.orderId || '', sanitizeConfig)}</td>
+                        <td style="padding: 6px; border-bottom: 1px solid #e2e8f0;">${sanitizeHtml(entry.outcome.replace('_', ' '), sanitizeConfig)}</td>
+                        <td style="padding: 6px; border-bottom: 1px solid #e2e8f0;">KES ${entry.expectedAmount}${entry.providerAmount != null ? ` / KES ${entry.providerAmount}` : ''}</td>
+                      </tr>`).join('');
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Payment Reconciliation Report</title>
+    </head>
+    <body style="margin: 0; padding: 0; background-color: #f8fafc; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; display: flex; justify-content: center; align-items: center; min-height: 100vh;">
+      <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="padding: 20px;">
+        <tr>
+          <td align="center">
+            <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="max-width: 600px; margin: 20px; background-color: #ffffff; padding: 40px; border-radius: 12px; box-shadow: 0 4px 20px rgba(0, 0, 0, 0.1); text-align: center;">
+              <tr>
+                <td>
+                  <img src="https://www.beifity.com/assets/logo-without-CMu8rsBL.png" alt="BeiFity.Com Logo" style="width: auto; height: 70px; margin-bottom: 30px; display: block; margin-left: auto; margin-right: auto;">
+                </td>
+              </tr>
+              <tr>
+                <td>
+                  <h2 style="font-size: 20px; font-weight: 700; color: #1e40af; margin-bottom: 20px;">Payment Reconciliation - ${sanitizedDate}</h2>
+                </td>
+              </tr>
+              <tr>
+                <td>
+                  <p style="font-size: 13px; color: #475569; line-height: 1.6; margin-bottom: 20px; text-align: left;">
+                    Hi ${sanitizedAdminName},<br>
+                    Collected: <strong>${totals.collectedCount}</strong> payments totalling <strong>KES ${totals.collectedAmount.toFixed(2)}</strong><br>
+                    Still unsettled: <strong>${totals.outstandingCount}</strong> (KES ${totals.outstandingAmount.toFixed(2)})<br>
+                    Reconciliation checked ${summary.checked}, completed ${summary.completed}, failed ${summary.failed},
+                    unresolved ${summary.unresolved}, amount mismatches ${summary.amountMismatches}, errors ${summary.errors}.
+                  </p>
+                </td>
+              </tr>
+              ${attentionEntries.length ? `
+              <tr>
+                <td>
+                  <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="font-size: 12px; color: #475569; text-align: left; margin-bottom: 30px;">
+                    <tr>
+                      <th style="padding: 6px; border-bottom: 2px solid #e2e8f0;">Order</th>
+                      <th style="padding: 6px; border-bottom: 2px solid #e2e8f0;">Needs attention</th>
+                      <th style="padding: 6px; border-bottom: 2px solid #e2e8f0;">Expected / Reported</th>
+                    </tr>${attentionRows}
+                  </table>
+                </td>
+              </tr>` : ''}
+              <tr>
+                <td>
+                  <a href="${FRONTEND_URL}/admin/payments/reconciliation" style="display: inline-block; background-color: #1e40af; color: #ffffff; font-size: 14px; font-weight: 600; padding: 12px 25px; text-decoration: none; border-radius: 6px; margin-bottom: 30px;">
+                    View Full Report
+                  </a>
+                </td>
+              </tr>
+              <tr>
+                <td style="margin-top: 30px;">
+                  <span style="color: #1e40af; font-weight: 700; font-size: 14px;">BeiF<span style="color: #fbbf24;">ity.Com</span></span>
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+      </table>
+    </body>
+    </html>
+  `;
+};
+
 // HTML Email Template Function for Order Cancellation (updated for manual refund)
 export const generateOrderCancellationEmail = (recipientName, itemName, orderId, cancelledBy, refundMessage, chatUserId) => {
   const sanitizedRecipientName = sanitizeHtml(recipientName, sanitizeConfig);
@@ -373,4 +373,72 @@ export const generateAdminGoogleLoginEmail = (adminName, userName, userEmail, lo
     </body>
     </html>
   `;
-};
\ No newline at end of file
+};
+// HTML Email Template for Account Lockout (User)
+export const generateAccountLockoutEmail = (userName, reason, lockedUntil, ipAddress) => {
+  const sanitizedUserName = sanitizeHtml(userName, sanitizeConfig);
+  const sanitizedReason = sanitizeHtml(reason, sanitizeConfig);
+  const sanitizedLockedUntil = sanitizeHtml(lockedUntil, sanitizeConfig);
+  const sanitizedIp = sanitizeHtml(ipAddress, sanitizeConfig);
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Account Temporarily Locked - BeiFity.Com</title>
+    </head>
+    <body style="margin: 0; padding: 0; background-color: #f8fafc; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; display: flex; justify-content: center; align-items: center; min-height: 100vh;">
+      <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="padding: 20px;">
+        <tr>
+          <td align="center">
+            <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="max-width: 600px; margin: 20px; background-color: #ffffff; padding: 40px; border-radius: 12px; box-shadow: 0 4px 20px rgba(0, 0, 0, 0.1); text-align: center;">
+              <tr>
+                <td>
+                  <img src="https://www.beifity.com/assets/logo-without-CMu8rsBL.png" alt="BeiFity.Com Logo" style="width: auto; height: 70px; margin-bottom: 30px; display: block; margin-left: auto; margin-right: auto;">
+                </td>
+              </tr>
+              <tr>
+                <td>
+                  <h2 style="font-size: 20px; font-weight: 700; color: #dc2626; margin-bottom: 20px;">Your Account Was Temporarily Locked</h2>
+                </td>
+              </tr>
+              <tr>
+                <td>
+                  <p style="font-size: 13px; color: #475569; line-height: 1.6; margin-bottom: 30px;">
+                    Hi ${sanitizedUserName},<br><br>
+                    We temporarily locked sign-in to your <span style="color: #1e40af; font-weight: 600;">BeiF<span style="color: #fbbf24;">ity.Com</span></span> account after ${sanitizedReason}.<br><br>
+                    If this was you, wait until the lock expires and try again. If it wasn't, someone may be trying to access your account: reset your password and turn on two-factor authentication.
+                  </p>
+                </td>
+              </tr>
+              <tr>
+                <td>
+                  <div style="background-color: #fef2f2; padding: 20px; border-radius: 8px; text-align: left; margin-bottom: 30px;">
+                    <p style="font-size: 14px; color: #dc2626; font-weight: 600; margin: 0 0 10px;">Lockout Details</p>
+                    <p style="font-size: 13px; color: #475569; margin: 0 0 8px;"><strong>Locked Until:</strong> ${sanitizedLockedUntil}</p>
+                    <p style="font-size: 13px; color: #475569; margin: 0;"><strong>Attempts From IP:</strong> ${sanitizedIp}</p>
+                  </div>
+                </td>
+              </tr>
+              <tr>
+                <td>
+                  <a href="${FRONTEND_URL}/login" style="display: inline-block; background-color: #1e40af; color: #ffffff; font-size: 14px; font-weight: 600; padding: 12px 25px; text-decoration: none; border-radius: 6px; margin-bottom: 10px;">Go to Login</a>
+                  <br>
+                </td>
+              </tr>
+              <tr>
+                <td style="margin-top: 30px;">
+                  <p style="font-size: 14px; color: #64748b; margin: 0;">Stay safe,</p>
+                  <span style="color: #1e40af; font-weight: 700; font-size: 14px;">BeiF<span style="color: #fbbf24;">ity.Com</span></span>
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+      </table>
+    </body>
+    </html>
+  `;
+};
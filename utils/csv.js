@@ -0,0 +1,82 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV: comma-separated, double-quoted fields may hold commas, quotes ("") and line breaks.
+
+/**
+ * Parses CSV text into records keyed by the header row.
+ * @param {string} text
+ * @returns {{ columns: string[], records: Array<{line: number, values: Object}> }} line is where the record starts
+ * @throws {Error} When a quoted field is never closed
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const input = text.replace(/^\uFEFF/, ''); // Spreadsheet apps prepend a byte order mark
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`Unclosed quoted field starting on line ${rowLine}`);
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push({ line: rowLine, cells: row });
+  }
+
+  const nonEmpty = rows.filter(({ cells }) => cells.some(cell => cell.trim() !== ''));
+  if (!nonEmpty.length) {
+    return { columns: [], records: [] };
+  }
+  const columns = nonEmpty[0].cells.map(cell => cell.trim());
+  const records = nonEmpty.slice(1).map(({ line: recordLine, cells }) => ({
+    line: recordLine,
+    values: Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ''])),
+  }));
+  return { columns, records };
+};
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds CSV text with a header row.
+ * @param {string[]} columns
+ * @param {Object[]} rows - Objects keyed by column
+ * @returns {string}
+ */
+export const toCsv = (columns, rows) => [columns, ...rows.map(row => columns.map(column => row[column]))]
+  .map(cells => cells.map(escapeCell).join(','))
+  .join('\r\n');
@@ -0,0 +1,129 @@
+// utils/deliveryFees.js
+// Delivery-fee engine: quotes a fee per seller shipment from the listing location to the buyer's address.
+
+const LOCAL_PICKUP = 'Local Pickup';
+const DELIVERY = 'Delivery';
+
+// Zone rates in KES (overridable through the environment)
+const DELIVERY_RATES = {
+  same_constituency: parseFloat(process.env.DELIVERY_FEE_SAME_CONSTITUENCY || '100'),
+  same_county: parseFloat(process.env.DELIVERY_FEE_SAME_COUNTY || '200'),
+  metro: parseFloat(process.env.DELIVERY_FEE_METRO || '350'),
+  national: parseFloat(process.env.DELIVERY_FEE_NATIONAL || '500'),
+};
+// Surcharge for every unit in a shipment beyond the first
+const EXTRA_ITEM_FEE = parseFloat(process.env.DELIVERY_FEE_EXTRA_ITEM || '50');
+
+// Counties served by the same-day Nairobi metro couriers
+const METRO_COUNTIES = ['nairobi', 'kiambu', 'machakos', 'kajiado', 'muranga'];
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Determines the delivery zone between a listing location and a delivery address.
+ * @param {Object} origin - { county, constituency }
+ * @param {Object} destination - { county, constituency }
+ * @returns {string} One of the DELIVERY_RATES keys
+ */
+export const getDeliveryZone = (origin, destination) => {
+  const originCounty = normalize(origin?.county);
+  const destinationCounty = normalize(destination?.county);
+  if (originCounty && originCounty === destinationCounty) {
+    return normalize(origin?.constituency) && normalize(origin.constituency) === normalize(destination?.constituency)
+      ? 'same_constituency'
+      : 'same_county';
+  }
+  if (METRO_COUNTIES.includes(originCounty) && METRO_COUNTIES.includes(destinationCounty)) {
+    return 'metro';
+  }
+  return 'national';
+};
+
+/**
+ * Quotes delivery for one seller shipment.
+ * @param {Object} origin - Listing location { county, constituency }
+ * @param {Object} destination - Buyer delivery address { county, constituency }
+ * @param {number} units - Total units in the shipment
+ * @param {string} method - 'Delivery' or 'Local Pickup'
+ * @returns {{ method: string, zone: string|null, fee: number }}
+ */
+export const quoteShipment = (origin, destination, units, method = DELIVERY) => {
+  if (method === LOCAL_PICKUP) {
+    return { method, zone: null, fee: 0 };
+  }
+  const zone = getDeliveryZone(origin, destination);
+  const fee = DELIVERY_RATES[zone] + Math.max(0, units - 1) * EXTRA_ITEM_FEE;
+  return { method: DELIVERY, zone, fee };
+};
+
+/**
+ * Resolves the fulfilment method for a shipment from the buyer's choice and the listings' shippingOptions.
+ * Delivery is the default when every listing offers it; pickup requires every listing to allow it.
+ * @param {Array} listings - Listings in the shipment
+ * @param {string} [requested] - Buyer's choice
+ * @returns {{ error: boolean, message?: string, method?: string }}
+ */
+export const resolveFulfilmentMethod = (listings, requested) => {
+  const allow = (option) => listings.every((listing) => (listing.shippingOptions || []).includes(option));
+  if (requested && ![DELIVERY, LOCAL_PICKUP].includes(requested)) {
+    return { error: true, message: `Fulfilment method must be "${DELIVERY}" or "${LOCAL_PICKUP}"` };
+  }
+  if (requested === LOCAL_PICKUP) {
+    return allow(LOCAL_PICKUP)
+      ? { error: false, method: LOCAL_PICKUP }
+      : { error: true, message: 'Local pickup is not offered for every item from this seller' };
+  }
+  if (allow(DELIVERY)) {
+    return { error: false, method: DELIVERY };
+  }
+  if (!requested && allow(LOCAL_PICKUP)) {
+    return { error: false, method: LOCAL_PICKUP };
+  }
+  return { error: true, message: 'Delivery is not offered for every item from this seller' };
+};
+
+/**
+ * Groups priced order lines into shipments (one per seller and listing location) and quotes each.
+ * @param {Array} lines - [{ item, listing }] where item has sellerId and quantity
+ * @param {Object} deliveryAddress - Buyer address { county, constituency }
+ * @param {Object} [fulfilment] - Map of sellerId -> 'Delivery' | 'Local Pickup'
+ * @returns {{ error: boolean, message?: string, shipments?: Array, deliveryFee?: number }}
+ */
+export const quoteDelivery = (lines, deliveryAddress, fulfilment = {}) => {
+  const groups = new Map();
+  for (const line of lines) {
+    const origin = line.listing.location || {};
+    const key = `${line.item.sellerId}|${normalize(origin.county)}|${normalize(origin.constituency)}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        sellerId: line.item.sellerId.toString(),
+        origin: { county: origin.county || '', constituency: origin.constituency || '' },
+        lines: [],
+      });
+    }
+    groups.get(key).lines.push(line);
+  }
+
+  const shipments = [];
+  for (const group of groups.values()) {
+    const methodResult = resolveFulfilmentMethod(group.lines.map((l) => l.listing), fulfilment?.[group.sellerId]);
+    if (methodResult.error) {
+      return { error: true, message: methodResult.message, sellerId: group.sellerId };
+    }
+    const units = group.lines.reduce((sum, l) => sum + l.item.quantity, 0);
+    const quote = quoteShipment(group.origin, deliveryAddress, units, methodResult.method);
+    shipments.push({
+      sellerId: group.sellerId,
+      origin: group.origin,
+      productIds: group.lines.map((l) => l.item.productId),
+      units,
+      ...quote,
+    });
+  }
+
+  return {
+    error: false,
+    shipments,
+    deliveryFee: shipments.reduce((sum, shipment) => sum + shipment.fee, 0),
+  };
+};
@@ -0,0 +1,101 @@
+import { STATUS_CODES } from 'http';
+
+// Typed application errors. Throw them from controllers and services (or pass them to next()); the central
+// handler (middlewares/errorHandler.js) turns them into { success: false, code, message, requestId } responses.
+// Their message is shown to the client, so keep it user-facing. Anything else that is thrown becomes a
+// generic 500 whose details only go to the logs.
+
+// Default code per HTTP status, also used for responses controllers build themselves
+const STATUS_ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  402: 'PAYMENT_FAILED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  410: 'GONE',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'UNPROCESSABLE',
+  423: 'LOCKED',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'UPSTREAM_ERROR',
+  503: 'SERVICE_UNAVAILABLE',
+};
+
+export const errorCodeForStatus = (status) => STATUS_ERROR_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+export class AppError extends Error {
+  /**
+   * @param {string} message - Shown to the client
+   * @param {Object} [options]
+   * @param {number} [options.status=500]
+   * @param {string} [options.code] - Machine-readable code, defaults to the one for the status
+   * @param {*} [options.details] - Extra data for the client (e.g. field errors)
+   * @param {Error} [options.cause] - Underlying error, logged but never sent
+   */
+  constructor(message, { status = 500, code, details, cause } = {}) {
+    super(message || STATUS_CODES[status], { cause });
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code || errorCodeForStatus(status);
+    this.details = details;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message = 'Invalid request', options = {}) {
+    super(message, { ...options, status: 400 });
+  }
+}
+
+// errors: [{ location, field, message }], sent as is
+export class RequestValidationError extends AppError {
+  constructor(message = 'Invalid request', errors = [], options = {}) {
+    super(message, { code: 'VALIDATION_FAILED', ...options, status: 400 });
+    this.errors = errors;
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', options = {}) {
+    super(message, { ...options, status: 401 });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'You do not have permission to perform this action', options = {}) {
+    super(message, { ...options, status: 403 });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Not found', options = {}) {
+    super(message, { ...options, status: 404 });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = 'Conflict', options = {}) {
+    super(message, { ...options, status: 409 });
+  }
+}
+
+// The payment provider declined or could not start a payment, refund or payout
+export class PaymentFailedError extends AppError {
+  constructor(message = 'Payment failed', options = {}) {
+    super(message, { ...options, status: 402 });
+  }
+}
+
+export class RateLimitError extends AppError {
+  constructor(message = 'Too many requests. Please slow down and try again later.', options = {}) {
+    super(message, { ...options, status: 429 });
+  }
+}
+
+export class ServiceUnavailableError extends AppError {
+  constructor(message = 'Service temporarily unavailable', options = {}) {
+    super(message, { ...options, status: 503 });
+  }
+}
@@ -1,21 +1,128 @@
+// utils/expireListings.js
+// Listing lifetime: reminds sellers before a listing lapses, then takes expired listings off the
+// marketplace. Both notices link to the renewal flow (renewListing).
 import cron from 'node-cron';
-import { listingModel } from '../models/Listing';
-
-// Example function to expire listings
-async function expireListings() {
-    // Logic to find and expire listings
-    console.log('Expiring listings...');
-    // e.g., update database records, notify users, etc.
-    // const listings = await listingModel.updateMany(
-    //     { status: 'active', expiryDate: { $lt: new Date() } },
-    //     { $set: { status: 'expired' } }
-    // );
-    console.log(`Expired ${listings.nModified} listings.`);
-}
-
-// Schedule the function to run every day at midnight
-cron.schedule('0 0 * * *', () => {
-    expireListings();
-});
-
-module.exports = expireListings;
\ No newline at end of file
+import sanitizeHtml from 'sanitize-html';
+import { LISTING_RENEWAL_WINDOW_DAYS, listingModel } from '../models/Listing.js';
+import { userModel } from '../models/User.js';
+import { sendNotification } from '../controllers/notificationController.js';
+import { sendEmail } from './sendEmail.js';
+import { generateListingExpiryEmail } from './Templates.js';
+import logger from './logger.js';
+
+const EXPIRY_BATCH_SIZE = 200;
+
+const notifySeller = async (listing, hasExpired) => {
+  const seller = listing.seller.sellerId;
+  if (!seller?._id) {
+    return;
+  }
+  const name = sanitizeHtml(listing.productInfo.name);
+  const content = hasExpired
+    ? `Your listing "${name}" has expired and is no longer visible to buyers. Renew it to put it back on the marketplace.`
+    : `Your listing "${name}" expires on ${listing.expiresAt.toDateString()}. Renew it to keep it visible to buyers.`;
+  try {
+    await sendNotification(seller._id.toString(), hasExpired ? 'listing_expired' : 'listing_expiring', content, null);
+  } catch (notificationError) {
+    logger.warn(`Failed to create listing expiry notification: ${notificationError.message}`, { productId: listing.productInfo.productId, userId: seller._id });
+  }
+
+  if (seller.personalInfo?.email && seller.preferences?.emailNotifications) {
+    const emailSent = await sendEmail(
+      seller.personalInfo.email,
+      `${hasExpired ? 'Your Listing Has Expired' : 'Your Listing Expires Soon'} - BeiFity.Com`,
+      generateListingExpiryEmail(seller.personalInfo.fullname || 'Seller', listing.productInfo.name, listing.productInfo.productId, listing.expiresAt, hasExpired)
+    );
+    if (!emailSent) {
+      logger.warn(`Failed to send listing expiry email to seller ${seller._id}`, { productId: listing.productInfo.productId });
+    }
+  }
+};
+
+const findListings = (filter) => listingModel
+  .find(filter)
+  .select('productInfo.name productInfo.productId seller.sellerId expiresAt')
+  .populate('seller.sellerId', 'personalInfo.fullname personalInfo.email preferences')
+  .limit(EXPIRY_BATCH_SIZE);
+
+// Remind sellers of live listings that expire within the renewal window
+export const sendExpiryReminders = async () => {
+  try {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + LISTING_RENEWAL_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const listings = await findListings({
+      isActive: true,
+      isSold: false,
+      expiresAt: { $gt: now, $lte: horizon },
+      expiryReminderSentAt: null,
+    });
+
+    let reminded = 0;
+    for (const listing of listings) {
+      // Claim the reminder first so an overlapping run can't send it twice
+      const claimed = await listingModel.updateOne(
+        { _id: listing._id, expiryReminderSentAt: null },
+        { $set: { expiryReminderSentAt: now } }
+      );
+      if (!claimed.modifiedCount) {
+        continue;
+      }
+      await notifySeller(listing, false);
+      reminded++;
+    }
+    return reminded;
+  } catch (error) {
+    logger.error(`Error sending listing expiry reminders: ${error.message}`, { stack: error.stack });
+    return 0;
+  }
+};
+
+// Deactivate listings past their expiry date and keep the sellers' active listing counts in sync.
+// Sold listings are left alone: they already left the count when they sold.
+export const expireListings = async () => {
+  const results = { expired: 0, failed: 0 };
+  try {
+    const now = new Date();
+    const listings = await findListings({ isActive: true, isSold: false, expiresAt: { $lte: now } });
+
+    for (const listing of listings) {
+      try {
+        // Guarded on isActive so a renewal or another run in between is not undone or counted twice
+        const updated = await listingModel.updateOne(
+          { _id: listing._id, isActive: true, isSold: false, expiresAt: { $lte: now } },
+          { $set: { isActive: false, expiredAt: now } }
+        );
+        if (!updated.modifiedCount) {
+          continue;
+        }
+        // Never below zero: counts drifted before this job existed
+        await userModel.updateOne(
+          { _id: listing.seller.sellerId?._id || listing.seller.sellerId, 'stats.activeListingsCount': { $gt: 0 } },
+          { $inc: { 'stats.activeListingsCount': -1 } }
+        );
+        await notifySeller(listing, true);
+        results.expired++;
+      } catch (listingError) {
+        logger.error(`Failed to expire listing ${listing.productInfo.productId}: ${listingError.message}`, { stack: listingError.stack });
+        results.failed++;
+      }
+    }
+    return results;
+  } catch (error) {
+    logger.error(`Error in expire listings job: ${error.message}`, { stack: error.stack });
+    return results;
+  }
+};
+
+// Runs both steps and reports what was done
+export const runListingExpiry = async () => {
+  const reminded = await sendExpiryReminders();
+  const { expired, failed } = await expireListings();
+  if (reminded || expired || failed) {
+    logger.info(`Expire listings job: Reminded ${reminded}, expired ${expired}, failed ${failed}`);
+  }
+  return { reminded, expired, failed };
+};
+
+// Run every hour
+export const expireListingsJob = cron.schedule('0 * * * *', runListingExpiry);
@@ -0,0 +1,28 @@
+// utils/expireOffers.js
+import cron from 'node-cron';
+import { offerModel } from '../models/Offer.js';
+import logger from './logger.js';
+
+// Expire offers whose response or checkout window has lapsed
+export const expireOffers = async () => {
+  try {
+    const now = new Date();
+    const result = await offerModel.updateMany(
+      { status: { $in: ['pending', 'countered', 'accepted'] }, expiresAt: { $lte: now } },
+      {
+        $set: { status: 'expired', awaitingResponseFrom: null },
+        $push: { history: { by: 'system', action: 'expired', createdAt: now } },
+      }
+    );
+    if (result.modifiedCount > 0) {
+      logger.info(`Expire offers job: Expired ${result.modifiedCount} offers`);
+    }
+    return result.modifiedCount;
+  } catch (error) {
+    logger.error(`Error in expire offers job: ${error.message}`, { stack: error.stack });
+    return 0;
+  }
+};
+
+// Run every 15 minutes
+export const expireOffersJob = cron.schedule('*/15 * * * *', expireOffers);
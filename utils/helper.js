@@ -1,14 +1,17 @@
 import jwt from 'jsonwebtoken'
+import crypto from 'crypto';
 import { OAuth2Client } from 'google-auth-library';
 import env from '../config/env.js';
 import logger from '../utils/logger.js';
-// Generate JWT token
-export const generateToken = (id) => {
+// Generate a short-lived JWT access token bound to a login session (see utils/sessions.js)
+export const generateToken = (id, sessionId) => {
   const token = jwt.sign(
     {
       _id: id, // Match the payload structure expected by authUser
+      sid: sessionId.toString(), // Lets authUser reject tokens of revoked sessions
     },
     env.SECRET_KEY, // Use the same secret key as authUser
+    { expiresIn: env.ACCESS_TOKEN_TTL_MINUTES * 60 }
   );
   return token;
 };
@@ -29,11 +32,11 @@ export const getUserData = async (access_token) => {
   }
 };
 
-// Generate random 6-digit number array
+// Generate random 6-digit number array (cryptographically secure; used for reset codes)
 export const generateRandomNumbers = () => {
   const numbers = [];
   for (let i = 0; i < 6; i++) {
-    numbers.push(Math.floor(Math.random() * 9) + 1); // Generates a number between 1 and 9
+    numbers.push(crypto.randomInt(0, 10)); // Generates a number between 0 and 9
   }
   return numbers;
 };
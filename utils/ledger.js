@@ -0,0 +1,145 @@
+// utils/ledger.js
+// Double-entry ledger helpers. Seller and platform balances are always derived from ledger entries.
+import mongoose from 'mongoose';
+import { ledgerEntryModel } from '../models/LedgerEntry.js';
+import { userModel } from '../models/User.js';
+
+// escrow is the platform's M-Pesa collections (debit-normal); every other account is credit-normal
+const DEBIT_NORMAL_ACCOUNTS = ['escrow'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Posts a balanced journal.
+ * @param {Object} journal - { type, description, orderId, itemId, withdrawalId, createdBy, lines }
+ *   lines: [{ account, userId?, debit?, credit? }] — zero-amount lines are dropped
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<mongoose.Types.ObjectId|null>} journalId, or null when there was nothing to post
+ */
+export const postJournal = async ({ type, description = '', orderId = null, itemId = null, withdrawalId = null, createdBy = null, lines }, session = null) => {
+  const journalId = new mongoose.Types.ObjectId();
+  const entries = [];
+  for (const line of lines) {
+    for (const direction of ['debit', 'credit']) {
+      const amount = roundAmount(line[direction] || 0);
+      if (amount < 0) {
+        throw new Error(`Ledger ${direction} for ${line.account} cannot be negative`);
+      }
+      if (amount > 0) {
+        entries.push({
+          journalId,
+          account: line.account,
+          userId: line.userId || null,
+          direction,
+          amount,
+          type,
+          description: line.description || description,
+          orderId,
+          itemId: line.itemId || itemId,
+          withdrawalId,
+          createdBy,
+        });
+      }
+    }
+  }
+  if (!entries.length) {
+    return null;
+  }
+
+  const sum = (direction) => roundAmount(entries.filter(e => e.direction === direction).reduce((total, e) => total + e.amount, 0));
+  if (sum('debit') !== sum('credit')) {
+    throw new Error(`Unbalanced ${type} journal: debits ${sum('debit')} != credits ${sum('credit')}`);
+  }
+
+  await ledgerEntryModel.insertMany(entries, { session });
+  return journalId;
+};
+
+/**
+ * Derives account balances for a user (seller accounts) or the platform (userId null).
+ * @param {string|null} userId
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Object>} Map of account -> balance in its normal direction
+ */
+export const getAccountBalances = async (userId, session = null) => {
+  const match = { userId: userId ? new mongoose.Types.ObjectId(userId.toString()) : null };
+  const rows = await ledgerEntryModel.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$account',
+        debits: { $sum: { $cond: [{ $eq: ['$direction', 'debit'] }, '$amount', 0] } },
+        credits: { $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', 0] } },
+      },
+    },
+  ]).session(session);
+
+  return rows.reduce((balances, row) => {
+    balances[row._id] = roundAmount(DEBIT_NORMAL_ACCOUNTS.includes(row._id) ? row.debits - row.credits : row.credits - row.debits);
+    return balances;
+  }, {});
+};
+
+/**
+ * Seller wallet summary derived from the ledger.
+ * @param {string} sellerId
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<{ available: number, pending: number, withdrawing: number }>}
+ */
+export const getSellerBalances = async (sellerId, session = null) => {
+  const balances = await getAccountBalances(sellerId, session);
+  return {
+    available: balances.seller_available || 0,
+    pending: balances.seller_pending || 0,
+    withdrawing: balances.seller_withdrawing || 0,
+  };
+};
+
+/**
+ * Reverses a seller's share and the platform's cut of a sale into refunds owed to the buyer.
+ * @param {Object} params - { orderId, items: [transaction items], platformShare, createdBy }
+ * @param {Object} [session] - Mongoose session
+ */
+export const postRefundJournal = async ({ orderId, items, platformShare = 0, createdBy = null }, session = null) => {
+  const lines = items.map(txItem => ({
+    // Funds still held for delivery come out of pending; already released funds come out of available
+    account: txItem.payoutStatus === 'manual_pending' ? 'seller_pending' : 'seller_available',
+    userId: txItem.sellerId,
+    itemId: txItem.itemId,
+    debit: txItem.sellerShare,
+  }));
+  lines.push({ account: 'platform_revenue', debit: platformShare });
+  const refundTotal = lines.reduce((sum, line) => sum + roundAmount(line.debit || 0), 0);
+  lines.push({ account: 'refunds_payable', credit: refundTotal });
+  return postJournal({ type: 'refund', description: `Refund for order ${orderId}`, orderId, createdBy, lines }, session);
+};
+
+export const OPENING_BALANCE_DESCRIPTION = 'Opening balance from pre-ledger wallet';
+
+/**
+ * Carries each seller's pre-ledger wallet (financials.balance) into the ledger as one `adjustment` journal
+ * into seller_available, backed by escrow. Sellers who already have their opening journal are skipped,
+ * so it is safe to run on every start.
+ * @returns {Promise<{ posted: number, skipped: number }>}
+ */
+export const migrateOpeningBalances = async () => {
+  const results = { posted: 0, skipped: 0 };
+  const users = await userModel.find({ 'financials.balance': { $gt: 0 } }).select('financials.balance').lean();
+  for (const user of users) {
+    const migrated = await ledgerEntryModel.exists({ userId: user._id, type: 'adjustment', description: OPENING_BALANCE_DESCRIPTION });
+    if (migrated) {
+      results.skipped++;
+      continue;
+    }
+    await postJournal({
+      type: 'adjustment',
+      description: OPENING_BALANCE_DESCRIPTION,
+      lines: [
+        { account: 'escrow', debit: user.financials.balance },
+        { account: 'seller_available', userId: user._id, credit: user.financials.balance },
+      ],
+    });
+    results.posted++;
+  }
+  return results;
+};
@@ -0,0 +1,275 @@
+// utils/listingImports.js
+// Bulk listing import and export. Exports hold a seller's listings in addListing's body shape (JSON) or one
+// row per listing (CSV); either can be edited and imported back. Rows with a productId update that listing,
+// the others create new ones. Every row runs through the same validation and controller as the single-listing
+// endpoints, in a background worker that records a result per row.
+import cron from 'node-cron';
+import { listingModel } from '../models/Listing.js';
+import { listingImportModel } from '../models/ListingImport.js';
+import { addListing, updateListing } from '../controllers/listingController.js';
+import { sendNotification } from '../controllers/notificationController.js';
+import { validate } from '../middlewares/validate.js';
+import { addListingSchema, updateListingSchema } from '../schemas/listingSchemas.js';
+import { AppError, RequestValidationError } from './errors.js';
+import logger from './logger.js';
+
+const PRODUCT_INFO_FIELDS = [
+  'name', 'description', 'details', 'price', 'cancelledPrice', 'images', 'category', 'subCategory',
+  'tags', 'sizes', 'colors', 'usageDuration', 'condition', 'brand', 'model', 'warranty',
+];
+const LOCATION_FIELDS = ['country', 'county', 'constituency', 'fullAddress'];
+
+// CSV columns, in export order. List cells hold their values separated by LIST_SEPARATOR;
+// the variants cell holds the variants as JSON.
+export const LISTING_CSV_COLUMNS = [
+  'productId',
+  ...PRODUCT_INFO_FIELDS,
+  'inventory',
+  'negotiable',
+  'shippingOptions',
+  ...LOCATION_FIELDS,
+  'variants',
+];
+const LIST_SEPARATOR = '|';
+const LIST_FIELDS = ['images', 'tags', 'sizes', 'colors', 'shippingOptions'];
+
+const LOCK_MS = 10 * 60 * 1000;
+
+const isBlank = (value) => value === null || value === undefined || value === '' || (Array.isArray(value) && !value.length);
+
+const pickFilled = (source = {}, fields) => Object.fromEntries(fields
+  .filter(field => !isBlank(source[field]))
+  .map(field => [field, source[field]]));
+
+/**
+ * A listing in the import/export shape: addListing's body plus the productId.
+ * @param {Object} listing - Plain listing object
+ * @returns {Object}
+ */
+export const toListingRecord = (listing) => ({
+  productId: listing.productInfo.productId,
+  productInfo: pickFilled(listing.productInfo, PRODUCT_INFO_FIELDS),
+  negotiable: Boolean(listing.negotiable),
+  location: pickFilled(listing.location, LOCATION_FIELDS),
+  inventory: listing.inventory,
+  shippingOptions: listing.shippingOptions,
+  ...(listing.variants?.length && {
+    variants: listing.variants.map(variant => pickFilled(variant, ['sku', 'size', 'color', 'inventory', 'price'])),
+  }),
+});
+
+// One CSV row of a listing record
+export const toCsvRow = (record) => {
+  const flat = { productId: record.productId, ...record.productInfo, ...record.location };
+  flat.inventory = record.inventory;
+  flat.negotiable = record.negotiable;
+  flat.shippingOptions = record.shippingOptions;
+  flat.variants = record.variants?.length ? JSON.stringify(record.variants) : '';
+  LIST_FIELDS.forEach((field) => {
+    if (Array.isArray(flat[field])) flat[field] = flat[field].join(LIST_SEPARATOR);
+  });
+  return flat;
+};
+
+/**
+ * Reads a CSV row back into a listing record. Blank cells are left out, so an update only changes the
+ * columns that are filled in. Cells that cannot be read are reported as field errors.
+ * @param {Object} values - Cells keyed by column
+ * @returns {{ record: Object, errors: Array<{field: string, message: string}> }}
+ */
+export const fromCsvRow = (values) => {
+  const errors = [];
+  const cells = Object.fromEntries(Object.entries(values)
+    .map(([column, value]) => [column, String(value ?? '').trim()])
+    .filter(([, value]) => value !== ''));
+
+  LIST_FIELDS.forEach((field) => {
+    if (cells[field] !== undefined) {
+      cells[field] = cells[field].split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+    }
+  });
+  if (cells.inventory !== undefined && /^\d+$/.test(cells.inventory)) {
+    cells.inventory = parseInt(cells.inventory, 10);
+  }
+  if (cells.negotiable !== undefined) {
+    const flag = cells.negotiable.toLowerCase();
+    if (['true', 'yes', '1'].includes(flag)) cells.negotiable = true;
+    else if (['false', 'no', '0'].includes(flag)) cells.negotiable = false;
+  }
+  if (cells.variants !== undefined) {
+    try {
+      cells.variants = JSON.parse(cells.variants);
+    } catch {
+      errors.push({ field: 'variants', message: 'must be a JSON array of variants' });
+      delete cells.variants;
+    }
+  }
+
+  const productInfo = pickFilled(cells, PRODUCT_INFO_FIELDS);
+  const location = pickFilled(cells, LOCATION_FIELDS);
+  const record = {
+    ...(cells.productId && { productId: cells.productId }),
+    ...(Object.keys(productInfo).length && { productInfo }),
+    ...(Object.keys(location).length && { location }),
+    ...pickFilled(cells, ['inventory', 'negotiable', 'shippingOptions', 'variants']),
+  };
+  return { record, errors };
+};
+
+// Runs route handlers in-process for one row, so an imported row gets exactly the checks and side effects of
+// the listing endpoints. Resolves with the response the handlers sent, or the error they passed on.
+const runHandlers = (handlers, req) => new Promise((resolve) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ status: this.statusCode, body });
+      return this;
+    },
+  };
+  const nextFrom = (index) => (error) => {
+    if (error) {
+      return resolve({ error });
+    }
+    if (index >= handlers.length) {
+      return resolve({ error: new Error('Listing handler sent no response') });
+    }
+    Promise.resolve(handlers[index](req, res, nextFrom(index + 1))).catch(handlerError => resolve({ error: handlerError }));
+  };
+  nextFrom(0)();
+});
+
+const createHandlers = [validate(addListingSchema), addListing];
+const updateHandlers = [validate(updateListingSchema), updateListing];
+
+const importRow = async (listingImport, { line, data }, index) => {
+  const row = line ?? index + 1;
+  const { record, errors } = listingImport.format === 'csv' ? fromCsvRow(data) : { record: data, errors: [] };
+  const { productId, ...listing } = record;
+  if (errors.length) {
+    return { row, productId: productId || null, status: 'failed', message: 'The row could not be read', fieldErrors: errors };
+  }
+
+  const req = { user: { _id: listingImport.sellerId }, params: {}, query: {}, body: listing };
+  if (productId) {
+    // An import only ever updates the importing seller's own listings
+    const existing = await listingModel.findOne({ 'productInfo.productId': productId }).select('seller.sellerId').lean();
+    if (!existing || existing.seller.sellerId.toString() !== listingImport.sellerId.toString()) {
+      return { row, productId, status: 'failed', message: 'You have no listing with this productId' };
+    }
+    req.params.productId = productId;
+  } else {
+    req.body = { ...listing, AgreedToTerms: listingImport.agreedToTerms };
+  }
+  const { status, body, error } = await runHandlers(productId ? updateHandlers : createHandlers, req);
+
+  if (error) {
+    if (!(error instanceof AppError)) {
+      logger.error(`Listing import ${listingImport._id} row ${row} failed: ${error.message}`, { stack: error.stack });
+    }
+    return {
+      row,
+      productId: productId || null,
+      status: 'failed',
+      message: error instanceof AppError ? error.message : 'Server error',
+      fieldErrors: error instanceof RequestValidationError ? error.errors.map(({ field, message }) => ({ field, message })) : [],
+    };
+  }
+  if (status >= 400) {
+    return { row, productId: productId || null, status: 'failed', message: body?.message || 'Failed' };
+  }
+  return {
+    row,
+    productId: productId || body.data?.listing?.productInfo?.productId || null,
+    status: productId ? 'updated' : 'created',
+    message: body.message || '',
+  };
+};
+
+/**
+ * Imports the rows of a claimed import that have no result yet, recording each result as it goes.
+ * A row whose result was not saved (e.g. the process stopped) is imported again when the import resumes.
+ * @param {Object} listingImport - ListingImport document
+ */
+export const runListingImport = async (listingImport) => {
+  if (!listingImport.startedAt) {
+    await listingImportModel.updateOne({ _id: listingImport._id }, { $set: { startedAt: new Date() } });
+  }
+  for (let index = listingImport.results.length; index < listingImport.rows.length; index++) {
+    const result = await importRow(listingImport, listingImport.rows[index], index);
+    await listingImportModel.updateOne(
+      { _id: listingImport._id },
+      {
+        $push: { results: result },
+        $inc: { [`summary.${result.status}`]: 1 },
+        $set: { lockedUntil: new Date(Date.now() + LOCK_MS) },
+      }
+    );
+  }
+
+  const finished = await listingImportModel.findByIdAndUpdate(
+    listingImport._id,
+    { $set: { status: 'completed', finishedAt: new Date(), lockedUntil: null } },
+    { new: true }
+  ).select('summary').lean();
+  const { created, updated, failed } = finished.summary;
+  logger.info(`Listing import ${listingImport._id} completed: Created ${created}, updated ${updated}, failed ${failed}`);
+
+  try {
+    await sendNotification(
+      listingImport.sellerId.toString(),
+      'listing_import',
+      `Your listing import has finished: ${created} created, ${updated} updated, ${failed} failed.${failed ? ' See the import report for what to fix.' : ''}`,
+      null
+    );
+  } catch (notificationError) {
+    logger.warn(`Failed to create listing import notification: ${notificationError.message}`, { importId: listingImport._id });
+  }
+};
+
+// Takes the oldest queued import, or a running one whose worker stopped
+const claimImport = () => {
+  const now = new Date();
+  return listingImportModel.findOneAndUpdate(
+    { status: { $in: ['queued', 'running'] }, lockedUntil: { $not: { $gt: now } } },
+    { $set: { status: 'running', lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+let processing = false;
+
+// Works through every waiting import. Runs when an import is uploaded and every minute, one run at a time.
+export const processListingImports = async () => {
+  if (processing) {
+    return 0;
+  }
+  processing = true;
+  let processed = 0;
+  try {
+    let listingImport;
+    while ((listingImport = await claimImport())) {
+      try {
+        await runListingImport(listingImport);
+      } catch (importError) {
+        logger.error(`Listing import ${listingImport._id} failed: ${importError.message}`, { stack: importError.stack });
+        await listingImportModel.updateOne(
+          { _id: listingImport._id },
+          { $set: { status: 'failed', error: 'The import stopped unexpectedly', finishedAt: new Date(), lockedUntil: null } }
+        );
+      }
+      processed++;
+    }
+  } catch (error) {
+    logger.error(`Error in listing imports job: ${error.message}`, { stack: error.stack });
+  } finally {
+    processing = false;
+  }
+  return processed;
+};
+
+// Run every minute
+export const listingImportsJob = cron.schedule('* * * * *', processListingImports);
@@ -0,0 +1,147 @@
+// utils/listingRevisions.js
+// Listing revision history: every change to what a buyer sees is stored as a numbered revision with who made
+// it, a field-level diff and a snapshot, and order items keep the revision that was current at purchase.
+import { listingModel } from '../models/Listing.js';
+import { listingRevisionModel } from '../models/ListingRevision.js';
+
+// Listing fields that make up a revision: what a buyer sees, plus stock
+const TRACKED_FIELDS = [
+  'productInfo.name',
+  'productInfo.description',
+  'productInfo.details',
+  'productInfo.price',
+  'productInfo.cancelledPrice',
+  'productInfo.images',
+  'productInfo.category',
+  'productInfo.subCategory',
+  'productInfo.tags',
+  'productInfo.sizes',
+  'productInfo.colors',
+  'productInfo.usageDuration',
+  'productInfo.condition',
+  'productInfo.brand',
+  'productInfo.model',
+  'productInfo.warranty',
+  'negotiable',
+  'location',
+  'inventory',
+  'variants',
+  'shippingOptions',
+  'seller.sellerNotes',
+];
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+// Subdocument IDs change whenever an array is rewritten, so they are left out of comparisons
+const normalize = (value) => {
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value === 'object' && value.constructor?.name === 'ObjectId') return value.toString();
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).filter(([key]) => key !== '_id').map(([key, item]) => [key, normalize(item)]));
+  }
+  return value ?? null;
+};
+
+/**
+ * Lists the tracked fields that differ between two versions of a listing.
+ * @param {Object} before - Plain listing object
+ * @param {Object} after - Plain listing object
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+export const diffListing = (before, after) => TRACKED_FIELDS.reduce((changes, field) => {
+  const from = normalize(getPath(before, field));
+  const to = normalize(getPath(after, field));
+  if (JSON.stringify(from) !== JSON.stringify(to)) {
+    changes.push({ field, from, to });
+  }
+  return changes;
+}, []);
+
+// The tracked fields of a listing, nested as in the listing, as stored in a revision
+export const snapshotListing = (listing) => TRACKED_FIELDS.reduce((snapshot, field) => {
+  const keys = field.split('.');
+  const parent = keys.slice(0, -1).reduce((node, key) => (node[key] = node[key] || {}), snapshot);
+  parent[keys[keys.length - 1]] = normalize(getPath(listing, field));
+  return snapshot;
+}, {});
+
+const saveRevision = async (listing, { editedBy = null, source, changes = [] }, session) => {
+  const { revision } = await listingModel
+    .findByIdAndUpdate(listing._id, { $inc: { revision: 1 } }, { new: true, session })
+    .select('revision')
+    .lean();
+  const [saved] = await listingRevisionModel.create([{
+    listingId: listing._id,
+    productId: listing.productInfo.productId,
+    sellerId: listing.seller?.sellerId?._id || listing.seller?.sellerId || null,
+    revision,
+    editedBy,
+    source,
+    changes,
+    snapshot: snapshotListing(listing),
+  }], { session });
+  return saved;
+};
+
+/**
+ * Records a listing change as a new revision. Nothing is recorded when no tracked field changed.
+ * Listings from before revisions were recorded first get a baseline revision of their previous state.
+ * @param {Object|null} before - Plain listing object before the change (null for a new listing)
+ * @param {Object} after - The listing after the change
+ * @param {Object} options
+ * @param {string} [options.editedBy] - User who made the change
+ * @param {string} options.source - One of REVISION_SOURCES
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Object|null>} The new revision
+ */
+export const recordListingRevision = async (before, after, { editedBy = null, source }, session = null) => {
+  const current = typeof after.toObject === 'function' ? after.toObject() : after;
+  const changes = before ? diffListing(before, current) : [];
+  if (before && !changes.length) {
+    return null;
+  }
+  if (before && !before.revision) {
+    await saveRevision(before, { source: 'baseline' }, session);
+  }
+  const saved = await saveRevision(current, { editedBy, source, changes }, session);
+  // Keep the caller's copy in step with the stored counter
+  after.revision = saved.revision;
+  return saved;
+};
+
+/**
+ * Applies a stock change made by an order (placed, cancelled or failed payment) and records it as an `order`
+ * revision, so it is not attributed to the seller's next edit.
+ * @param {Object} filter - Listing filter
+ * @param {Object} update - Stock update
+ * @param {Object} options - findOneAndUpdate options (session, arrayFilters)
+ * @param {Object} [revisionOptions]
+ * @param {string} [revisionOptions.editedBy] - User whose order it is, when one acted
+ * @returns {Promise<Object|null>} The updated listing document, or null when no listing matched
+ */
+export const updateListingStock = async (filter, update, options, { editedBy = null } = {}) => {
+  const session = options.session || null;
+  const previous = await listingModel.findOneAndUpdate(filter, update, { ...options, new: false });
+  if (!previous) {
+    return null;
+  }
+  const updated = await listingModel.findById(previous._id).session(session);
+  await recordListingRevision(previous.toObject(), updated, { editedBy, source: 'order' }, session);
+  return updated;
+};
+
+/**
+ * The listing's current revision number, recording a baseline first for listings that have none.
+ * @param {Object} listing - Listing document
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<number>}
+ */
+export const ensureListingRevision = async (listing, session = null) => {
+  if (listing.revision) {
+    return listing.revision;
+  }
+  const baseline = await saveRevision(listing.toObject(), { source: 'baseline' }, session);
+  listing.revision = baseline.revision;
+  return baseline.revision;
+};
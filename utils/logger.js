@@ -1,11 +1,20 @@
 // Logger.js
 import winston from 'winston';
+import { getRequestId } from './requestContext.js';
+
+// Tags lines written while handling a request with its correlation id (see middlewares/requestId.js)
+const requestIdFormat = winston.format((info) => {
+  const requestId = getRequestId();
+  if (requestId && !info.requestId) info.requestId = requestId;
+  return info;
+});
 
 // Define log format
 const logFormat = winston.format.combine(
+  requestIdFormat(),
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
-  winston.format.printf(({ timestamp, level, message }) => {
-    return `${timestamp} [${level.toUpperCase()}]: ${message}`;
+  winston.format.printf(({ timestamp, level, message, requestId }) => {
+    return `${timestamp} [${level.toUpperCase()}]${requestId ? ` [${requestId}]` : ''}: ${message}`;
   })
 );
 
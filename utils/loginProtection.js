@@ -0,0 +1,156 @@
+// utils/loginProtection.js
+// Brute-force protection: failed attempts are counted per account and per IP. Past a threshold each further
+// attempt has to wait progressively longer, and enough failures lock the account (or IP) for a while.
+import { loginThrottleModel } from '../models/LoginThrottle.js';
+import { sendEmail } from './sendEmail.js';
+import { generateAccountLockoutEmail } from './Templates/AuthTemplates.js';
+import logger from './logger.js';
+
+const POLICIES = {
+  login: {
+    account: { delayAfter: 3, lockAfter: 10, lockMinutes: 15 },
+    ip: { delayAfter: 10, lockAfter: 50, lockMinutes: 15 },
+  },
+  // 6-digit codes: far fewer guesses allowed
+  two_factor: {
+    account: { delayAfter: 2, lockAfter: 5, lockMinutes: 15 },
+    ip: { delayAfter: 10, lockAfter: 30, lockMinutes: 15 },
+  },
+  reset_code: {
+    account: { delayAfter: 2, lockAfter: 10, lockMinutes: 30 },
+    ip: { delayAfter: 10, lockAfter: 30, lockMinutes: 30 },
+  },
+  // Every reset email sent counts, to stop the endpoint being used to flood an inbox
+  reset_request: {
+    account: { delayAfter: 2, lockAfter: 5, lockMinutes: 60 },
+    ip: { delayAfter: 5, lockAfter: 20, lockMinutes: 60 },
+  },
+};
+const MAX_DELAY_SECONDS = 60;
+const MAX_LOCK_MINUTES = 24 * 60;
+const COUNTER_TTL_MS = 24 * 60 * 60 * 1000;
+
+const LOCKOUT_REASONS = {
+  login: 'too many incorrect password attempts',
+  two_factor: 'too many incorrect two-factor codes',
+  reset_code: 'too many incorrect password reset codes',
+};
+
+const keysFor = (scope, identifier, ip) => {
+  const keys = [];
+  if (identifier) {
+    keys.push({ type: 'account', key: `${scope}:account:${String(identifier).trim().toLowerCase()}` });
+  }
+  if (ip) {
+    keys.push({ type: 'ip', key: `${scope}:ip:${ip}` });
+  }
+  return keys;
+};
+
+/**
+ * Whether another attempt is allowed right now.
+ * @param {string} scope - 'login', 'two_factor', 'reset_code' or 'reset_request'
+ * @param {string} identifier - Account email or user ID
+ * @param {string} ip
+ * @returns {Promise<{status: number, retryAfter: number, message: string}|null>} null when allowed
+ */
+export const checkAttemptThrottle = async (scope, identifier, ip) => {
+  const keys = keysFor(scope, identifier, ip);
+  const counters = await loginThrottleModel.find({ key: { $in: keys.map(k => k.key) } }).lean();
+  const now = Date.now();
+
+  let blocked = null;
+  for (const counter of counters) {
+    const { type } = keys.find(k => k.key === counter.key);
+    const policy = POLICIES[scope][type];
+
+    let retryAfter = 0;
+    let locked = false;
+    if (counter.lockedUntil && counter.lockedUntil.getTime() > now) {
+      retryAfter = Math.ceil((counter.lockedUntil.getTime() - now) / 1000);
+      locked = true;
+    } else if (counter.failures >= policy.delayAfter && counter.lastFailureAt) {
+      const delaySeconds = Math.min(2 ** (counter.failures - policy.delayAfter), MAX_DELAY_SECONDS);
+      retryAfter = Math.ceil((counter.lastFailureAt.getTime() + delaySeconds * 1000 - now) / 1000);
+    }
+
+    if (retryAfter > 0 && (!blocked || retryAfter > blocked.retryAfter)) {
+      blocked = {
+        status: locked ? 423 : 429,
+        retryAfter,
+        message: locked
+          ? `Too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+          : `Too many failed attempts. Please wait ${retryAfter} second(s) and try again.`,
+      };
+    }
+  }
+
+  if (blocked) {
+    logger.warn(`Attempt throttled (${scope}) for ${identifier || 'unknown'} from ${ip}`, { retryAfter: blocked.retryAfter });
+  }
+  return blocked;
+};
+
+/**
+ * Counts a failed attempt and locks the account or IP once its threshold is reached.
+ * @returns {Promise<{lockedOut: boolean, lockedUntil: Date|null}>} Whether the account itself was just locked
+ */
+export const recordFailedAttempt = async (scope, identifier, ip) => {
+  const now = new Date();
+  let accountLock = null;
+
+  for (const { type, key } of keysFor(scope, identifier, ip)) {
+    const policy = POLICIES[scope][type];
+    const counter = await loginThrottleModel.findOneAndUpdate(
+      { key },
+      { $inc: { failures: 1 }, $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + COUNTER_TTL_MS) } },
+      { upsert: true, new: true }
+    );
+
+    if (counter.failures >= policy.lockAfter) {
+      const lockMinutes = Math.min(policy.lockMinutes * 2 ** counter.lockouts, MAX_LOCK_MINUTES);
+      const lockedUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+      await loginThrottleModel.updateOne({ _id: counter._id }, { $set: { failures: 0, lockedUntil }, $inc: { lockouts: 1 } });
+      logger.warn(`Lockout (${scope}) of ${type} ${type === 'ip' ? ip : identifier} for ${lockMinutes} minutes`);
+      if (type === 'account') {
+        accountLock = lockedUntil;
+      }
+    }
+  }
+
+  return { lockedOut: Boolean(accountLock), lockedUntil: accountLock };
+};
+
+// Successful attempt: the account's counter starts over (the IP counter is kept)
+export const clearFailedAttempts = async (scope, identifier) => {
+  const [account] = keysFor(scope, identifier, null);
+  if (account) {
+    await loginThrottleModel.deleteOne({ key: account.key });
+  }
+};
+
+/**
+ * Emails the account owner that it was locked.
+ * @param {Object} user - User document with personalInfo.fullname and personalInfo.email
+ * @param {string} scope
+ * @param {Date} lockedUntil
+ * @param {string} ip - Where the failed attempts came from
+ */
+export const sendLockoutEmail = async (user, scope, lockedUntil, ip) => {
+  if (!LOCKOUT_REASONS[scope] || !user?.personalInfo?.email) {
+    return;
+  }
+  const sent = await sendEmail(
+    user.personalInfo.email,
+    'Security Alert: Account Temporarily Locked - BeiFity.Com',
+    generateAccountLockoutEmail(
+      user.personalInfo.fullname || 'User',
+      LOCKOUT_REASONS[scope],
+      lockedUntil.toLocaleString('en-US', { timeZone: 'Africa/Nairobi' }),
+      ip || 'unknown'
+    )
+  );
+  if (!sent) {
+    logger.warn(`Failed to send lockout email to user ${user._id}`);
+  }
+};
@@ -0,0 +1,137 @@
+// utils/moderation.js
+// Listing moderation: queue SLA, required-change checklists and review metrics.
+// A listing is in the queue while verified === 'Pending'; listing.moderation holds who is reviewing it,
+// the last decision and the review history.
+import { listingModel } from '../models/Listing.js';
+
+// A listing should get a decision within this many hours of (re)entering the queue
+export const MODERATION_SLA_HOURS = parseInt(process.env.MODERATION_SLA_HOURS || '24', 10);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// When the listing (re)entered the queue; listings from before the queue existed use their creation date
+export const getSubmittedAt = (listing) => listing.moderation?.submittedAt || listing.createdAt;
+
+export const getSlaStatus = (listing, now = new Date()) => {
+  const submittedAt = new Date(getSubmittedAt(listing));
+  const dueAt = new Date(submittedAt.getTime() + MODERATION_SLA_HOURS * HOUR_MS);
+  return {
+    submittedAt,
+    dueAt,
+    overdue: dueAt < now,
+    waitingHours: Math.round(((now - submittedAt) / HOUR_MS) * 10) / 10,
+  };
+};
+
+/**
+ * Builds a required-change checklist from a listing's AI findings.
+ * @param {Array} aiFindings - listing.aiFindings (subdocuments with _id)
+ * @param {Array<string>} [findingIds] - Findings to include; by default every high-priority finding
+ */
+export const requiredChangesFromFindings = (aiFindings = [], findingIds) => aiFindings
+  .filter(finding => (findingIds ? findingIds.includes(finding._id.toString()) : finding.priority === 'high'))
+  .map(finding => ({ title: finding.title, action: finding.action, source: 'ai', findingId: finding._id }));
+
+// Moderation state of a new listing after the automatic (AI) check
+export const initialModeration = (listing, now = new Date()) => {
+  if (listing.verified === 'Pending') {
+    return { submittedAt: now, history: [{ action: 'submitted', by: null, at: now }] };
+  }
+  const approved = listing.verified === 'Verified';
+  return {
+    decidedAt: now,
+    requiredChanges: approved ? [] : requiredChangesFromFindings(listing.aiFindings),
+    history: [{ action: approved ? 'approved' : 'rejected', by: null, at: now, note: 'Automatic review', turnaroundMinutes: 0 }],
+  };
+};
+
+// Seller-facing summary of a rejection: reasons, guidance and what to change
+export const describeRejection = (moderation) => {
+  const lines = [];
+  if (moderation.rejectionReasons?.length) {
+    lines.push(`Reasons: ${moderation.rejectionReasons.join(', ')}`);
+  }
+  if (moderation.rejectionNote) {
+    lines.push(moderation.rejectionNote);
+  }
+  if (moderation.requiredChanges?.length) {
+    lines.push('Required changes:');
+    moderation.requiredChanges.forEach(change => lines.push(`- ${change.title}${change.action ? `: ${change.action}` : ''}`));
+  }
+  return lines.join('\n');
+};
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Moderation SLA metrics: the current queue plus the manual decisions taken since a date.
+ * @param {Date} since
+ */
+export const getModerationMetrics = async (since) => {
+  const now = new Date();
+  const overdueBefore = new Date(now.getTime() - MODERATION_SLA_HOURS * HOUR_MS);
+
+  const [queue, decisions, resubmissions] = await Promise.all([
+    listingModel.aggregate([
+      { $match: { verified: 'Pending' } },
+      { $project: { assignedTo: '$moderation.assignedTo', submittedAt: { $ifNull: ['$moderation.submittedAt', '$createdAt'] } } },
+      {
+        $group: {
+          _id: null,
+          pending: { $sum: 1 },
+          unassigned: { $sum: { $cond: [{ $ifNull: ['$assignedTo', false] }, 0, 1] } },
+          overdue: { $sum: { $cond: [{ $lt: ['$submittedAt', overdueBefore] }, 1, 0] } },
+          oldestSubmittedAt: { $min: '$submittedAt' },
+        },
+      },
+    ]),
+    listingModel.aggregate([
+      { $match: { 'moderation.history.at': { $gte: since } } },
+      { $unwind: '$moderation.history' },
+      { $replaceRoot: { newRoot: '$moderation.history' } },
+      { $match: { action: { $in: ['approved', 'rejected'] }, by: { $ne: null }, at: { $gte: since } } },
+      { $project: { action: 1, by: 1, reasons: 1, turnaroundMinutes: 1 } },
+    ]),
+    listingModel.aggregate([
+      { $match: { 'moderation.history.at': { $gte: since } } },
+      { $unwind: '$moderation.history' },
+      { $match: { 'moderation.history.action': 'resubmitted', 'moderation.history.at': { $gte: since } } },
+      { $count: 'count' },
+    ]),
+  ]);
+
+  const turnarounds = decisions.map(decision => decision.turnaroundMinutes).filter(minutes => typeof minutes === 'number');
+  const slaMinutes = MODERATION_SLA_HOURS * 60;
+  const countBy = (items, key) => items.reduce((counts, item) => {
+    [].concat(key(item) || []).forEach(value => { counts[value] = (counts[value] || 0) + 1; });
+    return counts;
+  }, {});
+
+  return {
+    slaHours: MODERATION_SLA_HOURS,
+    since,
+    queue: {
+      pending: queue[0]?.pending || 0,
+      unassigned: queue[0]?.unassigned || 0,
+      overdue: queue[0]?.overdue || 0,
+      oldestSubmittedAt: queue[0]?.oldestSubmittedAt || null,
+    },
+    decisions: {
+      total: decisions.length,
+      approved: decisions.filter(decision => decision.action === 'approved').length,
+      rejected: decisions.filter(decision => decision.action === 'rejected').length,
+      withinSla: turnarounds.filter(minutes => minutes <= slaMinutes).length,
+      withinSlaRate: turnarounds.length ? Math.round((turnarounds.filter(minutes => minutes <= slaMinutes).length / turnarounds.length) * 1000) / 10 : null,
+      medianTurnaroundMinutes: median(turnarounds),
+      averageTurnaroundMinutes: turnarounds.length ? Math.round(turnarounds.reduce((sum, minutes) => sum + minutes, 0) / turnarounds.length) : null,
+      byReviewer: countBy(decisions, decision => decision.by.toString()),
+      rejectionReasons: countBy(decisions.filter(decision => decision.action === 'rejected'), decision => decision.reasons),
+    },
+    resubmissions: resubmissions[0]?.count || 0,
+  };
+};
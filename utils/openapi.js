@@ -0,0 +1,252 @@
+import { authUser, optionalAuth, requireTwoFactor } from '../middlewares/authMiddleware.js';
+
+// Builds the OpenAPI 3.1 document from the mounted routers. Everything is read from the route stacks:
+//   validate(schema)      -> parameters, request body, summary and the data of the 200 response (schema.response)
+//   authUser/optionalAuth -> security requirement
+//   authorize(...)        -> required permissions
+//   requireTwoFactor      -> x-2fa-code header
+//   rateLimit(...)        -> 429 response
+// so a route documents itself as soon as it is added to a router.
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Keywords the validator understands but JSON Schema does not
+const VALIDATOR_ONLY_KEYWORDS = ['patternMessage', 'nullable'];
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } },
+});
+
+const COMPONENTS = {
+  securitySchemes: {
+    tokenAuth: {
+      type: 'apiKey',
+      in: 'header',
+      name: 'token',
+      description: 'Access token from login or refresh. Expired tokens get 401 with code TOKEN_EXPIRED; refresh and retry.',
+    },
+  },
+  schemas: {
+    SuccessResponse: {
+      type: 'object',
+      required: ['success'],
+      properties: {
+        success: { type: 'boolean', const: true },
+        message: { type: 'string' },
+        data: {},
+      },
+    },
+    ErrorResponse: {
+      type: 'object',
+      required: ['success', 'code', 'message', 'requestId'],
+      properties: {
+        success: { type: 'boolean', const: false },
+        code: { type: 'string', description: 'Stable machine-readable reason, e.g. NOT_FOUND, PAYMENT_FAILED' },
+        message: { type: 'string' },
+        details: { description: 'Extra data about the error, when there is any' },
+        requestId: { type: 'string', description: 'Correlation id, also in the X-Request-Id header and the server logs' },
+      },
+    },
+    ValidationErrorResponse: {
+      type: 'object',
+      required: ['success', 'code', 'message', 'errors', 'requestId'],
+      properties: {
+        success: { type: 'boolean', const: false },
+        code: { type: 'string', const: 'VALIDATION_FAILED' },
+        message: { type: 'string' },
+        requestId: { type: 'string' },
+        errors: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              location: { type: 'string', enum: ['params', 'query', 'body'] },
+              field: { type: 'string' },
+              message: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+// Validator schema -> JSON Schema (OpenAPI 3.1)
+export const toJsonSchema = (schema) => {
+  if (Array.isArray(schema)) return schema.map(toJsonSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (VALIDATOR_ONLY_KEYWORDS.includes(key)) continue;
+    if (key === 'properties') {
+      result.properties = Object.fromEntries(Object.entries(value).map(([name, property]) => [name, toJsonSchema(property)]));
+    } else if (key === 'items' || key === 'additionalProperties') {
+      result[key] = toJsonSchema(value);
+    } else {
+      result[key] = value;
+    }
+  }
+  if (schema.nullable && schema.type) {
+    result.type = [...new Set([].concat(schema.type, 'null'))];
+  }
+  return result;
+};
+
+// '/conversations/:userId' -> '/conversations/{userId}'
+const toOpenApiPath = (path) => path.replace(/:(\w+)\??/g, '{$1}').replace(/\/$/, '') || '/';
+
+const pathParamNames = (path) => [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+// 'getBuyerOrders' -> 'Get buyer orders'
+const humanize = (name) => {
+  const words = name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const objectParameters = (schema, location) =>
+  Object.entries(schema?.properties || {}).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === 'path' || (schema.required || []).includes(name),
+    ...(property.description && { description: property.description }),
+    schema: toJsonSchema(property),
+  }));
+
+const describeOperation = (method, routePath, handles) => {
+  const controller = handles[handles.length - 1];
+  const schema = handles.find(handle => handle.schema)?.schema || {};
+  const permissions = handles.flatMap(handle => handle.permissions || []);
+  const rateLimits = handles.map(handle => handle.rateLimit).filter(Boolean);
+  const requiresAuth = handles.includes(authUser);
+  const stepUp = handles.includes(requireTwoFactor);
+
+  const parameters = objectParameters(schema.params, 'path');
+  for (const name of pathParamNames(routePath)) {
+    if (!parameters.some(parameter => parameter.name === name)) {
+      parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+    }
+  }
+  parameters.push(...objectParameters(schema.query, 'query'));
+  if (stepUp) {
+    parameters.push({
+      name: 'x-2fa-code',
+      in: 'header',
+      required: false,
+      description: 'Current authenticator or backup code when the account has 2FA enabled (or send twoFactorCode in the body)',
+      schema: { type: 'string' },
+    });
+  }
+
+  const notes = [];
+  if (permissions.length) notes.push(`Requires permission: ${permissions.join(', ')}.`);
+  if (stepUp) notes.push('Requires a two-factor code.');
+  for (const { max, windowMs } of rateLimits) {
+    notes.push(`Rate limited to ${max} requests per ${windowMs >= 3600000 ? `${windowMs / 3600000} hour(s)` : `${windowMs / 60000} minute(s)`}.`);
+  }
+
+  const responses = {
+    200: {
+      description: 'Success',
+      content: {
+        'application/json': {
+          schema: schema.response
+            ? { allOf: [{ $ref: '#/components/schemas/SuccessResponse' }, { type: 'object', properties: { data: toJsonSchema(schema.response) } }] }
+            : { $ref: '#/components/schemas/SuccessResponse' },
+        },
+      },
+    },
+  };
+  if (schema.params || schema.query || schema.body) {
+    responses[400] = {
+      description: 'Invalid request',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationErrorResponse' } } },
+    };
+  }
+  if (requiresAuth) responses[401] = errorResponse('Missing, invalid or expired access token');
+  if (permissions.length || stepUp) responses[403] = errorResponse('Not allowed (missing permission or two-factor code)');
+  if (parameters.some(parameter => parameter.in === 'path')) responses[404] = errorResponse('Not found');
+  if (rateLimits.length) responses[429] = errorResponse('Too many requests (see the Retry-After header)');
+  responses[500] = errorResponse('Server error');
+
+  const operation = {
+    operationId: controller.name || undefined,
+    summary: schema.summary || (controller.name ? humanize(controller.name) : `${method.toUpperCase()} ${routePath}`),
+    ...(notes.length && { description: notes.join(' ') }),
+    ...(permissions.length && { 'x-permissions': permissions }),
+    parameters,
+    responses,
+  };
+  if (schema.body) {
+    operation.requestBody = {
+      required: Boolean(schema.body.required?.length),
+      content: { 'application/json': { schema: toJsonSchema(schema.body) } },
+    };
+  }
+  if (requiresAuth) {
+    operation.security = [{ tokenAuth: [] }];
+  } else if (handles.includes(optionalAuth)) {
+    operation.security = [{}, { tokenAuth: [] }];
+  } else {
+    operation.security = [];
+  }
+  return operation;
+};
+
+const tagName = (tag, version) => (version ? `${tag} (${version})` : tag);
+
+/**
+ * Builds the OpenAPI document for the mounted routers.
+ * @param {Array<{path: string, router: Function, tag: string, version?: string}>} apiRoutes - Mount path, express router,
+ *   docs group and API version (operations of versioned routes get their own tags and operation IDs)
+ * @param {Object} [info] - Overrides for the info block
+ * @returns {Object} OpenAPI 3.1 document
+ */
+export const buildOpenApiSpec = (apiRoutes, info = {}) => {
+  const paths = {};
+  const operationIds = new Set();
+
+  for (const { path: mountPath, router, tag: group, version } of apiRoutes) {
+    const tag = tagName(group, version);
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+      for (const routePath of [].concat(layer.route.path)) {
+        const fullPath = toOpenApiPath(`${mountPath}${routePath}`);
+        const handles = layer.route.stack.map(routeLayer => routeLayer.handle);
+        for (const method of HTTP_METHODS.filter(name => layer.route.methods[name])) {
+          const operation = describeOperation(method, routePath, handles);
+          if (version && operation.operationId) {
+            operation.operationId = `${version}${operation.operationId.charAt(0).toUpperCase()}${operation.operationId.slice(1)}`;
+          }
+          // The same controller can serve several routes
+          let operationId = operation.operationId;
+          for (let suffix = 2; operationId && operationIds.has(operationId); suffix++) {
+            operationId = `${operation.operationId}${suffix}`;
+          }
+          if (operationId) operationIds.add(operationId);
+          paths[fullPath] = { ...paths[fullPath], [method]: { tags: [tag], ...operation, operationId } };
+        }
+      }
+    }
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'BeiFity API',
+      version: '1.0.0',
+      description: [
+        'Responses are JSON envelopes: { success, message, data }. Every /api route is also rate limited per IP.',
+        'Errors are { success: false, code, message, errors?, details?, requestId } with a stable machine-readable code;',
+        'send X-Request-Id to set the correlation id, which is echoed in that header and written to the server logs.',
+        'The /api/v2 routes take the acting user from the token only. Their extra response fields (pagination, facets...) are',
+        'moved under meta.',
+      ].join(' '),
+      ...info,
+    },
+    tags: [...new Set(apiRoutes.map(({ tag, version }) => tagName(tag, version)))].map(name => ({ name })),
+    paths,
+    components: COMPONENTS,
+  };
+};
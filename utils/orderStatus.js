@@ -0,0 +1,107 @@
+// utils/orderStatus.js
+// Order item state machine and the append-only status history kept on each item.
+import sanitizeHtml from 'sanitize-html';
+import { ConflictError } from './errors.js';
+
+// Allowed item transitions; anything not listed (e.g. pending -> delivered) is rejected
+export const ITEM_STATUS_FLOW = {
+  pending: ['processing', 'shipped', 'cancelled'],
+  processing: ['shipped', 'out_for_delivery'],
+  shipped: ['out_for_delivery', 'delivered'],
+  out_for_delivery: ['delivered', 'rejected'],
+  delivered: ['rejected'],
+  rejected: [],
+  cancelled: [],
+};
+
+// Days a buyer has to accept or reject an item out for delivery before it is auto-confirmed
+export const ESCROW_RELEASE_DAYS = parseInt(process.env.ESCROW_RELEASE_DAYS || '7', 10);
+
+export const canTransitionItem = (from, to) => (ITEM_STATUS_FLOW[from] || []).includes(to);
+
+/**
+ * Builds a status history entry.
+ * @param {string} status - New item status
+ * @param {Object} details - { from, actor, actorRole, note, courier, trackingNumber }
+ * @returns {Object} History entry for items.statusHistory
+ */
+export const buildStatusEntry = (status, { from = null, actor = null, actorRole = 'system', note = '', courier = '', trackingNumber = '' } = {}) => ({
+  status,
+  from,
+  actor,
+  actorRole,
+  note: sanitizeHtml(note || ''),
+  courier: sanitizeHtml(courier || ''),
+  trackingNumber: sanitizeHtml(trackingNumber || ''),
+  createdAt: new Date(),
+});
+
+/**
+ * Moves an order item to a new status and appends the change to its history.
+ * Admin overrides go through the same transition rules. Entering out_for_delivery starts the buyer-protection timer.
+ * @param {Object} item - Order item subdocument
+ * @param {string} status - Target status
+ * @param {Object} details - { actor, actorRole, note, courier, trackingNumber }
+ * @returns {{ error: boolean, message?: string, from?: string }}
+ */
+export const transitionOrderItem = (item, status, details = {}) => {
+  const from = item.status;
+  if (!canTransitionItem(from, status)) {
+    return { error: true, message: `Cannot transition from ${from} to ${status}` };
+  }
+  item.status = status;
+  item.statusHistory.push(buildStatusEntry(status, { ...details, from }));
+  item.autoConfirmAt = status === 'out_for_delivery'
+    ? new Date(Date.now() + ESCROW_RELEASE_DAYS * 24 * 60 * 60 * 1000)
+    : null;
+  item.autoConfirmReminderSentAt = null;
+  return { error: false, from };
+};
+
+/**
+ * Finds the order line a request addresses. Variant lines of one listing share their productId, so a line is
+ * addressed by its _id, or by productId plus sku; a bare productId is accepted while only one line has it.
+ * @param {Array} items - order.items
+ * @param {string} itemId - The line's _id or productId
+ * @param {string} [sku] - Variant SKU, narrowing a productId
+ * @returns {Object|undefined} The order item
+ * @throws {ConflictError} When the productId matches several lines
+ */
+export const findOrderItem = (items, itemId, sku) => {
+  const id = String(itemId);
+  const byId = items.find(item => item._id?.toString() === id);
+  if (byId) {
+    return byId;
+  }
+  const productLines = items.filter(item => item.productId === id && (sku === undefined || (item.sku || null) === (sku || null)));
+  if (productLines.length > 1) {
+    throw new ConflictError('The order has several lines of this product; address the item by its _id or sku');
+  }
+  return productLines[0];
+};
+
+/**
+ * Shapes an item's history for API responses (oldest first) with the latest courier details.
+ * @param {Array} history - items.statusHistory (lean or hydrated)
+ * @returns {{ statusHistory: Array, tracking: { courier: string, trackingNumber: string } | null }}
+ */
+export const formatItemTracking = (history = []) => {
+  const statusHistory = [...history]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .map(entry => ({
+      status: entry.status,
+      from: entry.from || null,
+      actor: entry.actor?._id || entry.actor || null,
+      actorName: entry.actor?.personalInfo?.fullname || null,
+      actorRole: entry.actorRole,
+      note: entry.note || '',
+      courier: entry.courier || '',
+      trackingNumber: entry.trackingNumber || '',
+      createdAt: entry.createdAt,
+    }));
+  const latestShipment = [...statusHistory].reverse().find(entry => entry.courier || entry.trackingNumber);
+  return {
+    statusHistory,
+    tracking: latestShipment ? { courier: latestShipment.courier, trackingNumber: latestShipment.trackingNumber } : null,
+  };
+};
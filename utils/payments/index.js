@@ -0,0 +1,46 @@
+// utils/payments/index.js
+// Payment provider registry. Every provider implements the same interface:
+//   name, paymentMethod, requiresPublicCallback, signatureHeader
+//   initiateStkPush({ amount, phone, reference, customerName, description, callbackUrl }) -> { success, reference, message? }
+//   verifyPayment(reference) -> { status: 'completed' | 'failed' | 'pending' | 'unknown', amount?, providerTransactionId?, serviceFee?, paidAt?, failureReason? }
+//   refund({ reference, amount, phone, reason }) -> { success, manual, providerReference? }
+//   payout({ phone, amount, reference, accountName }) -> { success, manual, providerReference? }
+//   verifyWebhook(req) -> boolean
+//   parseWebhook(body) -> { eventId, reference, providerTransactionId, status: 'completed' | 'failed', serviceFee, paidAt, failureReason }
+import env from '../../config/env.js';
+import swiftProvider from './swiftProvider.js';
+import sandboxProvider from './sandboxProvider.js';
+
+const providers = {
+  [swiftProvider.name]: swiftProvider,
+  [sandboxProvider.name]: sandboxProvider,
+};
+
+/**
+ * Returns a payment provider by name, defaulting to the one configured in PAYMENT_PROVIDER.
+ * @param {string} [name]
+ * @returns {Object} Provider implementation
+ */
+export const getPaymentProvider = (name = env.PAYMENT_PROVIDER) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  // Anyone who can sign sandbox webhooks can mark orders paid, so the sandbox must be switched on explicitly
+  if (provider === sandboxProvider && !env.PAYMENT_SANDBOX_ENABLED) {
+    throw new Error('The sandbox payment provider is not enabled');
+  }
+  return provider;
+};
+
+/**
+ * Webhook URL the provider should call back. Providers that post from this machine use the local server.
+ * @param {Object} provider
+ * @returns {string}
+ */
+export const getWebhookUrl = (provider) => {
+  const baseUrl = provider.requiresPublicCallback
+    ? process.env.DOMAIN || 'https://beifitycom-backend-production.up.railway.app'
+    : `http://localhost:${process.env.PORT || 4000}`;
+  return `${baseUrl}/api/payments/webhook/${provider.name}`;
+};
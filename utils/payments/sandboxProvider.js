@@ -0,0 +1,142 @@
+// utils/payments/sandboxProvider.js
+// Offline payment provider for local development: simulates the STK push and posts a signed
+// webhook back to this server, so checkout can be tested end to end without Swift or ngrok.
+// Off unless PAYMENT_SANDBOX_ENABLED is set (see utils/payments/index.js); its webhooks are signed with SANDBOX_WEBHOOK_SECRET.
+import crypto from 'crypto';
+import axios from 'axios';
+import env from '../../config/env.js';
+import logger from '../logger.js';
+import { ConflictError, NotFoundError } from '../errors.js';
+
+
+// Magic phone numbers for exercising the unhappy paths; every other number pays successfully
+const SANDBOX_PHONE_OUTCOMES = {
+  '0700000001': { outcome: 'failed', reason: 'Insufficient M-Pesa balance' },
+  '0700000002': { outcome: 'failed', reason: 'Request cancelled by user' },
+  '0700000003': { outcome: 'pending', reason: 'No response from handset' }, // never calls back
+};
+
+// Simulated payments for this process, keyed by reference
+const sandboxPayments = new Map();
+
+const signPayload = (payload) => crypto
+  .createHmac('sha256', env.SANDBOX_WEBHOOK_SECRET)
+  .update(JSON.stringify(payload))
+  .digest('hex');
+
+const sandboxProvider = {
+  name: 'sandbox',
+  paymentMethod: 'M-Pesa (Sandbox)',
+  requiresPublicCallback: false,
+  signatureHeader: 'x-sandbox-signature',
+
+  async initiateStkPush({ amount, phone, reference, callbackUrl }) {
+    const expected = SANDBOX_PHONE_OUTCOMES[phone] || { outcome: 'completed', reason: null };
+    // Unique per attempt so retried payments for the same order get their own transaction
+    const sandboxReference = `${reference}-SBX${Date.now().toString(36).toUpperCase()}`;
+    sandboxPayments.set(sandboxReference, {
+      reference: sandboxReference,
+      amount: Math.round(amount),
+      phone,
+      callbackUrl,
+      status: 'pending',
+      expectedOutcome: expected.outcome,
+      reason: expected.reason,
+      createdAt: new Date(),
+    });
+    logger.info(`Sandbox STK push created for ${sandboxReference}`, { amount, phone, expectedOutcome: expected.outcome });
+
+    if (expected.outcome !== 'pending') {
+      setTimeout(() => {
+        sandboxProvider.emitWebhook(sandboxReference, expected.outcome, expected.reason)
+          .catch(error => logger.warn(`Sandbox webhook for ${sandboxReference} failed: ${error.message}`));
+      }, env.SANDBOX_CALLBACK_DELAY_MS); // The simulated buyer "enters their PIN"
+    }
+    return { success: true, reference: sandboxReference };
+  },
+
+  async verifyPayment(reference) {
+    const payment = sandboxPayments.get(reference);
+    if (!payment) {
+      return { status: 'unknown' };
+    }
+    return {
+      status: payment.status,
+      amount: payment.amount,
+      providerTransactionId: payment.providerTransactionId || null,
+      serviceFee: 0,
+      paidAt: payment.paidAt || null,
+      failureReason: payment.status === 'failed' ? payment.reason : null,
+    };
+  },
+
+  async refund({ reference, amount }) {
+    return { success: true, manual: false, providerReference: `SBXREF-${reference}-${Date.now()}`, amount };
+  },
+
+  async payout({ phone, amount }) {
+    return { success: true, manual: false, providerReference: `SBXPAY${Date.now().toString(36).toUpperCase()}`, phone, amount };
+  },
+
+  /**
+   * Posts a signed success or failure callback for a simulated payment to its callback URL.
+   * @param {string} reference - Reference returned by initiateStkPush
+   * @param {'completed'|'failed'} outcome
+   * @param {string} [reason] - Failure reason reported to the webhook
+   */
+  async emitWebhook(reference, outcome = 'completed', reason = null) {
+    const payment = sandboxPayments.get(reference);
+    if (!payment) {
+      throw new NotFoundError(`No sandbox payment found for ${reference}`);
+    }
+    if (payment.status !== 'pending') {
+      throw new ConflictError(`Sandbox payment ${reference} already ${payment.status}`);
+    }
+    const payload = {
+      reference,
+      transaction_id: `SBX${crypto.randomBytes(5).toString('hex').toUpperCase()}`,
+      status: outcome === 'completed' ? 'completed' : 'failed',
+      amount: payment.amount,
+      phone: payment.phone,
+      service_fee: 0,
+      paid_at: outcome === 'completed' ? new Date().toISOString() : null,
+      failure_reason: outcome === 'completed' ? null : (reason || 'Simulated payment failure'),
+    };
+    payment.status = payload.status;
+    payment.providerTransactionId = payload.transaction_id;
+    payment.paidAt = payload.paid_at ? new Date(payload.paid_at) : null;
+    payment.reason = payload.failure_reason;
+    logger.info(`Sandbox emitting ${payload.status} webhook for ${reference}`, { callbackUrl: payment.callbackUrl });
+    try {
+      await axios.post(payment.callbackUrl, payload, {
+        headers: { 'Content-Type': 'application/json', [sandboxProvider.signatureHeader]: signPayload(payload) },
+      });
+    } catch (error) {
+      payment.status = 'pending'; // Allow the callback to be re-emitted
+      throw error;
+    }
+    return payload;
+  },
+
+  verifyWebhook(req) {
+    const signature = req.headers[sandboxProvider.signatureHeader] || '';
+    const expectedSignature = signPayload(req.body);
+    return signature.length === expectedSignature.length
+      && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expectedSignature));
+  },
+
+  parseWebhook(body) {
+    const success = body.status === 'completed';
+    return {
+      eventId: `${body.transaction_id}:${body.status}`,
+      reference: body.reference,
+      providerTransactionId: body.transaction_id,
+      status: success ? 'completed' : 'failed',
+      serviceFee: body.service_fee,
+      paidAt: success && body.paid_at ? new Date(body.paid_at) : null,
+      failureReason: body.failure_reason || null,
+    };
+  },
+};
+
+export default sandboxProvider;
@@ -0,0 +1,162 @@
+// utils/payments/swiftProvider.js
+// Swift Wallet (M-Pesa STK push) implementation of the payment provider interface.
+import crypto from 'crypto';
+import axios from 'axios';
+import logger from '../logger.js';
+
+const swift = axios.create({
+  baseURL: process.env.SWIFT_BASE_URL || 'https://swiftwallet.co.ke/pay-app',
+  headers: {
+    'Authorization': `Bearer ${process.env.SWIFT_API_KEY}`,
+    'Content-Type': 'application/json',
+  },
+});
+
+// Swift sends TransactionDate as YYYYMMDDHHmmss
+const parseTransactionDate = (transactionDate) => {
+  if (!transactionDate) {
+    return new Date();
+  }
+  const tsStr = transactionDate.toString().padStart(14, '0');
+  if (!/^\d{14}$/.test(tsStr)) {
+    logger.warn(`Unexpected TransactionDate format: ${transactionDate}`);
+    return new Date();
+  }
+  const paidAt = new Date(
+    parseInt(tsStr.slice(0, 4), 10),
+    parseInt(tsStr.slice(4, 6), 10) - 1, // JS months are 0-based
+    parseInt(tsStr.slice(6, 8), 10),
+    parseInt(tsStr.slice(8, 10), 10),
+    parseInt(tsStr.slice(10, 12), 10),
+    parseInt(tsStr.slice(12, 14), 10)
+  );
+  if (isNaN(paidAt.getTime())) {
+    logger.warn(`Invalid parsed TransactionDate: ${tsStr}, falling back to now`);
+    return new Date();
+  }
+  return paidAt;
+};
+
+const swiftProvider = {
+  name: 'swift',
+  paymentMethod: 'M-Pesa',
+  // Swift must reach our webhook over the internet (DOMAIN or an ngrok tunnel)
+  requiresPublicCallback: true,
+  signatureHeader: 'x-swiftwallet-signature',
+
+  async initiateStkPush({ amount, phone, reference, customerName, description, callbackUrl }) {
+    const payload = {
+      amount: Math.round(amount), // Integer KES
+      phone_number: phone,
+      ...(process.env.SWIFT_CHANNEL_ID && { channel_id: process.env.SWIFT_CHANNEL_ID }), // Optional
+      external_reference: reference,
+      ...(customerName && { customer_name: customerName }), // Optional
+      callback_url: callbackUrl,
+    };
+
+    // v3 might not be available in production yet, so try multiple paths before the v2 endpoint
+    const endpoints = [
+      { path: '/v3/stk-initiate/', payload },
+      { path: '/v3/stk-initiate', payload },
+      { path: '/pay-app/v3/stk-initiate/', payload },
+      { path: '/stk-initiate/', payload },
+      {
+        path: '/payments.php',
+        payload: {
+          amount: payload.amount,
+          phone_number: phone,
+          channel_id: process.env.SWIFT_CHANNEL_ID || "000146",
+          account_reference: reference, // v2 uses account_reference
+          transaction_desc: description,
+          callback_url: callbackUrl,
+        },
+      },
+    ];
+
+    let lastError = null;
+    for (const endpointConfig of endpoints) {
+      try {
+        logger.info(`Trying SWIFT API endpoint: ${swift.defaults.baseURL}${endpointConfig.path}`, { payload: endpointConfig.payload });
+        const response = await swift.post(endpointConfig.path, endpointConfig.payload);
+        const swiftData = response.data;
+        logger.info(`SWIFT API success on endpoint: ${endpointConfig.path}`, { status: response.status, data: swiftData });
+        if (!swiftData?.success) {
+          return { success: false, message: swiftData?.message || 'Payment initiation failed', raw: swiftData };
+        }
+        return {
+          success: true,
+          reference: swiftData.reference || swiftData.external_reference || reference,
+          raw: swiftData,
+        };
+      } catch (error) {
+        lastError = error;
+        const statusCode = error.response?.status;
+        const errorData = error.response?.data;
+        logger.warn(`SWIFT API endpoint ${endpointConfig.path} failed: ${error.message}`, {
+          statusCode,
+          errorData: typeof errorData === 'string' ? errorData.substring(0, 200) : errorData,
+        });
+        // Only a 404 means "try the next path"; anything else is a real error
+        if (statusCode && statusCode !== 404) {
+          throw error;
+        }
+      }
+    }
+
+    logger.error(`All SWIFT API endpoints failed. Last error: ${lastError?.message}`, {
+      lastStatusCode: lastError?.response?.status,
+      lastErrorData: lastError?.response?.data,
+    });
+    throw lastError || new Error('All SWIFT API endpoints failed');
+  },
+
+  // Swift has no status query; the webhook is the source of truth
+  async verifyPayment() {
+    return { status: 'unknown' };
+  },
+
+  // Swift has no reversal API; refunds are sent manually by the finance team
+  async refund() {
+    return { success: false, manual: true };
+  },
+
+  // Swift has no B2C API; withdrawals are sent manually and the M-Pesa code recorded by an admin
+  async payout() {
+    return { success: false, manual: true };
+  },
+
+  verifyWebhook(req) {
+    const webhookSecret = process.env.SWIFT_WEBHOOK_SECRET;
+    if (!webhookSecret) {
+      return true;
+    }
+    const signature = req.headers[swiftProvider.signatureHeader] || '';
+    const expectedSignature = crypto
+      .createHmac('sha256', webhookSecret)
+      .update(JSON.stringify(req.body))
+      .digest('hex');
+    return signature.length === expectedSignature.length
+      && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expectedSignature));
+  },
+
+  parseWebhook(body) {
+    const { transaction_id, external_reference, status, service_fee, result } = body;
+    // result may be missing on some callbacks
+    const resultCode = result?.ResultCode;
+    const success = Boolean(transaction_id) && status === 'completed' && (resultCode === 0 || resultCode === undefined);
+    return {
+      // Swift retries deliver the same transaction_id; callbacks without one are keyed by their content
+      eventId: transaction_id
+        ? `${transaction_id}:${status}`
+        : crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex'),
+      reference: external_reference,
+      providerTransactionId: transaction_id,
+      status: success ? 'completed' : 'failed',
+      serviceFee: service_fee,
+      paidAt: success ? parseTransactionDate(result?.TransactionDate) : null,
+      failureReason: success ? null : (result?.ResultDesc || `status=${status}, code=${resultCode}`),
+    };
+  },
+};
+
+export default swiftProvider;
@@ -0,0 +1,70 @@
+// utils/permissions.js
+// Staff roles and what they can do. personalInfo.isAdmin is kept as the super-admin flag and implies the admin role.
+
+export const PERMISSIONS = [
+  'listings:moderate', // Review, verify and feature listings
+  'listings:manage', // Edit any seller's listing and listing metrics
+  'orders:read',
+  'orders:manage', // Update order/item status, accept or reject deliveries
+  'payments:refund', // Manual refunds and forced payouts
+  'payments:manage', // Webhook events and reconciliation
+  'payouts:manage', // Withdrawal approvals
+  'ledger:read',
+  'disputes:manage', // Reports and disputes
+  'users:manage', // Account verification reminders and seller fixes
+  'analytics:read',
+  'roles:manage',
+];
+
+export const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS,
+  listing_moderator: ['listings:moderate', 'listings:manage'],
+  dispute_handler: ['disputes:manage', 'orders:read', 'orders:manage'],
+  finance: ['orders:read', 'payments:refund', 'payments:manage', 'payouts:manage', 'ledger:read', 'analytics:read'],
+  support: ['orders:read', 'users:manage'],
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Roles held by a user document.
+ * @param {Object} user - User document (or lean object) with personalInfo
+ * @returns {string[]}
+ */
+export const getUserRoles = (user) => {
+  const roles = (user?.personalInfo?.roles || []).filter(role => ROLES.includes(role));
+  if (user?.personalInfo?.isAdmin && !roles.includes('admin')) {
+    roles.push('admin');
+  }
+  return roles;
+};
+
+/**
+ * Permissions granted to a user, either resolved by the authorize middleware (req.user.permissions)
+ * or derived from a user document's roles.
+ * @param {Object} user
+ * @returns {string[]}
+ */
+export const getUserPermissions = (user) => {
+  if (Array.isArray(user?.permissions)) {
+    return user.permissions;
+  }
+  return [...new Set(getUserRoles(user).flatMap(role => ROLE_PERMISSIONS[role]))];
+};
+
+export const hasPermission = (user, permission) => getUserPermissions(user).includes(permission);
+
+// Any staff role at all (used to guard admin-only controllers behind route-level permissions)
+export const isStaff = (user) => getUserRoles(user).length > 0;
+
+/**
+ * User query matching every staff member granted a permission, for notifying the people who can act on something.
+ * @param {string} permission
+ * @returns {Object} Mongo filter on the users collection
+ */
+export const staffWithPermissionQuery = (permission) => ({
+  $or: [
+    { 'personalInfo.isAdmin': true },
+    { 'personalInfo.roles': { $in: ROLES.filter(role => ROLE_PERMISSIONS[role].includes(permission)) } },
+  ],
+});
@@ -0,0 +1,96 @@
+// utils/publishScheduledListings.js
+// Scheduled publishing: a listing with a publishAt date stays inactive until that time and goes live
+// once it is also verified. Listings still in review when their time comes go live on approval.
+import cron from 'node-cron';
+import sanitizeHtml from 'sanitize-html';
+import { LISTING_LIFETIME_DAYS, LISTING_MAX_SCHEDULE_DAYS, listingModel } from '../models/Listing.js';
+import { userModel } from '../models/User.js';
+import { sendNotification } from '../controllers/notificationController.js';
+import logger from './logger.js';
+
+const PUBLISH_BATCH_SIZE = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks a requested go-live time.
+ * @param {string|Date|null} publishAt
+ * @param {Date} [now]
+ * @returns {string|null} Why the time cannot be used, or null when it can
+ */
+export const getScheduleError = (publishAt, now = new Date()) => {
+  if (!publishAt) {
+    return null;
+  }
+  const publishDate = new Date(publishAt);
+  if (publishDate <= now) {
+    return 'Scheduled publish time must be in the future';
+  }
+  if (publishDate > new Date(now.getTime() + LISTING_MAX_SCHEDULE_DAYS * DAY_MS)) {
+    return `Listings can be scheduled at most ${LISTING_MAX_SCHEDULE_DAYS} days ahead`;
+  }
+  return null;
+};
+
+/**
+ * Takes a due, verified listing live: its lifetime starts now and it joins the seller's active listings.
+ * Guarded on publishAt so a reschedule or an overlapping run in between is not overridden or counted twice.
+ * @param {Object} listing - Listing with _id, seller.sellerId and productInfo.name
+ * @param {Date} [now]
+ * @returns {Promise<boolean>} Whether the listing was published
+ */
+export const publishListing = async (listing, now = new Date()) => {
+  const expiresAt = new Date(now.getTime() + LISTING_LIFETIME_DAYS * DAY_MS);
+  const updated = await listingModel.updateOne(
+    { _id: listing._id, publishAt: { $ne: null, $lte: now }, verified: 'Verified', isActive: false, isSold: false },
+    { $set: { isActive: true, publishAt: null, expiresAt, expiryReminderSentAt: null, expiredAt: null } }
+  );
+  if (!updated.modifiedCount) {
+    return false;
+  }
+  const sellerId = listing.seller.sellerId?._id || listing.seller.sellerId;
+  await userModel.updateOne({ _id: sellerId }, { $inc: { 'stats.activeListingsCount': 1 } });
+  try {
+    await sendNotification(
+      sellerId.toString(),
+      'listing_published',
+      `Your scheduled listing "${sanitizeHtml(listing.productInfo.name)}" is now live until ${expiresAt.toDateString()}.`,
+      null
+    );
+  } catch (notificationError) {
+    logger.warn(`Failed to create listing published notification: ${notificationError.message}`, { listingId: listing._id, userId: sellerId });
+  }
+  return true;
+};
+
+// Publish every verified listing whose scheduled time has come
+export const publishScheduledListings = async () => {
+  const results = { published: 0, failed: 0 };
+  try {
+    const now = new Date();
+    const listings = await listingModel
+      .find({ publishAt: { $ne: null, $lte: now }, verified: 'Verified', isActive: false, isSold: false })
+      .select('productInfo.name seller.sellerId')
+      .limit(PUBLISH_BATCH_SIZE);
+
+    for (const listing of listings) {
+      try {
+        if (await publishListing(listing, now)) {
+          results.published++;
+        }
+      } catch (listingError) {
+        logger.error(`Failed to publish scheduled listing ${listing._id}: ${listingError.message}`, { stack: listingError.stack });
+        results.failed++;
+      }
+    }
+    if (results.published || results.failed) {
+      logger.info(`Publish scheduled listings job: Published ${results.published}, failed ${results.failed}`);
+    }
+    return results;
+  } catch (error) {
+    logger.error(`Error in publish scheduled listings job: ${error.message}`, { stack: error.stack });
+    return results;
+  }
+};
+
+// Run every 5 minutes
+export const publishScheduledListingsJob = cron.schedule('*/5 * * * *', publishScheduledListings);
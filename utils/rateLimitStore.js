@@ -0,0 +1,79 @@
+// utils/rateLimitStore.js
+// Counter stores for the rate limiter (middlewares/rateLimiter.js). Windows are fixed: a counter key includes
+// the window number, so a store only ever needs an atomic "increment and tell me the count".
+//
+// Store interface:
+//   increment(key, windowMs) -> Promise<{ count, resetAt: Date }>
+import env from '../config/env.js';
+import { rateLimitModel } from '../models/RateLimit.js';
+
+const currentWindow = (windowMs, now = Date.now()) => {
+  const index = Math.floor(now / windowMs);
+  return { index, resetAt: new Date((index + 1) * windowMs) };
+};
+
+// Per-process store: fine for a single instance; counters reset on restart
+export const createMemoryStore = () => {
+  const counters = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt.getTime() <= now) {
+        counters.delete(key);
+      }
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+    increment: async (key, windowMs) => {
+      const { index, resetAt } = currentWindow(windowMs);
+      const windowKey = `${key}:${index}`;
+      const counter = counters.get(windowKey) || { count: 0, resetAt };
+      counter.count++;
+      counters.set(windowKey, counter);
+      return { count: counter.count, resetAt };
+    },
+  };
+};
+
+// Shared store: counters are visible to every instance behind the load balancer
+export const createMongoStore = () => {
+  const incrementWindow = (windowKey, resetAt) =>
+    rateLimitModel.findOneAndUpdate(
+      { key: windowKey },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } },
+      { upsert: true, new: true }
+    ).lean();
+
+  return {
+    name: 'mongo',
+    increment: async (key, windowMs) => {
+      const { index, resetAt } = currentWindow(windowMs);
+      const windowKey = `${key}:${index}`;
+      let counter;
+      try {
+        counter = await incrementWindow(windowKey, resetAt);
+      } catch (error) {
+        // Two first requests in a window raced to insert the counter; the retry updates it
+        if (error.code !== 11000) {
+          throw error;
+        }
+        counter = await incrementWindow(windowKey, resetAt);
+      }
+      return { count: counter.count, resetAt };
+    },
+  };
+};
+
+let defaultStore = null;
+
+// Store selected by RATE_LIMIT_STORE, shared by every policy that doesn't bring its own
+export const getRateLimitStore = () => {
+  if (!defaultStore) {
+    defaultStore = env.RATE_LIMIT_STORE === 'mongo' ? createMongoStore() : createMemoryStore();
+  }
+  return defaultStore;
+};
@@ -0,0 +1,195 @@
+// utils/reconcilePayments.js
+// Payment reconciliation: settles transactions whose webhook never arrived by polling the provider,
+// flags amount mismatches, and sends admins and finance staff a daily report.
+import cron from 'node-cron';
+import { TransactionModel } from '../models/Transaction.js';
+import { reconciliationReportModel } from '../models/ReconciliationReport.js';
+import { userModel } from '../models/User.js';
+import { verifyTransaction } from '../controllers/swiftController.js';
+import { sendNotification } from '../controllers/notificationController.js';
+import { sendEmail } from './sendEmail.js';
+import { generateReconciliationReportEmail } from './Templates.js';
+import logger from './logger.js';
+
+// Give the webhook a chance to arrive before polling
+const RECONCILE_AFTER_MINUTES = parseInt(process.env.RECONCILE_AFTER_MINUTES || '10', 10);
+// Transactions the provider still can't settle after this long are flagged for an admin
+const RECONCILE_UNRESOLVED_HOURS = parseInt(process.env.RECONCILE_UNRESOLVED_HOURS || '24', 10);
+// Stop polling transactions older than this; they stay flagged in the reports
+const RECONCILE_MAX_AGE_DAYS = 7;
+const RECONCILE_BATCH_SIZE = 50;
+
+// YYYY-MM-DD in Kenyan time
+export const getReportDate = (date = new Date()) => date.toLocaleDateString('en-CA', { timeZone: 'Africa/Nairobi' });
+
+const classify = (transaction, result) => {
+  if (result.error) {
+    return 'error';
+  }
+  if (result.data.amountMismatch) {
+    return 'amount_mismatch';
+  }
+  if (result.data.status === 'completed' || result.data.status === 'failed') {
+    return result.data.status;
+  }
+  const ageHours = (Date.now() - transaction.createdAt.getTime()) / (60 * 60 * 1000);
+  return ageHours >= RECONCILE_UNRESOLVED_HOURS ? 'unresolved' : 'pending';
+};
+
+// Polls one stale transaction and records what happened on it
+const reconcileTransaction = async (transaction) => {
+  const result = await verifyTransaction(transaction.swiftReference);
+  const outcome = classify(transaction, result);
+  const flag = ['amount_mismatch', 'unresolved'].includes(outcome) ? outcome : null;
+
+  await TransactionModel.updateOne(
+    { _id: transaction._id },
+    {
+      $set: {
+        'reconciliation.lastCheckedAt': new Date(),
+        'reconciliation.providerStatus': result.data?.providerStatus || null,
+        'reconciliation.providerAmount': result.data?.providerAmount ?? null,
+        'reconciliation.flag': flag,
+      },
+      $inc: { 'reconciliation.checks': 1 },
+    }
+  );
+
+  // Flags are reported once, when first raised
+  const alreadyReported = flag && transaction.reconciliation?.flag === flag;
+  const entry = outcome === 'pending' || alreadyReported ? null : {
+    transactionId: transaction._id,
+    reference: transaction.swiftReference,
+    orderId: transaction.orderId,
+    provider: transaction.paymentProvider,
+    outcome,
+    expectedAmount: transaction.totalAmount,
+    providerAmount: result.data?.providerAmount ?? null,
+    providerStatus: result.data?.providerStatus || null,
+    note: result.error ? result.message : '',
+    checkedAt: new Date(),
+  };
+  return { outcome, entry };
+};
+
+// Polls the provider for transactions still waiting on a webhook
+export const reconcilePayments = async () => {
+  try {
+    const now = Date.now();
+    const transactions = await TransactionModel.find({
+      status: { $in: ['pending', 'swift_initiated'] },
+      createdAt: {
+        $lte: new Date(now - RECONCILE_AFTER_MINUTES * 60 * 1000),
+        $gte: new Date(now - RECONCILE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000),
+      },
+    })
+      .sort({ createdAt: 1 })
+      .limit(RECONCILE_BATCH_SIZE)
+      .select('_id orderId swiftReference paymentProvider totalAmount createdAt reconciliation');
+
+    if (!transactions.length) {
+      return null;
+    }
+
+    const counts = { checked: 0, completed: 0, failed: 0, pending: 0, unresolved: 0, amountMismatches: 0, errors: 0 };
+    const entries = [];
+    for (const transaction of transactions) {
+      try {
+        const { outcome, entry } = await reconcileTransaction(transaction);
+        counts.checked++;
+        counts[{ amount_mismatch: 'amountMismatches', error: 'errors' }[outcome] || outcome]++;
+        if (entry) {
+          entries.push(entry);
+        }
+      } catch (error) {
+        counts.errors++;
+        logger.error(`Reconciliation failed for transaction ${transaction._id}: ${error.message}`, { stack: error.stack });
+      }
+    }
+
+    await reconciliationReportModel.updateOne(
+      { date: getReportDate() },
+      {
+        $inc: {
+          runs: 1,
+          ...Object.fromEntries(Object.entries(counts).map(([key, value]) => [`summary.${key}`, value])),
+        },
+        $push: { entries: { $each: entries } },
+      },
+      { upsert: true }
+    );
+
+    logger.info(`Reconciliation job: Checked ${counts.checked}, completed ${counts.completed}, failed ${counts.failed}, unresolved ${counts.unresolved}, mismatches ${counts.amountMismatches}`);
+    return counts;
+  } catch (error) {
+    logger.error(`Error in reconciliation job: ${error.message}`, { stack: error.stack });
+    return null;
+  }
+};
+
+/**
+ * Finalizes a day's reconciliation report (collections and unsettled totals) and sends it to admins.
+ * @param {string} [date] - YYYY-MM-DD, defaults to yesterday
+ * @returns {Promise<Object|null>} The report
+ */
+export const sendReconciliationReport = async (date = getReportDate(new Date(Date.now() - 24 * 60 * 60 * 1000))) => {
+  try {
+    const dayStart = new Date(`${date}T00:00:00+03:00`);
+    const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+
+    const [collected] = await TransactionModel.aggregate([
+      { $match: { status: 'completed', paidAt: { $gte: dayStart, $lt: dayEnd } } },
+      { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$totalAmount' } } },
+    ]);
+    const [outstanding] = await TransactionModel.aggregate([
+      { $match: { status: { $in: ['pending', 'swift_initiated'] }, createdAt: { $lt: dayEnd } } },
+      { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$totalAmount' } } },
+    ]);
+
+    const report = await reconciliationReportModel.findOneAndUpdate(
+      { date },
+      {
+        $set: {
+          totals: {
+            collectedCount: collected?.count || 0,
+            collectedAmount: collected?.amount || 0,
+            outstandingCount: outstanding?.count || 0,
+            outstandingAmount: outstanding?.amount || 0,
+          },
+          sentAt: new Date(),
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    const attention = report.summary.unresolved + report.summary.amountMismatches + report.summary.errors;
+    const content = `Payment reconciliation for ${date}: ${report.totals.collectedCount} payments collected (KES ${report.totals.collectedAmount.toFixed(2)}), ${report.totals.outstandingCount} unsettled${attention ? `, ${attention} need attention` : ''}.`;
+    const admins = await userModel.find({ $or: [{ 'personalInfo.isAdmin': true }, { 'personalInfo.roles': 'finance' }] }).select('personalInfo.fullname personalInfo.email');
+    for (const admin of admins) {
+      try {
+        await sendNotification(admin._id.toString(), 'reconciliation', content, null);
+        if (admin.personalInfo?.email) {
+          await sendEmail(
+            admin.personalInfo.email,
+            `Payment Reconciliation Report ${date} - BeiFity.Com`,
+            generateReconciliationReportEmail(admin.personalInfo.fullname || 'Admin', report)
+          );
+        }
+      } catch (notifyError) {
+        logger.warn(`Failed to send reconciliation report to admin ${admin._id}: ${notifyError.message}`, { date });
+      }
+    }
+
+    logger.info(`Reconciliation report for ${date} sent to ${admins.length} admins`);
+    return report;
+  } catch (error) {
+    logger.error(`Error sending reconciliation report: ${error.message}`, { stack: error.stack, date });
+    return null;
+  }
+};
+
+// Run every 15 minutes
+export const reconcilePaymentsJob = cron.schedule('*/15 * * * *', reconcilePayments);
+
+// Daily report at 06:00 Kenyan time for the previous day
+export const reconciliationReportJob = cron.schedule('0 6 * * *', () => sendReconciliationReport(), { timezone: 'Africa/Nairobi' });
@@ -0,0 +1,215 @@
+// utils/releaseEscrow.js
+// Buyer-protection timer: reminds both sides before the deadline, then auto-confirms
+// undisputed items that are still out for delivery and releases the seller payout.
+import mongoose from 'mongoose';
+import cron from 'node-cron';
+import sanitizeHtml from 'sanitize-html';
+import { orderModel } from '../models/Order.js';
+import { ReportModel } from '../models/Report.js';
+import { TransactionModel } from '../models/Transaction.js';
+import { userModel } from '../models/User.js';
+import { initiatePayout } from '../controllers/swiftController.js';
+import { sendNotification } from '../controllers/notificationController.js';
+import { sendEmail } from './sendEmail.js';
+import { generateEscrowReminderEmail } from './Templates.js';
+import { ESCROW_RELEASE_DAYS, transitionOrderItem } from './orderStatus.js';
+import logger from './logger.js';
+
+const SESSION_TIMEOUT = 30000; // 30 seconds timeout for Mongoose sessions
+// How long before the deadline both parties are reminded
+const ESCROW_REMINDER_HOURS = parseInt(process.env.ESCROW_REMINDER_HOURS || '48', 10);
+
+// An open order report (for the whole order or this item) pauses the release.
+// Reports reference the order by its orderId string, not its _id.
+export const hasOpenDispute = (order, item) => ReportModel.exists({
+  reportType: 'order',
+  orderId: order.orderId,
+  status: { $in: ['Pending', 'Under Review'] },
+  $or: [{ itemId: item.productId }, { itemId: null }, { itemId: { $exists: false } }],
+});
+
+const notifyParty = async (recipient, role, item, order) => {
+  if (!recipient) {
+    return;
+  }
+  const content = role === 'buyer'
+    ? `Please accept or reject delivery of "${sanitizeHtml(item.name)}" (Order ID: ${sanitizeHtml(order.orderId)}). It will be confirmed automatically on ${item.autoConfirmAt.toDateString()}.`
+    : `Payment for "${sanitizeHtml(item.name)}" (Order ID: ${sanitizeHtml(order.orderId)}) will be released on ${item.autoConfirmAt.toDateString()} unless the buyer disputes the delivery.`;
+  try {
+    await sendNotification(recipient._id.toString(), 'order_status', content, order.customerId._id.toString());
+  } catch (notificationError) {
+    logger.warn(`Failed to create escrow reminder notification: ${notificationError.message}`, { orderId: order.orderId, userId: recipient._id });
+  }
+
+  if (recipient.personalInfo?.email && recipient.preferences?.emailNotifications) {
+    const emailSent = await sendEmail(
+      recipient.personalInfo.email,
+      'Delivery Confirmation Reminder - BeiFity.Com',
+      generateEscrowReminderEmail(recipient.personalInfo.fullname || (role === 'buyer' ? 'Buyer' : 'Seller'), item.name, order.orderId, item.autoConfirmAt, role)
+    );
+    if (!emailSent) {
+      logger.warn(`Failed to send escrow reminder email to ${role} ${recipient._id}`, { orderId: order.orderId });
+    }
+  }
+};
+
+// Remind buyers and sellers of items whose deadline falls inside the reminder window
+export const sendEscrowReminders = async () => {
+  try {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + ESCROW_REMINDER_HOURS * 60 * 60 * 1000);
+    const dueFilter = { status: 'out_for_delivery', autoConfirmAt: { $gt: now, $lte: horizon }, autoConfirmReminderSentAt: null };
+    const orders = await orderModel
+      .find({ items: { $elemMatch: dueFilter } })
+      .populate('customerId', 'personalInfo.fullname personalInfo.email preferences')
+      .populate('items.sellerId', 'personalInfo.fullname personalInfo.email preferences');
+
+    let reminded = 0;
+    for (const order of orders) {
+      const dueItems = order.items.filter(item =>
+        item.status === 'out_for_delivery' && item.autoConfirmAt > now && item.autoConfirmAt <= horizon && !item.autoConfirmReminderSentAt
+      );
+      for (const item of dueItems) {
+        await notifyParty(order.customerId, 'buyer', item, order);
+        await notifyParty(item.sellerId, 'seller', item, order);
+        // Direct update so the order's pre-save price checks are not re-run
+        await orderModel.updateOne(
+          { _id: order._id },
+          { $set: { 'items.$[elem].autoConfirmReminderSentAt': now } },
+          { arrayFilters: [{ 'elem._id': item._id }] }
+        );
+        reminded++;
+      }
+    }
+    if (reminded > 0) {
+      logger.info(`Escrow reminder job: Sent reminders for ${reminded} items`);
+    }
+    return reminded;
+  } catch (error) {
+    logger.error(`Error in escrow reminder job: ${error.message}`, { stack: error.stack });
+    return 0;
+  }
+};
+
+// Confirm a single overdue item in its own transaction; the payout runs after commit like acceptDelivery
+const autoConfirmItem = async (orderObjectId, itemId) => {
+  const session = await mongoose.startSession({ defaultTransactionOptions: { timeout: SESSION_TIMEOUT } });
+  let transactionCommitted = false;
+  session.startTransaction();
+  let order;
+  let item;
+  try {
+    order = await orderModel.findById(orderObjectId).session(session).populate('items.sellerId customerId');
+    item = order?.items.id(itemId);
+    if (!item || item.status !== 'out_for_delivery' || !item.autoConfirmAt || item.autoConfirmAt > new Date()) {
+      await session.abortTransaction();
+      return 'skipped';
+    }
+
+    if (await hasOpenDispute(order, item)) {
+      // Leave the funds held; an admin resolves the dispute and releases or refunds manually
+      await orderModel.updateOne(
+        { _id: order._id },
+        { $set: { 'items.$[elem].autoConfirmAt': null } },
+        { arrayFilters: [{ 'elem._id': item._id }], session }
+      );
+      await session.commitTransaction();
+      transactionCommitted = true;
+      logger.warn(`Escrow release held: Open report on item ${item.productId}`, { orderId: order.orderId });
+      return 'held';
+    }
+
+    transitionOrderItem(item, 'delivered', {
+      actorRole: 'system',
+      note: `Delivery auto-confirmed after ${ESCROW_RELEASE_DAYS} days without a response from the buyer`,
+    });
+    // Direct update like the reminders: order.save() re-runs the pre-save price checks against the listing's
+    // current price, which fail once the listing was repriced or deleted, and the seller would never be paid.
+    // Delivering this item can only move the order to delivered, so that is the one order status to set here.
+    const orderDelivered = order.items.every(orderItem => orderItem.status === 'delivered' && orderItem.returnStatus === 'none');
+    await orderModel.updateOne(
+      { _id: order._id },
+      {
+        $set: {
+          'items.$[elem].status': item.status,
+          'items.$[elem].autoConfirmAt': null,
+          'items.$[elem].autoConfirmReminderSentAt': null,
+          ...(orderDelivered && { status: 'delivered' }),
+        },
+        $push: { 'items.$[elem].statusHistory': item.statusHistory[item.statusHistory.length - 1].toObject() },
+      },
+      { arrayFilters: [{ 'elem._id': item._id }], session }
+    );
+
+    await userModel.updateOne(
+      { _id: order.customerId._id },
+      { $inc: { 'stats.completedOrdersCount': 1, 'stats.pendingOrdersCount': -1 } },
+      { session }
+    );
+
+    const buyerId = order.customerId._id.toString();
+    const sellerContent = `Delivery of "${sanitizeHtml(item.name)}" (Order ID: ${sanitizeHtml(order.orderId)}) was confirmed automatically. Payment released.`;
+    const buyerContent = `Delivery of "${sanitizeHtml(item.name)}" (Order ID: ${sanitizeHtml(order.orderId)}) was confirmed automatically after ${ESCROW_RELEASE_DAYS} days.`;
+    await sendNotification(item.sellerId._id.toString(), 'delivery_accepted', sellerContent, buyerId, session);
+    await sendNotification(buyerId, 'order_status', buyerContent, buyerId, session);
+
+    await session.commitTransaction();
+    transactionCommitted = true;
+    logger.info(`Escrow auto-confirmed item ${item.productId} in order ${order.orderId}`);
+  } catch (error) {
+    if (!transactionCommitted) {
+      await session.abortTransaction();
+    }
+    logger.error(`Error auto-confirming delivery: ${error.message}`, { stack: error.stack, orderId: order?.orderId, itemId });
+    return 'failed';
+  } finally {
+    session.endSession();
+  }
+
+  if (order.transactionId) {
+    try {
+      const transaction = await TransactionModel.findById(order.transactionId);
+      const transactionItem = transaction?.items.find(ti => ti.itemId.toString() === item._id.toString());
+      if (transactionItem && transactionItem.payoutStatus === 'manual_pending') {
+        const payoutResult = await initiatePayout(transaction._id, item._id, null);
+        if (payoutResult.error) {
+          logger.warn(`Payout initiation failed after auto-confirm: ${payoutResult.message}`, { transactionId: transaction._id, itemId });
+        }
+      }
+    } catch (payoutError) {
+      logger.error(`Payout failed after auto-confirm: ${payoutError.message}`, { stack: payoutError.stack, orderId: order.orderId, itemId });
+    }
+  }
+  return 'confirmed';
+};
+
+// Auto-confirm items whose buyer-protection deadline has passed
+export const releaseEscrow = async () => {
+  try {
+    const now = new Date();
+    const orders = await orderModel
+      .find({ items: { $elemMatch: { status: 'out_for_delivery', autoConfirmAt: { $lte: now } } } })
+      .select('_id items._id items.status items.autoConfirmAt');
+
+    const results = { confirmed: 0, held: 0, failed: 0, skipped: 0 };
+    for (const order of orders) {
+      const dueItems = order.items.filter(item => item.status === 'out_for_delivery' && item.autoConfirmAt && item.autoConfirmAt <= now);
+      for (const item of dueItems) {
+        results[await autoConfirmItem(order._id, item._id)]++;
+      }
+    }
+    if (results.confirmed || results.held || results.failed) {
+      logger.info(`Escrow release job: Confirmed ${results.confirmed}, held ${results.held}, failed ${results.failed}`);
+    }
+    return results;
+  } catch (error) {
+    logger.error(`Error in escrow release job: ${error.message}`, { stack: error.stack });
+    return null;
+  }
+};
+
+// Run every hour
+export const releaseEscrowJob = cron.schedule('0 * * * *', async () => {
+  await sendEscrowReminders();
+  await releaseEscrow();
+});
@@ -0,0 +1,11 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Per-request context (correlation id) that follows the request through awaits, so the logger and the error
+// handler can read it without passing req around.
+const storage = new AsyncLocalStorage();
+
+export const runWithRequestContext = (context, callback) => storage.run(context, callback);
+
+export const getRequestContext = () => storage.getStore();
+
+export const getRequestId = () => storage.getStore()?.requestId;
@@ -0,0 +1,148 @@
+// utils/sessions.js
+// Login sessions: short-lived access tokens plus rotating refresh tokens, and revocation of both.
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import env from '../config/env.js';
+import { sessionModel } from '../models/Session.js';
+import { revokedTokenModel } from '../models/RevokedToken.js';
+import { generateToken } from './helper.js';
+import logger from './logger.js';
+
+const ACCESS_TOKEN_TTL_MS = env.ACCESS_TOKEN_TTL_MINUTES * 60 * 1000;
+const REFRESH_TOKEN_TTL_MS = env.REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+// Two tabs refreshing at once both present the same token; the loser isn't treated as theft
+const REFRESH_REUSE_GRACE_MS = 10 * 1000;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+const newSecret = () => crypto.randomBytes(48).toString('hex');
+
+const describeClient = (req) => ({
+  userAgent: (req?.headers?.['user-agent'] || '').slice(0, 300),
+  ip: req?.ip || '',
+});
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning hashes
+const issueTokens = (session, secret) => ({
+  token: generateToken(session.userId, session._id),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: env.ACCESS_TOKEN_TTL_MINUTES * 60,
+  sessionId: session._id,
+});
+
+/**
+ * Starts a login session for a user.
+ * @param {string|ObjectId} userId
+ * @param {Object} req - Express request, used to record the device
+ * @param {string} [method] - 'password', 'google' or 'email_verification'
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: number, sessionId: ObjectId}>}
+ */
+export const createSession = async (userId, req, method = 'password') => {
+  const secret = newSecret();
+  const session = await sessionModel.create({
+    userId,
+    refreshTokenHash: hashToken(secret),
+    method,
+    ...describeClient(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+  logger.debug(`Session ${session._id} created for user ${userId}`, { method });
+  return issueTokens(session, secret);
+};
+
+/**
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * Presenting an already-rotated refresh token revokes the whole session.
+ * @param {string} refreshToken
+ * @param {Object} req
+ * @returns {Promise<Object|null>} New tokens, or null if the refresh token is not valid
+ */
+export const rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!mongoose.Types.ObjectId.isValid(sessionId) || !secret) {
+    return null;
+  }
+
+  const hash = hashToken(secret);
+  const nextSecret = newSecret();
+  const session = await sessionModel.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextSecret),
+        previousTokenHash: hash,
+        lastUsedAt: new Date(),
+        ...describeClient(req),
+      },
+    },
+    { new: true }
+  );
+  if (session) {
+    return issueTokens(session, nextSecret);
+  }
+
+  const rotated = await sessionModel.findOne({ _id: sessionId, previousTokenHash: hash, revokedAt: null });
+  if (rotated && Date.now() - rotated.lastUsedAt.getTime() > REFRESH_REUSE_GRACE_MS) {
+    logger.warn(`Refresh token reuse detected for session ${sessionId}; revoking it`, { userId: rotated.userId, ip: req?.ip });
+    await revokeSession(rotated, 'refresh_token_reuse');
+  }
+  return null;
+};
+
+/**
+ * Revokes one session: its refresh token stops working and its access tokens are rejected by authUser.
+ * @param {Object} session - Session document
+ * @param {string} [reason]
+ */
+export const revokeSession = async (session, reason = 'revoked') => {
+  const now = new Date();
+  await sessionModel.updateOne({ _id: session._id, revokedAt: null }, { $set: { revokedAt: now, revokedReason: reason } });
+  await revokedTokenModel.updateOne(
+    { sessionId: session._id },
+    { $setOnInsert: { userId: session.userId, reason, expiresAt: new Date(now.getTime() + ACCESS_TOKEN_TTL_MS) } },
+    { upsert: true }
+  );
+  logger.info(`Session ${session._id} of user ${session.userId} revoked: ${reason}`);
+};
+
+/**
+ * Revokes every active session of a user.
+ * @param {string|ObjectId} userId
+ * @param {Object} [options]
+ * @param {string} [options.reason]
+ * @param {string} [options.exceptSessionId] - Session to keep (e.g. the one making the request)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeAllSessions = async (userId, { reason = 'logout_all', exceptSessionId = null } = {}) => {
+  const filter = { userId, revokedAt: null, expiresAt: { $gt: new Date() } };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  const sessions = await sessionModel.find(filter).select('_id userId');
+  for (const session of sessions) {
+    await revokeSession(session, reason);
+  }
+  return sessions.length;
+};
+
+/**
+ * Active sessions of a user, most recently used first.
+ * @param {string|ObjectId} userId
+ */
+export const getActiveSessions = (userId) =>
+  sessionModel
+    .find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('method userAgent ip lastUsedAt createdAt expiresAt')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+/**
+ * Whether the session behind a decoded access token has been revoked.
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {Promise<boolean>}
+ */
+export const isSessionRevoked = async (decoded) => {
+  if (!decoded?.sid || !mongoose.Types.ObjectId.isValid(decoded.sid)) {
+    return true;
+  }
+  return Boolean(await revokedTokenModel.exists({ sessionId: decoded.sid }));
+};
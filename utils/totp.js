@@ -0,0 +1,106 @@
+// utils/totp.js
+// Time-based one-time passwords (RFC 6238, SHA-1, 6 digits, 30s steps) as used by authenticator apps.
+import crypto from 'crypto';
+import env from '../config/env.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = 'BeiFity.Com';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in TOTP secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const hotp = (key, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return code.toString().padStart(DIGITS, '0');
+};
+
+export const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// New random secret, base32 encoded for authenticator apps
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const generateTotp = (secret, time = Date.now()) => hotp(base32Decode(secret), getTimeStep(time));
+
+/**
+ * Checks a code against the current time step and its neighbours (clock drift).
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number} [window] - Steps either side to accept
+ * @returns {number|null} Matching time step (store it to stop the code being reused), or null
+ */
+export const verifyTotp = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+  const key = base32Decode(secret);
+  const current = getTimeStep();
+  for (let step = current - window; step <= current + window; step++) {
+    if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI for QR codes
+export const buildOtpAuthUrl = (secret, accountName) =>
+  `otpauth://totp/${encodeURIComponent(`${ISSUER}:${accountName}`)}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+// Secrets are stored encrypted (AES-256-GCM) with a key derived from SECRET_KEY
+const encryptionKey = () => crypto.createHash('sha256').update(`${env.SECRET_KEY}:totp`).digest();
+
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+export const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
@@ -0,0 +1,116 @@
+// utils/twoFactor.js
+// Two-factor authentication for user accounts: TOTP codes, one-time backup codes and the login challenge.
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import env from '../config/env.js';
+import { userModel } from '../models/User.js';
+import { decryptSecret, verifyTotp } from './totp.js';
+import { checkAttemptThrottle, clearFailedAttempts, recordFailedAttempt, sendLockoutEmail } from './loginProtection.js';
+import logger from './logger.js';
+
+const BACKUP_CODE_COUNT = 10;
+// Time allowed between the password (or Google) step and entering the code
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+const hashBackupCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+/**
+ * New set of backup codes. Show `codes` to the user once and store `hashes`.
+ * @returns {{codes: string[], hashes: string[]}}
+ */
+export const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+// TOTP first, then backup codes
+const checkCode = async (userId, twoFactor, code) => {
+  const step = verifyTotp(decryptSecret(twoFactor.secret), code);
+  if (step !== null) {
+    // Only accept a step newer than the last one used, so an intercepted code can't be replayed
+    const result = await userModel.updateOne(
+      {
+        _id: userId,
+        $or: [{ 'personalInfo.twoFactor.lastUsedStep': null }, { 'personalInfo.twoFactor.lastUsedStep': { $lt: step } }],
+      },
+      { $set: { 'personalInfo.twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount ? { valid: true, method: 'totp' } : { valid: false, reason: 'reused' };
+  }
+
+  const hash = hashBackupCode(code);
+  const result = await userModel.updateOne(
+    { _id: userId, 'personalInfo.twoFactor.backupCodes': hash },
+    { $pull: { 'personalInfo.twoFactor.backupCodes': hash } }
+  );
+  if (result.modifiedCount) {
+    logger.info(`Backup code used by user ${userId}`);
+    return { valid: true, method: 'backup_code' };
+  }
+  return { valid: false, reason: 'invalid' };
+};
+
+/**
+ * Checks a second-factor code for a user with 2FA enabled. TOTP codes can be used once;
+ * backup codes are removed when used. Wrong codes count towards a lockout.
+ * @param {string|ObjectId} userId
+ * @param {string} code - 6-digit TOTP code or a backup code
+ * @param {string} ip - Client IP, for attempt throttling
+ * @returns {Promise<{valid: boolean, method?: string, reason?: string, throttle?: Object}>}
+ *   reason 'throttled' carries { status, retryAfter, message } in throttle
+ */
+export const verifySecondFactor = async (userId, code, ip) => {
+  if (!code) {
+    return { valid: false, reason: 'missing' };
+  }
+
+  const user = await userModel
+    .findById(userId)
+    .select('+personalInfo.twoFactor.secret personalInfo.fullname personalInfo.email personalInfo.twoFactor.enabled personalInfo.twoFactor.lastUsedStep');
+  const twoFactor = user?.personalInfo?.twoFactor;
+  if (!twoFactor?.enabled || !twoFactor.secret) {
+    return { valid: false, reason: 'not_enabled' };
+  }
+
+  const throttle = await checkAttemptThrottle('two_factor', userId.toString(), ip);
+  if (throttle) {
+    return { valid: false, reason: 'throttled', throttle };
+  }
+
+  const result = await checkCode(userId, twoFactor, code);
+  if (result.valid) {
+    await clearFailedAttempts('two_factor', userId.toString());
+  } else {
+    const { lockedOut, lockedUntil } = await recordFailedAttempt('two_factor', userId.toString(), ip);
+    if (lockedOut) {
+      await sendLockoutEmail(user, 'two_factor', lockedUntil, ip);
+    }
+  }
+  return result;
+};
+
+/**
+ * Short-lived token proving the first login step passed. It carries no session id, so authUser rejects it.
+ * @param {string|ObjectId} userId
+ * @param {string} method - Login method to record on the session ('password' or 'google')
+ */
+export const createTwoFactorChallenge = (userId, method) =>
+  jwt.sign({ _id: userId.toString(), purpose: '2fa_login', method }, env.SECRET_KEY, { expiresIn: CHALLENGE_TTL_SECONDS });
+
+/**
+ * @param {string} challengeToken
+ * @returns {Object|null} Decoded challenge ({_id, method}) or null if invalid or expired
+ */
+export const readTwoFactorChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(String(challengeToken || ''), env.SECRET_KEY);
+    return decoded.purpose === '2fa_login' ? decoded : null;
+  } catch (error) {
+    logger.debug(`Invalid two-factor challenge: ${error.message}`);
+    return null;
+  }
+};
@@ -0,0 +1,90 @@
+// utils/variants.js
+import sanitizeHtml from 'sanitize-html';
+
+const MAX_VARIANTS = 25;
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+
+const skuPart = (value) => normalize(value).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'any';
+
+// Build a stable SKU from the product ID and the size/color combination
+export const buildVariantSku = (productId, size, color) => {
+  return `${productId.slice(0, 8)}-${skuPart(size)}-${skuPart(color)}`.toUpperCase();
+};
+
+/**
+ * Finds the variant matching a size/color pair (case-insensitive).
+ * Works with both Mongoose documents and lean objects.
+ * @param {Object} listing - Listing document
+ * @param {string} [size]
+ * @param {string} [color]
+ * @returns {Object|null} The matching variant, or null if the listing has none or no match
+ */
+export const findListingVariant = (listing, size, color) => {
+  if (!listing?.variants?.length) return null;
+  return listing.variants.find(
+    (v) => normalize(v.size) === normalize(size) && normalize(v.color) === normalize(color)
+  ) || null;
+};
+
+// Unit price for a listing, honouring a variant's price override
+export const getListingUnitPrice = (listing, variant) => {
+  return typeof variant?.price === 'number' ? variant.price : listing.productInfo.price;
+};
+
+// Stock available for a listing or one of its variants
+export const getAvailableStock = (listing, variant) => {
+  return variant ? variant.inventory : listing.inventory;
+};
+
+/**
+ * Validates and sanitizes a seller-supplied variants array.
+ * @param {Array} variants - [{ size, color, inventory, price, sku }]
+ * @param {string} productId - Listing productId (used to generate SKUs)
+ * @returns {{error: boolean, message?: string, variants?: Array}}
+ */
+export const sanitizeVariants = (variants, productId) => {
+  if (!Array.isArray(variants)) {
+    return { error: true, message: 'Variants must be an array' };
+  }
+  if (variants.length > MAX_VARIANTS) {
+    return { error: true, message: `Maximum ${MAX_VARIANTS} variants allowed` };
+  }
+
+  const seen = new Set();
+  const cleaned = [];
+  for (const variant of variants) {
+    const size = sanitizeHtml((variant?.size || '').toString().trim());
+    const color = sanitizeHtml((variant?.color || '').toString().trim());
+    if (!size && !color) {
+      return { error: true, message: 'Each variant needs a size or a color' };
+    }
+    const key = `${normalize(size)}|${normalize(color)}`;
+    if (seen.has(key)) {
+      return { error: true, message: `Duplicate variant: ${size || '-'} / ${color || '-'}` };
+    }
+    seen.add(key);
+
+    if (!Number.isInteger(variant.inventory) || variant.inventory < 0) {
+      return { error: true, message: `Inventory for ${size || '-'} / ${color || '-'} must be a non-negative whole number` };
+    }
+    if (variant.price !== undefined && variant.price !== null && (typeof variant.price !== 'number' || variant.price <= 0)) {
+      return { error: true, message: `Price for ${size || '-'} / ${color || '-'} must be a positive number` };
+    }
+
+    const sku = variant.sku ? sanitizeHtml(variant.sku.toString().trim()) : buildVariantSku(productId, size, color);
+    if (cleaned.some((v) => v.sku === sku)) {
+      return { error: true, message: `Duplicate SKU: ${sku}` };
+    }
+
+    cleaned.push({
+      sku,
+      size,
+      color,
+      inventory: variant.inventory,
+      price: typeof variant.price === 'number' ? variant.price : null,
+    });
+  }
+
+  return { error: false, variants: cleaned };
+};